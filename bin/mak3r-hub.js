@@ -67,8 +67,28 @@ program
   .option('-t, --type <type>', 'Website type (landing-page|ecommerce|portfolio|blog|saas)', 'landing-page')
   .option('-f, --framework <framework>', 'Framework (react-next|vue-nuxt|svelte-kit)', 'auto')
   .option('-p, --path <path>', 'Custom project path')
-  .option('--skip-install', 'Skip npm install after creation')
+  .option('--skip-install', 'Skip installing dependencies after creation')
+  .option('--package-manager <name>', 'Package manager for the install (npm|pnpm|yarn|bun, detected from lock files by default)')
+  .option('--offline', 'Install dependencies from the local package cache only')
+  .option('--prefer-offline', 'Use cached packages when available, fetching only what is missing')
+  .option('--template <name>', 'Create from an installed community template')
+  .option('--var <key=value...>', 'Template variable (repeatable)')
+  .option('--skip-hooks', 'Do not run the template post-create hooks')
+  .option('--force', 'Replace an existing project directory')
+  .option('--merge', 'Add missing files to an existing project directory, keeping existing ones')
+  .option('--dry-run', 'Show the files and variables that would be generated without writing anything')
+  .option('--json', 'With --dry-run, print the plan as JSON')
   .action(async (name, options) => {
+    if (options.offline && options.preferOffline) {
+      console.error(chalk.red('❌ Use either --offline or --prefer-offline, not both'));
+      process.exit(1);
+    }
+    
+    if (options.dryRun) {
+      await planCreate(name, options);
+      return;
+    }
+    
     try {
       console.log(chalk.blue('🎯 MAK3R-HUB Project Creator'));
       console.log(chalk.gray(`Creating ${options.type} with ${options.framework === 'auto' ? 'optimal framework' : options.framework}`));
@@ -77,26 +97,38 @@ program
       const ProjectCreator = require('../lib/project-creator');
       const creator = new ProjectCreator();
       
-      const framework = options.framework === 'auto' ? 
-        await detectOptimalFramework(options.type) : 
-        options.framework;
-      
       const projectOptions = {
-        type: options.type,
-        framework: framework,
-        path: options.path,
-        skipInstall: options.skipInstall
+        ...await createOptions(creator, options),
+        skipHooks: options.skipHooks,
+        force: options.force,
+        merge: options.merge
       };
       
       const result = await creator.createProject(name, projectOptions);
       
       if (result.success) {
         console.log(chalk.green('\n✅ Project creation completed!'));
+        
+        if (result.template) {
+          console.log(chalk.gray(`🧩 Template: ${result.template.name}@${result.template.version}`));
+          result.hooks.filter(hook => !hook.success).forEach(hook => {
+            console.log(chalk.yellow(`⚠️  Post-create hook failed: ${hook.command}`));
+          });
+        }
+        
+        if (result.install && !result.install.success) {
+          console.log(chalk.red(`❌ Dependencies were not installed: ${result.install.error}`));
+          if (result.install.log_path) {
+            console.log(chalk.gray(`   See ${result.install.log_path}`));
+          }
+          process.exitCode = 1;
+        }
+        
         console.log(chalk.cyan('🚀 Next steps:'));
         console.log(chalk.gray(`   cd ${name}`));
         
-        if (!options.skipInstall) {
-          console.log(chalk.gray(`   cd ${result.project.active_dir} && npm install`));
+        if (!result.install || !result.install.success) {
+          console.log(chalk.gray(`   cd ${result.project.active_dir} && ${result.project.package_manager} install`));
         }
         
         console.log(chalk.gray(`   ${result.project.launch_command}`));
@@ -130,48 +162,386 @@ program
     }
   });
 
+// Existing project adoption
+program
+  .command('adopt [path]')
+  .description('Bring an existing Next.js, Nuxt, SvelteKit or Vite project under MAK3R-HUB management')
+  .option('-t, --type <type>', 'Website type (inferred from routes by default)')
+  .option('-f, --framework <framework>', 'Framework (react-next|vue-nuxt|svelte-kit|vite, detected by default)')
+  .option('--dir <dir>', 'Folder containing the app (detected by default)')
+  .option('--package-manager <name>', 'Package manager (detected from lock files by default)')
+  .option('--force', 'Regenerate .mak3r/ for an already adopted project')
+  .option('--dry-run', 'Show what would be inferred and written without writing anything')
+  .option('--json', 'Print the adoption report as JSON')
+  .action(async (projectPath, options) => {
+    try {
+      const ProjectAdopter = require('../lib/project-adopter');
+      const adopter = new ProjectAdopter();
+      
+      const report = await adopter.adopt(projectPath || process.cwd(), {
+        type: options.type,
+        framework: options.framework,
+        dir: options.dir,
+        packageManager: options.packageManager,
+        force: options.force,
+        dryRun: options.dryRun
+      });
+      
+      if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+      }
+      
+      adopter.printReport(report);
+      if (report.dry_run) {
+        console.log(chalk.gray('\nNothing was written. Run without --dry-run to adopt the project.'));
+        return;
+      }
+      
+      console.log(chalk.green(`\n✅ ${report.name} is now managed by MAK3R-HUB`));
+      console.log(chalk.cyan('🚀 Next steps:'));
+      console.log(chalk.gray('   • Review CLAUDE.md and .mak3r/config.json'));
+      console.log(chalk.gray('   • MAK3R-HUB dev'));
+    } catch (error) {
+      if (options.json) {
+        console.log(JSON.stringify({ success: false, error: error.message }, null, 2));
+      } else {
+        console.error(chalk.red(`❌ Adoption failed: ${error.message}`));
+      }
+      process.exit(1);
+    }
+  });
+
+// Code generators
+program
+  .command('generate <kind> <name>')
+  .alias('g')
+  .description('Generate a component, page, layout, api-route or store for the project framework')
+  .option('--test', 'Also write a test stub')
+  .option('--story', 'Also write a Storybook story stub (components, pages and layouts)')
+  .option('--force', 'Overwrite files that already exist')
+  .option('--json', 'Print the result as JSON')
+  .action(async (kind, name, options) => {
+    try {
+      const CodeGenerator = require('../lib/code-generator');
+      const generator = new CodeGenerator();
+      
+      const result = await generator.generate(kind, name, {
+        test: options.test,
+        story: options.story,
+        force: options.force
+      });
+      
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        generator.printResult(result);
+      }
+    } catch (error) {
+      if (options.json) {
+        console.log(JSON.stringify({ success: false, error: error.message }, null, 2));
+      } else {
+        console.error(chalk.red(`❌ Generate failed: ${error.message}`));
+      }
+      process.exit(1);
+    }
+  });
+
 // Development server command
 program
   .command('dev')
   .alias('d')
   .description('Start development server')
-  .option('-p, --port <port>', 'Port number', '3000')
+  .option('-p, --port <port>', 'Port number (defaults to ports.dev_server)')
   .option('-o, --open', 'Open browser automatically', false)
   .action(async (options) => {
     try {
-      const args = ['dev', '--port', options.port.toString()];
-      const result = await executeEngine(args);
-      
+      const DevServer = require('../lib/dev-server');
+      const server = new DevServer();
+
+      const result = await server.start({
+        port: options.port,
+        open: options.open
+      });
+
       if (!result.success) {
-        process.exit(1);
+        console.error(chalk.red(`❌ ${result.error}`));
+        process.exit(result.exitCode || 1);
       }
+
+      process.exit(0);
     } catch (error) {
       console.error(chalk.red('❌ Failed to start development server:'), error.message);
       process.exit(1);
     }
   });
 
-// Deployment command
+// Build command
 program
-  .command('deploy')
-  .description('Deploy website to production')
-  .option('-p, --platform <platform>', 'Deployment platform (vercel|netlify|aws|auto)', 'auto')
-  .option('-d, --domain <domain>', 'Custom domain')
+  .command('build')
+  .alias('b')
+  .description('Build the project and report compiler errors and asset sizes')
+  .option('--json', 'Print the structured result as JSON')
+  .option('--verbose', 'Stream the raw build output')
+  .option('--analyze', 'Check bundle budgets after building (default: features.bundle_analyzer)')
+  .option('--timeout <seconds>', 'Abort the build after this many seconds', '600')
   .action(async (options) => {
     try {
-      const args = ['deploy', '--platform', options.platform];
-      if (options.domain) {
-        args.push('--domain', options.domain);
+      const ProjectBuilder = require('../lib/project-builder');
+      const builder = new ProjectBuilder();
+
+      const result = await builder.build({
+        quiet: options.json,
+        verbose: options.verbose,
+        analyze: options.analyze,
+        timeout: parseInt(options.timeout, 10) * 1000
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        builder.printResult(result);
       }
-      
-      const result = await executeEngine(args);
-      
-      if (result.success && result.url) {
-        console.log(chalk.green('✅ Deployment successful!'));
-        console.log(chalk.cyan(`🌐 Live URL: ${result.url}`));
-      } else if (!result.success) {
-        console.error(chalk.red(`❌ Deployment failed: ${result.error || result.message}`));
-        process.exit(1);
+      process.exit(result.exit_code);
+    } catch (error) {
+      console.error(chalk.red('❌ Build failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Bundle size analysis
+program
+  .command('analyze')
+  .description('Measure build output (gzip/brotli), check budgets and compare with the last baseline')
+  .option('--build', 'Build the project first')
+  .option('--update-baseline', 'Record this build as the baseline even if it grew')
+  .option('--json', 'Print the result as JSON')
+  .action(async (options) => {
+    try {
+      const BundleAnalyzer = require('../lib/bundle-analyzer');
+      const ProjectBuilder = require('../lib/project-builder');
+      const analyzer = new BundleAnalyzer();
+
+      if (options.build) {
+        const builder = new ProjectBuilder();
+        const build = await builder.build({ quiet: options.json, analyze: false });
+        if (!build.success) {
+          if (options.json) {
+            console.log(JSON.stringify(build, null, 2));
+          } else {
+            builder.printResult(build);
+          }
+          process.exit(build.exit_code);
+        }
+      }
+
+      const result = await analyzer.analyze({ updateBaseline: options.updateBaseline });
+
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        analyzer.printResult(result);
+      }
+      process.exit(result.success ? 0 : ProjectBuilder.EXIT_CODES.budget_exceeded);
+    } catch (error) {
+      if (options.json) {
+        console.log(JSON.stringify({ success: false, error: error.message }, null, 2));
+      } else {
+        console.error(chalk.red(`❌ Analyze failed: ${error.message}`));
+      }
+      process.exit(1);
+    }
+  });
+
+// SEO and accessibility audit
+program
+  .command('audit')
+  .description('Audit the built HTML for SEO and accessibility issues (offline)')
+  .option('--build', 'Build the project first')
+  .option('--dir <path>', 'Audit this directory instead of the detected build output')
+  .option('--min-score <score>', 'Exit with an error when the score is below this')
+  .option('--json', 'Print the report as JSON')
+  .action(async (options) => {
+    try {
+      // Checked before auditing: a typo must not turn the CI gate into a pass
+      const minScore = options.minScore !== undefined ? Number(options.minScore) : null;
+      if (minScore !== null && !(Number.isFinite(minScore) && minScore >= 0 && minScore <= 100)) {
+        throw new Error(`--min-score must be a number from 0 to 100, got "${options.minScore}"`);
+      }
+
+      const SiteAuditor = require('../lib/site-auditor');
+      const auditor = new SiteAuditor();
+
+      if (options.build) {
+        const ProjectBuilder = require('../lib/project-builder');
+        const builder = new ProjectBuilder();
+        const build = await builder.build({ quiet: options.json });
+        if (!build.success) {
+          if (options.json) {
+            console.log(JSON.stringify(build, null, 2));
+          } else {
+            builder.printResult(build);
+          }
+          process.exit(build.exit_code);
+        }
+      }
+
+      const result = await auditor.audit({ dir: options.dir });
+
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        auditor.printResult(result);
+        if (minScore !== null && result.score < minScore) {
+          console.error(chalk.red(`\n❌ Score ${result.score} is below the minimum of ${minScore}`));
+        }
+      }
+      process.exit(minScore !== null && result.score < minScore ? 1 : 0);
+    } catch (error) {
+      if (options.json) {
+        console.log(JSON.stringify({ success: false, error: error.message }, null, 2));
+      } else {
+        console.error(chalk.red(`❌ Audit failed: ${error.message}`));
+      }
+      process.exit(1);
+    }
+  });
+
+// Sitemap, robots.txt and structured data (also runs after every build once seo.site_url is set)
+program
+  .command('seo')
+  .description('Generate sitemap.xml, robots.txt and JSON-LD structured data in the build output')
+  .option('--dir <path>', 'Use this directory instead of the detected build output')
+  .option('--force', 'Replace sitemap.xml and robots.txt files that were not generated by MAK3R-HUB')
+  .option('--json', 'Print the result as JSON')
+  .action(async (options) => {
+    try {
+      const SeoGenerator = require('../lib/seo-generator');
+      const generator = new SeoGenerator();
+      const result = await generator.generate({ dir: options.dir, force: options.force });
+
+      if (options.json) {
+        console.log(JSON.stringify({ success: true, ...result }, null, 2));
+      } else {
+        generator.printResult(result);
+      }
+    } catch (error) {
+      if (options.json) {
+        console.log(JSON.stringify({ success: false, error: error.message }, null, 2));
+      } else {
+        console.error(chalk.red(`❌ SEO generation failed: ${error.message}`));
+      }
+      process.exit(1);
+    }
+  });
+
+// Deployment command
+program
+  .command('deploy [action] [id]')
+  .description('Deploy website to production, or manage deployments (status|list|rollback)')
+  .option('-p, --platform <platform>', 'Deployment platform (vercel|netlify|digitalocean|auto), defaults to deployment.target')
+  .option('-d, --domain <domain>', 'Custom domain')
+  .option('--skip-build', 'Deploy the existing build output without rebuilding')
+  .option('--preview', 'Deploy the current branch to a preview alias and comment it on the open PR')
+  .option('-n, --limit <count>', 'Number of deployments to list', '10')
+  .option('--timeout <seconds>', 'How long status waits for the deployment to settle', '300')
+  .action(async (action, id, options) => {
+    try {
+      const Deployer = require('../lib/deployer');
+      const deployer = new Deployer();
+
+      switch (action) {
+        case undefined: {
+          const result = await deployer.deploy({
+            platform: options.platform,
+            domain: options.domain,
+            skipBuild: options.skipBuild,
+            preview: options.preview
+          });
+
+          if (result.success && result.preview) {
+            console.log(chalk.green('✅ Preview deployment successful!'));
+            console.log(chalk.cyan(`🔍 Preview URL: ${result.url}`));
+            if (result.preview.comment) {
+              console.log(chalk.gray(`   PR comment: ${result.preview.comment.html_url}`));
+            }
+          } else if (result.success) {
+            console.log(chalk.green('✅ Deployment successful!'));
+            if (result.url) {
+              console.log(chalk.cyan(`🌐 Live URL: ${result.url}`));
+            }
+            console.log(chalk.gray(`   Recorded as ${result.entry.id} (MAK3R-HUB deploy status ${result.entry.id})`));
+          } else {
+            console.error(chalk.red(`❌ Deployment failed: ${result.error}`));
+            process.exit(1);
+          }
+          break;
+        }
+
+        case 'status': {
+          const result = await deployer.status(id, { timeout: parseInt(options.timeout, 10) * 1000 });
+
+          if (result.success) {
+            const deployment = result.deployment;
+            console.log(chalk.green(`✅ ${deployment.platform} deployment ${deployment.id} is ready`));
+            if (deployment.url) {
+              console.log(chalk.cyan(`🌐 URL: ${deployment.url}`));
+            }
+          } else {
+            console.error(chalk.red(`❌ ${result.error}`));
+            process.exit(1);
+          }
+          break;
+        }
+
+        case 'list': {
+          const deployments = await deployer.list({
+            platform: options.platform,
+            limit: parseInt(options.limit, 10)
+          });
+
+          if (deployments.length === 0) {
+            console.log(chalk.yellow('No deployments recorded yet. Run: MAK3R-HUB deploy'));
+            break;
+          }
+
+          console.log(chalk.blue('📜 Deployment history:'));
+          for (const deployment of deployments) {
+            const marker = deployment.current ? chalk.green('●') : ' ';
+            const sha = deployment.git_sha ? deployment.git_sha.slice(0, 7) : '-------';
+            const stateColor = deployment.state === 'ready' ? chalk.green : deployment.state === 'error' ? chalk.red : chalk.yellow;
+            console.log(`${marker} ${chalk.white(deployment.id)}  ${deployment.platform.padEnd(12)} ${stateColor(deployment.state.padEnd(9))} ${chalk.gray(sha)}  ${chalk.gray(deployment.created_at)}`);
+            if (deployment.url) {
+              console.log(chalk.gray(`    ${deployment.url}`));
+            }
+          }
+          break;
+        }
+
+        case 'rollback': {
+          if (!id) {
+            console.error(chalk.red('❌ Deployment id is required for rollback'));
+            console.log(chalk.cyan('Example: MAK3R-HUB deploy list, then MAK3R-HUB deploy rollback <id>'));
+            process.exit(1);
+          }
+
+          const result = await deployer.rollback(id);
+          if (result.success) {
+            console.log(chalk.green(`✅ ${result.deployment.platform} is now serving ${result.deployment.id}`));
+            if (result.previous) {
+              console.log(chalk.gray(`   Previously live: ${result.previous}`));
+            }
+          } else {
+            console.error(chalk.red(`❌ Rollback failed: ${result.error}`));
+            process.exit(1);
+          }
+          break;
+        }
+
+        default:
+          console.error(chalk.red(`❌ Unknown deploy action: ${action}`));
+          console.log(chalk.cyan('Available actions: status, list, rollback'));
+          process.exit(1);
       }
     } catch (error) {
       console.error(chalk.red('❌ Failed to deploy website:'), error.message);
@@ -218,34 +588,63 @@ program
   .alias('t')
   .description('Manage website templates')
   .option('-l, --list', 'List available templates')
-  .option('-i, --install <name>', 'Install community template')
-  .option('-c, --create <name>', 'Create custom template')
+  .option('-i, --install <source>', 'Install community template from a git URL, directory or tarball')
+  .option('-c, --create <name>', 'Create custom template from an existing project')
+  .option('--from <path>', 'Project to snapshot with --create', '.')
+  .option('--description <text>', 'Description for a template created with --create')
+  .option('--force', 'Replace an installed template with the same name')
   .action(async (options) => {
     try {
-      const args = ['templates'];
+      const TemplateStore = require('../lib/template-store');
+      const store = new TemplateStore();
       
-      if (options.list) {
-        args.push('--list');
-      }
       if (options.install) {
-        args.push('--install', options.install);
+        console.log(chalk.blue(`📥 Installing template from ${options.install}...`));
+        const template = await store.install(options.install, { force: options.force });
+        
+        console.log(chalk.green(`✅ Installed ${template.manifest.name}@${template.manifest.version}`));
+        console.log(chalk.gray(`   Frameworks: ${template.manifest.frameworks.join(', ')}`));
+        console.log(chalk.gray(`   Use: MAK3R-HUB create <name> --template ${template.manifest.name}`));
+        return;
       }
+      
       if (options.create) {
-        args.push('--create', options.create);
+        const projectPath = path.resolve(options.from);
+        console.log(chalk.blue(`📸 Creating template ${options.create} from ${projectPath}...`));
+        const template = await store.snapshot(projectPath, options.create, {
+          description: options.description,
+          force: options.force
+        });
+        
+        console.log(chalk.green(`✅ Template ${template.manifest.name} saved (${template.files.length} files)`));
+        console.log(chalk.gray(`   Location: ${template.path}`));
+        console.log(chalk.gray(`   Use: MAK3R-HUB create <name> --template ${template.manifest.name}`));
+        return;
       }
       
-      const result = await executeEngine(args);
+      const TemplateRegistry = require('../lib/template-registry');
+      const registry = new TemplateRegistry();
       
-      if (result.success && result.templates) {
-        console.log(chalk.cyan('Available templates:'));
-        result.templates.forEach(template => {
-          console.log(`  - ${template.name}: ${template.description}`);
-        });
-      } else {
-        console.log(chalk.yellow('⚠️  Implementation in progress...'));
+      console.log(chalk.cyan('Website types:'));
+      for (const type of await registry.listTypes()) {
+        console.log(`  - ${type.id}: ${type.description} ${chalk.gray(`(default: ${type.default_framework})`)}`);
+      }
+      
+      console.log(chalk.cyan('\nFrameworks:'));
+      for (const framework of await registry.listFrameworks()) {
+        console.log(`  - ${framework.id}: ${framework.name} - ${framework.description}${framework.adopt_only ? chalk.gray(' (adopt only)') : ''}`);
+      }
+      
+      const installed = await store.list();
+      if (installed.length > 0) {
+        console.log(chalk.cyan('\nCommunity templates:'));
+        for (const { manifest } of installed) {
+          console.log(`  - ${manifest.name}@${manifest.version}: ${manifest.description} ${chalk.gray(`(${manifest.frameworks.join(', ')})`)}`);
+        }
       }
     } catch (error) {
-      console.log(chalk.yellow('⚠️  Implementation in progress...'));
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
     }
   });
 
@@ -696,16 +1095,145 @@ program
   });
 
 // Utility functions
-async function detectOptimalFramework(websiteType) {
-  const frameworks = {
-    'landing-page': 'vue-nuxt',
-    'ecommerce': 'react-next', 
-    'portfolio': 'svelte-kit',
-    'blog': 'vue-nuxt',
-    'saas': 'react-next'
+function installMode(options) {
+  return options.offline ? 'offline' : (options.preferOffline ? 'prefer-offline' : 'online');
+}
+
+// Project options shared by create and create --dry-run
+async function createOptions(creator, options) {
+  let framework = options.framework === 'auto' ? 
+    await detectOptimalFramework(options.type) : 
+    options.framework;
+  
+  // "auto" falls back to the template's first framework when the optimal one is unsupported
+  if (options.template && options.framework === 'auto') {
+    const { manifest } = await creator.templateStore.get(options.template);
+    if (!manifest.frameworks.includes(framework)) {
+      framework = manifest.frameworks[0];
+    }
+  }
+  
+  const variables = {};
+  for (const pair of options.var || []) {
+    const [key, ...value] = pair.split('=');
+    variables[key] = value.join('=');
+  }
+  
+  return {
+    type: options.type,
+    framework,
+    path: options.path,
+    skipInstall: options.skipInstall,
+    packageManager: options.packageManager,
+    installMode: installMode(options),
+    template: options.template,
+    variables
+  };
+}
+
+async function planCreate(name, options) {
+  try {
+    const ProjectCreator = require('../lib/project-creator');
+    const creator = new ProjectCreator();
+    
+    const plan = await creator.planProject(name, await createOptions(creator, options));
+    
+    if (options.json) {
+      console.log(JSON.stringify(plan, null, 2));
+      return;
+    }
+    
+    console.log(chalk.blue(`📋 Dry run: ${plan.name} (${plan.type}, ${plan.framework})`));
+    console.log(chalk.gray(`   Target: ${plan.path}${plan.target_exists ? chalk.yellow(' (exists)') : ''}`));
+    if (plan.template) {
+      console.log(chalk.gray(`   Template: ${plan.template.name}@${plan.template.version}`));
+    }
+    
+    console.log(chalk.cyan('\n📁 Files:'));
+    printPlanTree(plan);
+    console.log(chalk.gray(`\n   ${plan.total_files} files, ${formatSize(plan.total_size)}`));
+    
+    console.log(chalk.cyan('\n🔤 Template variables:'));
+    for (const [key, value] of Object.entries(plan.variables)) {
+      const display = Array.isArray(value) ? value.join(', ') : (typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value));
+      console.log(`   ${key.padEnd(26)} ${chalk.gray(display)}`);
+    }
+    
+    if (plan.install) {
+      console.log(chalk.cyan('\n📦 Dependencies:'));
+      console.log(chalk.gray(`   ${plan.install.command} (in ${plan.variables.ACTIVE_DIR}/)`));
+    }
+    
+    if (plan.hooks.length > 0) {
+      console.log(chalk.cyan('\n🪝 Post-create hooks:'));
+      plan.hooks.forEach(hook => console.log(chalk.gray(`   ${hook}`)));
+    }
+    
+    console.log(chalk.gray('\nNothing was written. Run without --dry-run to create the project.'));
+  } catch (error) {
+    if (options.json) {
+      console.log(JSON.stringify({ success: false, error: error.message }, null, 2));
+    } else {
+      console.error(chalk.red(`❌ Dry run failed: ${error.message}`));
+    }
+    process.exit(1);
+  }
+}
+
+function printPlanTree(plan) {
+  const root = {};
+  for (const dir of plan.directories) {
+    let node = root;
+    dir.split('/').forEach(part => {
+      node[part] = node[part] || {};
+      node = node[part];
+    });
+  }
+  for (const file of plan.files) {
+    const parts = file.path.split('/');
+    let node = root;
+    parts.slice(0, -1).forEach(part => {
+      node[part] = node[part] || {};
+      node = node[part];
+    });
+    node[parts[parts.length - 1]] = file;
+  }
+  
+  const statusLabels = { differs: chalk.yellow(' [differs from disk]'), unchanged: chalk.gray(' [unchanged]'), new: '' };
+  const walk = (node, prefix) => {
+    const names = Object.keys(node).sort((a, b) => {
+      const aDir = !node[a].path;
+      const bDir = !node[b].path;
+      return aDir === bDir ? a.localeCompare(b) : (aDir ? -1 : 1);
+    });
+    
+    names.forEach((entry, index) => {
+      const last = index === names.length - 1;
+      const item = node[entry];
+      const branch = `${prefix}${last ? '└── ' : '├── '}`;
+      
+      if (item.path) {
+        console.log(`${branch}${entry} ${chalk.gray(`(${formatSize(item.size)})`)}${statusLabels[item.status] || ''}`);
+      } else {
+        console.log(`${branch}${chalk.cyan(`${entry}/`)}`);
+        walk(item, `${prefix}${last ? '    ' : '│   '}`);
+      }
+    });
   };
   
-  return frameworks[websiteType] || 'vue-nuxt';
+  console.log(`   ${chalk.cyan(`${path.basename(plan.path)}/`)}`);
+  walk(root, '   ');
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+async function detectOptimalFramework(websiteType) {
+  const TemplateRegistry = require('../lib/template-registry');
+  return new TemplateRegistry().getDefaultFramework(websiteType);
 }
 
 function setNestedValue(obj, path, value) {
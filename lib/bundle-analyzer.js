@@ -0,0 +1,440 @@
+const zlib = require('zlib');
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const ConfigManager = require('./config-manager');
+const ProjectBuilder = require('./project-builder');
+
+const COMPRESSIONS = ['gzip', 'brotli', 'raw'];
+const BASELINE_FILE = 'bundle-baseline.json';
+const DEFAULT_MAX_GROWTH = '10%';
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024 };
+
+const ASSET_TYPES = {
+  '.js': 'js',
+  '.mjs': 'js',
+  '.cjs': 'js',
+  '.css': 'css',
+  '.html': 'html'
+};
+
+class BundleAnalyzer {
+  constructor(projectPath = process.cwd()) {
+    this.projectPath = projectPath;
+    this.baselinePath = path.join(projectPath, '.mak3r', 'cache', BASELINE_FILE);
+  }
+
+  async analyze(options = {}) {
+    const configManager = new ConfigManager(this.projectPath);
+    if (!await configManager.initialize()) {
+      throw new Error('Unable to load .mak3r/config.json');
+    }
+
+    const config = configManager.getConfiguration();
+    const activeDir = config.structure?.active_dir || '.';
+    const appPath = path.join(this.projectPath, activeDir);
+    const budgets = this.parseBudgets(config.budgets || {});
+
+    const output = await new ProjectBuilder(this.projectPath)
+      .resolveOutputDir(appPath, config.build?.output_dir || config.deployment?.output_directory);
+    if (!output) {
+      throw new Error(`No build output found in ${activeDir}/ - run MAK3R-HUB build first`);
+    }
+
+    const outputPath = path.join(appPath, output.dir);
+    const assetRoot = path.join(appPath, output.assetRoot);
+    const assets = await this.measureAssets(assetRoot);
+    const routes = await this.attributeRoutes(outputPath, assetRoot, assets, budgets.compression);
+    const totals = this.sumSizes(assets);
+
+    const checks = this.checkBudgets(budgets, totals, routes);
+    const baseline = await fs.readJson(this.baselinePath).catch(() => null);
+    const comparison = baseline ? this.compare(baseline, assets, totals, routes, budgets) : { diff: [], regressions: [] };
+
+    const result = {
+      success: checks.every(check => !check.over) && comparison.regressions.length === 0,
+      output_dir: path.posix.join(activeDir, output.assetRoot).replace(/^\.\//, ''),
+      compression: budgets.compression,
+      assets,
+      totals,
+      routes,
+      budgets: checks,
+      baseline: baseline ? { recorded_at: baseline.recorded_at } : null,
+      diff: comparison.diff,
+      regressions: comparison.regressions,
+      baseline_updated: false
+    };
+
+    // Only a passing analysis becomes the new baseline, unless the growth is accepted explicitly
+    if ((result.success && options.record !== false) || options.updateBaseline) {
+      await fs.ensureDir(path.dirname(this.baselinePath));
+      await fs.writeJson(this.baselinePath, {
+        recorded_at: new Date().toISOString(),
+        totals,
+        routes: Object.fromEntries(routes.map(route => [route.route, route.sizes])),
+        assets: Object.fromEntries(this.groupByName(assets))
+      }, { spaces: 2 });
+      result.baseline_updated = true;
+    }
+
+    return result;
+  }
+
+  parseBudgets(budgets) {
+    const compression = budgets.compression || 'gzip';
+    if (!COMPRESSIONS.includes(compression)) {
+      throw new Error(`budgets.compression must be one of ${COMPRESSIONS.join(', ')}, got "${compression}"`);
+    }
+
+    const routes = {};
+    for (const [route, limits] of Object.entries(budgets.routes || {})) {
+      routes[route] = {};
+      for (const metric of ['js', 'css']) {
+        if (limits[metric] !== undefined) {
+          routes[route][metric] = this.parseSize(limits[metric], `budgets.routes["${route}"].${metric}`);
+        }
+      }
+    }
+
+    const maxGrowth = String(budgets.max_growth ?? DEFAULT_MAX_GROWTH);
+    if (!/^\d+(\.\d+)?%$/.test(maxGrowth)) {
+      throw new Error(`budgets.max_growth must be a percentage like "10%", got "${maxGrowth}"`);
+    }
+
+    return {
+      compression,
+      total: budgets.total !== undefined ? this.parseSize(budgets.total, 'budgets.total') : null,
+      routes,
+      max_growth: parseFloat(maxGrowth) / 100
+    };
+  }
+
+  // Bytes as a number, or "170 KB" / "1.5MB" / "900b"
+  parseSize(value, field = 'size') {
+    if (typeof value === 'number' && value >= 0) {
+      return value;
+    }
+
+    const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb)?$/);
+    if (!match) {
+      throw new Error(`${field} must be a size like "170 KB", got "${value}"`);
+    }
+    return Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2] || 'b']);
+  }
+
+  async measureAssets(assetRoot) {
+    const assets = [];
+
+    const walk = async (dir) => {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile() && !entry.name.endsWith('.map')) {
+          const content = await fs.readFile(fullPath);
+          const file = path.relative(assetRoot, fullPath).split(path.sep).join('/');
+          assets.push({
+            path: file,
+            name: this.normalizeName(file),
+            type: ASSET_TYPES[path.extname(entry.name).toLowerCase()] || 'other',
+            size: content.length,
+            gzip: zlib.gzipSync(content, { level: 9 }).length,
+            brotli: zlib.brotliCompressSync(content).length
+          });
+        }
+      }
+    };
+    await walk(assetRoot);
+
+    return assets.sort((a, b) => b.size - a.size || a.path.localeCompare(b.path));
+  }
+
+  // Content hashes change on every build; strip them so "index-3f9a1c2b.js" compares with "index-8d0e4a7f.js"
+  normalizeName(file) {
+    const isHash = (text) => text.length >= 6 && /\d/.test(text) && /[a-z]/i.test(text);
+
+    return file.split('/').map((segment, index, segments) => {
+      if (index < segments.length - 1) {
+        return segment.length >= 16 && isHash(segment) ? '[hash]' : segment;
+      }
+      return segment.replace(/([.-])([A-Za-z0-9_]+)(?=\.[a-z]+$)/, (match, separator, hash) => (isHash(hash) ? '' : match));
+    }).join('/');
+  }
+
+  // Which JS/CSS each route loads: Next.js build manifests, otherwise the tags in each exported HTML page
+  async attributeRoutes(outputPath, assetRoot, assets, compression) {
+    const byPath = new Map(assets.map(asset => [asset.path, asset]));
+    const files = await this.readNextManifests(outputPath, assetRoot) || await this.readHtmlRoutes(assetRoot, byPath);
+
+    return Object.entries(files)
+      .map(([route, paths]) => {
+        const routeAssets = [...new Set(paths)].map(file => byPath.get(file)).filter(Boolean);
+        return {
+          route,
+          files: routeAssets.map(asset => asset.path),
+          sizes: {
+            js: routeAssets.filter(asset => asset.type === 'js').reduce((sum, asset) => sum + this.measure(asset, compression), 0),
+            css: routeAssets.filter(asset => asset.type === 'css').reduce((sum, asset) => sum + this.measure(asset, compression), 0)
+          }
+        };
+      })
+      .sort((a, b) => a.route.localeCompare(b.route));
+  }
+
+  // Manifest entries are relative to .next ("static/chunks/..."), assets to .next/static
+  async readNextManifests(outputPath, assetRoot) {
+    const buildManifest = await fs.readJson(path.join(outputPath, 'build-manifest.json')).catch(() => null);
+    if (!buildManifest) {
+      return null;
+    }
+
+    const prefix = path.relative(outputPath, assetRoot).split(path.sep).join('/');
+    const toAsset = (file) => (prefix && file.startsWith(`${prefix}/`) ? file.slice(prefix.length + 1) : file);
+
+    const appManifest = await fs.readJson(path.join(outputPath, 'app-build-manifest.json')).catch(() => ({ pages: {} }));
+    const shared = buildManifest.rootMainFiles || [];
+    const routes = {};
+
+    for (const [entry, files] of Object.entries(appManifest.pages || {})) {
+      if (!entry.endsWith('/page')) {
+        continue;
+      }
+      const route = entry.replace(/\/page$/, '').replace(/\/\([^/)]+\)/g, '') || '/';
+      if (!route.startsWith('/_')) {
+        routes[route] = [...shared, ...files].map(toAsset);
+      }
+    }
+
+    const app = buildManifest.pages?.['/_app'] || [];
+    for (const [route, files] of Object.entries(buildManifest.pages || {})) {
+      if (!route.startsWith('/_')) {
+        routes[route] = [...(routes[route] || []), ...[...app, ...files].map(toAsset)];
+      }
+    }
+
+    return routes;
+  }
+
+  async readHtmlRoutes(root, byPath) {
+    const routes = {};
+
+    const walk = async (dir) => {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.name.endsWith('.html')) {
+          const file = path.relative(root, fullPath).split(path.sep).join('/');
+          const route = `/${file.replace(/(^|\/)index\.html$/, '').replace(/\.html$/, '')}`.replace(/\/$/, '') || '/';
+          const html = await fs.readFile(fullPath, 'utf8');
+          routes[route] = this.extractAssetUrls(html)
+            .map(url => this.resolveUrl(url, path.posix.dirname(file)))
+            .filter(asset => asset && byPath.has(asset));
+        }
+      }
+    };
+    await walk(root);
+
+    return routes;
+  }
+
+  extractAssetUrls(html) {
+    const urls = [];
+    const tags = html.match(/<(script|link)\b[^>]*>/gi) || [];
+
+    for (const tag of tags) {
+      const isScript = /^<script/i.test(tag);
+      if (!isScript && !/rel=["']?(stylesheet|modulepreload)/i.test(tag)) {
+        continue;
+      }
+      const match = tag.match(isScript ? /\bsrc=["']([^"']+)["']/i : /\bhref=["']([^"']+)["']/i);
+      if (match) {
+        urls.push(match[1]);
+      }
+    }
+    return urls;
+  }
+
+  resolveUrl(url, htmlDir) {
+    if (/^([a-z]+:)?\/\//i.test(url) || url.startsWith('data:')) {
+      return null;
+    }
+    const clean = url.split(/[?#]/)[0];
+    const resolved = clean.startsWith('/') ? clean.slice(1) : path.posix.join(htmlDir, clean);
+    return path.posix.normalize(resolved);
+  }
+
+  sumSizes(assets) {
+    const totals = { size: 0, gzip: 0, brotli: 0 };
+    for (const asset of assets) {
+      totals.size += asset.size;
+      totals.gzip += asset.gzip;
+      totals.brotli += asset.brotli;
+    }
+    return totals;
+  }
+
+  // Works on assets, totals and baseline entries alike: all carry size/gzip/brotli
+  measure(sizes, compression) {
+    return sizes[compression === 'raw' ? 'size' : compression];
+  }
+
+  checkBudgets(budgets, totals, routes) {
+    const checks = [];
+
+    if (budgets.total !== null) {
+      const actual = this.measure(totals, budgets.compression);
+      checks.push({ scope: 'total', metric: 'all', limit: budgets.total, actual, over: actual > budgets.total });
+    }
+
+    for (const route of routes) {
+      const limits = budgets.routes[route.route] || budgets.routes['*'];
+      if (!limits) {
+        continue;
+      }
+      for (const metric of ['js', 'css']) {
+        if (limits[metric] !== undefined) {
+          const actual = route.sizes[metric];
+          checks.push({ scope: route.route, metric, limit: limits[metric], actual, over: actual > limits[metric] });
+        }
+      }
+    }
+
+    return checks;
+  }
+
+  groupByName(assets) {
+    const grouped = new Map();
+    for (const asset of assets) {
+      const current = grouped.get(asset.name) || { size: 0, gzip: 0, brotli: 0 };
+      grouped.set(asset.name, {
+        size: current.size + asset.size,
+        gzip: current.gzip + asset.gzip,
+        brotli: current.brotli + asset.brotli
+      });
+    }
+    return grouped;
+  }
+
+  compare(baseline, assets, totals, routes, budgets) {
+    const compression = budgets.compression;
+    const current = this.groupByName(assets);
+    const previous = new Map(Object.entries(baseline.assets || {}));
+    const diff = [];
+
+    for (const name of new Set([...previous.keys(), ...current.keys()])) {
+      const before = previous.has(name) ? this.measure(previous.get(name), compression) : null;
+      const after = current.has(name) ? this.measure(current.get(name), compression) : null;
+      if (before !== after) {
+        diff.push({ name, before, after, delta: (after || 0) - (before || 0) });
+      }
+    }
+    diff.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.name.localeCompare(b.name));
+
+    const regressions = [];
+    const grew = (scope, before, after) => {
+      if (before > 0 && (after - before) / before > budgets.max_growth) {
+        regressions.push({ scope, before, after, growth: Math.round(((after - before) / before) * 1000) / 10 });
+      }
+    };
+
+    grew('total', this.measure(baseline.totals || {}, compression) || 0, this.measure(totals, compression));
+    for (const route of routes) {
+      const previousRoute = baseline.routes?.[route.route];
+      if (previousRoute) {
+        grew(route.route, previousRoute.js + previousRoute.css, route.sizes.js + route.sizes.css);
+      }
+    }
+
+    return { diff, regressions };
+  }
+
+  // Compact view for the build result and the MCP service
+  summarize(result) {
+    return {
+      success: result.success,
+      compression: result.compression,
+      total: this.measure(result.totals, result.compression),
+      over_budget: result.budgets.filter(check => check.over),
+      regressions: result.regressions,
+      baseline_updated: result.baseline_updated
+    };
+  }
+
+  printResult(result, options = {}) {
+    const limit = options.limit || 15;
+    const label = result.compression === 'raw' ? 'size' : result.compression;
+
+    console.log(chalk.cyan(`\n📊 Bundle analysis of ${result.output_dir}/ (budgets use ${label})`));
+    const shown = result.assets.slice(0, limit);
+    const width = Math.max('Total'.length, ...shown.map(asset => asset.path.length));
+    console.log(chalk.gray(`   ${'Asset'.padEnd(width)}  ${'size'.padStart(9)}  ${'gzip'.padStart(9)}  ${'brotli'.padStart(9)}`));
+    shown.forEach(asset => {
+      console.log(`   ${asset.path.padEnd(width)}  ${formatSize(asset.size).padStart(9)}  ${formatSize(asset.gzip).padStart(9)}  ${formatSize(asset.brotli).padStart(9)}`);
+    });
+    if (result.assets.length > limit) {
+      console.log(chalk.gray(`   ... ${result.assets.length - limit} more`));
+    }
+    const { totals } = result;
+    console.log(chalk.bold(`   ${'Total'.padEnd(width)}  ${formatSize(totals.size).padStart(9)}  ${formatSize(totals.gzip).padStart(9)}  ${formatSize(totals.brotli).padStart(9)}`));
+
+    if (result.routes.length > 0) {
+      const routeWidth = Math.max('Route'.length, ...result.routes.map(route => route.route.length));
+      console.log(chalk.cyan('\n🛣️  Routes'));
+      console.log(chalk.gray(`   ${'Route'.padEnd(routeWidth)}  ${'JS'.padStart(9)}  ${'CSS'.padStart(9)}`));
+      result.routes.forEach(route => {
+        console.log(`   ${route.route.padEnd(routeWidth)}  ${formatSize(route.sizes.js).padStart(9)}  ${formatSize(route.sizes.css).padStart(9)}`);
+      });
+    }
+
+    if (result.budgets.length > 0) {
+      console.log(chalk.cyan('\n💰 Budgets'));
+      result.budgets.forEach(check => {
+        const line = `${check.scope}${check.metric === 'all' ? '' : ` ${check.metric}`}: ${formatSize(check.actual)} / ${formatSize(check.limit)}`;
+        console.log(check.over ? chalk.red(`   ✗ ${line} (+${formatSize(check.actual - check.limit)})`) : chalk.green(`   ✓ ${line}`));
+      });
+    } else {
+      console.log(chalk.gray('\n💰 No budgets configured (add a "budgets" section to .mak3r/config.json)'));
+    }
+
+    if (result.baseline) {
+      console.log(chalk.cyan(`\n📈 Changes since baseline (${result.baseline.recorded_at})`));
+      if (result.diff.length === 0) {
+        console.log(chalk.gray('   No changes'));
+      } else {
+        const diffWidth = Math.max('Asset'.length, ...result.diff.slice(0, limit).map(row => row.name.length));
+        console.log(chalk.gray(`   ${'Asset'.padEnd(diffWidth)}  ${'Baseline'.padStart(9)}  ${'Current'.padStart(9)}  ${'Change'.padStart(10)}`));
+        result.diff.slice(0, limit).forEach(row => {
+          const change = `${row.delta > 0 ? '+' : '-'}${formatSize(Math.abs(row.delta))}`;
+          const colour = row.delta > 0 ? chalk.yellow : chalk.green;
+          console.log(`   ${row.name.padEnd(diffWidth)}  ${(row.before === null ? 'new' : formatSize(row.before)).padStart(9)}  ${(row.after === null ? 'removed' : formatSize(row.after)).padStart(9)}  ${colour(change.padStart(10))}`);
+        });
+        if (result.diff.length > limit) {
+          console.log(chalk.gray(`   ... ${result.diff.length - limit} more`));
+        }
+      }
+      result.regressions.forEach(regression => {
+        console.log(chalk.red(`   ✗ ${regression.scope} grew ${regression.growth}% (${formatSize(regression.before)} → ${formatSize(regression.after)})`));
+      });
+    } else {
+      console.log(chalk.gray('\n📈 No baseline recorded yet'));
+    }
+
+    if (result.success) {
+      console.log(chalk.green('\n✅ Bundle within budget'));
+    } else {
+      console.log(chalk.red('\n❌ Bundle budget exceeded'));
+    }
+    if (result.baseline_updated) {
+      console.log(chalk.gray(`📋 Baseline saved to ${path.relative(this.projectPath, this.baselinePath)}`));
+    }
+  }
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+module.exports = BundleAnalyzer;
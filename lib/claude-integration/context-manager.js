@@ -59,8 +59,8 @@ MAK3R-HUB dev                    # Start development server
 MAK3R-HUB deploy --platform auto # Deploy to optimal platform
 
 # Component generation  
-MAK3R-HUB generate component Hero --type ${websiteType}
-MAK3R-HUB generate page Contact --forms --validation
+MAK3R-HUB generate component Hero --test
+MAK3R-HUB generate page contact --test
 \`\`\`
 
 ## 🧠 Claude Code Integration
@@ -170,10 +170,10 @@ ${this.getWebsiteTypeComponents(websiteType)}
 
 ### **Component Generation**
 \`\`\`bash
-# Generate website-specific components
-MAK3R-HUB generate component Hero --conversion-optimized
-MAK3R-HUB generate component ProductCard --ecommerce --variants
-MAK3R-HUB generate component ContactForm --validation --accessibility
+# Generate framework-correct files (add --test and --story for stubs)
+MAK3R-HUB generate component Hero --test --story
+MAK3R-HUB generate page pricing --test
+MAK3R-HUB generate api-route contact
 \`\`\`
 
 ### **AI Assistance Prompts**
@@ -196,6 +196,60 @@ All components include:
     console.log(chalk.green('✅ Component documentation generated'));
   }
   
+  /**
+   * Record generated files in docs/components.md, creating the document if needed
+   * @param {string} projectPath - Project root (the folder containing .mak3r/)
+   * @param {{name: string, kind: string, files: Array<{path: string, role: string}>}} entry - What was generated
+   * @param {{websiteType: string, framework: string}} project - Used when the document does not exist yet
+   * @returns {Promise<string>} Path of the updated document, relative to the project
+   */
+  static async recordGeneratedFiles(projectPath, entry, project) {
+    const componentsPath = path.join(projectPath, 'docs', 'components.md');
+    if (!await fs.pathExists(componentsPath)) {
+      await this.generateComponentDocumentation(projectPath, project.websiteType, project.framework);
+    }
+
+    const start = '<!-- mak3r:generated:start -->';
+    const end = '<!-- mak3r:generated:end -->';
+    let doc = await fs.readFile(componentsPath, 'utf8');
+
+    // One row per kind + name; regenerating replaces the row instead of duplicating it
+    const rows = new Map();
+    const startIndex = doc.indexOf(start);
+    const endIndex = doc.indexOf(end);
+    if (startIndex !== -1 && endIndex > startIndex) {
+      for (const line of doc.slice(startIndex + start.length, endIndex).split('\n')) {
+        const cells = line.split('|').slice(1, -1).map(cell => cell.trim());
+        if (cells.length === 5 && !/^-+$/.test(cells[0]) && cells[0] !== 'Name') {
+          rows.set(`${cells[1]}:${cells[0]}`, line);
+        }
+      }
+    }
+
+    const file = role => (entry.files.find(candidate => candidate.role === role) || {}).path;
+    const cell = value => (value ? `\`${value}\`` : '—');
+    rows.set(`${entry.kind}:${entry.name}`, `| ${entry.name} | ${entry.kind} | ${cell(file('source'))} | ${cell(file('test'))} | ${cell(file('story'))} |`);
+
+    const table = [
+      start,
+      '| Name | Kind | Source | Test | Story |',
+      '|------|------|--------|------|-------|',
+      ...[...rows.keys()].sort().map(key => rows.get(key)),
+      end
+    ].join('\n');
+
+    if (startIndex !== -1 && endIndex > startIndex) {
+      doc = doc.slice(0, startIndex) + table + doc.slice(endIndex + end.length);
+    } else {
+      const section = `## 🧩 Generated Files\n\nMaintained by \`MAK3R-HUB generate\`; edit freely outside the markers.\n\n${table}\n\n`;
+      const anchor = doc.indexOf('## 🧠 Claude Code Integration Patterns');
+      doc = anchor === -1 ? `${doc.trimEnd()}\n\n${section}` : doc.slice(0, anchor) + section + doc.slice(anchor);
+    }
+
+    await fs.writeFile(componentsPath, doc);
+    return path.join('docs', 'components.md');
+  }
+  
   /**
    * Create development workflow guides
    */
@@ -213,18 +267,19 @@ MAK3R-HUB doctor                 # System health check
 MAK3R-HUB dev --port 3000       # Start development server
 
 # Component development  
-MAK3R-HUB generate component <name> --type ${websiteType}
-MAK3R-HUB generate page <name> --seo-optimized
+MAK3R-HUB generate component <name> --test --story
+MAK3R-HUB generate page <route> --test
 
 # Testing and optimization
 MAK3R-HUB test --coverage       # Run test suite
-MAK3R-HUB optimize --analyze    # Performance analysis
+MAK3R-HUB analyze               # Bundle sizes vs budgets and baseline
 \`\`\`
 
 ### **Deployment Workflow**
 \`\`\`bash
-# Build optimization
-MAK3R-HUB build --optimize production
+# Build (structured errors and asset sizes)
+MAK3R-HUB build --json
+MAK3R-HUB seo                   # Sitemap, robots.txt and JSON-LD (also run by build)
 
 # Deployment
 MAK3R-HUB deploy --platform auto --domain mydomain.com
@@ -368,7 +423,7 @@ ${this.getClaudeWorkflows(websiteType)}
     const workflows = {
       'landing-page': `1. **Hero Optimization**: "Create a conversion-optimized hero section with A/B testing capabilities"
 2. **Performance Analysis**: "Analyze Core Web Vitals and suggest optimization improvements"  
-3. **SEO Enhancement**: "Add comprehensive SEO optimization including structured data"
+3. **SEO Enhancement**: Set seo.site_url in .mak3r/config.json so \`MAK3R-HUB build\` writes sitemap.xml, robots.txt and structured data, then check the result with \`MAK3R-HUB audit\`
 4. **Conversion Tracking**: "Implement analytics and conversion tracking for landing page optimization"`,
       
       'ecommerce': `1. **Product Catalog**: "Generate a product catalog with filtering, pagination, and search functionality"
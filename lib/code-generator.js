@@ -0,0 +1,904 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const ClaudeContextManager = require('./claude-integration/context-manager');
+
+const KINDS = ['component', 'page', 'layout', 'api-route', 'store'];
+const FRAMEWORKS = ['react-next', 'vue-nuxt', 'svelte-kit'];
+
+// Kinds whose name is a route ("blog/[slug]", "(marketing)") rather than an identifier
+const ROUTE_KINDS = {
+  'react-next': ['page', 'layout', 'api-route'],
+  'vue-nuxt': ['page', 'api-route'],
+  'svelte-kit': ['page', 'layout', 'api-route']
+};
+
+const STORY_KINDS = ['component', 'page', 'layout'];
+
+// Packages the generated files import, by framework and role; stores need theirs at runtime
+const PACKAGES = {
+  'react-next': {
+    test: ['vitest', '@testing-library/react', 'jsdom'],
+    story: ['@storybook/react'],
+    store: ['zustand']
+  },
+  'vue-nuxt': {
+    test: ['vitest', '@nuxt/test-utils', '@vue/test-utils', 'happy-dom'],
+    story: ['@storybook/vue3'],
+    store: ['pinia', '@pinia/nuxt']
+  },
+  'svelte-kit': {
+    test: ['vitest', '@testing-library/svelte', 'jsdom'],
+    story: ['@storybook/svelte'],
+    store: []
+  }
+};
+
+class CodeGenerator {
+  constructor(projectPath = process.cwd()) {
+    this.startPath = path.resolve(projectPath);
+  }
+
+  // Run from anywhere inside a project: the nearest .mak3r/config.json marks its root
+  async loadProject() {
+    let dir = this.startPath;
+    for (;;) {
+      const configPath = path.join(dir, '.mak3r', 'config.json');
+      if (await fs.pathExists(configPath)) {
+        const config = await fs.readJson(configPath).catch((error) => {
+          throw new Error(`.mak3r/config.json is not valid JSON: ${error.message}`);
+        });
+        return { root: dir, config };
+      }
+
+      const parent = path.dirname(dir);
+      if (parent === dir) {
+        throw new Error('No .mak3r/config.json found - run inside a MAK3R-HUB project (MAK3R-HUB create or MAK3R-HUB adopt)');
+      }
+      dir = parent;
+    }
+  }
+
+  async generate(kind, name, options = {}) {
+    if (!KINDS.includes(kind)) {
+      throw new Error(`Unknown generator "${kind}" (available: ${KINDS.join(', ')})`);
+    }
+
+    const { root, config } = await this.loadProject();
+    const framework = config.framework && config.framework.primary;
+    if (!FRAMEWORKS.includes(framework)) {
+      throw new Error(`Generators support ${FRAMEWORKS.join(', ')}; this project uses ${framework || 'an unknown framework'}`);
+    }
+
+    const activeDir = (config.structure && config.structure.active_dir) || '.';
+    const appPath = path.join(root, activeDir);
+    const names = this.parseName(name, ROUTE_KINDS[framework].includes(kind));
+    const context = await this.inspectApp(appPath, framework);
+    const warnings = [...context.warnings];
+
+    const specs = this.buildFiles(framework, kind, names, context);
+    if (options.story && !STORY_KINDS.includes(kind)) {
+      warnings.push(`Stories are only generated for ${STORY_KINDS.join(', ')}; skipped for ${kind}`);
+    }
+
+    const files = [specs.source];
+    if (options.test && specs.test) files.push(specs.test);
+    if (options.story && specs.story) files.push(specs.story);
+    files.push(...(specs.extra || []));
+    warnings.push(...(specs.warnings || []));
+
+    // Check everything first so a refused overwrite leaves nothing half-written
+    const existing = [];
+    for (const file of files) {
+      if (await fs.pathExists(path.join(appPath, file.path))) {
+        existing.push(this.toProjectPath(activeDir, file.path));
+      }
+    }
+    if (existing.length > 0 && !options.force) {
+      throw new Error(`Refusing to overwrite ${existing.join(', ')} (use --force)`);
+    }
+
+    for (const file of files) {
+      await fs.outputFile(path.join(appPath, file.path), file.content);
+    }
+
+    const missing = list => [...new Set(list)].filter(dependency => !context.dependencies[dependency]);
+    const devDependencies = [
+      ...(options.test && specs.test ? PACKAGES[framework].test : []),
+      ...(options.story && specs.story ? PACKAGES[framework].story : [])
+    ];
+    const result = {
+      kind,
+      name: names.display,
+      framework,
+      files: files.map(file => ({ path: this.toProjectPath(activeDir, file.path), role: file.role })),
+      missing_dependencies: missing(kind === 'store' ? PACKAGES[framework].store : []),
+      missing_dev_dependencies: missing(devDependencies),
+      package_manager: (config.environment && config.environment.package_manager) || 'npm',
+      usage: specs.usage || null,
+      warnings
+    };
+
+    result.docs_path = await ClaudeContextManager.recordGeneratedFiles(root, {
+      name: result.name,
+      kind,
+      files: result.files
+    }, {
+      websiteType: (config.project && config.project.type) || 'landing-page',
+      framework
+    });
+
+    return result;
+  }
+
+  parseName(input, isRoute) {
+    const raw = String(input || '').trim().replace(/^\/+|\/+$/g, '');
+    const segments = raw.split('/').filter(Boolean);
+    const segmentPattern = isRoute ? /^(?:[A-Za-z0-9][\w-]*|\[{1,2}(?:\.\.\.)?[A-Za-z_]\w*\]{1,2}|\([a-z0-9-]+\))$/ : /^[A-Za-z][\w-]*$/;
+
+    if (segments.length === 0 || (!isRoute && segments.length > 1) || !segments.every(segment => segmentPattern.test(segment))) {
+      throw new Error(isRoute ?
+        `Invalid route "${input}" (e.g. about, blog/[slug], (marketing)/pricing)` :
+        `Invalid name "${input}" (letters, digits, - and _, starting with a letter)`);
+    }
+
+    const words = (value) => value
+      .replace(/[[\]().]/g, ' ')
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .split(/[\s_-]+/)
+      .filter(Boolean)
+      .map(word => word.toLowerCase());
+
+    // Route segments keep dynamic [params] and (groups) verbatim; plain ones are kebab-cased
+    const route = segments.map(segment => /^[[(]/.test(segment) ? segment : words(segment).join('-')).join('/');
+    const staticSegments = segments.filter(segment => !/^[[(]/.test(segment));
+    // "blog/[slug]" is named after blog; a bare "(marketing)" group after itself
+    const base = words(isRoute ? (staticSegments[staticSegments.length - 1] || segments[segments.length - 1]) : segments[0]);
+    const pascal = base.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+
+    return {
+      display: isRoute ? route : pascal,
+      route,
+      params: segments.map(segment => segment.match(/^\[{1,2}(?:\.\.\.)?(\w+)\]{1,2}$/)).filter(Boolean).map(match => match[1]),
+      pascal,
+      camel: pascal.charAt(0).toLowerCase() + pascal.slice(1),
+      kebab: base.join('-'),
+      title: base.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')
+    };
+  }
+
+  async inspectApp(appPath, framework) {
+    const packageJson = await fs.readJson(path.join(appPath, 'package.json')).catch(() => ({}));
+    const exists = relative => fs.pathExistsSync(path.join(appPath, relative));
+    const read = relative => (exists(relative) ? fs.readFileSync(path.join(appPath, relative), 'utf8') : '');
+    const warnings = [];
+
+    // Nuxt writes its own tsconfig under .nuxt/
+    if (framework !== 'vue-nuxt' && !exists('tsconfig.json')) {
+      warnings.push('No tsconfig.json found; generated files are TypeScript');
+    }
+
+    let staticExport = false;
+    if (framework === 'react-next') {
+      staticExport = ['next.config.js', 'next.config.mjs', 'next.config.ts'].some(file => /output\s*:\s*['"]export['"]/.test(read(file)));
+    } else if (framework === 'svelte-kit') {
+      staticExport = /@sveltejs\/adapter-static/.test(read('svelte.config.js'));
+    }
+
+    return {
+      dependencies: { ...packageJson.dependencies, ...packageJson.devDependencies },
+      staticExport,
+      // Next's src/ layout and Nuxt 4's app/ directory
+      nextRoot: exists('src/app') ? 'src/' : '',
+      nuxtRoot: exists('app/pages') || exists('app/app.vue') ? 'app/' : '',
+      warnings
+    };
+  }
+
+  buildFiles(framework, kind, names, context) {
+    switch (framework) {
+      case 'react-next':
+        return this.nextFiles(kind, names, context);
+      case 'vue-nuxt':
+        return this.nuxtFiles(kind, names, context);
+      default:
+        return this.svelteKitFiles(kind, names, context);
+    }
+  }
+
+  nextFiles(kind, names, context) {
+    const { pascal, camel, kebab, title, route, params } = names;
+    const src = context.nextRoot;
+    const paramsType = `{ ${params.map(param => `${param}: string`).join('; ')} }`;
+    const exampleParams = this.exampleParams(params);
+
+    switch (kind) {
+      case 'component':
+        return {
+          source: { role: 'source', path: `${src}components/${pascal}.tsx`, content: `export interface ${pascal}Props {
+  title?: string;
+}
+
+export default function ${pascal}({ title = '${title}' }: ${pascal}Props) {
+  return (
+    <section className="py-12">
+      <h2 className="text-2xl font-semibold">{title}</h2>
+    </section>
+  );
+}
+` },
+          test: { role: 'test', path: `${src}components/${pascal}.test.tsx`, content: `import { describe, expect, it } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import ${pascal} from './${pascal}';
+
+describe('${pascal}', () => {
+  it('renders its title', () => {
+    render(<${pascal} title="Hello" />);
+    expect(screen.getByText('Hello')).toBeDefined();
+  });
+});
+` },
+          story: { role: 'story', path: `${src}components/${pascal}.stories.tsx`, content: `import type { Meta, StoryObj } from '@storybook/react';
+import ${pascal} from './${pascal}';
+
+const meta: Meta<typeof ${pascal}> = {
+  title: 'Components/${pascal}',
+  component: ${pascal}
+};
+
+export default meta;
+type Story = StoryObj<typeof ${pascal}>;
+
+export const Default: Story = {
+  args: { title: '${title}' }
+};
+` },
+          usage: `import ${pascal} from '@/components/${pascal}';`
+        };
+
+      case 'page': {
+        const dir = `${src}app/${route}`;
+        const props = params.length ? `{ params }: { params: ${paramsType} }` : '';
+        const heading = params.length ? `${title} {params.${params[0]}}` : title;
+        // Static export cannot discover dynamic segments on its own
+        const staticParams = params.length && context.staticExport ? `
+export function generateStaticParams() {
+  return [${exampleParams}];
+}
+` : '';
+        const pageProps = params.length ? ` params={${exampleParams}}` : '';
+
+        return {
+          source: { role: 'source', path: `${dir}/page.tsx`, content: `import type { Metadata } from 'next';
+
+export const metadata: Metadata = {
+  title: '${title}'
+};
+${staticParams}
+export default function ${pascal}Page(${props}) {
+  return (
+    <main className="mx-auto max-w-5xl px-6 py-16">
+      <h1 className="text-4xl font-bold">${heading}</h1>
+    </main>
+  );
+}
+` },
+          test: { role: 'test', path: `${dir}/page.test.tsx`, content: `import { describe, expect, it } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import ${pascal}Page from './page';
+
+describe('${pascal}Page', () => {
+  it('renders the page heading', () => {
+    render(<${pascal}Page${pageProps} />);
+    expect(screen.getByRole('heading', { level: 1 })).toBeDefined();
+  });
+});
+` },
+          story: { role: 'story', path: `${dir}/page.stories.tsx`, content: `import type { Meta, StoryObj } from '@storybook/react';
+import ${pascal}Page from './page';
+
+const meta: Meta<typeof ${pascal}Page> = {
+  title: 'Pages/${title}',
+  component: ${pascal}Page,
+  parameters: { layout: 'fullscreen' }
+};
+
+export default meta;
+type Story = StoryObj<typeof ${pascal}Page>;
+
+export const Default: Story = {${params.length ? `\n  args: { params: ${exampleParams} }\n` : ''}};
+` },
+          usage: this.urlPath(route)
+        };
+      }
+
+      case 'layout': {
+        const dir = `${src}app/${route}`;
+        return {
+          source: { role: 'source', path: `${dir}/layout.tsx`, content: `import type { ReactNode } from 'react';
+
+export default function ${pascal}Layout({ children }: { children: ReactNode }) {
+  return (
+    <div className="${kebab}-layout">
+      {children}
+    </div>
+  );
+}
+` },
+          test: { role: 'test', path: `${dir}/layout.test.tsx`, content: `import { describe, expect, it } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import ${pascal}Layout from './layout';
+
+describe('${pascal}Layout', () => {
+  it('renders its children', () => {
+    render(<${pascal}Layout><p>Content</p></${pascal}Layout>);
+    expect(screen.getByText('Content')).toBeDefined();
+  });
+});
+` },
+          story: { role: 'story', path: `${dir}/layout.stories.tsx`, content: `import type { Meta, StoryObj } from '@storybook/react';
+import ${pascal}Layout from './layout';
+
+const meta: Meta<typeof ${pascal}Layout> = {
+  title: 'Layouts/${title}',
+  component: ${pascal}Layout,
+  parameters: { layout: 'fullscreen' }
+};
+
+export default meta;
+type Story = StoryObj<typeof ${pascal}Layout>;
+
+export const Default: Story = {
+  args: { children: <p>Page content</p> }
+};
+` },
+          usage: `Wraps every page under ${this.urlPath(route)}`
+        };
+      }
+
+      case 'api-route': {
+        const dir = `${src}app/api/${route}`;
+        const handlerContext = params.length ? `, { params }: { params: ${paramsType} }` : '';
+        const echo = params.length ? `, params` : '';
+        return {
+          source: { role: 'source', path: `${dir}/route.ts`, content: `import { NextResponse } from 'next/server';
+
+export async function GET(request: Request${handlerContext}) {
+  return NextResponse.json({ ok: true, route: '/api/${route}'${echo} });
+}
+
+export async function POST(request: Request${handlerContext}) {
+  const body = await request.json().catch(() => null);
+  return NextResponse.json({ ok: true, received: body${echo} }, { status: 201 });
+}
+` },
+          test: { role: 'test', path: `${dir}/route.test.ts`, content: `import { describe, expect, it } from 'vitest';
+import { GET, POST } from './route';
+
+const url = 'http://localhost${this.exampleUrl(`api/${route}`)}';${params.length ? `\nconst context = { params: ${exampleParams} };` : ''}
+
+describe('/api/${route}', () => {
+  it('answers GET', async () => {
+    const response = await GET(new Request(url)${params.length ? ', context' : ''});
+    expect(response.status).toBe(200);
+  });
+
+  it('accepts POST', async () => {
+    const response = await POST(new Request(url, { method: 'POST', body: JSON.stringify({ hello: 'world' }) })${params.length ? ', context' : ''});
+    expect(response.status).toBe(201);
+  });
+});
+` },
+          warnings: context.staticExport ? ["next.config uses output: 'export', which does not serve API routes"] : [],
+          usage: `/api/${route}`
+        };
+      }
+
+      default:
+        return {
+          source: { role: 'source', path: `${src}stores/${camel}.ts`, content: `import { create } from 'zustand';
+
+interface ${pascal}State {
+  items: string[];
+  add: (item: string) => void;
+  reset: () => void;
+}
+
+export const use${pascal}Store = create<${pascal}State>((set) => ({
+  items: [],
+  add: (item) => set((state) => ({ items: [...state.items, item] })),
+  reset: () => set({ items: [] })
+}));
+` },
+          test: { role: 'test', path: `${src}stores/${camel}.test.ts`, content: `import { beforeEach, describe, expect, it } from 'vitest';
+import { use${pascal}Store } from './${camel}';
+
+describe('use${pascal}Store', () => {
+  beforeEach(() => use${pascal}Store.getState().reset());
+
+  it('adds items', () => {
+    use${pascal}Store.getState().add('first');
+    expect(use${pascal}Store.getState().items).toEqual(['first']);
+  });
+});
+` },
+          usage: `const items = use${pascal}Store((state) => state.items);`
+        };
+    }
+  }
+
+  nuxtFiles(kind, names, context) {
+    const { pascal, camel, kebab, title, route, params } = names;
+    const src = context.nuxtRoot;
+    // Files in components/ and pages/ are auto-registered, so tests live under tests/ and stories under stories/
+    const testFile = (dir, file, content) => ({ role: 'test', path: `tests/${dir}/${file}`, content });
+    const storyFile = (dir, file, content) => ({ role: 'story', path: `stories/${dir}/${file}`, content });
+    const fromTests = (dir, target) => `${path.posix.relative(`tests/${dir}`, target)}`;
+    const fromStories = (dir, target) => `${path.posix.relative(`stories/${dir}`, target)}`;
+
+    switch (kind) {
+      case 'component': {
+        const source = `${src}components/${pascal}.vue`;
+        return {
+          source: { role: 'source', path: source, content: `<script setup lang="ts">
+withDefaults(defineProps<{ title?: string }>(), {
+  title: '${title}'
+});
+</script>
+
+<template>
+  <section class="py-12">
+    <h2 class="text-2xl font-semibold">{{ title }}</h2>
+  </section>
+</template>
+` },
+          test: testFile('components', `${pascal}.test.ts`, `import { describe, expect, it } from 'vitest';
+import { mountSuspended } from '@nuxt/test-utils/runtime';
+import ${pascal} from '${fromTests('components', source)}';
+
+describe('${pascal}', () => {
+  it('renders its title', async () => {
+    const wrapper = await mountSuspended(${pascal}, { props: { title: 'Hello' } });
+    expect(wrapper.text()).toContain('Hello');
+  });
+});
+`),
+          story: storyFile('components', `${pascal}.stories.ts`, `import type { Meta, StoryObj } from '@storybook/vue3';
+import ${pascal} from '${fromStories('components', source)}';
+
+const meta: Meta<typeof ${pascal}> = {
+  title: 'Components/${pascal}',
+  component: ${pascal}
+};
+
+export default meta;
+type Story = StoryObj<typeof ${pascal}>;
+
+export const Default: Story = {
+  args: { title: '${title}' }
+};
+`),
+          usage: `<${pascal} title="${title}" />`
+        };
+      }
+
+      case 'page': {
+        const source = `${src}pages/${route}.vue`;
+        const script = params.length ?
+          `const route = useRoute();\n\nuseSeoMeta({ title: '${title}' });` :
+          `useSeoMeta({ title: '${title}' });`;
+        const heading = params.length ? `${title} {{ route.params.${params[0]} }}` : title;
+
+        return {
+          source: { role: 'source', path: source, content: `<script setup lang="ts">
+${script}
+</script>
+
+<template>
+  <main class="mx-auto max-w-5xl px-6 py-16">
+    <h1 class="text-4xl font-bold">${heading}</h1>
+  </main>
+</template>
+` },
+          test: testFile('pages', `${pascal}Page.test.ts`, `import { describe, expect, it } from 'vitest';
+import { mountSuspended } from '@nuxt/test-utils/runtime';
+import ${pascal}Page from '${fromTests('pages', source)}';
+
+describe('${pascal}Page', () => {
+  it('renders the page heading', async () => {
+    const wrapper = await mountSuspended(${pascal}Page${params.length ? `, { route: '${this.exampleUrl(route)}' }` : ''});
+    expect(wrapper.find('h1').exists()).toBe(true);
+  });
+});
+`),
+          story: storyFile('pages', `${pascal}Page.stories.ts`, `import type { Meta, StoryObj } from '@storybook/vue3';
+import ${pascal}Page from '${fromStories('pages', source)}';
+
+const meta: Meta<typeof ${pascal}Page> = {
+  title: 'Pages/${title}',
+  component: ${pascal}Page,
+  parameters: { layout: 'fullscreen' }
+};
+
+export default meta;
+type Story = StoryObj<typeof ${pascal}Page>;
+
+export const Default: Story = {};
+`),
+          usage: this.urlPath(route)
+        };
+      }
+
+      case 'layout': {
+        const source = `${src}layouts/${kebab}.vue`;
+        return {
+          source: { role: 'source', path: source, content: `<template>
+  <div class="${kebab}-layout">
+    <slot />
+  </div>
+</template>
+` },
+          test: testFile('layouts', `${pascal}Layout.test.ts`, `import { describe, expect, it } from 'vitest';
+import { mountSuspended } from '@nuxt/test-utils/runtime';
+import ${pascal}Layout from '${fromTests('layouts', source)}';
+
+describe('${pascal}Layout', () => {
+  it('renders its slot', async () => {
+    const wrapper = await mountSuspended(${pascal}Layout, { slots: { default: () => 'Content' } });
+    expect(wrapper.text()).toContain('Content');
+  });
+});
+`),
+          story: storyFile('layouts', `${pascal}Layout.stories.ts`, `import type { Meta, StoryObj } from '@storybook/vue3';
+import ${pascal}Layout from '${fromStories('layouts', source)}';
+
+const meta: Meta<typeof ${pascal}Layout> = {
+  title: 'Layouts/${title}',
+  component: ${pascal}Layout,
+  parameters: { layout: 'fullscreen' }
+};
+
+export default meta;
+type Story = StoryObj<typeof ${pascal}Layout>;
+
+export const Default: Story = {
+  render: () => ({
+    components: { ${pascal}Layout },
+    template: '<${pascal}Layout><p>Page content</p></${pascal}Layout>'
+  })
+};
+`),
+          usage: `definePageMeta({ layout: '${kebab}' });`
+        };
+      }
+
+      case 'api-route': {
+        // server/ stays at the project root even with Nuxt 4's app/ directory
+        const source = `server/api/${route}.ts`;
+        const paramLines = params.map(param => `  const ${param} = getRouterParam(event, '${param}');\n`).join('');
+        const echo = params.length ? `, ${params.join(', ')}` : '';
+        return {
+          source: { role: 'source', path: source, content: `export default defineEventHandler(async (event) => {
+${paramLines}  if (event.method === 'POST') {
+    const body = await readBody(event);
+    setResponseStatus(event, 201);
+    return { ok: true, received: body${echo} };
+  }
+
+  return { ok: true, route: '/api/${route}'${echo} };
+});
+` },
+          test: testFile('server/api', `${route.replace(/[/[\]]+/g, '-').replace(/^-|-$/g, '')}.test.ts`, `import { describe, expect, it } from 'vitest';
+import { $fetch, setup } from '@nuxt/test-utils/e2e';
+
+describe('/api/${route}', async () => {
+  await setup();
+
+  it('answers GET', async () => {
+    expect(await $fetch('${this.exampleUrl(`api/${route}`)}')).toMatchObject({ ok: true });
+  });
+});
+`),
+          usage: `/api/${route}`
+        };
+      }
+
+      default: {
+        const source = `${src}stores/${camel}.ts`;
+        return {
+          source: { role: 'source', path: source, content: `import { defineStore } from 'pinia';
+
+export const use${pascal}Store = defineStore('${camel}', {
+  state: () => ({
+    items: [] as string[]
+  }),
+  actions: {
+    add(item: string) {
+      this.items.push(item);
+    },
+    reset() {
+      this.items = [];
+    }
+  }
+});
+` },
+          test: testFile('stores', `${camel}.test.ts`, `import { beforeEach, describe, expect, it } from 'vitest';
+import { createPinia, setActivePinia } from 'pinia';
+import { use${pascal}Store } from '${fromTests('stores', source).replace(/\.ts$/, '')}';
+
+describe('use${pascal}Store', () => {
+  beforeEach(() => setActivePinia(createPinia()));
+
+  it('adds items', () => {
+    const store = use${pascal}Store();
+    store.add('first');
+    expect(store.items).toEqual(['first']);
+  });
+});
+`),
+          usage: `const ${camel} = use${pascal}Store();`
+        };
+      }
+    }
+  }
+
+  svelteKitFiles(kind, names, context) {
+    const { pascal, camel, kebab, title, route, params } = names;
+    const exampleParams = this.exampleParams(params);
+
+    switch (kind) {
+      case 'component': {
+        const dir = 'src/lib/components';
+        return {
+          source: { role: 'source', path: `${dir}/${pascal}.svelte`, content: `<script lang="ts">
+  export let title = '${title}';
+</script>
+
+<section class="py-12">
+  <h2 class="text-2xl font-semibold">{title}</h2>
+</section>
+` },
+          test: { role: 'test', path: `${dir}/${pascal}.test.ts`, content: `import { describe, expect, it } from 'vitest';
+import { render, screen } from '@testing-library/svelte';
+import ${pascal} from './${pascal}.svelte';
+
+describe('${pascal}', () => {
+  it('renders its title', () => {
+    render(${pascal}, { props: { title: 'Hello' } });
+    expect(screen.getByText('Hello')).toBeDefined();
+  });
+});
+` },
+          story: { role: 'story', path: `${dir}/${pascal}.stories.ts`, content: `import type { Meta, StoryObj } from '@storybook/svelte';
+import ${pascal} from './${pascal}.svelte';
+
+const meta = {
+  title: 'Components/${pascal}',
+  component: ${pascal}
+} satisfies Meta<${pascal}>;
+
+export default meta;
+type Story = StoryObj<typeof meta>;
+
+export const Default: Story = {
+  args: { title: '${title}' }
+};
+` },
+          usage: `import ${pascal} from '$lib/components/${pascal}.svelte';`
+        };
+      }
+
+      case 'page': {
+        const dir = `src/routes/${route}`;
+        const script = params.length ? `<script lang="ts">
+  import { page } from '$app/stores';
+</script>
+
+` : '';
+        const heading = params.length ? `${title} {$page.params.${params[0]}}` : title;
+        // adapter-static prerenders everything, so dynamic routes must list their entries
+        const extra = params.length && context.staticExport ? [{ role: 'source', path: `${dir}/+page.ts`, content: `import type { EntryGenerator } from './$types';
+
+export const entries: EntryGenerator = () => [${exampleParams}];
+` }] : [];
+        const mockPage = params.length ? `
+vi.mock('$app/stores', async () => {
+  const { readable } = await import('svelte/store');
+  return { page: readable({ params: ${exampleParams} }) };
+});
+` : '';
+
+        return {
+          source: { role: 'source', path: `${dir}/+page.svelte`, content: `${script}<svelte:head>
+  <title>${title}</title>
+</svelte:head>
+
+<main class="mx-auto max-w-5xl px-6 py-16">
+  <h1 class="text-4xl font-bold">${heading}</h1>
+</main>
+` },
+          extra,
+          test: { role: 'test', path: `${dir}/page.test.ts`, content: `import { describe, expect, it${params.length ? ', vi' : ''} } from 'vitest';
+import { render, screen } from '@testing-library/svelte';
+import Page from './+page.svelte';
+${mockPage}
+describe('${pascal}Page', () => {
+  it('renders the page heading', () => {
+    render(Page);
+    expect(screen.getByRole('heading', { level: 1 })).toBeDefined();
+  });
+});
+` },
+          story: { role: 'story', path: `${dir}/page.stories.ts`, content: `import type { Meta, StoryObj } from '@storybook/svelte';
+import Page from './+page.svelte';
+
+const meta = {
+  title: 'Pages/${title}',
+  component: Page,
+  parameters: { layout: 'fullscreen' }
+} satisfies Meta<Page>;
+
+export default meta;
+type Story = StoryObj<typeof meta>;
+
+export const Default: Story = {};
+` },
+          usage: this.urlPath(route)
+        };
+      }
+
+      case 'layout': {
+        const dir = `src/routes/${route}`;
+        return {
+          source: { role: 'source', path: `${dir}/+layout.svelte`, content: `<div class="${kebab}-layout">
+  <slot />
+</div>
+` },
+          test: { role: 'test', path: `${dir}/layout.test.ts`, content: `import { describe, expect, it } from 'vitest';
+import { render } from '@testing-library/svelte';
+import Layout from './+layout.svelte';
+
+describe('${pascal}Layout', () => {
+  it('renders its wrapper', () => {
+    const { container } = render(Layout);
+    expect(container.querySelector('.${kebab}-layout')).not.toBeNull();
+  });
+});
+` },
+          story: { role: 'story', path: `${dir}/layout.stories.ts`, content: `import type { Meta, StoryObj } from '@storybook/svelte';
+import Layout from './+layout.svelte';
+
+const meta = {
+  title: 'Layouts/${title}',
+  component: Layout,
+  parameters: { layout: 'fullscreen' }
+} satisfies Meta<Layout>;
+
+export default meta;
+type Story = StoryObj<typeof meta>;
+
+export const Default: Story = {};
+` },
+          usage: `Wraps every page under ${this.urlPath(route)}`
+        };
+      }
+
+      case 'api-route': {
+        const dir = `src/routes/api/${route}`;
+        const args = params.length ? '{ params }' : '';
+        const postArgs = params.length ? '{ params, request }' : '{ request }';
+        const echo = params.length ? ', params' : '';
+        return {
+          source: { role: 'source', path: `${dir}/+server.ts`, content: `import { json } from '@sveltejs/kit';
+import type { RequestHandler } from './$types';
+
+export const GET: RequestHandler = async (${args}) => {
+  return json({ ok: true, route: '/api/${route}'${echo} });
+};
+
+export const POST: RequestHandler = async (${postArgs}) => {
+  const body = await request.json().catch(() => null);
+  return json({ ok: true, received: body${echo} }, { status: 201 });
+};
+` },
+          test: { role: 'test', path: `${dir}/server.test.ts`, content: `import { describe, expect, it } from 'vitest';
+import { GET, POST } from './+server';
+
+const url = 'http://localhost${this.exampleUrl(`api/${route}`)}';
+// Only the fields these handlers read; cast because RequestEvent has many more
+const event = (request: Request) => ({ request, params: ${exampleParams}, url: new URL(url) }) as unknown as Parameters<typeof GET>[0];
+
+describe('/api/${route}', () => {
+  it('answers GET', async () => {
+    const response = await GET(event(new Request(url)));
+    expect(response.status).toBe(200);
+  });
+
+  it('accepts POST', async () => {
+    const response = await POST(event(new Request(url, { method: 'POST', body: JSON.stringify({ hello: 'world' }) })));
+    expect(response.status).toBe(201);
+  });
+});
+` },
+          warnings: context.staticExport ? ['svelte.config uses adapter-static, which only prerenders GET handlers'] : [],
+          usage: `/api/${route}`
+        };
+      }
+
+      default: {
+        const dir = 'src/lib/stores';
+        return {
+          source: { role: 'source', path: `${dir}/${camel}.ts`, content: `import { writable } from 'svelte/store';
+
+function create${pascal}Store() {
+  const { subscribe, update, set } = writable<string[]>([]);
+
+  return {
+    subscribe,
+    add: (item: string) => update((items) => [...items, item]),
+    reset: () => set([])
+  };
+}
+
+export const ${camel} = create${pascal}Store();
+` },
+          test: { role: 'test', path: `${dir}/${camel}.test.ts`, content: `import { beforeEach, describe, expect, it } from 'vitest';
+import { get } from 'svelte/store';
+import { ${camel} } from './${camel}';
+
+describe('${camel}', () => {
+  beforeEach(() => ${camel}.reset());
+
+  it('adds items', () => {
+    ${camel}.add('first');
+    expect(get(${camel})).toEqual(['first']);
+  });
+});
+` },
+          usage: `import { ${camel} } from '$lib/stores/${camel}';`
+        };
+      }
+    }
+  }
+
+  exampleParams(params) {
+    return params.length ? `{ ${params.map(param => `${param}: 'example'`).join(', ')} }` : '{}';
+  }
+
+  // Route groups like (marketing) organise files but never appear in the URL
+  urlPath(route) {
+    return `/${route.split('/').filter(segment => !/^\(.*\)$/.test(segment)).join('/')}`;
+  }
+
+  exampleUrl(route) {
+    return this.urlPath(route).replace(/\[{1,2}(?:\.\.\.)?\w+\]{1,2}/g, 'example');
+  }
+
+  toProjectPath(activeDir, file) {
+    return activeDir === '.' ? file : `${activeDir}/${file}`;
+  }
+
+  printResult(result) {
+    console.log(chalk.green(`✅ Generated ${result.kind} ${result.name} (${result.framework})`));
+    result.files.forEach(file => console.log(chalk.gray(`   ✓ ${file.path}${file.role !== 'source' ? ` (${file.role})` : ''}`)));
+
+    if (result.usage) {
+      console.log(chalk.cyan('\n💡 Usage:'));
+      console.log(chalk.gray(`   ${result.usage}`));
+    }
+    const add = result.package_manager === 'npm' ? 'install' : 'add';
+    if (result.missing_dependencies.length > 0 || result.missing_dev_dependencies.length > 0) {
+      console.log(chalk.yellow('\n📦 Not in package.json yet:'));
+      if (result.missing_dependencies.length > 0) {
+        console.log(chalk.gray(`   ${result.package_manager} ${add} ${result.missing_dependencies.join(' ')}`));
+      }
+      if (result.missing_dev_dependencies.length > 0) {
+        console.log(chalk.gray(`   ${result.package_manager} ${add} -D ${result.missing_dev_dependencies.join(' ')}`));
+      }
+    }
+    result.warnings.forEach(warning => console.log(chalk.yellow(`⚠️  ${warning}`)));
+    console.log(chalk.gray(`\n📚 Updated ${result.docs_path}`));
+  }
+}
+
+module.exports = CodeGenerator;
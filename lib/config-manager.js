@@ -294,6 +294,16 @@ class ConfigManager {
       performance_monitoring: true
     };
 
+    // Enforced after every build while bundle_analyzer is on
+    advanced.budgets = {
+      compression: 'gzip',
+      total: '1.5 MB',
+      routes: {
+        '*': { js: '300 KB', css: '60 KB' }
+      },
+      max_growth: '10%'
+    };
+
     advanced.optimization = {
       minify: true,
       compress: true,
@@ -431,6 +441,16 @@ class ConfigManager {
       validation.warnings.push('Port conflicts detected in configuration');
     }
 
+    if (this.config.budgets) {
+      try {
+        const BundleAnalyzer = require('./bundle-analyzer');
+        new BundleAnalyzer(this.projectPath).parseBudgets(this.config.budgets);
+      } catch (error) {
+        validation.errors.push(error.message);
+        validation.valid = false;
+      }
+    }
+
     // Version compatibility
     if (this.config.project.mak3r_version !== this.version) {
       validation.warnings.push(`Configuration version mismatch: ${this.config.project.mak3r_version} vs ${this.version}`);
@@ -0,0 +1,216 @@
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const ConfigManager = require('./config-manager');
+
+const PACKAGE_MANAGERS = ['npm', 'pnpm', 'yarn', 'bun'];
+const SPINNER = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+const OUTPUT_TAIL_LINES = 20;
+
+// 'offline' only uses the local cache; 'prefer-offline' goes to the network for cache misses.
+// bun has no cache-only install, so those modes are rejected instead of silently going online
+const MODE_FLAGS = {
+  npm: { offline: ['--offline'], 'prefer-offline': ['--prefer-offline'] },
+  pnpm: { offline: ['--offline'], 'prefer-offline': ['--prefer-offline'] },
+  yarn: { offline: ['--offline'], 'prefer-offline': ['--prefer-offline'] },
+  bun: {}
+};
+
+class DependencyInstaller {
+  constructor(options = {}) {
+    this.env = { ...process.env, ...options.env };
+    this.isWindows = process.platform === 'win32';
+    this.timeout = options.timeout || 600000;
+  }
+
+  // A lock file in the directory or any parent (monorepo root) wins, then the manager that launched us
+  async detect(startDir) {
+    let dir = path.resolve(startDir);
+
+    for (;;) {
+      if (await fs.pathExists(dir)) {
+        const detected = await new ConfigManager(dir).detectPackageManager();
+        if (detected !== 'npm' || await fs.pathExists(path.join(dir, 'package-lock.json'))) {
+          return detected;
+        }
+      }
+
+      const parent = path.dirname(dir);
+      if (parent === dir) {
+        break;
+      }
+      dir = parent;
+    }
+
+    // npm_config_user_agent looks like "pnpm/9.1.0 npm/? node/v20.11.0 linux x64"
+    const agent = (this.env.npm_config_user_agent || '').split('/')[0];
+    return PACKAGE_MANAGERS.includes(agent) ? agent : 'npm';
+  }
+
+  // Explicit choice, else detection; a detected manager that is not installed falls back to npm
+  async resolve(startDir, preferred) {
+    if (preferred) {
+      if (!PACKAGE_MANAGERS.includes(preferred)) {
+        throw new Error(`Unknown package manager "${preferred}" (available: ${PACKAGE_MANAGERS.join(', ')})`);
+      }
+      return preferred;
+    }
+
+    const detected = await this.detect(startDir);
+    if (detected !== 'npm' && !this.isAvailable(detected)) {
+      console.warn(chalk.yellow(`⚠️  ${detected} lock file found but ${detected} is not installed, using npm`));
+      return 'npm';
+    }
+    return detected;
+  }
+
+  isAvailable(packageManager) {
+    const result = spawnSync(packageManager, ['--version'], {
+      env: this.env,
+      stdio: 'ignore',
+      shell: this.isWindows,
+      timeout: 15000
+    });
+    return !result.error && result.status === 0;
+  }
+
+  buildCommand(packageManager, mode = 'online') {
+    if (!MODE_FLAGS[packageManager]) {
+      throw new Error(`Unknown package manager "${packageManager}" (available: ${PACKAGE_MANAGERS.join(', ')})`);
+    }
+
+    const flags = mode === 'online' ? [] : MODE_FLAGS[packageManager][mode];
+    if (!flags) {
+      throw new Error(`${packageManager} does not support ${mode} installs`);
+    }
+
+    return { command: packageManager, args: ['install', ...flags] };
+  }
+
+  // Never throws: the outcome, including why it failed, is always in the returned result
+  async install(cwd, options = {}) {
+    const packageManager = options.packageManager || 'npm';
+    const mode = options.mode || 'online';
+    const timeout = options.timeout || this.timeout;
+    const startedAt = Date.now();
+    const result = { success: false, package_manager: packageManager, mode, command: null, duration_ms: 0 };
+
+    let command;
+    try {
+      command = this.buildCommand(packageManager, mode);
+    } catch (error) {
+      return { ...result, error: error.message };
+    }
+    result.command = [command.command, ...command.args].join(' ');
+
+    if (!await fs.pathExists(path.join(cwd, 'package.json'))) {
+      return { ...result, error: `No package.json found in ${cwd}` };
+    }
+
+    const progress = this.startProgress(packageManager, options.quiet);
+    const output = [];
+
+    const outcome = await new Promise((resolve) => {
+      const child = spawn(command.command, command.args, {
+        cwd,
+        env: this.env,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        shell: this.isWindows
+      });
+
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGTERM');
+      }, timeout);
+
+      const collect = (chunk) => {
+        const text = chunk.toString();
+        output.push(text);
+        progress.update(text);
+      };
+      child.stdout.on('data', collect);
+      child.stderr.on('data', collect);
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        resolve({
+          error: error.code === 'ENOENT' ?
+            `${packageManager} is not installed or not on PATH` :
+            `Failed to start ${packageManager}: ${error.message}`
+        });
+      });
+
+      child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        if (timedOut) {
+          resolve({ exit_code: code, error: `${result.command} timed out after ${Math.round(timeout / 1000)}s` });
+        } else if (code !== 0) {
+          resolve({ exit_code: code, error: `${result.command} ${signal ? `was killed by ${signal}` : `exited with code ${code}`}` });
+        } else {
+          resolve({ exit_code: 0 });
+        }
+      });
+    });
+
+    progress.stop();
+    Object.assign(result, outcome, { success: !outcome.error, duration_ms: Date.now() - startedAt });
+
+    const log = output.join('');
+    if (options.logFile) {
+      await fs.ensureDir(path.dirname(options.logFile));
+      await fs.writeFile(options.logFile, `$ ${result.command}\n${log}`);
+      result.log_path = options.logFile;
+    }
+
+    if (!result.success) {
+      result.output_tail = log.split(/\r?\n/).filter(line => line.trim()).slice(-OUTPUT_TAIL_LINES);
+      if (mode === 'offline') {
+        result.hint = 'Some packages may be missing from the local cache; retry without --offline';
+      }
+    }
+
+    return result;
+  }
+
+  // Spinner with elapsed time and the latest output line on a TTY, a single line otherwise
+  startProgress(packageManager, quiet) {
+    const label = `📦 Installing dependencies with ${packageManager}`;
+    if (quiet) {
+      return { update() {}, stop() {} };
+    }
+    if (!process.stdout.isTTY) {
+      console.log(chalk.gray(`${label}...`));
+      return { update() {}, stop() {} };
+    }
+
+    const startedAt = Date.now();
+    let frame = 0;
+    let lastLine = '';
+
+    const render = () => {
+      const elapsed = Math.floor((Date.now() - startedAt) / 1000);
+      const width = Math.max(0, (process.stdout.columns || 80) - label.length - 16);
+      const detail = lastLine && width > 10 ? chalk.gray(` ${lastLine.slice(0, width)}`) : '';
+      process.stdout.write(`\r\x1b[K${chalk.cyan(SPINNER[frame++ % SPINNER.length])} ${label} ${chalk.gray(`(${elapsed}s)`)}${detail}`);
+    };
+    const interval = setInterval(render, 100);
+    render();
+
+    return {
+      update(text) {
+        const lines = text.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        if (lines.length > 0) {
+          lastLine = lines[lines.length - 1];
+        }
+      },
+      stop() {
+        clearInterval(interval);
+        process.stdout.write('\r\x1b[K');
+      }
+    };
+  }
+}
+
+module.exports = DependencyInstaller;
@@ -0,0 +1,522 @@
+const { spawnSync, execSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const ConfigManager = require('./config-manager');
+const DeploymentLedger = require('./deployment-ledger');
+
+const PREVIEW_PLATFORMS = ['vercel', 'netlify'];
+
+class Deployer {
+  constructor(projectPath = process.cwd(), options = {}) {
+    this.projectPath = projectPath;
+    this.cloudHandler = options.cloudHandler || require('../src/mcp/handlers/cloud');
+    this.githubHandler = options.githubHandler || require('../src/mcp/handlers/github');
+    this.credentialManager = options.credentialManager || null;
+    this.ledger = options.ledger || new DeploymentLedger(projectPath);
+    this.supportedPlatforms = ['vercel', 'netlify', 'digitalocean'];
+  }
+
+  async deploy(options = {}) {
+    try {
+      const configManager = new ConfigManager(this.projectPath);
+      if (!await configManager.initialize()) {
+        throw new Error('Unable to load .mak3r/config.json');
+      }
+
+      const config = configManager.getConfiguration();
+      const activeDir = config.structure?.active_dir || '.';
+      const appPath = path.join(this.projectPath, activeDir);
+      const deployment = config.deployment || {};
+      const buildCommand = deployment.build_command || 'npm run build';
+      const outputDirectory = deployment.output_directory || config.build?.output_dir || 'dist';
+
+      const framework = await this.cloudHandler.detectFramework(appPath);
+      const platform = this.resolvePlatform(options.platform, deployment.target, framework);
+      const projectName = config.project?.name || path.basename(this.projectPath);
+
+      let preview = null;
+      if (options.preview) {
+        if (!PREVIEW_PLATFORMS.includes(platform)) {
+          throw new Error(`Preview deployments are supported on ${PREVIEW_PLATFORMS.join(' and ')}, not ${platform}`);
+        }
+        preview = this.getPreviewAlias(platform, this.getCurrentBranch(), config);
+        console.log(chalk.blue(`🔍 Deploying preview of ${preview.branch} (${projectName}) to ${platform}...`));
+      } else {
+        console.log(chalk.blue(`🚀 Deploying ${projectName} to ${platform}...`));
+      }
+      console.log(chalk.gray(`📋 Framework: ${framework}`));
+
+      if (!options.skipBuild) {
+        this.runBuild(buildCommand, appPath, deployment.environment_variables);
+      }
+
+      const credentials = await this.getCredentials(platform);
+      const args = {
+        project_path: appPath,
+        build_command: buildCommand,
+        output_directory: outputDirectory,
+        publish_directory: outputDirectory,
+        framework: framework === 'static' ? null : framework,
+        env: deployment.environment_variables || {}
+      };
+
+      if (preview && platform === 'netlify') {
+        // Draft deploys never touch production; the branch becomes the URL alias
+        Object.assign(args, { draft: true, branch: preview.slug, title: `Preview: ${preview.branch}` });
+      } else if (!preview && platform === 'vercel') {
+        args.target = 'production';
+      }
+
+      const buildHash = await this.hashBuildOutput(path.join(appPath, outputDirectory));
+      const result = await this.callHandler(platform, args, credentials, config);
+      let url = this.extractUrl(platform, result);
+
+      if (preview) {
+        url = await this.assignPreviewAlias(platform, result, preview, credentials);
+        result.state = 'ready';
+      } else if (options.domain) {
+        await this.assignDomain(platform, result, options.domain, credentials);
+      }
+
+      const entry = await this.ledger.record({
+        id: result.id,
+        platform,
+        url,
+        state: this.normalizeState(result.state),
+        git_sha: this.getGitSha(),
+        build_hash: buildHash,
+        framework,
+        ...(result.project_id && { project_id: result.project_id }),
+        ...(result.site_id && { site_id: result.site_id }),
+        ...(options.domain && !preview && { aliases: [options.domain] }),
+        ...(preview && { preview: true, branch: preview.branch, alias: preview.alias })
+      });
+
+      if (preview) {
+        preview.comment = await this.commentOnPullRequest(preview, url, entry);
+      }
+
+      return {
+        success: true,
+        platform,
+        framework,
+        url,
+        deployment: result,
+        entry,
+        ...(preview && { preview })
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async status(id, options = {}) {
+    try {
+      const entry = await this.ledger.find(id);
+      const credentials = await this.getCredentials(entry.platform);
+      const pollOptions = { poll_interval: options.pollInterval, timeout: options.timeout };
+
+      console.log(chalk.blue(`⏳ Checking ${entry.platform} deployment ${entry.id}...`));
+
+      let remote;
+      try {
+        remote = await this.waitForDeployment(entry, credentials, pollOptions);
+      } catch (error) {
+        // Record terminal failures so `deploy list` reflects them; timeouts leave the state alone
+        if (!/Timed out/.test(error.message)) {
+          await this.ledger.update(entry.id, entry.platform, { state: 'error', checked_at: new Date().toISOString() });
+        }
+        throw error;
+      }
+
+      const updated = await this.ledger.update(entry.id, entry.platform, {
+        state: 'ready',
+        url: this.extractUrl(entry.platform, remote) || entry.url,
+        checked_at: new Date().toISOString()
+      });
+
+      return { success: true, deployment: updated };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async list(options = {}) {
+    const deployments = await this.ledger.list(options);
+    const current = {};
+
+    for (const platform of new Set(deployments.map(d => d.platform))) {
+      const live = await this.ledger.current(platform);
+      if (live) {
+        current[platform] = live.id;
+      }
+    }
+
+    return deployments.map(d => ({ ...d, current: current[d.platform] === d.id }));
+  }
+
+  async rollback(id) {
+    try {
+      const entry = await this.ledger.find(id);
+      const previous = await this.ledger.current(entry.platform);
+
+      if (entry.preview) {
+        throw new Error(`Deployment ${entry.id} is a preview of ${entry.branch}; only production deployments can be promoted`);
+      }
+      if (entry.state !== 'ready') {
+        throw new Error(`Deployment ${entry.id} is ${entry.state}; only ready deployments can be promoted`);
+      }
+      if (previous && previous.id === entry.id) {
+        throw new Error(`Deployment ${entry.id} is already live`);
+      }
+
+      const credentials = await this.getCredentials(entry.platform);
+      console.log(chalk.blue(`⏪ Rolling ${entry.platform} back to ${entry.id}...`));
+
+      const aliases = [...new Set([...(entry.aliases || []), ...(previous?.aliases || [])])];
+      await this.promote({ ...entry, aliases }, credentials);
+      const updated = await this.ledger.update(entry.id, entry.platform, {
+        promoted_at: new Date().toISOString(),
+        ...(aliases.length > 0 && { aliases })
+      });
+
+      return {
+        success: true,
+        deployment: updated,
+        previous: previous ? previous.id : null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async waitForDeployment(entry, credentials, options = {}) {
+    switch (entry.platform) {
+      case 'vercel':
+        return this.cloudHandler.waitForVercelDeployment(entry.id, credentials, options);
+
+      case 'netlify': {
+        const deploy = await this.cloudHandler.waitForNetlifyDeploy(entry.id, credentials, options);
+        return { ...deploy, url: deploy.ssl_url || deploy.url };
+      }
+
+      case 'digitalocean':
+        return this.cloudHandler.waitForDigitalOceanApp(entry.id, credentials, options);
+
+      default:
+        throw new Error(`Unsupported deployment platform: ${entry.platform}`);
+    }
+  }
+
+  async promote(entry, credentials) {
+    switch (entry.platform) {
+      case 'vercel':
+        if (!entry.project_id) {
+          throw new Error(`Deployment ${entry.id} has no Vercel project id recorded`);
+        }
+        await this.cloudHandler.promoteVercelDeployment(entry.project_id, entry.id, credentials);
+        // Custom aliases are not production domains, so move them over explicitly
+        for (const alias of entry.aliases || []) {
+          await this.cloudHandler.aliasVercelDeployment(entry.id, alias, credentials);
+        }
+        return;
+
+      case 'netlify':
+        await this.cloudHandler.restoreNetlifyDeploy(entry.site_id || credentials.site_id, entry.id, credentials);
+        return;
+
+      default:
+        throw new Error(`Rollback is not supported for ${entry.platform}; redeploy the previous commit instead`);
+    }
+  }
+
+  getCurrentBranch() {
+    let branch;
+    try {
+      branch = execSync('git rev-parse --abbrev-ref HEAD', { cwd: this.projectPath, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    } catch (error) {
+      throw new Error('Preview deployments must be run inside a git repository');
+    }
+
+    // CI checkouts of pull requests are detached; GitHub Actions names the branch for us
+    if (branch === 'HEAD') {
+      branch = process.env.GITHUB_HEAD_REF;
+    }
+    if (!branch) {
+      throw new Error('Preview deployments need a checked-out branch (HEAD is detached)');
+    }
+
+    return branch;
+  }
+
+  getPreviewAlias(platform, branch, config) {
+    const slug = branch.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'preview';
+
+    if (platform === 'netlify') {
+      // Netlify serves it as <slug>--<site>.netlify.app; leave room for the site name
+      const alias = this.fitDnsLabel(slug, branch, 37);
+      return { branch, slug: alias, alias };
+    }
+
+    const previewDomain = config.deployment?.preview_domain;
+    const label = previewDomain ? slug : `${config.project?.safe_name || path.basename(this.projectPath)}-${slug}`;
+    const fitted = this.fitDnsLabel(label, branch, 63);
+
+    return {
+      branch,
+      slug,
+      alias: previewDomain ? `${fitted}.${previewDomain}` : `${fitted}.vercel.app`
+    };
+  }
+
+  // Long branch names are cut short; a hash of the full name keeps the alias unique and stable
+  fitDnsLabel(label, branch, maxLength) {
+    if (label.length <= maxLength) {
+      return label;
+    }
+
+    const suffix = crypto.createHash('sha1').update(branch).digest('hex').slice(0, 6);
+    return `${label.slice(0, maxLength - suffix.length - 1).replace(/-+$/, '')}-${suffix}`;
+  }
+
+  async assignPreviewAlias(platform, result, preview, credentials) {
+    if (platform === 'netlify') {
+      return result.name
+        ? `https://${preview.alias}--${result.name}.netlify.app`
+        : this.extractUrl(platform, { url: result.deploy_url || result.url });
+    }
+
+    // Vercel only aliases deployments that have finished building
+    await this.cloudHandler.waitForVercelDeployment(result.id, credentials);
+    await this.cloudHandler.aliasVercelDeployment(result.id, preview.alias, credentials);
+    console.log(chalk.gray(`🔗 Aliased ${preview.alias}`));
+    return `https://${preview.alias}`;
+  }
+
+  async commentOnPullRequest(preview, url, entry) {
+    try {
+      const { repo } = this.getGitInfo();
+      const [owner, name] = repo.split('/');
+      const credentials = await this.getCredentials('github');
+
+      const { pull_requests: pullRequests } = await this.githubHandler.listPRs({
+        owner,
+        repo: name,
+        head: `${owner}:${preview.branch}`,
+        state: 'open'
+      }, credentials);
+
+      if (pullRequests.length === 0) {
+        console.log(chalk.gray(`💬 No open pull request for ${preview.branch}; skipping comment`));
+        return null;
+      }
+
+      const pullRequest = pullRequests[0];
+      const comment = await this.githubHandler.upsertIssueComment({
+        owner,
+        repo: name,
+        issue_number: pullRequest.number,
+        marker: `<!-- mak3r-hub:preview:${entry.platform} -->`,
+        body: this.formatPreviewComment(preview, url, entry)
+      }, credentials);
+
+      console.log(chalk.gray(`💬 ${comment.updated ? 'Updated' : 'Posted'} preview comment on #${pullRequest.number}`));
+      return {
+        pull_request: pullRequest.number,
+        id: comment.id,
+        html_url: comment.html_url,
+        updated: comment.updated
+      };
+    } catch (error) {
+      // The preview itself is live; a missing comment should not fail the deploy
+      console.log(chalk.yellow(`⚠️  Could not comment on the pull request: ${error.message}`));
+      return null;
+    }
+  }
+
+  formatPreviewComment(preview, url, entry) {
+    const platformNames = { vercel: 'Vercel', netlify: 'Netlify' };
+
+    return [
+      '### 🔍 Preview deployment ready',
+      '',
+      '| | |',
+      '|---|---|',
+      `| **Preview** | ${url} |`,
+      `| **Branch** | \`${preview.branch}\` |`,
+      `| **Commit** | ${entry.git_sha ? `\`${entry.git_sha.slice(0, 7)}\`` : 'unknown'} |`,
+      `| **Platform** | ${platformNames[entry.platform] || entry.platform} |`,
+      `| **Updated** | ${entry.created_at} |`,
+      '',
+      '<sub>Deployed with MAK3R-HUB. This comment is updated on every `MAK3R-HUB deploy --preview`.</sub>'
+    ].join('\n');
+  }
+
+  normalizeState(state) {
+    const value = String(state || 'unknown').toLowerCase();
+
+    if (['ready', 'active'].includes(value)) {
+      return 'ready';
+    }
+    if (['error', 'canceled', 'cancelled'].includes(value)) {
+      return 'error';
+    }
+    return value;
+  }
+
+  async hashBuildOutput(outputPath) {
+    if (!await fs.pathExists(outputPath)) {
+      return null;
+    }
+
+    const { listFiles } = require('../src/mcp/utils/zip-writer');
+    const hash = crypto.createHash('sha256');
+
+    for (const file of await listFiles(outputPath)) {
+      hash.update(`${file.relative}\0`);
+      await new Promise((resolve, reject) => {
+        fs.createReadStream(file.path)
+          .on('data', chunk => hash.update(chunk))
+          .on('end', resolve)
+          .on('error', reject);
+      });
+      hash.update('\0');
+    }
+
+    return hash.digest('hex');
+  }
+
+  getGitSha() {
+    try {
+      return execSync('git rev-parse HEAD', { cwd: this.projectPath, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  resolvePlatform(requested, configured, framework) {
+    let platform = requested;
+
+    // No flag: honour deployment.target from config, then fall back to detection
+    if (!platform) {
+      platform = configured ? String(configured).toLowerCase() : 'auto';
+    }
+
+    if (platform === 'auto') {
+      const frameworkPlatforms = {
+        nextjs: 'vercel',
+        nuxtjs: 'vercel',
+        svelte: 'vercel'
+      };
+      platform = frameworkPlatforms[framework] || 'netlify';
+    }
+
+    if (!this.supportedPlatforms.includes(platform)) {
+      throw new Error(`Unsupported deployment platform: ${platform} (supported: ${this.supportedPlatforms.join(', ')}, auto)`);
+    }
+
+    return platform;
+  }
+
+  runBuild(buildCommand, cwd, environmentVariables = {}) {
+    console.log(chalk.gray(`🔨 Building: ${buildCommand}`));
+
+    const result = spawnSync(buildCommand, {
+      cwd,
+      shell: true,
+      stdio: 'inherit',
+      env: { ...process.env, ...environmentVariables }
+    });
+
+    if (result.error) {
+      throw new Error(`Build failed to start: ${result.error.message}`);
+    }
+
+    if (result.status !== 0) {
+      throw new Error(`Build command "${buildCommand}" exited with code ${result.status}`);
+    }
+  }
+
+  async getCredentials(platform) {
+    if (!this.credentialManager) {
+      const CredentialManager = require('../src/mcp/credentials/manager');
+      this.credentialManager = new CredentialManager();
+      await this.credentialManager.initialize();
+    }
+
+    // Per-client tokens live in the profile bound through credentials.profile in .mak3r/config.json
+    const profile = await this.credentialManager.resolveProfile({ projectPath: this.projectPath });
+    try {
+      return await this.credentialManager.getCredentials(platform, profile);
+    } catch (error) {
+      throw new Error(`No ${platform} credentials configured in profile ${profile}. Run: mak3r-mcp config ${platform} --profile ${profile}`);
+    }
+  }
+
+  async callHandler(platform, args, credentials, config) {
+    switch (platform) {
+      case 'vercel':
+        return this.cloudHandler.deployVercel(args, credentials);
+
+      case 'netlify':
+        return this.cloudHandler.deployNetlify(args, credentials);
+
+      case 'digitalocean': {
+        const { repo, branch } = this.getGitInfo();
+        return this.cloudHandler.deployDigitalOcean({
+          ...args,
+          app_name: config.project?.safe_name || path.basename(this.projectPath),
+          github_repo: repo,
+          branch,
+          run_command: 'npm run start'
+        }, credentials);
+      }
+    }
+  }
+
+  extractUrl(platform, result) {
+    const url = platform === 'digitalocean' ? result.default_ingress : result.url;
+    if (!url) {
+      return null;
+    }
+    return /^https?:\/\//.test(url) ? url : `https://${url}`;
+  }
+
+  async assignDomain(platform, result, domain, credentials) {
+    if (platform === 'vercel') {
+      await this.cloudHandler.aliasVercelDeployment(result.id, domain, credentials);
+      console.log(chalk.gray(`🔗 Aliased ${domain}`));
+    } else {
+      console.log(chalk.yellow(`⚠️  Custom domains for ${platform} must be configured in the platform dashboard`));
+    }
+  }
+
+  getGitInfo() {
+    try {
+      const remote = execSync('git remote get-url origin', { cwd: this.projectPath, encoding: 'utf8' }).trim();
+      const branch = execSync('git rev-parse --abbrev-ref HEAD', { cwd: this.projectPath, encoding: 'utf8' }).trim();
+      const match = remote.match(/github\.com[:/]([^/]+\/[^/]+?)(\.git)?$/);
+
+      if (!match) {
+        throw new Error(`origin is not a GitHub repository: ${remote}`);
+      }
+
+      return { repo: match[1], branch };
+    } catch (error) {
+      throw new Error(`A GitHub origin remote is required: ${error.message}`);
+    }
+  }
+}
+
+module.exports = Deployer;
@@ -0,0 +1,107 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+class DeploymentLedger {
+  constructor(projectPath = process.cwd()) {
+    this.projectPath = projectPath;
+    this.ledgerPath = path.join(projectPath, '.mak3r', 'deployments.json');
+  }
+
+  async load() {
+    if (!await fs.pathExists(this.ledgerPath)) {
+      return { version: 1, deployments: [] };
+    }
+
+    try {
+      const ledger = await fs.readJson(this.ledgerPath);
+      return { version: 1, ...ledger, deployments: ledger.deployments || [] };
+    } catch (error) {
+      throw new Error(`Deployment ledger is corrupt (${this.ledgerPath}): ${error.message}`);
+    }
+  }
+
+  async save(ledger) {
+    await fs.ensureDir(path.dirname(this.ledgerPath));
+    await fs.writeJson(this.ledgerPath, ledger, { spaces: 2 });
+  }
+
+  async record(entry) {
+    const ledger = await this.load();
+    const deployment = {
+      ...entry,
+      id: entry.id,
+      platform: entry.platform,
+      url: entry.url || null,
+      state: entry.state || 'unknown',
+      git_sha: entry.git_sha || null,
+      build_hash: entry.build_hash || null,
+      created_at: entry.created_at || new Date().toISOString()
+    };
+
+    ledger.deployments.push(deployment);
+    await this.save(ledger);
+    return deployment;
+  }
+
+  async update(id, platform, changes) {
+    const ledger = await this.load();
+    const deployment = ledger.deployments.find(d => d.id === id && d.platform === platform);
+
+    if (!deployment) {
+      throw new Error(`Deployment not found in ledger: ${id}`);
+    }
+
+    Object.assign(deployment, changes);
+    await this.save(ledger);
+    return deployment;
+  }
+
+  // Newest first
+  async list(options = {}) {
+    const ledger = await this.load();
+    let deployments = [...ledger.deployments].reverse();
+
+    if (options.platform) {
+      deployments = deployments.filter(d => d.platform === options.platform);
+    }
+
+    return options.limit ? deployments.slice(0, options.limit) : deployments;
+  }
+
+  // Accepts a full id or an unambiguous prefix; no id means the latest deployment
+  async find(id) {
+    const deployments = await this.list();
+
+    if (!id) {
+      if (deployments.length === 0) {
+        throw new Error('No deployments recorded yet. Run: MAK3R-HUB deploy');
+      }
+      return deployments[0];
+    }
+
+    const exact = deployments.find(d => d.id === id);
+    if (exact) {
+      return exact;
+    }
+
+    const matches = deployments.filter(d => d.id.startsWith(id));
+    if (matches.length === 1) {
+      return matches[0];
+    }
+    if (matches.length > 1) {
+      throw new Error(`Deployment id "${id}" is ambiguous (${matches.map(d => d.id).join(', ')})`);
+    }
+
+    throw new Error(`Deployment not found in ledger: ${id}`);
+  }
+
+  // The live deployment per platform is the most recently created or re-promoted ready one
+  async current(platform) {
+    const deployments = (await this.list({ platform })).filter(d => d.state === 'ready' && !d.preview);
+
+    return deployments.sort((a, b) =>
+      new Date(b.promoted_at || b.created_at) - new Date(a.promoted_at || a.created_at))[0] || null;
+  }
+}
+
+module.exports = DeploymentLedger;
@@ -0,0 +1,193 @@
+const { spawn, spawnSync } = require('child_process');
+const net = require('net');
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const ConfigManager = require('./config-manager');
+
+class DevServer {
+  constructor(projectPath = process.cwd()) {
+    this.projectPath = projectPath;
+    this.isWindows = process.platform === 'win32';
+    this.child = null;
+    this.stopping = false;
+  }
+
+  async start(options = {}) {
+    const configManager = new ConfigManager(this.projectPath);
+    if (!await configManager.initialize()) {
+      return { success: false, error: 'Unable to load .mak3r/config.json' };
+    }
+
+    const config = configManager.getConfiguration();
+    const activeDir = config.structure?.active_dir || 'src';
+    const appPath = path.join(this.projectPath, activeDir);
+
+    if (!fs.existsSync(path.join(appPath, 'package.json'))) {
+      return {
+        success: false,
+        error: `No package.json found in ${activeDir}/ - is structure.active_dir correct?`
+      };
+    }
+
+    const port = parseInt(options.port || config.ports?.dev_server || 3000, 10);
+    const host = options.host || 'localhost';
+    const packageManager = config.environment?.package_manager || 'npm';
+    const url = `http://${host}:${port}`;
+
+    if (!fs.existsSync(path.join(appPath, 'node_modules'))) {
+      console.log(chalk.yellow('📦 Dependencies not installed, running install first...'));
+      const install = spawnSync(packageManager, ['install'], {
+        cwd: appPath,
+        stdio: 'inherit',
+        shell: this.isWindows
+      });
+      if (install.status !== 0) {
+        return { success: false, error: `${packageManager} install failed` };
+      }
+    }
+
+    const { command, args } = this.resolveCommand(packageManager, port);
+
+    console.log(chalk.blue(`🚀 Starting ${config.project?.name || 'project'} development server...`));
+    console.log(chalk.gray(`📋 Framework: ${config.framework?.primary || 'unknown'}`));
+    console.log(chalk.gray(`📁 Directory: ${activeDir}/`));
+    console.log(chalk.gray(`🌐 URL: ${url}`));
+    console.log(chalk.gray('   Press Ctrl+C to stop\n'));
+
+    return new Promise((resolve) => {
+      this.child = spawn(command, args, {
+        cwd: appPath,
+        env: { ...process.env, PORT: String(port), HOST: host },
+        stdio: ['ignore', 'inherit', 'inherit'],
+        // Own process group on Unix so the whole tree can be signalled at once
+        detached: !this.isWindows,
+        shell: this.isWindows
+      });
+
+      const onSignal = () => this.stop();
+      process.on('SIGINT', onSignal);
+      process.on('SIGTERM', onSignal);
+
+      const cleanup = () => {
+        process.removeListener('SIGINT', onSignal);
+        process.removeListener('SIGTERM', onSignal);
+      };
+
+      this.child.on('error', (error) => {
+        cleanup();
+        resolve({ success: false, error: `Failed to start ${command}: ${error.message}` });
+      });
+
+      this.child.on('exit', (code, signal) => {
+        cleanup();
+        const stopped = this.stopping;
+        this.child = null;
+        resolve({
+          success: stopped || code === 0,
+          exitCode: stopped ? 0 : (code === null ? 1 : code),
+          signal,
+          url,
+          error: stopped || code === 0 ? undefined : `Development server exited with code ${code ?? signal}`
+        });
+      });
+
+      if (options.open) {
+        this.waitForPort(port, host).then((ready) => {
+          if (ready && this.child) {
+            this.openBrowser(url);
+          }
+        });
+      }
+    });
+  }
+
+  resolveCommand(packageManager, port) {
+    // npm needs "--" to forward flags to the script; the others pass them through
+    const args = packageManager === 'npm' ?
+      ['run', 'dev', '--', '--port', String(port)] :
+      ['run', 'dev', '--port', String(port)];
+
+    return { command: packageManager, args };
+  }
+
+  stop() {
+    if (!this.child || this.stopping) {
+      return;
+    }
+
+    this.stopping = true;
+    console.log(chalk.yellow('\n⏹️  Stopping development server...'));
+    this.killProcessTree(this.child.pid);
+  }
+
+  killProcessTree(pid) {
+    if (this.isWindows) {
+      spawnSync('taskkill', ['/pid', String(pid), '/T', '/F'], { stdio: 'ignore' });
+      return;
+    }
+
+    try {
+      process.kill(-pid, 'SIGTERM');
+    } catch (error) {
+      return; // group already gone
+    }
+
+    // Escalate if the framework ignores SIGTERM
+    setTimeout(() => {
+      try {
+        process.kill(-pid, 'SIGKILL');
+      } catch (error) {
+        // already exited
+      }
+    }, 5000).unref();
+  }
+
+  waitForPort(port, host = 'localhost', timeout = 60000) {
+    const deadline = Date.now() + timeout;
+
+    return new Promise((resolve) => {
+      const attempt = () => {
+        if (!this.child) {
+          return resolve(false);
+        }
+
+        const socket = net.connect(port, host);
+        socket.once('connect', () => {
+          socket.destroy();
+          resolve(true);
+        });
+        socket.once('error', () => {
+          socket.destroy();
+          if (Date.now() > deadline) {
+            resolve(false);
+          } else {
+            setTimeout(attempt, 500);
+          }
+        });
+      };
+
+      attempt();
+    });
+  }
+
+  openBrowser(url) {
+    const commands = {
+      darwin: ['open', [url]],
+      win32: ['cmd', ['/c', 'start', '""', url]]
+    };
+    const [command, args] = commands[process.platform] || ['xdg-open', [url]];
+
+    try {
+      const browser = spawn(command, args, { stdio: 'ignore', detached: true });
+      browser.on('error', () => {
+        console.log(chalk.gray(`   Open ${url} in your browser`));
+      });
+      browser.unref();
+    } catch (error) {
+      console.log(chalk.gray(`   Open ${url} in your browser`));
+    }
+  }
+}
+
+module.exports = DevServer;
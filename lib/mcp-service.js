@@ -66,7 +66,8 @@ class MCPService {
           'os_validation',
           'command_filtering', 
           'token_optimization',
-          'project_structure_management'
+          'project_structure_management',
+          'project_build'
         ],
         timestamp: new Date().toISOString()
       });
@@ -100,6 +101,19 @@ class MCPService {
       }
     });
 
+    // Build endpoint: structured errors and asset sizes instead of raw logs
+    this.app.post('/mcp/build', async (req, res) => {
+      try {
+        const result = await this.buildProject(req.body || {});
+        res.json(result);
+      } catch (error) {
+        res.status(500).json({
+          error: 'Build failed',
+          message: error.message
+        });
+      }
+    });
+
     // Project information endpoint
     this.app.get('/mcp/project-info', (req, res) => {
       const projectInfo = this.getProjectContext();
@@ -155,6 +169,7 @@ class MCPService {
           '/mcp/project-info',
           '/mcp/claude-rules',
           '/mcp/optimize-response',
+          '/mcp/build',
           '/health'
         ],
         documentation: 'https://github.com/revred/MAK3R-HUB#mcp-integration'
@@ -203,12 +218,12 @@ class MCPService {
   async abstractOperation(operation, parameters = {}) {
     const abstractions = {
       'create_component': {
-        command: `MAK3R-HUB create component ${parameters.name || '<name>'}`,
+        command: `MAK3R-HUB generate component ${parameters.name || '<name>'}`,
         description: 'Creates a new component with proper structure',
         token_savings: '~200 tokens vs manual file creation'
       },
       'create_page': {
-        command: `MAK3R-HUB create page ${parameters.name || '<name>'}`,
+        command: `MAK3R-HUB generate page ${parameters.name || '<name>'}`,
         description: 'Creates a new page with routing configuration',
         token_savings: '~300 tokens vs manual setup'
       },
@@ -218,8 +233,8 @@ class MCPService {
         token_savings: '~100 tokens vs manual npm commands'
       },
       'build_project': {
-        command: 'MAK3R-HUB build',
-        description: 'Builds project with error handling and optimization',
+        command: 'MAK3R-HUB build --json',
+        description: 'Builds project and returns structured {file, line, column, message} errors and asset sizes (also POST /mcp/build)',
         token_savings: '~150 tokens vs manual build process'
       },
       'deploy_project': {
@@ -246,6 +261,32 @@ class MCPService {
     };
   }
 
+  async buildProject(parameters = {}) {
+    const ProjectBuilder = require('./project-builder');
+    const builder = new ProjectBuilder(this.projectPath);
+    const result = await builder.build({
+      quiet: true,
+      analyze: parameters.analyze,
+      timeout: parameters.timeout ? parameters.timeout * 1000 : undefined
+    });
+
+    // Keep the payload small: the biggest assets and the log tail only when nothing could be parsed
+    const limit = parameters.asset_limit || 10;
+    const compact = {
+      ...result,
+      assets: result.assets.slice(0, limit),
+      asset_count: result.assets.length
+    };
+    if (compact.output_tail) {
+      compact.output_tail = compact.output_tail.slice(-10);
+    }
+    if (compact.analysis?.assets) {
+      const BundleAnalyzer = require('./bundle-analyzer');
+      compact.analysis = new BundleAnalyzer(this.projectPath).summarize(compact.analysis);
+    }
+    return compact;
+  }
+
   getProjectContext() {
     try {
       const configPath = path.join(this.projectPath, '.mak3r', 'config.json');
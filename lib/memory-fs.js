@@ -0,0 +1,57 @@
+const path = require('path');
+
+// Write-only stand-in for fs-extra used by dry runs: records what would be written under root
+class MemoryFS {
+  constructor(root) {
+    this.root = path.resolve(root);
+    this.files = new Map();
+    this.dirs = new Set();
+    this.modes = new Map();
+  }
+
+  relative(target) {
+    const relative = path.relative(this.root, path.resolve(target));
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Dry run attempted to write outside the project: ${target}`);
+    }
+    return relative.split(path.sep).join('/');
+  }
+
+  async ensureDir(dir) {
+    let relative = this.relative(dir);
+    while (relative && relative !== '.') {
+      this.dirs.add(relative);
+      relative = path.posix.dirname(relative);
+    }
+  }
+
+  async writeFile(file, content) {
+    await this.ensureDir(path.dirname(file));
+    this.files.set(this.relative(file), Buffer.isBuffer(content) ? content : Buffer.from(String(content)));
+  }
+
+  async chmod(file, mode) {
+    this.modes.set(this.relative(file), mode);
+  }
+
+  async pathExists(target) {
+    const relative = this.relative(target);
+    return relative === '' || this.files.has(relative) || this.dirs.has(relative);
+  }
+
+  list() {
+    return [...this.files.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([file, content]) => ({
+        path: file,
+        size: content.length,
+        ...(this.modes.has(file) && { mode: this.modes.get(file) })
+      }));
+  }
+
+  directories() {
+    return [...this.dirs].sort();
+  }
+}
+
+module.exports = MemoryFS;
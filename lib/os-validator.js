@@ -348,7 +348,7 @@ class OSValidator {
 
     if (!validation.mak3r_managed) {
       validation.recommendations.push('Initialize project with: MAK3R-HUB create <project-name>');
-      validation.recommendations.push('Or add MAK3R-HUB to existing project: MAK3R-HUB claude --init');
+      validation.recommendations.push('Or add MAK3R-HUB to existing project: MAK3R-HUB adopt');
     }
 
     return validation;
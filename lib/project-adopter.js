@@ -0,0 +1,463 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const ProjectCreator = require('./project-creator');
+const DependencyInstaller = require('./dependency-installer');
+const MemoryFS = require('./memory-fs');
+
+// Where an app usually lives when it is not at the repository root
+const APP_DIRS = ['app', 'web', 'frontend', 'client', 'site', 'www', 'apps/web', 'apps/site', 'apps/frontend', 'packages/web'];
+
+// Checked in order: meta-frameworks before the Vite they are built on
+const FRAMEWORKS = [
+  {
+    id: 'react-next',
+    dependency: 'next',
+    meta: 'Next.js',
+    configFiles: ['next.config.js', 'next.config.mjs', 'next.config.ts'],
+    mainFiles: ['app/page.tsx', 'app/page.jsx', 'app/page.js', 'src/app/page.tsx', 'src/app/page.jsx', 'pages/index.tsx', 'pages/index.jsx', 'pages/index.js', 'src/pages/index.tsx', 'src/pages/index.jsx'],
+    routeDirs: ['app', 'src/app', 'pages', 'src/pages'],
+    defaultPort: 3000
+  },
+  {
+    id: 'vue-nuxt',
+    dependency: 'nuxt',
+    meta: 'Nuxt',
+    configFiles: ['nuxt.config.ts', 'nuxt.config.js', 'nuxt.config.mjs'],
+    mainFiles: ['app.vue', 'app/app.vue', 'pages/index.vue', 'app/pages/index.vue'],
+    routeDirs: ['pages', 'app/pages'],
+    defaultPort: 3000
+  },
+  {
+    id: 'svelte-kit',
+    dependency: '@sveltejs/kit',
+    meta: 'SvelteKit',
+    configFiles: ['svelte.config.js', 'svelte.config.mjs', 'vite.config.ts', 'vite.config.js'],
+    mainFiles: ['src/routes/+page.svelte', 'src/app.html'],
+    routeDirs: ['src/routes'],
+    defaultPort: 5173
+  },
+  {
+    id: 'vite',
+    dependency: 'vite',
+    meta: 'Vite',
+    configFiles: ['vite.config.ts', 'vite.config.js', 'vite.config.mjs'],
+    mainFiles: ['index.html', 'src/main.tsx', 'src/main.ts', 'src/main.jsx', 'src/main.js'],
+    routeDirs: ['src/pages', 'src/routes', 'src/views'],
+    defaultPort: 5173
+  }
+];
+
+// Route names that give away what kind of site this is, strongest signal first
+const TYPE_ROUTES = [
+  ['ecommerce', ['cart', 'checkout', 'products', 'shop', 'store']],
+  ['saas', ['dashboard', 'login', 'signup', 'account', 'billing']],
+  ['blog', ['blog', 'posts', 'articles']],
+  ['portfolio', ['projects', 'portfolio', 'work', 'case-studies']]
+];
+
+// Brings an existing repository under MAK3R-HUB management without moving any of its files
+class ProjectAdopter {
+  constructor(options = {}) {
+    this.creator = options.creator || new ProjectCreator();
+    this.dependencyInstaller = options.dependencyInstaller || this.creator.dependencyInstaller || new DependencyInstaller();
+  }
+
+  async adopt(projectPath, options = {}) {
+    const root = path.resolve(projectPath);
+    if (!await fs.pathExists(root)) {
+      throw new Error(`Project directory does not exist: ${root}`);
+    }
+
+    const configPath = path.join(root, '.mak3r', 'config.json');
+    if (await fs.pathExists(configPath) && !options.force) {
+      throw new Error(`${root} is already managed by MAK3R-HUB (use --force to regenerate .mak3r/)`);
+    }
+
+    const inspection = await this.inspect(root, options);
+    const config = await this.buildConfig(inspection);
+    const files = await this.planFiles(root, config, options);
+
+    const report = {
+      path: root,
+      name: config.project_name,
+      framework: config.framework,
+      type: config.project_type,
+      active_dir: config.active_dir,
+      package_manager: config.package_manager,
+      inferred: inspection.inferred,
+      warnings: inspection.warnings,
+      files: files.map(({ path: file, status }) => ({ path: file, status })),
+      dry_run: Boolean(options.dryRun)
+    };
+
+    if (options.dryRun) {
+      return report;
+    }
+
+    for (const dir of ['.mak3r/logs', '.mak3r/cache', '.mak3r/templates', 'domain', 'visual-input']) {
+      await fs.ensureDir(path.join(root, dir));
+    }
+    for (const file of files.filter(entry => entry.status !== 'kept')) {
+      const target = path.join(root, file.path);
+      await fs.ensureDir(path.dirname(target));
+      await fs.writeFile(target, file.content);
+      if (file.mode) {
+        await fs.chmod(target, file.mode);
+      }
+    }
+
+    report.report_path = path.join(root, '.mak3r', 'logs', `adopt-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+    await fs.writeJson(report.report_path, { ...report, created_at: new Date().toISOString() }, { spaces: 2 });
+
+    return report;
+  }
+
+  // Reads package.json, config files and routes; every conclusion is recorded with where it came from
+  async inspect(root, options = {}) {
+    const inferred = [];
+    const warnings = [];
+    const note = (setting, value, source) => {
+      inferred.push({ setting, value, source });
+      return value;
+    };
+
+    const activeDir = options.dir ?
+      note('active_dir', this.normalizeDir(options.dir), '--dir') :
+      await this.detectActiveDir(root, note, warnings);
+    const appPath = path.join(root, activeDir);
+
+    const packageJsonPath = path.join(appPath, 'package.json');
+    if (!await fs.pathExists(packageJsonPath)) {
+      throw new Error(`No package.json found in ${path.join(activeDir, 'package.json')}`);
+    }
+    const packageJson = await fs.readJson(packageJsonPath).catch((error) => {
+      throw new Error(`${path.join(activeDir, 'package.json')} is not valid JSON: ${error.message}`);
+    });
+    const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+    const scripts = packageJson.scripts || {};
+
+    let framework;
+    if (options.framework) {
+      framework = FRAMEWORKS.find(entry => entry.id === options.framework);
+      if (!framework) {
+        throw new Error(`Unknown framework "${options.framework}" (available: ${FRAMEWORKS.map(entry => entry.id).join(', ')})`);
+      }
+      note('framework', framework.id, '--framework');
+    } else {
+      framework = FRAMEWORKS.find(entry => deps[entry.dependency]);
+      if (!framework) {
+        throw new Error(`Could not detect Next.js, Nuxt, SvelteKit or Vite in ${path.join(activeDir, 'package.json')} (use --framework)`);
+      }
+      note('framework', framework.id, `package.json dependency "${framework.dependency}"`);
+    }
+
+    const version = deps[framework.dependency] || 'unknown';
+    note('framework_version', version, `package.json dependency "${framework.dependency}"`);
+    const major = (version.match(/\d+/) || [])[0];
+    const meta = major ? `${framework.meta} ${major}` : framework.meta;
+
+    const configFile = await this.firstExisting(appPath, framework.configFiles);
+    if (configFile) {
+      note('config_file', configFile, 'file exists');
+    } else {
+      warnings.push(`No ${framework.configFiles[0]} found; using defaults for ${framework.meta}`);
+    }
+    const configSource = configFile ? await fs.readFile(path.join(appPath, configFile), 'utf8') : '';
+
+    const mainFile = await this.firstExisting(appPath, framework.mainFiles);
+    if (mainFile) {
+      note('main_file', mainFile, 'file exists');
+    }
+
+    const buildOutput = this.detectBuildOutput(framework, configFile, configSource, deps, scripts, note);
+    const port = this.detectPort(framework, configFile, configSource, scripts, note);
+
+    const packageManager = options.packageManager ||
+      await this.dependencyInstaller.detect(appPath);
+    note('package_manager', packageManager, options.packageManager ? '--package-manager' : 'lock file / user agent');
+
+    const type = options.type ?
+      note('type', options.type, '--type') :
+      await this.detectType(appPath, framework, note);
+
+    const publicDir = await fs.pathExists(path.join(appPath, 'static')) && framework.id === 'svelte-kit' ? 'static' : 'public';
+    const sourceDir = await fs.pathExists(path.join(appPath, 'src')) ? 'src' : (framework.routeDirs.find(dir => !dir.includes('/')) || '.');
+
+    if (!scripts.dev) {
+      warnings.push(`${path.join(activeDir, 'package.json')} has no "dev" script; MAK3R-HUB dev will not work until one is added`);
+    }
+    if (!scripts.build) {
+      warnings.push(`${path.join(activeDir, 'package.json')} has no "build" script`);
+    }
+
+    return {
+      name: this.projectName(packageJson, root),
+      active_dir: activeDir,
+      framework: framework.id,
+      framework_version: version,
+      meta_framework: meta,
+      config_file: configFile || framework.configFiles[0],
+      main_file: mainFile || framework.mainFiles[0],
+      build_output: buildOutput,
+      port,
+      package_manager: packageManager,
+      type,
+      source_dir: sourceDir,
+      public_dir: publicDir,
+      css_framework: this.detectCss(deps),
+      state_management: this.detectState(framework, deps),
+      linting_setup: deps.eslint ? (deps.prettier ? 'ESLint + Prettier' : 'ESLint') : 'None',
+      typescript: await fs.pathExists(path.join(appPath, 'tsconfig.json')),
+      inferred,
+      warnings
+    };
+  }
+
+  async detectActiveDir(root, note, warnings) {
+    const hasRootPackage = await fs.pathExists(path.join(root, 'package.json'));
+    if (hasRootPackage) {
+      const packageJson = await fs.readJson(path.join(root, 'package.json')).catch(() => ({}));
+      const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+      if (FRAMEWORKS.some(entry => deps[entry.dependency])) {
+        return note('active_dir', '.', 'framework dependency in ./package.json');
+      }
+    }
+
+    const candidates = await this.findAppDirs(root);
+    if (candidates.length === 0) {
+      if (!hasRootPackage) {
+        throw new Error(`No package.json found in ${root} or its usual app folders (use --dir)`);
+      }
+      return note('active_dir', '.', 'no app folder found, using the repository root');
+    }
+    if (candidates.length > 1) {
+      warnings.push(`Several apps found (${candidates.join(', ')}); adopted ${candidates[0]}, use --dir to pick another`);
+    }
+    return note('active_dir', candidates[0], `framework dependency in ${candidates[0]}/package.json`);
+  }
+
+  async findAppDirs(root) {
+    const found = [];
+    for (const dir of APP_DIRS) {
+      const packageJsonPath = path.join(root, dir, 'package.json');
+      if (!await fs.pathExists(packageJsonPath)) {
+        continue;
+      }
+      const packageJson = await fs.readJson(packageJsonPath).catch(() => ({}));
+      const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+      if (FRAMEWORKS.some(entry => deps[entry.dependency])) {
+        found.push(dir);
+      }
+    }
+    return found;
+  }
+
+  detectBuildOutput(framework, configFile, configSource, deps, scripts, note) {
+    const setting = (name) => {
+      const match = configSource.match(new RegExp(`${name}\\s*:\\s*['"\`]([^'"\`]+)['"\`]`));
+      return match ? match[1] : null;
+    };
+
+    switch (framework.id) {
+      case 'react-next': {
+        const distDir = setting('distDir');
+        if (setting('output') === 'export') {
+          return note('build_output', distDir || 'out', `output: 'export' in ${configFile}`);
+        }
+        return note('build_output', distDir || '.next', distDir ? `distDir in ${configFile}` : 'Next.js default');
+      }
+      case 'vue-nuxt':
+        if (/nuxi? generate/.test(scripts.generate || scripts.build || '')) {
+          return note('build_output', '.output/public', 'nuxt generate script');
+        }
+        return note('build_output', '.output', 'Nuxt default');
+      case 'svelte-kit': {
+        if (deps['@sveltejs/adapter-static'] || deps['@sveltejs/adapter-node']) {
+          const pages = setting('pages') || setting('out');
+          const adapter = deps['@sveltejs/adapter-static'] ? 'adapter-static' : 'adapter-node';
+          return note('build_output', pages || 'build', pages ? `${adapter} options in ${configFile}` : `${adapter} default`);
+        }
+        if (deps['@sveltejs/adapter-vercel']) {
+          return note('build_output', '.vercel/output', 'adapter-vercel default');
+        }
+        return note('build_output', '.svelte-kit/output', 'SvelteKit default');
+      }
+      default: {
+        const outDir = setting('outDir');
+        return note('build_output', outDir || 'dist', outDir ? `build.outDir in ${configFile}` : 'Vite default');
+      }
+    }
+  }
+
+  detectPort(framework, configFile, configSource, scripts, note) {
+    const fromScript = (scripts.dev || '').match(/(?:--port|-p)[\s=]+(\d+)/);
+    if (fromScript) {
+      return note('port', parseInt(fromScript[1], 10), '"dev" script');
+    }
+
+    const fromConfig = configSource.match(/\bport\s*:\s*(\d+)/);
+    if (fromConfig) {
+      return note('port', parseInt(fromConfig[1], 10), configFile);
+    }
+
+    return note('port', framework.defaultPort, `${framework.meta} default`);
+  }
+
+  // Looks at top-level route names; a site with /cart is a store whatever else it has
+  async detectType(appPath, framework, note) {
+    const routes = new Set();
+    for (const dir of framework.routeDirs) {
+      const routeDir = path.join(appPath, dir);
+      if (await fs.pathExists(routeDir)) {
+        for (const entry of await fs.readdir(routeDir)) {
+          routes.add(path.parse(entry).name.replace(/^\(|\)$/g, '').toLowerCase());
+        }
+      }
+    }
+
+    for (const [type, names] of TYPE_ROUTES) {
+      const match = names.find(name => routes.has(name));
+      if (match) {
+        return note('type', type, `"${match}" route`);
+      }
+    }
+    return note('type', 'landing-page', 'no distinctive routes');
+  }
+
+  detectCss(deps) {
+    if (deps.tailwindcss) return 'Tailwind CSS';
+    if (deps['styled-components']) return 'styled-components';
+    if (deps.sass) return 'Sass';
+    return 'CSS';
+  }
+
+  detectState(framework, deps) {
+    if (deps.pinia) return 'Pinia';
+    if (deps.zustand) return 'Zustand';
+    if (deps['@reduxjs/toolkit'] || deps.redux) return 'Redux';
+    if (framework.id === 'svelte-kit') return 'Svelte Stores';
+    return 'None';
+  }
+
+  async buildConfig(inspection) {
+    const manifest = await this.creator.registry.load();
+    if (!manifest.types[inspection.type]) {
+      throw new Error(`Unknown website type "${inspection.type}" (available: ${Object.keys(manifest.types).join(', ')})`);
+    }
+
+    const config = await this.creator.generateProjectConfig(inspection.name, {
+      framework: inspection.framework,
+      type: inspection.type,
+      packageManager: inspection.package_manager
+    });
+
+    // The existing layout wins over the scaffold defaults
+    return {
+      ...config,
+      framework_version: inspection.framework_version,
+      meta_framework: inspection.meta_framework,
+      active_dir: inspection.active_dir,
+      main_file: inspection.main_file,
+      config_file: inspection.config_file,
+      default_port: inspection.port,
+      build_output: inspection.build_output,
+      output_directory: inspection.build_output,
+      build_command: `${inspection.package_manager} run build`,
+      source_dir: inspection.source_dir,
+      public_dir: inspection.public_dir,
+      assets_dir: inspection.public_dir,
+      css_framework: inspection.css_framework,
+      state_management: inspection.state_management,
+      linting_setup: inspection.linting_setup
+    };
+  }
+
+  // Renders the MAK3R-HUB files in memory; existing files are kept except .mak3r/ ones under --force
+  async planFiles(root, config, options) {
+    const validation = await this.creator.registry.validate(config.framework, config.project_type);
+    if (!validation.valid) {
+      throw new Error(`Template validation failed:\n   - ${validation.errors.join('\n   - ')}`);
+    }
+
+    const memoryFs = new MemoryFS(root);
+    const previous = { fs: this.creator.fs, quiet: this.creator.quiet };
+    this.creator.fs = memoryFs;
+    this.creator.quiet = true;
+
+    try {
+      await this.creator.generateConfigurationFiles(root, config);
+      await this.creator.createLauncherScripts(root, config);
+      for (const { path: templatePath, template, output } of validation.files.filter(file => file.kind === 'docs')) {
+        const content = await fs.readFile(templatePath, 'utf8');
+        await memoryFs.writeFile(path.join(root, output), this.creator.processTemplate(content, config, { filename: template, strict: true }));
+      }
+    } finally {
+      this.creator.fs = previous.fs;
+      this.creator.quiet = previous.quiet;
+    }
+
+    const files = [];
+    for (const file of memoryFs.list()) {
+      const exists = await fs.pathExists(path.join(root, file.path));
+      const replaceable = options.force && file.path.startsWith('.mak3r/');
+      files.push({
+        ...file,
+        content: memoryFs.files.get(file.path),
+        status: !exists ? 'created' : (replaceable ? 'replaced' : 'kept')
+      });
+    }
+    return files;
+  }
+
+  async firstExisting(dir, candidates) {
+    for (const candidate of candidates) {
+      if (await fs.pathExists(path.join(dir, candidate))) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  normalizeDir(dir) {
+    const normalized = path.normalize(dir).split(path.sep).join('/').replace(/\/+$/, '');
+    if (normalized.startsWith('..') || path.isAbsolute(normalized)) {
+      throw new Error(`--dir must be a folder inside the project: ${dir}`);
+    }
+    return normalized || '.';
+  }
+
+  projectName(packageJson, root) {
+    // "@acme/web" becomes "web"; fall back to the folder name
+    const name = (packageJson.name || '').replace(/^@[^/]+\//, '');
+    return name || path.basename(root);
+  }
+
+  printReport(report) {
+    console.log(chalk.blue(`🔎 ${report.dry_run ? 'Adoption plan' : 'Adopted'} ${report.name} (${report.framework}, ${report.type})`));
+    console.log(chalk.gray(`   Path: ${report.path}`));
+
+    console.log(chalk.cyan('\n🧠 Inferred:'));
+    for (const { setting, value, source } of report.inferred) {
+      console.log(`   ${setting.padEnd(18)} ${String(value).padEnd(24)} ${chalk.gray(source)}`);
+    }
+
+    console.log(chalk.cyan('\n📄 Files:'));
+    const icons = { created: chalk.green('+'), replaced: chalk.yellow('~'), kept: chalk.gray('=') };
+    for (const file of report.files) {
+      const suffix = file.status === 'kept' ? chalk.gray(' (exists, kept)') : (file.status === 'replaced' ? chalk.yellow(' (replaced)') : '');
+      console.log(`   ${icons[file.status]} ${file.path}${suffix}`);
+    }
+
+    if (report.warnings.length > 0) {
+      console.log(chalk.yellow('\n⚠️  Warnings:'));
+      report.warnings.forEach(warning => console.log(chalk.yellow(`   • ${warning}`)));
+    }
+
+    if (report.report_path) {
+      console.log(chalk.gray(`\n   Report: ${report.report_path}`));
+    }
+  }
+}
+
+module.exports = ProjectAdopter;
@@ -0,0 +1,419 @@
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const ConfigManager = require('./config-manager');
+
+// Distinct so scripts and CI can tell "fix your code" from "fix your setup"
+const EXIT_CODES = {
+  success: 0,
+  compile_errors: 2,
+  build_failed: 3,
+  not_buildable: 4,
+  missing_dependencies: 5,
+  budget_exceeded: 6
+};
+
+const OUTPUT_TAIL_LINES = 30;
+
+// Where the browser-facing files live inside each framework's build output
+const ASSET_ROOTS = {
+  '.next': '.next/static',
+  '.output': '.output/public',
+  '.svelte-kit/output': '.svelte-kit/output/client',
+  '.vercel/output': '.vercel/output/static'
+};
+const FALLBACK_OUTPUTS = ['.output/public', 'out', 'build', 'dist', '.next'];
+
+class ProjectBuilder {
+  constructor(projectPath = process.cwd()) {
+    this.projectPath = projectPath;
+    this.isWindows = process.platform === 'win32';
+    this.child = null;
+  }
+
+  // Never throws: failures come back as a result with a status and exit_code
+  async build(options = {}) {
+    const startedAt = Date.now();
+    const fail = (status, error, extra = {}) => ({
+      success: false,
+      status,
+      exit_code: EXIT_CODES[status],
+      error,
+      errors: [],
+      assets: [],
+      duration_ms: Date.now() - startedAt,
+      ...extra
+    });
+
+    const configManager = new ConfigManager(this.projectPath);
+    if (!await configManager.initialize()) {
+      return fail('not_buildable', 'Unable to load .mak3r/config.json');
+    }
+
+    const config = configManager.getConfiguration();
+    const activeDir = config.structure?.active_dir || '.';
+    const appPath = path.join(this.projectPath, activeDir);
+    const framework = config.framework?.primary || 'unknown';
+    const packageManager = config.environment?.package_manager || 'npm';
+    const command = config.deployment?.build_command || `${packageManager} run build`;
+
+    const packageJson = await fs.readJson(path.join(appPath, 'package.json')).catch(() => null);
+    if (!packageJson) {
+      return fail('not_buildable', `No package.json found in ${activeDir}/ - is structure.active_dir correct?`, { framework });
+    }
+    if (/\brun build\b/.test(command) && !packageJson.scripts?.build) {
+      return fail('not_buildable', `${path.join(activeDir, 'package.json')} has no "build" script`, { framework, command });
+    }
+    if (!await fs.pathExists(path.join(appPath, 'node_modules'))) {
+      return fail('missing_dependencies', 'Dependencies are not installed', {
+        framework,
+        command,
+        hint: `Run: cd ${activeDir} && ${packageManager} install`
+      });
+    }
+
+    if (!options.quiet) {
+      console.log(chalk.blue(`🔨 Building ${config.project?.name || 'project'} (${framework})...`));
+      console.log(chalk.gray(`📁 Directory: ${activeDir}/`));
+      console.log(chalk.gray(`⚙️  Command: ${command}`));
+    }
+
+    const run = await this.run(command, appPath, {
+      timeout: options.timeout,
+      verbose: options.verbose && !options.quiet,
+      env: config.deployment?.environment_variables
+    });
+
+    const logPath = path.join(this.projectPath, '.mak3r', 'logs', 'build.log');
+    await fs.ensureDir(path.dirname(logPath));
+    await fs.writeFile(logPath, `$ ${command}\n${run.output}`);
+
+    const result = {
+      success: run.exitCode === 0 && !run.error,
+      status: 'success',
+      exit_code: EXIT_CODES.success,
+      framework,
+      command,
+      duration_ms: Date.now() - startedAt,
+      errors: this.parseErrors(run.output, appPath),
+      assets: [],
+      log_path: path.relative(this.projectPath, logPath)
+    };
+
+    if (!result.success) {
+      result.status = result.errors.length > 0 ? 'compile_errors' : 'build_failed';
+      result.exit_code = EXIT_CODES[result.status];
+      result.error = run.error || `${command} exited with code ${run.exitCode}`;
+      if (result.errors.length === 0) {
+        result.output_tail = this.stripAnsi(run.output).split(/\r?\n/).filter(line => line.trim()).slice(-OUTPUT_TAIL_LINES);
+      }
+      return result;
+    }
+
+    // Runs before assets are measured since JSON-LD injection rewrites HTML files.
+    // Without seo.generate it runs once seo.site_url is set; only an explicit true warns about a missing URL
+    if (config.seo && config.seo.generate !== false) {
+      result.warnings = result.warnings || [];
+      if (config.seo.site_url) {
+        const SeoGenerator = require('./seo-generator');
+        try {
+          result.seo = await new SeoGenerator(this.projectPath).generate();
+        } catch (error) {
+          result.warnings.push(`SEO files not generated: ${error.message}`);
+        }
+      } else if (config.seo.generate === true) {
+        result.warnings.push('Set seo.site_url in .mak3r/config.json to generate sitemap.xml, robots.txt and structured data');
+      }
+    }
+
+    const output = await this.resolveOutputDir(appPath, config.build?.output_dir || config.deployment?.output_directory);
+    if (output) {
+      result.output_dir = path.posix.join(activeDir, output.dir).replace(/^\.\//, '');
+      result.assets = await this.collectAssets(path.join(appPath, output.assetRoot), path.posix.join(activeDir, output.assetRoot));
+      result.total_size = result.assets.reduce((sum, asset) => sum + asset.size, 0);
+    }
+
+    // features.bundle_analyzer (on in the advanced configuration) checks budgets after every build
+    if (options.analyze ?? config.features?.bundle_analyzer) {
+      const BundleAnalyzer = require('./bundle-analyzer');
+      const analyzer = new BundleAnalyzer(this.projectPath);
+      try {
+        result.analysis = await analyzer.analyze();
+      } catch (error) {
+        result.analysis = { success: false, error: error.message };
+      }
+
+      if (!result.analysis.success) {
+        result.success = false;
+        result.status = 'budget_exceeded';
+        result.exit_code = EXIT_CODES.budget_exceeded;
+        result.error = result.analysis.error || 'Bundle budget exceeded';
+      }
+    }
+
+    return result;
+  }
+
+  run(command, cwd, options = {}) {
+    const timeout = options.timeout || 600000;
+    const chunks = [];
+
+    return new Promise((resolve) => {
+      this.child = spawn(command, {
+        cwd,
+        shell: true,
+        // Own process group on Unix so a timeout takes the bundler's workers down too
+        detached: !this.isWindows,
+        env: { ...process.env, ...options.env, CI: '1', FORCE_COLOR: '0', NO_COLOR: '1' },
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        this.killProcessTree(this.child.pid);
+      }, timeout);
+
+      const collect = (stream) => (chunk) => {
+        chunks.push(chunk.toString());
+        if (options.verbose) {
+          stream.write(chunk);
+        }
+      };
+      this.child.stdout.on('data', collect(process.stdout));
+      this.child.stderr.on('data', collect(process.stderr));
+
+      this.child.on('error', (error) => {
+        clearTimeout(timer);
+        resolve({ exitCode: null, output: chunks.join(''), error: `Build failed to start: ${error.message}` });
+      });
+
+      this.child.on('close', (code) => {
+        clearTimeout(timer);
+        this.child = null;
+        resolve({
+          exitCode: code,
+          output: chunks.join(''),
+          error: timedOut ? `${command} timed out after ${Math.round(timeout / 1000)}s` : undefined
+        });
+      });
+    });
+  }
+
+  killProcessTree(pid) {
+    if (this.isWindows) {
+      spawnSync('taskkill', ['/pid', String(pid), '/T', '/F'], { stdio: 'ignore' });
+      return;
+    }
+
+    try {
+      process.kill(-pid, 'SIGKILL');
+    } catch (error) {
+      // group already gone
+    }
+  }
+
+  // Turns TypeScript, Next.js, Vite/esbuild/Rollup, SvelteKit and Nuxt output into {file, line, column, message}
+  parseErrors(output, appPath) {
+    const lines = this.stripAnsi(output || '').split(/\r?\n/);
+    const errors = [];
+    const seen = new Set();
+    let pending = null;
+
+    const add = (source, file, line, column, message, code) => {
+      const entry = {
+        file: this.toProjectPath(file, appPath),
+        line: line ? parseInt(line, 10) : null,
+        column: column ? parseInt(column, 10) : null,
+        message: message.trim(),
+        source
+      };
+      if (code) {
+        entry.code = code;
+      }
+
+      // Bundlers often report the same problem twice (plugin header + esbuild detail)
+      const key = entry.line ? `${entry.file}:${entry.line}:${entry.column}` : `${entry.file}:${entry.message}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        errors.push(entry);
+      }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const text = lines[i];
+      const next = lines[i + 1] || '';
+      let match;
+
+      // tsc / vue-tsc / svelte-check: "src/a.ts(12,5): error TS2322: ..." or "src/a.ts:12:5 - error TS2322: ..."
+      if ((match = text.match(/^\s*(\S.*?)\((\d+),(\d+)\): error (TS\d+): (.+)$/)) ||
+          (match = text.match(/^\s*(\S.*?):(\d+):(\d+) - error (TS\d+): (.+)$/))) {
+        add('typescript', match[1], match[2], match[3], match[5], match[4]);
+        continue;
+      }
+
+      // next build type check: "./app/page.tsx:12:5" followed by "Type error: ..."
+      if ((match = text.match(/^(\.\/\S+?):(\d+):(\d+)\s*$/)) && /^Type error: /.test(next)) {
+        add('next', match[1], match[2], match[3], next.replace(/^Type error: /, ''));
+        i++;
+        continue;
+      }
+
+      // next build webpack/SWC: "./app/page.tsx" followed by the error, SWC adds "  x message" and ",-[file:line:col]"
+      if ((match = text.match(/^(\.\/\S+)\s*$/)) && /^(Module not found|Error|Syntax error|SyntaxError)\b/.test(next)) {
+        const detail = lines.slice(i + 1, i + 12);
+        const swcMessage = detail.map(line => line.match(/^\s*x (.+)$/)).find(Boolean);
+        const swcLocation = detail.map(line => line.match(/,-\[(.+?):(\d+):(\d+)\]/)).find(Boolean);
+        if (swcMessage) {
+          add('next', swcLocation ? swcLocation[1] : match[1], swcLocation?.[2], swcLocation?.[3], swcMessage[1]);
+        } else {
+          add('next', match[1], null, null, next.replace(/^Error:\s*/, ''));
+        }
+        i++;
+        continue;
+      }
+
+      // esbuild (via Vite/Nuxt): "/abs/src/main.ts:3:6: ERROR: Expected ..."
+      if ((match = text.match(/^\s*(?:✘ \[ERROR\] )?(\S.*?):(\d+):(\d+): ERROR: (.+)$/))) {
+        add('vite', match[1], match[2], match[3], match[4]);
+        continue;
+      }
+
+      // Rollup: [vite]: Rollup failed to resolve import "x" from "/abs/src/main.ts".
+      if ((match = text.match(/Rollup failed to resolve import "([^"]+)" from "([^"]+)"/))) {
+        add('vite', match[2], null, null, `Failed to resolve import "${match[1]}"`);
+        continue;
+      }
+
+      // Vite plugin errors put the message on a "[plugin]" line and the location on a later "file:" line
+      if ((match = text.match(/\[(vite:[\w-]+|vite-plugin-[\w:-]+|plugin [^\]]+)\]:?\s*(.*)$/))) {
+        const source = /Nuxt/.test(text) ? 'nuxt' : /svelte/.test(match[1]) ? 'svelte' : 'vite';
+        const message = match[2]
+          .replace(/^\[plugin [^\]]+\]\s*/, '')
+          .replace(/^\S+ \(\d+:\d+\):\s*/, '')
+          .replace(/^\S+:\d+:\d+\s+/, '');
+        pending = { source, message };
+        continue;
+      }
+      if (pending && (match = text.match(/^\s*file: (.+?):(\d+):(\d+)\s*$/))) {
+        add(pending.source, match[1], match[2], match[3], pending.message || 'Build error');
+        pending = null;
+      }
+    }
+
+    return errors;
+  }
+
+  toProjectPath(file, appPath) {
+    const cleaned = file.replace(/^file:\/\//, '').trim();
+    const absolute = path.isAbsolute(cleaned) ? cleaned : path.resolve(appPath, cleaned);
+    const relative = path.relative(this.projectPath, absolute);
+    return (relative.startsWith('..') ? absolute : relative).split(path.sep).join('/');
+  }
+
+  stripAnsi(text) {
+    return text.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '');
+  }
+
+  // The configured output dir first; frameworks that ignore it (e.g. nuxt build -> .output) fall back to known defaults
+  async resolveOutputDir(appPath, configured) {
+    const candidates = [configured, ...FALLBACK_OUTPUTS].filter(Boolean);
+    for (const dir of candidates) {
+      if (await fs.pathExists(path.join(appPath, dir))) {
+        const assetRoot = ASSET_ROOTS[dir] && await fs.pathExists(path.join(appPath, ASSET_ROOTS[dir])) ? ASSET_ROOTS[dir] : dir;
+        return { dir, assetRoot };
+      }
+    }
+    return null;
+  }
+
+  async collectAssets(dir, displayDir) {
+    const assets = [];
+
+    const walk = async (current) => {
+      for (const entry of await fs.readdir(current, { withFileTypes: true })) {
+        const fullPath = path.join(current, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile() && !entry.name.endsWith('.map')) {
+          const relative = path.relative(dir, fullPath).split(path.sep).join('/');
+          assets.push({ path: path.posix.join(displayDir, relative).replace(/^\.\//, ''), size: (await fs.stat(fullPath)).size });
+        }
+      }
+    };
+    await walk(dir);
+
+    return assets.sort((a, b) => b.size - a.size || a.path.localeCompare(b.path));
+  }
+
+  printResult(result, options = {}) {
+    const limit = options.limit || 20;
+
+    if (result.analysis?.assets) {
+      const BundleAnalyzer = require('./bundle-analyzer');
+      console.log(chalk.green(`✅ Build succeeded in ${(result.duration_ms / 1000).toFixed(1)}s`));
+      new BundleAnalyzer(this.projectPath).printResult(result.analysis);
+      this.printPostBuild(result);
+      return;
+    }
+
+    if (result.success) {
+      console.log(chalk.green(`✅ Build succeeded in ${(result.duration_ms / 1000).toFixed(1)}s`));
+      if (result.output_dir) {
+        console.log(chalk.gray(`📦 Output: ${result.output_dir}/`));
+      }
+      if (result.assets.length > 0) {
+        const width = Math.max(...result.assets.slice(0, limit).map(asset => asset.path.length));
+        console.log(chalk.cyan('\n📊 Assets:'));
+        result.assets.slice(0, limit).forEach(asset => {
+          console.log(`   ${asset.path.padEnd(width)}  ${chalk.gray(formatSize(asset.size).padStart(9))}`);
+        });
+        if (result.assets.length > limit) {
+          console.log(chalk.gray(`   ... ${result.assets.length - limit} more`));
+        }
+        console.log(chalk.gray(`   ${'Total'.padEnd(width)}  ${formatSize(result.total_size).padStart(9)} in ${result.assets.length} files`));
+      }
+      this.printPostBuild(result);
+      return;
+    }
+
+    console.error(chalk.red(`❌ Build failed: ${result.error}`));
+    if (result.errors.length > 0) {
+      console.error(chalk.red(`\n${result.errors.length} error${result.errors.length === 1 ? '' : 's'}:`));
+      result.errors.forEach(error => {
+        const location = error.line ? `${error.file}:${error.line}:${error.column}` : error.file;
+        console.error(`   ${chalk.cyan(location)} ${error.message}${error.code ? chalk.gray(` (${error.code})`) : ''}`);
+      });
+    } else if (result.output_tail) {
+      console.error(chalk.gray(`\n${result.output_tail.map(line => `   ${line}`).join('\n')}`));
+    }
+    if (result.hint) {
+      console.log(chalk.yellow(`💡 ${result.hint}`));
+    }
+    if (result.log_path) {
+      console.log(chalk.gray(`📋 Full log: ${result.log_path}`));
+    }
+  }
+
+  printPostBuild(result) {
+    if (result.seo) {
+      const written = result.seo.files.filter(file => file.status === 'written').map(file => file.path);
+      console.log(chalk.gray(`\n🗺️  SEO: ${result.seo.urls} URLs in the sitemap, wrote ${written.join(', ') || 'nothing'}`));
+      if (result.seo.structured_data.length > 0) {
+        console.log(chalk.gray(`   JSON-LD added to ${result.seo.structured_data.length} page(s)`));
+      }
+    }
+    (result.warnings || []).forEach(warning => console.log(chalk.yellow(`⚠️  ${warning}`)));
+  }
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+ProjectBuilder.EXIT_CODES = EXIT_CODES;
+
+module.exports = ProjectBuilder;
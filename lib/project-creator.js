@@ -2,56 +2,110 @@ const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
 const chalk = require('chalk');
+const TemplateRegistry = require('./template-registry');
+const TemplateStore = require('./template-store');
+const TemplateEngine = require('./template-engine');
+const ProjectTransaction = require('./project-transaction');
+const MemoryFS = require('./memory-fs');
+const DependencyInstaller = require('./dependency-installer');
+
+// Compressed (gzip) limits written to the budgets section of .mak3r/config.json; landing pages stay lightest
+const BUNDLE_BUDGETS = {
+  'landing-page': { total: '400 KB', route_js: '150 KB', route_css: '30 KB' },
+  portfolio: { total: '600 KB', route_js: '180 KB', route_css: '40 KB' },
+  blog: { total: '800 KB', route_js: '200 KB', route_css: '40 KB' },
+  default: { total: '1.5 MB', route_js: '300 KB', route_css: '60 KB' }
+};
 
 class ProjectCreator {
-  constructor() {
+  constructor(options = {}) {
     this.templateDir = path.join(__dirname, '..', 'templates');
+    this.registry = new TemplateRegistry(this.templateDir);
+    this.templateEngine = new TemplateEngine({ partialsDir: path.join(this.templateDir, 'partials') });
+    this.templateStore = options.templateStore || new TemplateStore();
+    this.dependencyInstaller = options.dependencyInstaller || new DependencyInstaller();
     this.version = require('../package.json').version;
+    // Generators write through this.fs so a dry run can swap in MemoryFS; template reads always hit disk
+    this.fs = fs;
+    this.quiet = false;
+  }
+
+  log(...args) {
+    if (!this.quiet) {
+      console.log(...args);
+    }
   }
 
   async createProject(name, options = {}) {
+    let transaction = null;
+
     try {
-      console.log(chalk.blue(`🚀 Creating ${name} with MAK3R-HUB v${this.version}...`));
+      this.log(chalk.blue(`🚀 Creating ${name} with MAK3R-HUB v${this.version}...`));
       
-      const projectConfig = await this.generateProjectConfig(name, options);
-      const projectPath = options.path ? path.resolve(options.path, name) : path.resolve(name);
+      if (options.force && options.merge) {
+        throw new Error('Use either --force or --merge, not both');
+      }
       
-      console.log(chalk.gray(`📁 Project path: ${projectPath}`));
+      const projectConfig = await this.generateProjectConfig(name, await this.withPackageManager(options));
+      const projectPath = options.path ? path.resolve(options.path, name) : path.resolve(name);
       
-      // Create project directory
-      await fs.ensureDir(projectPath);
+      // Fail before touching the disk if the install is missing templates
+      await this.validateTemplates(projectConfig);
+      const template = options.template ?
+        await this.loadCommunityTemplate(options.template, projectConfig, options.variables) :
+        null;
       
-      // Create folder structure
-      await this.createFolderStructure(projectPath, projectConfig);
+      this.log(chalk.gray(`📁 Project path: ${projectPath}`));
       
-      // Generate configuration files
-      await this.generateConfigurationFiles(projectPath, projectConfig);
+      // Merging into an existing project keeps its creation date so unchanged files compare equal
+      const existingConfigPath = path.join(projectPath, '.mak3r', 'config.json');
+      if (options.merge && await fs.pathExists(existingConfigPath)) {
+        const existing = await fs.readJson(existingConfigPath).catch(() => ({}));
+        projectConfig.created_date = (existing.project && existing.project.created) || projectConfig.created_date;
+      }
       
-      // Generate documentation
-      await this.generateDocumentation(projectPath, projectConfig);
+      // Everything is built in a staging directory and moved into place at the end
+      transaction = new ProjectTransaction(projectPath, {
+        mode: options.force ? 'force' : (options.merge ? 'merge' : 'create')
+      });
+      const stagingPath = await transaction.begin();
+      await this.generateProjectFiles(stagingPath, projectConfig, template);
       
-      // Create launcher scripts
-      await this.createLauncherScripts(projectPath, projectConfig);
+      const commit = await transaction.commit();
+      transaction = null;
+      this.printCommitReport(commit);
       
-      // Initialize framework-specific files
-      await this.initializeFramework(projectPath, projectConfig);
+      // Dependencies go in before the hooks so template hooks can rely on node_modules
+      const install = options.skipInstall ?
+        null :
+        await this.installDependencies(projectPath, projectConfig, options);
       
-      // Generate package.json
-      await this.generatePackageJson(projectPath, projectConfig);
+      const hooks = template && !options.skipHooks ?
+        this.runTemplateHooks(projectPath, template, projectConfig) :
+        [];
       
-      console.log(chalk.green(`✅ Project ${name} created successfully!`));
-      console.log(chalk.cyan('\n🚀 Next steps:'));
-      console.log(chalk.gray(`   cd ${name}`));
-      console.log(chalk.gray(`   ${projectConfig.launch_command}`));
-      console.log(chalk.gray(`   # Access: http://localhost:${projectConfig.default_port}`));
+      this.log(chalk.green(`✅ Project ${name} created successfully!`));
+      this.log(chalk.cyan('\n🚀 Next steps:'));
+      this.log(chalk.gray(`   cd ${name}`));
+      if (!install || !install.success) {
+        this.log(chalk.gray(`   cd ${projectConfig.active_dir} && ${projectConfig.package_manager} install`));
+      }
+      this.log(chalk.gray(`   ${projectConfig.launch_command}`));
+      this.log(chalk.gray(`   # Access: http://localhost:${projectConfig.default_port}`));
       
       return {
         success: true,
         project: projectConfig,
-        path: projectPath
+        path: projectPath,
+        ...(commit.mode === 'merge' && { merge: commit }),
+        ...(install && { install }),
+        ...(template && { template: projectConfig.template, hooks })
       };
       
     } catch (error) {
+      if (transaction) {
+        await transaction.rollback();
+      }
       console.error(chalk.red(`❌ Failed to create project: ${error.message}`));
       return {
         success: false,
@@ -60,6 +114,148 @@ class ProjectCreator {
     }
   }
 
+  async generateProjectFiles(projectPath, projectConfig, template) {
+    // Create folder structure
+    await this.createFolderStructure(projectPath, projectConfig);
+    
+    // Generate configuration files
+    await this.generateConfigurationFiles(projectPath, projectConfig);
+    
+    // Generate documentation
+    await this.generateDocumentation(projectPath, projectConfig);
+    
+    // Create launcher scripts
+    await this.createLauncherScripts(projectPath, projectConfig);
+    
+    // Initialize framework-specific files (from a community template when one was chosen)
+    if (template) {
+      await this.renderCommunityTemplate(projectPath, template, projectConfig);
+    } else {
+      await this.initializeFramework(projectPath, projectConfig);
+    }
+    
+    // Generate package.json
+    await this.generatePackageJson(projectPath, projectConfig);
+  }
+
+  // Runs every generator against MemoryFS and describes the result; nothing touches disk
+  async planProject(name, options = {}) {
+    const projectConfig = await this.generateProjectConfig(name, await this.withPackageManager(options));
+    const projectPath = options.path ? path.resolve(options.path, name) : path.resolve(name);
+
+    await this.validateTemplates(projectConfig);
+    const template = options.template ?
+      await this.loadCommunityTemplate(options.template, projectConfig, options.variables) :
+      null;
+
+    const memoryFs = new MemoryFS(projectPath);
+    const previous = { fs: this.fs, quiet: this.quiet };
+    this.fs = memoryFs;
+    this.quiet = true;
+
+    try {
+      await this.generateProjectFiles(projectPath, projectConfig, template);
+    } finally {
+      this.fs = previous.fs;
+      this.quiet = previous.quiet;
+    }
+
+    const targetExists = await fs.pathExists(projectPath);
+    const files = [];
+    for (const file of memoryFs.list()) {
+      const diskPath = path.join(projectPath, file.path);
+      let status = 'new';
+      if (targetExists && await fs.pathExists(diskPath)) {
+        const current = await fs.readFile(diskPath).catch(() => null);
+        status = current && current.equals(memoryFs.files.get(file.path)) ? 'unchanged' : 'differs';
+      }
+      files.push({ ...file, status });
+    }
+
+    const variables = {};
+    for (const [key, value] of Object.entries(this.getTemplateContext(projectConfig))) {
+      if (value !== undefined && !['TEMPLATE', 'TEMPLATE_VARIABLES'].includes(key)) {
+        variables[key] = value;
+      }
+    }
+
+    return {
+      name,
+      path: projectPath,
+      target_exists: targetExists,
+      framework: projectConfig.framework,
+      type: projectConfig.project_type,
+      template: projectConfig.template || null,
+      hooks: template ? template.manifest.hooks.post_create : [],
+      install: options.skipInstall ? null : {
+        package_manager: projectConfig.package_manager,
+        command: this.describeInstallCommand(projectConfig.package_manager, options.installMode)
+      },
+      directories: memoryFs.directories(),
+      files,
+      total_files: files.length,
+      total_size: files.reduce((sum, file) => sum + file.size, 0),
+      variables
+    };
+  }
+
+  // Detected from lock files around the target (or given explicitly) so config.json records the manager in use
+  async withPackageManager(options) {
+    const parentDir = options.path ? path.resolve(options.path) : process.cwd();
+    const packageManager = await this.dependencyInstaller.resolve(parentDir, options.packageManager);
+    if (!options.skipInstall) {
+      // Throws for an unsupported offline mode before anything is written
+      this.dependencyInstaller.buildCommand(packageManager, options.installMode);
+    }
+    return { ...options, packageManager };
+  }
+
+  describeInstallCommand(packageManager, mode) {
+    const { command, args } = this.dependencyInstaller.buildCommand(packageManager, mode);
+    return [command, ...args].join(' ');
+  }
+
+  // Failures are reported in the result but never undo the project, which is already in place
+  async installDependencies(projectPath, config, options) {
+    const install = await this.dependencyInstaller.install(path.join(projectPath, config.active_dir), {
+      packageManager: config.package_manager,
+      mode: options.installMode,
+      logFile: path.join(projectPath, '.mak3r', 'logs', 'install.log'),
+      quiet: this.quiet
+    });
+
+    if (install.success) {
+      this.log(chalk.gray(`📦 Dependencies installed with ${install.package_manager} in ${(install.duration_ms / 1000).toFixed(1)}s`));
+      return install;
+    }
+
+    this.log(chalk.red(`❌ Dependency install failed: ${install.error}`));
+    (install.output_tail || []).slice(-5).forEach(line => this.log(chalk.gray(`   ${line}`)));
+    if (install.hint) {
+      this.log(chalk.yellow(`💡 ${install.hint}`));
+    }
+    if (install.log_path) {
+      this.log(chalk.gray(`   Full log: ${install.log_path}`));
+    }
+    return install;
+  }
+
+  printCommitReport(commit) {
+    if (commit.mode === 'force') {
+      this.log(chalk.yellow('♻️  Replaced the existing directory'));
+    }
+    if (commit.mode !== 'merge') {
+      return;
+    }
+
+    this.log(chalk.gray(`🔀 Merged: ${commit.added.length} added, ${commit.unchanged.length} unchanged, ${commit.conflicts.length} conflicts`));
+    if (commit.conflicts.length > 0) {
+      this.log(chalk.yellow('⚠️  Kept existing versions of:'));
+      commit.conflicts.forEach(conflict => this.log(chalk.yellow(`   • ${conflict.path} (${conflict.reason})`)));
+      this.log(chalk.gray(`   Report: ${commit.report_path}`));
+    }
+  }
+
   async generateProjectConfig(name, options) {
     const osType = os.platform();
     const isWindows = osType === 'win32';
@@ -71,6 +267,7 @@ class ProjectCreator {
     const scriptExt = isWindows ? '.bat' : '.sh';
     
     const frameworkConfig = this.getFrameworkConfig(framework);
+    const budgets = BUNDLE_BUDGETS[projectType] || BUNDLE_BUDGETS.default;
     
     return {
       // Basic project info
@@ -100,7 +297,8 @@ class ProjectCreator {
       // Scripts and commands
       launch_script: `launch-${safeName}${scriptExt}`,
       cleanup_script: `kill-servers${scriptExt}`,
-      launch_command: `${scriptsDir}${path.sep}launch-${safeName}${scriptExt}`,
+      launch_command: 'MAK3R-HUB dev',
+      script_launch_command: `${scriptsDir}${path.sep}launch-${safeName}${scriptExt}`,
       cleanup_command: `${scriptsDir}${path.sep}kill-servers${scriptExt}`,
       
       // Port configuration
@@ -129,6 +327,20 @@ class ProjectCreator {
         'bash|sh|ls|cat|grep|chmod|kill|killall|pkill|\\./.*\\.sh' :
         'TASKKILL|dir|type|del|xcopy|start|cmd|.*\\.bat',
         
+      // Environment
+      node_version: process.version,
+      package_manager: options.packageManager || 'npm',
+      shell_type: isWindows ? 'cmd' : path.basename(process.env.SHELL || 'sh'),
+      
+      // Deployment (build runs inside active_dir)
+      build_command: `${options.packageManager || 'npm'} run build`,
+      output_directory: frameworkConfig.buildOutput,
+      
+      // Bundle budgets checked by MAK3R-HUB analyze
+      budget_total: budgets.total,
+      budget_route_js: budgets.route_js,
+      budget_route_css: budgets.route_css,
+      
       // Configuration checksums
       config_checksum: this.generateChecksum(name + options.framework + options.type)
     };
@@ -139,7 +351,7 @@ class ProjectCreator {
       'vue-nuxt': {
         version: '^3.0.0',
         meta: 'Nuxt 3',
-        features: 'SSR + SSG',
+        features: ['SSR', 'SSG'],
         activeDir: 'vue-nuxt',
         mainFile: 'app.vue',
         configFile: 'nuxt.config.ts',
@@ -155,7 +367,7 @@ class ProjectCreator {
       'react-next': {
         version: '^14.0.0',
         meta: 'Next.js 14',
-        features: 'SSR + SSG + App Router',
+        features: ['SSR', 'SSG', 'App Router'],
         activeDir: 'react-next',
         mainFile: 'app/page.tsx',
         configFile: 'next.config.js',
@@ -171,7 +383,7 @@ class ProjectCreator {
       'svelte-kit': {
         version: '^2.0.0',
         meta: 'SvelteKit 2',
-        features: 'SSR + SSG + Vite',
+        features: ['SSR', 'SSG', 'Vite'],
         activeDir: 'svelte-kit',
         mainFile: 'src/app.html',
         configFile: 'vite.config.js',
@@ -183,6 +395,23 @@ class ProjectCreator {
         stateManagement: 'Svelte Stores',
         deploymentTarget: 'Vercel',
         lintingSetup: 'ESLint + Prettier'
+      },
+      // Only reachable through adopt, which overrides most of these from the existing project
+      'vite': {
+        version: '^5.0.0',
+        meta: 'Vite 5',
+        features: ['SPA', 'HMR'],
+        activeDir: '.',
+        mainFile: 'index.html',
+        configFile: 'vite.config.ts',
+        buildOutput: 'dist',
+        sourceDir: 'src',
+        assetsDir: 'src/assets',
+        publicDir: 'public',
+        cssFramework: 'CSS',
+        stateManagement: 'None',
+        deploymentTarget: 'Vercel',
+        lintingSetup: 'ESLint'
       }
     };
     
@@ -207,53 +436,61 @@ class ProjectCreator {
       '.mak3r/templates'
     ];
 
-    console.log(chalk.gray('📁 Creating folder structure...'));
+    this.log(chalk.gray('📁 Creating folder structure...'));
     for (const dir of directories) {
       const dirPath = path.join(projectPath, dir);
-      await fs.ensureDir(dirPath);
-      console.log(chalk.gray(`   ✓ ${dir}/`));
+      await this.fs.ensureDir(dirPath);
+      this.log(chalk.gray(`   ✓ ${dir}/`));
     }
   }
 
+  async validateTemplates(config) {
+    const frameworkEntry = (await this.registry.load()).frameworks[config.framework];
+    if (frameworkEntry && frameworkEntry.adopt_only) {
+      throw new Error(`${frameworkEntry.name} projects cannot be scaffolded; run MAK3R-HUB adopt inside an existing one`);
+    }
+
+    const validation = await this.registry.validate(config.framework, config.project_type);
+
+    if (!validation.valid) {
+      throw new Error(`Template validation failed:\n   - ${validation.errors.join('\n   - ')}`);
+    }
+
+    return validation.files;
+  }
+
   async generateConfigurationFiles(projectPath, config) {
-    console.log(chalk.gray('⚙️  Generating configuration files...'));
+    this.log(chalk.gray('⚙️  Generating configuration files...'));
     
-    const configFiles = [
-      { template: 'config/config.json', output: '.mak3r/config.json' },
-      { template: 'config/mcp-settings.json', output: '.mak3r/mcp-settings.json' },
-      { template: 'config/claude-rules.json', output: '.mak3r/claude-rules.json' }
-    ];
+    const configFiles = (await this.registry.resolve(config.framework, config.project_type))
+      .filter(file => file.kind === 'config');
 
-    for (const { template, output } of configFiles) {
-      const templatePath = path.join(this.templateDir, template);
+    for (const { path: templatePath, template, output } of configFiles) {
       const outputPath = path.join(projectPath, output);
       
       let content = await fs.readFile(templatePath, 'utf8');
-      content = this.processTemplate(content, config);
+      content = this.processTemplate(content, config, { filename: template, strict: true });
       
-      await fs.writeFile(outputPath, content);
-      console.log(chalk.gray(`   ✓ ${output}`));
+      await this.fs.writeFile(outputPath, content);
+      this.log(chalk.gray(`   ✓ ${output}`));
     }
   }
 
   async generateDocumentation(projectPath, config) {
-    console.log(chalk.gray('📚 Generating documentation...'));
+    this.log(chalk.gray('📚 Generating documentation...'));
     
-    const docFiles = [
-      { template: 'project-docs/CLAUDE.md', output: 'CLAUDE.md' },
-      { template: 'project-docs/CLAUDE.md', output: `${config.active_dir}/CLAUDE.md` },
-      { template: 'project-docs/CLAUDE.md', output: `${config.scripts_dir}/CLAUDE.md` },
-      { template: 'project-docs/CLAUDE.md', output: 'domain/CLAUDE.md' },
-      { template: 'project-docs/CLAUDE.md', output: 'visual-input/CLAUDE.md' }
-    ];
+    const docFiles = (await this.registry.resolve(config.framework, config.project_type))
+      .filter(file => file.kind === 'docs');
 
-    // Generate main CLAUDE.md
-    const templatePath = path.join(this.templateDir, 'project-docs/CLAUDE.md');
-    let content = await fs.readFile(templatePath, 'utf8');
-    content = this.processTemplate(content, config);
-    
-    await fs.writeFile(path.join(projectPath, 'CLAUDE.md'), content);
-    console.log(chalk.gray(`   ✓ CLAUDE.md`));
+    // Generate main docs (CLAUDE.md) from the registry templates
+    for (const { path: templatePath, template, output } of docFiles) {
+      let content = await fs.readFile(templatePath, 'utf8');
+      content = this.processTemplate(content, config, { filename: template, strict: true });
+      
+      await this.fs.ensureDir(path.dirname(path.join(projectPath, output)));
+      await this.fs.writeFile(path.join(projectPath, output), content);
+      this.log(chalk.gray(`   ✓ ${output}`));
+    }
 
     // Generate simplified versions for subfolders
     const simplifiedContent = this.generateSimplifiedClaudeDoc(config);
@@ -261,20 +498,20 @@ class ProjectCreator {
     
     for (const folder of subfolders) {
       const filePath = path.join(projectPath, folder, 'CLAUDE.md');
-      await fs.writeFile(filePath, simplifiedContent.replace('{{FOLDER_NAME}}', folder));
-      console.log(chalk.gray(`   ✓ ${folder}/CLAUDE.md`));
+      await this.fs.writeFile(filePath, simplifiedContent.replace('{{FOLDER_NAME}}', folder));
+      this.log(chalk.gray(`   ✓ ${folder}/CLAUDE.md`));
     }
 
     // Generate README.md
     await this.generateReadme(projectPath, config);
-    console.log(chalk.gray(`   ✓ README.md`));
+    this.log(chalk.gray(`   ✓ README.md`));
   }
 
   async createLauncherScripts(projectPath, config) {
-    console.log(chalk.gray('🚀 Creating launcher scripts...'));
+    this.log(chalk.gray('🚀 Creating launcher scripts...'));
     
     const scriptsDir = path.join(projectPath, config.scripts_dir);
-    await fs.ensureDir(scriptsDir);
+    await this.fs.ensureDir(scriptsDir);
 
     if (config.is_windows) {
       await this.createWindowsScripts(scriptsDir, config);
@@ -294,8 +531,8 @@ class ProjectCreator {
 
     for (const [filename, content] of Object.entries(scripts)) {
       const filePath = path.join(scriptsDir, filename);
-      await fs.writeFile(filePath, content);
-      console.log(chalk.gray(`   ✓ ${config.scripts_dir}/${filename}`));
+      await this.fs.writeFile(filePath, content);
+      this.log(chalk.gray(`   ✓ ${config.scripts_dir}/${filename}`));
     }
   }
 
@@ -310,17 +547,17 @@ class ProjectCreator {
 
     for (const [filename, content] of Object.entries(scripts)) {
       const filePath = path.join(scriptsDir, filename);
-      await fs.writeFile(filePath, content);
-      await fs.chmod(filePath, '755'); // Make executable
-      console.log(chalk.gray(`   ✓ ${config.scripts_dir}/${filename}`));
+      await this.fs.writeFile(filePath, content);
+      await this.fs.chmod(filePath, '755'); // Make executable
+      this.log(chalk.gray(`   ✓ ${config.scripts_dir}/${filename}`));
     }
   }
 
   async initializeFramework(projectPath, config) {
-    console.log(chalk.gray(`🔧 Initializing ${config.framework} framework...`));
+    this.log(chalk.gray(`🔧 Initializing ${config.framework} framework...`));
     
     const frameworkDir = path.join(projectPath, config.active_dir);
-    await fs.ensureDir(frameworkDir);
+    await this.fs.ensureDir(frameworkDir);
 
     // Create basic framework files based on type
     switch (config.framework) {
@@ -336,6 +573,68 @@ class ProjectCreator {
     }
   }
 
+  async loadCommunityTemplate(name, config, variables = {}) {
+    const template = await this.templateStore.get(name);
+    const { manifest } = template;
+
+    if (!manifest.frameworks.includes(config.framework)) {
+      throw new Error(`Template ${manifest.name} supports ${manifest.frameworks.join(', ')}, not ${config.framework}`);
+    }
+    if (!await fs.pathExists(template.filesDir)) {
+      throw new Error(`Template ${manifest.name} has no files/ directory`);
+    }
+
+    config.template = { name: manifest.name, version: manifest.version };
+    config.template_variables = this.templateStore.resolveVariables(manifest, variables);
+    return template;
+  }
+
+  // Template files render into the framework directory; paths may contain placeholders too
+  async renderCommunityTemplate(projectPath, template, config) {
+    this.log(chalk.gray(`🧩 Rendering template ${template.manifest.name}@${template.manifest.version}...`));
+
+    const frameworkDir = path.join(projectPath, config.active_dir);
+    const { listFiles } = require('../src/mcp/utils/zip-writer');
+
+    for (const file of await listFiles(template.filesDir)) {
+      const content = await fs.readFile(file.path);
+      const output = this.processTemplate(file.relative, config);
+      const outputPath = path.resolve(frameworkDir, output);
+
+      // File names are rendered from variables, so they must not escape the framework directory
+      const relative = path.relative(frameworkDir, outputPath);
+      if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw new Error(`Template file ${file.relative} renders outside the project: ${output}`);
+      }
+
+      await this.fs.ensureDir(path.dirname(outputPath));
+      await this.fs.writeFile(outputPath, this.templateStore.isBinary(content) ?
+        content :
+        this.processTemplate(content.toString('utf8'), config, {
+          filename: file.relative,
+          strict: template.manifest.strict === true,
+          partialsDir: path.join(template.path, 'partials')
+        }));
+      this.log(chalk.gray(`   ✓ ${config.active_dir}/${output}`));
+    }
+  }
+
+  runTemplateHooks(projectPath, template, config) {
+    const { spawnSync } = require('child_process');
+    const cwd = path.join(projectPath, config.active_dir);
+
+    return template.manifest.hooks.post_create.map((command) => {
+      this.log(chalk.gray(`🪝 ${command}`));
+      const result = spawnSync(command, { cwd, shell: true, stdio: 'inherit', timeout: 600000 });
+      const success = !result.error && result.status === 0;
+
+      if (!success) {
+        this.log(chalk.yellow(`⚠️  Hook failed: ${command}`));
+      }
+      return { command, success, status: result.status };
+    });
+  }
+
   async initializeVueNuxt(frameworkDir, config) {
     // Create basic Nuxt files
     const files = {
@@ -345,54 +644,78 @@ class ProjectCreator {
     };
 
     for (const [filename, content] of Object.entries(files)) {
-      await fs.writeFile(path.join(frameworkDir, filename), content);
-      console.log(chalk.gray(`   ✓ ${config.active_dir}/${filename}`));
+      await this.fs.writeFile(path.join(frameworkDir, filename), content);
+      this.log(chalk.gray(`   ✓ ${config.active_dir}/${filename}`));
     }
 
     // Create directories
     const dirs = ['pages', 'components', 'composables', 'assets', 'public'];
     for (const dir of dirs) {
-      await fs.ensureDir(path.join(frameworkDir, dir));
-      console.log(chalk.gray(`   ✓ ${config.active_dir}/${dir}/`));
+      await this.fs.ensureDir(path.join(frameworkDir, dir));
+      this.log(chalk.gray(`   ✓ ${config.active_dir}/${dir}/`));
     }
   }
 
   async initializeReactNext(frameworkDir, config) {
-    // Similar implementation for React Next.js
+    const pages = this.getWebsiteTypePages(config);
     const files = {
       'package.json': this.generateNextPackageJson(config),
       'next.config.js': this.generateNextConfig(config),
+      'tsconfig.json': this.generateNextTsConfig(),
+      'next-env.d.ts': this.generateNextEnvTypes(),
+      'tailwind.config.ts': this.generateNextTailwindConfig(),
+      'postcss.config.js': this.generatePostcssConfig(config),
+      '.eslintrc.json': this.generateNextEslintConfig(),
+      '.gitignore': this.generateGitignore(config),
+      'app/globals.css': this.generateTailwindCss(),
       'app/layout.tsx': this.generateNextLayout(config),
-      'app/page.tsx': this.generateNextPage(config)
+      'components/PageSections.tsx': this.generateNextPageSections(),
+      'lib/site.ts': this.generateSiteModule(config, pages)
     };
 
-    await fs.ensureDir(path.join(frameworkDir, 'app'));
-    
-    for (const [filename, content] of Object.entries(files)) {
-      const filePath = path.join(frameworkDir, filename);
-      await fs.ensureDir(path.dirname(filePath));
-      await fs.writeFile(filePath, content);
-      console.log(chalk.gray(`   ✓ ${config.active_dir}/${filename}`));
+    // One route per starter page of the website type; the first is the home page
+    for (const page of pages) {
+      files[page.route ? `app/${page.route}/page.tsx` : 'app/page.tsx'] = this.generateNextPage(config, page);
     }
+
+    await this.writeFrameworkFiles(frameworkDir, files, config);
+    await this.fs.ensureDir(path.join(frameworkDir, 'public'));
   }
 
   async initializeSvelteKit(frameworkDir, config) {
-    // Similar implementation for SvelteKit
+    const pages = this.getWebsiteTypePages(config);
     const files = {
       'package.json': this.generateSvelteKitPackageJson(config),
       'vite.config.js': this.generateSvelteKitConfig(config),
+      'svelte.config.js': this.generateSvelteConfig(config),
+      'tsconfig.json': this.generateSvelteKitTsConfig(),
+      'tailwind.config.js': this.generateSvelteKitTailwindConfig(),
+      'postcss.config.js': this.generatePostcssConfig(config),
+      '.eslintrc.cjs': this.generateSvelteKitEslintConfig(),
+      '.gitignore': this.generateGitignore(config),
       'src/app.html': this.generateSvelteKitApp(config),
-      'src/routes/+layout.svelte': this.generateSvelteKitLayout(config),
-      'src/routes/+page.svelte': this.generateSvelteKitPage(config)
+      'src/app.d.ts': this.generateSvelteKitAppTypes(),
+      'src/app.css': this.generateTailwindCss(),
+      'src/lib/site.ts': this.generateSiteModule(config, pages),
+      'src/lib/components/PageSections.svelte': this.generateSvelteKitPageSections(),
+      'src/routes/+layout.ts': this.generateSvelteKitLayoutOptions(),
+      'src/routes/+layout.svelte': this.generateSvelteKitLayout(config)
     };
 
-    await fs.ensureDir(path.join(frameworkDir, 'src/routes'));
-    
+    for (const page of pages) {
+      files[page.route ? `src/routes/${page.route}/+page.svelte` : 'src/routes/+page.svelte'] = this.generateSvelteKitPage(config, page);
+    }
+
+    await this.writeFrameworkFiles(frameworkDir, files, config);
+    await this.fs.ensureDir(path.join(frameworkDir, 'static'));
+  }
+
+  async writeFrameworkFiles(frameworkDir, files, config) {
     for (const [filename, content] of Object.entries(files)) {
       const filePath = path.join(frameworkDir, filename);
-      await fs.ensureDir(path.dirname(filePath));
-      await fs.writeFile(filePath, content);
-      console.log(chalk.gray(`   ✓ ${config.active_dir}/${filename}`));
+      await this.fs.ensureDir(path.dirname(filePath));
+      await this.fs.writeFile(filePath, content);
+      this.log(chalk.gray(`   ✓ ${config.active_dir}/${filename}`));
     }
   }
 
@@ -428,80 +751,36 @@ class ProjectCreator {
       }
     };
 
-    await fs.writeFile(
+    await this.fs.writeFile(
       path.join(projectPath, 'package.json'),
       JSON.stringify(packageJson, null, 2)
     );
-    console.log(chalk.gray(`   ✓ package.json`));
+    this.log(chalk.gray(`   ✓ package.json`));
   }
 
   // Template processing
-  processTemplate(content, config) {
-    // Replace all template variables
-    let processed = content;
-    
-    // Handle conditional blocks
-    processed = this.processConditionals(processed, config);
-    
-    // Replace simple variables
-    const variables = {
-      'PROJECT_NAME': config.project_name,
-      'SAFE_PROJECT_NAME': config.safe_project_name,
-      'PROJECT_TYPE': config.project_type,
-      'OS_TYPE': config.os_type,
-      'FRAMEWORK': config.framework,
-      'META_FRAMEWORK': config.meta_framework,
-      'FRAMEWORK_FEATURES': config.framework_features,
-      'ACTIVE_DIR': config.active_dir,
-      'SCRIPTS_DIR': config.scripts_dir,
-      'MAIN_FILE': config.main_file,
-      'CONFIG_FILE': config.config_file,
-      'LAUNCH_COMMAND': config.launch_command,
-      'CLEANUP_COMMAND': config.cleanup_command,
-      'DEFAULT_PORT': config.default_port.toString(),
-      'MCP_PORT': config.mcp_port.toString(),
-      'API_PORT': config.api_port.toString(),
-      'WS_PORT': config.ws_port.toString(),
-      'MAK3R_VERSION': config.mak3r_version,
-      'CREATED_DATE': config.created_date,
-      'ALLOWED_COMMANDS_PATTERN': config.allowed_commands_pattern,
-      'BLOCKED_COMMANDS_PATTERN': config.blocked_commands_pattern,
-      'CONFIG_CHECKSUM': config.config_checksum,
-      'CSS_FRAMEWORK': config.css_framework,
-      'STATE_MANAGEMENT': config.state_management,
-      'DEPLOYMENT_TARGET': config.deployment_target,
-      'LINTING_SETUP': config.linting_setup,
-      'BUILD_OUTPUT': config.build_output,
-      'SOURCE_DIR': config.source_dir,
-      'ASSETS_DIR': config.assets_dir,
-      'PUBLIC_DIR': config.public_dir
-    };
+  // Built-in templates render strict so a missing variable fails creation instead of emitting ""
+  processTemplate(content, config, options = {}) {
+    const engine = options.partialsDir ?
+      new TemplateEngine({ partialsDir: options.partialsDir }) :
+      this.templateEngine;
 
-    for (const [key, value] of Object.entries(variables)) {
-      const regex = new RegExp(`{{${key}}}`, 'g');
-      processed = processed.replace(regex, value || '');
-    }
-
-    return processed;
+    return engine.render(content, this.getTemplateContext(config), options);
   }
 
-  processConditionals(content, config) {
-    // Handle {{#if_windows}} blocks
-    if (config.is_windows) {
-      content = content.replace(/{{#if_windows}}([\s\S]*?){{\/if_windows}}/g, '$1');
-      content = content.replace(/{{#if_unix}}[\s\S]*?{{\/if_unix}}/g, '');
-    } else {
-      content = content.replace(/{{#if_windows}}[\s\S]*?{{\/if_windows}}/g, '');
-      content = content.replace(/{{#if_unix}}([\s\S]*?){{\/if_unix}}/g, '$1');
+  // Every project config key is available upper-cased ({{ACTIVE_DIR}}, {{#if IS_WINDOWS}})
+  getTemplateContext(config) {
+    const context = {};
+    for (const [key, value] of Object.entries(config)) {
+      context[key.toUpperCase()] = value;
     }
 
-    // Handle other conditionals
-    content = content.replace(/{{#if_batch_ops}}([\s\S]*?){{\/if_batch_ops}}/g, 
-      config.is_windows ? '$1' : '');
-    content = content.replace(/{{#if_scripts}}([\s\S]*?){{\/if_scripts}}/g, 
-      !config.is_windows ? '$1' : '');
-
-    return content;
+    return {
+      ...context,
+      IS_BATCH_OPS: config.is_windows,
+      IS_SCRIPTS: !config.is_windows,
+      ...config.template_variables
+    };
   }
 
   generateChecksum(input) {
@@ -996,7 +1275,7 @@ This is the **{{FOLDER_NAME}}** directory for ${config.project_name}, managed by
 
 ### OS Configuration: ${config.os_type}
 - Use ${config.is_windows ? 'Windows' : 'Unix/Linux'} commands only
-- Launcher: \`${config.launch_command}\`
+- Launcher: \`${config.launch_command}\` (fallback: \`${config.script_launch_command}\`)
 - Cleanup: \`${config.cleanup_command}\`
 
 ### Quick Reference
@@ -1078,9 +1357,9 @@ MAK3R-HUB mcp status               # Check service status
 MAK3R-HUB deploy                   # Deploy to production
 \`\`\`
 
-### ${config.is_windows ? 'Windows' : 'Unix/Linux'} Scripts
+### ${config.is_windows ? 'Windows' : 'Unix/Linux'} Scripts (fallback)
 \`\`\`bash
-${config.launch_command}           # Launch development server
+${config.script_launch_command}           # Launch development server
 ${config.cleanup_command}          # Clean up processes
 \`\`\`
 
@@ -1108,22 +1387,398 @@ ${config.cleanup_command}          # Clean up processes
 **Created with ❤️ by MAK3R-HUB v${config.mak3r_version}**  
 *Generated on ${new Date(config.created_date).toLocaleDateString()}*`;
 
-    await fs.writeFile(path.join(projectPath, 'README.md'), readme);
+    await this.fs.writeFile(path.join(projectPath, 'README.md'), readme);
+  }
+
+  // Shared starter content per website type; each framework renders the same pages
+  getWebsiteTypePages(config) {
+    const name = config.project_name;
+    const pages = {
+      'landing-page': [
+        {
+          route: '',
+          label: 'Home',
+          title: 'Home',
+          heading: `Launch faster with ${name}`,
+          intro: 'A focused landing page that explains the offer, answers objections and turns visitors into customers.',
+          cards: [
+            { title: 'Clear value', text: 'Lead with the outcome your customers care about in one sentence.' },
+            { title: 'Social proof', text: 'Add testimonials, logos and numbers that back up the promise.' },
+            { title: 'One next step', text: 'Every section points to a single call to action.' }
+          ],
+          cta: { label: 'Get started', href: '/contact/' }
+        },
+        {
+          route: 'pricing',
+          label: 'Pricing',
+          title: 'Pricing',
+          heading: 'Simple, transparent pricing',
+          intro: 'Pick the plan that fits today and upgrade when you grow.',
+          cards: [
+            { title: 'Starter — $0', text: 'Everything you need to try it out.' },
+            { title: 'Growth — $29/mo', text: 'For teams that are ready to scale.' },
+            { title: 'Scale — Custom', text: 'Volume pricing, SSO and a dedicated contact.' }
+          ],
+          cta: { label: 'Talk to us', href: '/contact/' }
+        },
+        {
+          route: 'contact',
+          label: 'Contact',
+          title: 'Contact',
+          heading: 'Get in touch',
+          intro: 'Questions about the product or pricing? We reply within one business day.',
+          cards: [
+            { title: 'Email', text: 'hello@example.com' },
+            { title: 'Book a call', text: 'Pick a 20 minute slot that suits you.' },
+            { title: 'Support', text: 'Existing customers can reach support from the dashboard.' }
+          ]
+        }
+      ],
+      'ecommerce': [
+        {
+          route: '',
+          label: 'Home',
+          title: 'Home',
+          heading: `Shop ${name}`,
+          intro: 'New arrivals, best sellers and limited editions, shipped fast.',
+          cards: [
+            { title: 'New arrivals', text: 'Fresh products added every week.' },
+            { title: 'Best sellers', text: 'The pieces our customers come back for.' },
+            { title: 'Free shipping', text: 'On every order over $50.' }
+          ],
+          cta: { label: 'Browse products', href: '/products/' }
+        },
+        {
+          route: 'products',
+          label: 'Products',
+          title: 'Products',
+          heading: 'All products',
+          intro: 'Filter by category, price or availability.',
+          cards: [
+            { title: 'Classic Tee — $25', text: 'Organic cotton, relaxed fit.' },
+            { title: 'Canvas Tote — $18', text: 'Heavyweight canvas with an inner pocket.' },
+            { title: 'Ceramic Mug — $14', text: 'Dishwasher safe, 350ml.' }
+          ],
+          cta: { label: 'View cart', href: '/cart/' }
+        },
+        {
+          route: 'cart',
+          label: 'Cart',
+          title: 'Cart',
+          heading: 'Your cart',
+          intro: 'Review your items before checking out.',
+          cards: [
+            { title: 'Items', text: 'Your cart is empty. Add something you love.' },
+            { title: 'Shipping', text: 'Calculated at checkout.' },
+            { title: 'Returns', text: 'Free returns within 30 days.' }
+          ],
+          cta: { label: 'Checkout', href: '/checkout/' }
+        },
+        {
+          route: 'checkout',
+          label: 'Checkout',
+          title: 'Checkout',
+          heading: 'Checkout',
+          intro: 'Secure checkout in three steps.',
+          cards: [
+            { title: '1. Shipping', text: 'Where should we send your order?' },
+            { title: '2. Payment', text: 'Card and wallet payments are processed securely.' },
+            { title: '3. Review', text: 'Confirm your order and get a receipt by email.' }
+          ]
+        }
+      ],
+      'portfolio': [
+        {
+          route: '',
+          label: 'Home',
+          title: 'Home',
+          heading: `Hi, this is ${name}`,
+          intro: 'Design and development for products people enjoy using.',
+          cards: [
+            { title: 'Brand refresh', text: 'A new identity and website for a growing studio.' },
+            { title: 'Mobile banking', text: 'Onboarding flow that doubled completion rates.' },
+            { title: 'Design system', text: 'Components shared across five product teams.' }
+          ],
+          cta: { label: 'See all projects', href: '/projects/' }
+        },
+        {
+          route: 'projects',
+          label: 'Projects',
+          title: 'Projects',
+          heading: 'Selected work',
+          intro: 'Case studies covering the problem, the process and the result.',
+          cards: [
+            { title: 'Brand refresh', text: 'Strategy, identity and a marketing site in six weeks.' },
+            { title: 'Mobile banking', text: 'Research-led redesign of account opening.' },
+            { title: 'Design system', text: 'Tokens, components and documentation.' }
+          ]
+        },
+        {
+          route: 'about',
+          label: 'About',
+          title: 'About',
+          heading: 'About me',
+          intro: 'Ten years of turning fuzzy ideas into shipped products.',
+          cards: [
+            { title: 'Experience', text: 'Agencies, start-ups and in-house product teams.' },
+            { title: 'Skills', text: 'Product design, front-end development and prototyping.' },
+            { title: 'Recognition', text: 'Talks, awards and writing.' }
+          ],
+          cta: { label: 'Work with me', href: '/contact/' }
+        },
+        {
+          route: 'contact',
+          label: 'Contact',
+          title: 'Contact',
+          heading: "Let's work together",
+          intro: 'Tell me about your project and timeline.',
+          cards: [
+            { title: 'Email', text: 'hello@example.com' },
+            { title: 'Availability', text: 'Booking projects from next month.' },
+            { title: 'Elsewhere', text: 'Dribbble, GitHub and LinkedIn.' }
+          ]
+        }
+      ],
+      'blog': [
+        {
+          route: '',
+          label: 'Home',
+          title: 'Home',
+          heading: name,
+          intro: 'Notes, guides and stories, published every week.',
+          cards: [
+            { title: 'Hello, world', text: 'Why this blog exists and what to expect.' },
+            { title: 'Writing workflow', text: 'From draft to published in under an hour.' },
+            { title: 'Reading list', text: 'Books and articles worth your time.' }
+          ],
+          cta: { label: 'Read the first post', href: '/posts/hello-world/' }
+        },
+        {
+          route: 'posts',
+          label: 'Posts',
+          title: 'Posts',
+          heading: 'All posts',
+          intro: 'Everything published so far, newest first.',
+          cards: [
+            { title: 'Hello, world', text: 'Why this blog exists and what to expect.' },
+            { title: 'Writing workflow', text: 'From draft to published in under an hour.' },
+            { title: 'Reading list', text: 'Books and articles worth your time.' }
+          ]
+        },
+        {
+          route: 'posts/hello-world',
+          label: 'Hello, world',
+          nav: false,
+          title: 'Hello, world',
+          heading: 'Hello, world',
+          intro: 'The first post on the blog: what it is about and how often it will be updated.',
+          cards: [
+            { title: 'Why', text: 'Writing in public keeps ideas sharp.' },
+            { title: 'What', text: 'Practical guides and lessons learned.' },
+            { title: 'When', text: 'A new post every week.' }
+          ],
+          cta: { label: 'Back to all posts', href: '/posts/' }
+        },
+        {
+          route: 'about',
+          label: 'About',
+          title: 'About',
+          heading: 'About this blog',
+          intro: 'Who writes it and how to get new posts by email.',
+          cards: [
+            { title: 'The author', text: 'A short bio and a photo.' },
+            { title: 'Newsletter', text: 'One email per post, no spam.' },
+            { title: 'Contact', text: 'hello@example.com' }
+          ]
+        }
+      ],
+      'saas': [
+        {
+          route: '',
+          label: 'Home',
+          title: 'Home',
+          heading: `${name} does the busywork for you`,
+          intro: 'Automate the repetitive parts of your day and focus on the work that matters.',
+          cards: [
+            { title: 'Automations', text: 'Trigger workflows from the tools you already use.' },
+            { title: 'Insights', text: 'Dashboards that show where time goes.' },
+            { title: 'Integrations', text: 'Connect Slack, GitHub, Stripe and more.' }
+          ],
+          cta: { label: 'Start free trial', href: '/signup/' }
+        },
+        {
+          route: 'pricing',
+          label: 'Pricing',
+          title: 'Pricing',
+          heading: 'Plans for every team',
+          intro: 'Start free for 14 days. No credit card required.',
+          cards: [
+            { title: 'Free', text: 'Up to 3 users and 100 runs per month.' },
+            { title: 'Team — $49/mo', text: 'Unlimited runs and priority support.' },
+            { title: 'Enterprise', text: 'SSO, audit logs and custom contracts.' }
+          ],
+          cta: { label: 'Start free trial', href: '/signup/' }
+        },
+        {
+          route: 'login',
+          label: 'Log in',
+          title: 'Log in',
+          heading: 'Welcome back',
+          intro: 'Log in to your workspace.',
+          cards: [
+            { title: 'Email and password', text: 'Use the address you signed up with.' },
+            { title: 'Single sign-on', text: 'Available on the Enterprise plan.' },
+            { title: 'Forgot password?', text: 'We will email you a reset link.' }
+          ],
+          cta: { label: 'Create an account', href: '/signup/' }
+        },
+        {
+          route: 'signup',
+          label: 'Sign up',
+          nav: false,
+          title: 'Sign up',
+          heading: 'Create your workspace',
+          intro: 'Set up takes less than two minutes.',
+          cards: [
+            { title: '1. Account', text: 'Your name, email and a password.' },
+            { title: '2. Workspace', text: 'Name your team and invite colleagues.' },
+            { title: '3. First automation', text: 'Start from a template or build your own.' }
+          ],
+          cta: { label: 'Go to dashboard', href: '/dashboard/' }
+        },
+        {
+          route: 'dashboard',
+          label: 'Dashboard',
+          title: 'Dashboard',
+          heading: 'Dashboard',
+          intro: 'Your workspace at a glance.',
+          cards: [
+            { title: 'Runs this month', text: '1,284' },
+            { title: 'Time saved', text: '42 hours' },
+            { title: 'Active automations', text: '12' }
+          ]
+        }
+      ]
+    };
+
+    return pages[config.project_type] || pages['landing-page'];
+  }
+
+  getSiteNavigation(pages) {
+    return pages
+      .filter(page => page.nav !== false)
+      .map(page => ({ label: page.label, href: page.route ? `/${page.route}/` : '/' }));
+  }
+
+  getPageContent(page) {
+    const content = {
+      title: page.title,
+      heading: page.heading,
+      intro: page.intro,
+      cards: page.cards
+    };
+    if (page.cta) {
+      content.cta = page.cta;
+    }
+    return content;
+  }
+
+  getPageComponentName(route) {
+    const words = route ? route.split(/[\/-]/) : ['home'];
+    return `${words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('')}Page`;
   }
 
-  // Additional framework generators would go here...
+  // Formats data as a TypeScript/JavaScript literal (unquoted keys, single-quoted strings)
+  toCodeLiteral(value, indent = 0) {
+    const pad = '  '.repeat(indent);
+    const inner = '  '.repeat(indent + 1);
+
+    if (Array.isArray(value)) {
+      if (value.length === 0) return '[]';
+      return `[\n${value.map(item => `${inner}${this.toCodeLiteral(item, indent + 1)}`).join(',\n')}\n${pad}]`;
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.entries(value).map(([key, item]) => {
+        const safeKey = /^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`;
+        return `${inner}${safeKey}: ${this.toCodeLiteral(item, indent + 1)}`;
+      });
+      return `{\n${entries.join(',\n')}\n${pad}}`;
+    }
+    if (typeof value === 'string') {
+      return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+    }
+    return String(value);
+  }
+
+  generateSiteModule(config, pages) {
+    return `// ${config.project_name} - MAK3R-HUB Generated site data
+// Framework: ${config.framework}
+
+export type PageCard = {
+  title: string;
+  text: string;
+};
+
+export type PageContent = {
+  title: string;
+  heading: string;
+  intro: string;
+  cards: PageCard[];
+  cta?: {
+    label: string;
+    href: string;
+  };
+};
+
+export type NavigationItem = {
+  label: string;
+  href: string;
+};
+
+export const siteConfig = ${this.toCodeLiteral({
+    name: config.project_name,
+    description: `${config.project_name} - Created with MAK3R-HUB v${config.mak3r_version}`,
+    type: config.project_type
+  })};
+
+export const navigation: NavigationItem[] = ${this.toCodeLiteral(this.getSiteNavigation(pages))};
+`;
+  }
+
+  generateGitignore(config) {
+    const frameworkEntries = {
+      'react-next': ['.next/', 'out/', 'next-env.d.ts'],
+      'svelte-kit': ['.svelte-kit/', 'build/']
+    };
+
+    return [
+      'node_modules/',
+      ...(frameworkEntries[config.framework] || []),
+      '.env',
+      '.env.*',
+      '!.env.example',
+      '.DS_Store',
+      '*.log',
+      ''
+    ].join('\n');
+  }
+
+  // Next.js generators
   generateNextPackageJson(config) {
     return JSON.stringify({
       name: config.safe_project_name,
       version: "1.0.0",
+      private: true,
+      description: `${config.project_name} - Created with MAK3R-HUB v${config.mak3r_version}`,
       scripts: {
         dev: "next dev",
-        build: "next build", 
-        start: "next start",
-        lint: "next lint"
+        build: "next build",
+        start: "npx serve@latest out",
+        lint: "next lint",
+        typecheck: "tsc --noEmit"
       },
       dependencies: {
-        "next": "14.0.0",
+        "next": "^14.0.0",
         "react": "^18",
         "react-dom": "^18"
       },
@@ -1131,12 +1786,478 @@ ${config.cleanup_command}          # Clean up processes
         "@types/node": "^20",
         "@types/react": "^18",
         "@types/react-dom": "^18",
+        "autoprefixer": "^10.4.0",
+        "eslint": "^8",
+        "eslint-config-next": "^14.0.0",
+        "postcss": "^8.4.0",
+        "tailwindcss": "^3.4.0",
         "typescript": "^5"
+      },
+      mak3r: {
+        version: config.mak3r_version,
+        framework: config.framework,
+        created: config.created_date
       }
     }, null, 2);
   }
 
-  // More framework generators...
+  generateNextConfig(config) {
+    return `// MAK3R-HUB Generated Next.js Configuration
+// Project: ${config.project_name}
+// Framework: ${config.framework}
+
+/** @type {import('next').NextConfig} */
+const nextConfig = {
+  // Static export into ${config.build_output}/ so any host (and MAK3R-HUB deploy) can serve it
+  output: 'export',
+  trailingSlash: true,
+  images: {
+    unoptimized: true
+  }
+};
+
+module.exports = nextConfig;
+`;
+  }
+
+  generateNextTsConfig() {
+    return JSON.stringify({
+      compilerOptions: {
+        target: "ES2017",
+        lib: ["dom", "dom.iterable", "esnext"],
+        allowJs: true,
+        skipLibCheck: true,
+        strict: true,
+        noEmit: true,
+        esModuleInterop: true,
+        module: "esnext",
+        moduleResolution: "bundler",
+        resolveJsonModule: true,
+        isolatedModules: true,
+        jsx: "preserve",
+        incremental: true,
+        plugins: [{ name: "next" }],
+        paths: {
+          "@/*": ["./*"]
+        }
+      },
+      include: ["next-env.d.ts", "**/*.ts", "**/*.tsx", ".next/types/**/*.ts"],
+      exclude: ["node_modules"]
+    }, null, 2);
+  }
+
+  generateNextEnvTypes() {
+    return `/// <reference types="next" />
+/// <reference types="next/image-types/global" />
+
+// NOTE: This file should not be edited
+// see https://nextjs.org/docs/basic-features/typescript for more information.
+`;
+  }
+
+  generateNextTailwindConfig() {
+    return `import type { Config } from 'tailwindcss';
+
+const config: Config = {
+  content: ['./app/**/*.{ts,tsx}', './components/**/*.{ts,tsx}'],
+  theme: {
+    extend: {}
+  },
+  plugins: []
+};
+
+export default config;
+`;
+  }
+
+  generatePostcssConfig(config) {
+    const exportStatement = config.framework === 'svelte-kit' ? 'export default' : 'module.exports =';
+    return `${exportStatement} {
+  plugins: {
+    tailwindcss: {},
+    autoprefixer: {}
+  }
+};
+`;
+  }
+
+  generateTailwindCss() {
+    return `@tailwind base;
+@tailwind components;
+@tailwind utilities;
+`;
+  }
+
+  generateNextEslintConfig() {
+    return JSON.stringify({
+      extends: "next/core-web-vitals"
+    }, null, 2);
+  }
+
+  generateNextLayout(config) {
+    return `// ${config.project_name} - MAK3R-HUB Generated Layout
+// Framework: ${config.framework}
+// Created: ${config.created_date}
+
+import type { Metadata } from 'next';
+import Link from 'next/link';
+import './globals.css';
+import { navigation, siteConfig } from '@/lib/site';
+
+export const metadata: Metadata = {
+  title: {
+    default: siteConfig.name,
+    template: \`%s | \${siteConfig.name}\`
+  },
+  description: siteConfig.description
+};
+
+export default function RootLayout({ children }: Readonly<{ children: React.ReactNode }>) {
+  return (
+    <html lang="en">
+      <body className="min-h-screen bg-gray-50 text-gray-900 antialiased">
+        <header className="bg-white shadow-sm">
+          <nav className="mx-auto flex max-w-7xl items-center justify-between px-4 py-6 sm:px-6 lg:px-8">
+            <Link href="/" className="text-2xl font-bold">
+              {siteConfig.name}
+            </Link>
+            <ul className="flex items-center space-x-6">
+              {navigation.map((item) => (
+                <li key={item.href}>
+                  <Link href={item.href} className="text-gray-600 hover:text-gray-900">
+                    {item.label}
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </nav>
+        </header>
+
+        <main className="mx-auto max-w-7xl px-4 py-12 sm:px-6 lg:px-8">{children}</main>
+
+        <footer className="mt-16 border-t bg-white">
+          <p className="mx-auto max-w-7xl px-4 py-8 text-center text-sm text-gray-500 sm:px-6 lg:px-8">
+            Created with MAK3R-HUB v${config.mak3r_version}
+          </p>
+        </footer>
+      </body>
+    </html>
+  );
+}
+`;
+  }
+
+  generateNextPageSections() {
+    return `import Link from 'next/link';
+import type { PageContent } from '@/lib/site';
+
+export default function PageSections({ content }: { content: PageContent }) {
+  return (
+    <section>
+      <h1 className="text-4xl font-bold tracking-tight sm:text-5xl">{content.heading}</h1>
+      <p className="mt-6 max-w-3xl text-xl text-gray-600">{content.intro}</p>
+
+      <div className="mt-10 grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-3">
+        {content.cards.map((card) => (
+          <article key={card.title} className="rounded-lg bg-white p-6 shadow">
+            <h2 className="text-lg font-semibold">{card.title}</h2>
+            <p className="mt-2 text-gray-600">{card.text}</p>
+          </article>
+        ))}
+      </div>
+
+      {content.cta && (
+        <Link
+          href={content.cta.href}
+          className="mt-10 inline-block rounded-md bg-blue-600 px-6 py-3 font-medium text-white hover:bg-blue-700"
+        >
+          {content.cta.label}
+        </Link>
+      )}
+    </section>
+  );
+}
+`;
+  }
+
+  generateNextPage(config, page = this.getWebsiteTypePages(config)[0]) {
+    return `import type { Metadata } from 'next';
+import PageSections from '@/components/PageSections';
+import type { PageContent } from '@/lib/site';
+
+const content: PageContent = ${this.toCodeLiteral(this.getPageContent(page))};
+
+export const metadata: Metadata = {
+  title: content.title,
+  description: content.intro
+};
+
+export default function ${this.getPageComponentName(page.route)}() {
+  return <PageSections content={content} />;
+}
+`;
+  }
+
+  // SvelteKit generators
+  generateSvelteKitPackageJson(config) {
+    return JSON.stringify({
+      name: config.safe_project_name,
+      version: "1.0.0",
+      private: true,
+      type: "module",
+      description: `${config.project_name} - Created with MAK3R-HUB v${config.mak3r_version}`,
+      scripts: {
+        dev: "vite dev",
+        build: "vite build",
+        start: "vite preview",
+        preview: "vite preview",
+        check: "svelte-kit sync && svelte-check --tsconfig ./tsconfig.json",
+        lint: "eslint ."
+      },
+      devDependencies: {
+        "@sveltejs/adapter-static": "^3.0.0",
+        "@sveltejs/kit": "^2.0.0",
+        "@sveltejs/vite-plugin-svelte": "^3.0.0",
+        "@typescript-eslint/eslint-plugin": "^6.0.0",
+        "@typescript-eslint/parser": "^6.0.0",
+        "autoprefixer": "^10.4.0",
+        "eslint": "^8.56.0",
+        "eslint-plugin-svelte": "^2.35.0",
+        "postcss": "^8.4.0",
+        "svelte": "^4.2.0",
+        "svelte-check": "^3.6.0",
+        "tailwindcss": "^3.4.0",
+        "tslib": "^2.6.0",
+        "typescript": "^5.0.0",
+        "vite": "^5.0.0"
+      },
+      mak3r: {
+        version: config.mak3r_version,
+        framework: config.framework,
+        created: config.created_date
+      }
+    }, null, 2);
+  }
+
+  generateSvelteKitConfig(config) {
+    return `// MAK3R-HUB Generated Vite Configuration
+// Project: ${config.project_name}
+// Framework: ${config.framework}
+
+import { sveltekit } from '@sveltejs/kit/vite';
+import { defineConfig } from 'vite';
+
+export default defineConfig({
+  plugins: [sveltekit()],
+  server: {
+    port: ${config.default_port}
+  }
+});
+`;
+  }
+
+  generateSvelteConfig(config) {
+    return `import adapter from '@sveltejs/adapter-static';
+import { vitePreprocess } from '@sveltejs/vite-plugin-svelte';
+
+/** @type {import('@sveltejs/kit').Config} */
+const config = {
+  preprocess: vitePreprocess(),
+  kit: {
+    // Prerender every page into ${config.build_output}/ for static hosting
+    adapter: adapter({
+      pages: '${config.build_output}',
+      assets: '${config.build_output}',
+      strict: true
+    })
+  }
+};
+
+export default config;
+`;
+  }
+
+  generateSvelteKitTsConfig() {
+    return JSON.stringify({
+      extends: "./.svelte-kit/tsconfig.json",
+      compilerOptions: {
+        allowJs: true,
+        checkJs: true,
+        esModuleInterop: true,
+        forceConsistentCasingInFileNames: true,
+        resolveJsonModule: true,
+        skipLibCheck: true,
+        sourceMap: true,
+        strict: true,
+        moduleResolution: "bundler"
+      }
+    }, null, 2);
+  }
+
+  generateSvelteKitTailwindConfig() {
+    return `/** @type {import('tailwindcss').Config} */
+export default {
+  content: ['./src/**/*.{html,js,svelte,ts}'],
+  theme: {
+    extend: {}
+  },
+  plugins: []
+};
+`;
+  }
+
+  generateSvelteKitEslintConfig() {
+    return `module.exports = {
+  root: true,
+  extends: ['eslint:recommended', 'plugin:@typescript-eslint/recommended', 'plugin:svelte/recommended'],
+  parser: '@typescript-eslint/parser',
+  plugins: ['@typescript-eslint'],
+  parserOptions: {
+    sourceType: 'module',
+    ecmaVersion: 2020,
+    extraFileExtensions: ['.svelte']
+  },
+  env: {
+    browser: true,
+    es2017: true,
+    node: true
+  },
+  overrides: [
+    {
+      files: ['*.svelte'],
+      parser: 'svelte-eslint-parser',
+      parserOptions: {
+        parser: '@typescript-eslint/parser'
+      }
+    }
+  ],
+  ignorePatterns: ['build/', '.svelte-kit/', 'node_modules/']
+};
+`;
+  }
+
+  generateSvelteKitApp(config) {
+    return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <meta name="generator" content="MAK3R-HUB v${config.mak3r_version}" />
+    %sveltekit.head%
+  </head>
+  <body data-sveltekit-preload-data="hover">
+    <div style="display: contents">%sveltekit.body%</div>
+  </body>
+</html>
+`;
+  }
+
+  generateSvelteKitAppTypes() {
+    return `// See https://kit.svelte.dev/docs/types#app
+// for information about these interfaces
+declare global {
+  namespace App {
+    // interface Error {}
+    // interface Locals {}
+    // interface PageData {}
+    // interface PageState {}
+    // interface Platform {}
+  }
+}
+
+export {};
+`;
+  }
+
+  generateSvelteKitLayoutOptions() {
+    return `// Every page is prerendered for the static adapter
+export const prerender = true;
+export const trailingSlash = 'always';
+`;
+  }
+
+  generateSvelteKitLayout(config) {
+    return `<!-- ${config.project_name} - MAK3R-HUB Generated Layout -->
+<script lang="ts">
+  import '../app.css';
+  import { navigation, siteConfig } from '$lib/site';
+</script>
+
+<div class="min-h-screen bg-gray-50 text-gray-900 antialiased">
+  <header class="bg-white shadow-sm">
+    <nav class="mx-auto flex max-w-7xl items-center justify-between px-4 py-6 sm:px-6 lg:px-8">
+      <a href="/" class="text-2xl font-bold">{siteConfig.name}</a>
+      <ul class="flex items-center space-x-6">
+        {#each navigation as item (item.href)}
+          <li>
+            <a href={item.href} class="text-gray-600 hover:text-gray-900">{item.label}</a>
+          </li>
+        {/each}
+      </ul>
+    </nav>
+  </header>
+
+  <main class="mx-auto max-w-7xl px-4 py-12 sm:px-6 lg:px-8">
+    <slot />
+  </main>
+
+  <footer class="mt-16 border-t bg-white">
+    <p class="mx-auto max-w-7xl px-4 py-8 text-center text-sm text-gray-500 sm:px-6 lg:px-8">
+      Created with MAK3R-HUB v${config.mak3r_version}
+    </p>
+  </footer>
+</div>
+`;
+  }
+
+  generateSvelteKitPageSections() {
+    return `<script lang="ts">
+  import type { PageContent } from '$lib/site';
+
+  export let content: PageContent;
+</script>
+
+<section>
+  <h1 class="text-4xl font-bold tracking-tight sm:text-5xl">{content.heading}</h1>
+  <p class="mt-6 max-w-3xl text-xl text-gray-600">{content.intro}</p>
+
+  <div class="mt-10 grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-3">
+    {#each content.cards as card (card.title)}
+      <article class="rounded-lg bg-white p-6 shadow">
+        <h2 class="text-lg font-semibold">{card.title}</h2>
+        <p class="mt-2 text-gray-600">{card.text}</p>
+      </article>
+    {/each}
+  </div>
+
+  {#if content.cta}
+    <a
+      href={content.cta.href}
+      class="mt-10 inline-block rounded-md bg-blue-600 px-6 py-3 font-medium text-white hover:bg-blue-700"
+    >
+      {content.cta.label}
+    </a>
+  {/if}
+</section>
+`;
+  }
+
+  generateSvelteKitPage(config, page = this.getWebsiteTypePages(config)[0]) {
+    return `<script lang="ts">
+  import PageSections from '$lib/components/PageSections.svelte';
+  import { siteConfig, type PageContent } from '$lib/site';
+
+  const content: PageContent = ${this.toCodeLiteral(this.getPageContent(page), 1)};
+</script>
+
+<svelte:head>
+  <title>{content.title} | {siteConfig.name}</title>
+  <meta name="description" content={content.intro} />
+</svelte:head>
+
+<PageSections {content} />
+`;
+  }
 }
 
 module.exports = ProjectCreator;
\ No newline at end of file
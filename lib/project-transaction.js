@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+const SIGNALS = ['SIGINT', 'SIGTERM'];
+
+// Builds a project in a sibling staging directory and moves it into place only on commit.
+// Modes: 'create' (target must be missing or empty), 'force' (replace), 'merge' (add missing files)
+class ProjectTransaction {
+  constructor(targetPath, options = {}) {
+    this.targetPath = path.resolve(targetPath);
+    this.mode = options.mode || 'create';
+    this.stagingPath = null;
+    this.backupPath = null;
+    this.onSignal = null;
+  }
+
+  async begin() {
+    await this.checkTarget();
+
+    const parent = path.dirname(this.targetPath);
+    await fs.ensureDir(parent);
+    // Same parent directory so the final rename never crosses filesystems
+    this.stagingPath = await fs.mkdtemp(path.join(parent, `.${path.basename(this.targetPath)}.mak3r-staging-`));
+
+    this.onSignal = (signal) => {
+      this.cleanupSync();
+      process.exit(signal === 'SIGINT' ? 130 : 143);
+    };
+    SIGNALS.forEach(signal => process.on(signal, this.onSignal));
+
+    return this.stagingPath;
+  }
+
+  async checkTarget() {
+    if (!await fs.pathExists(this.targetPath)) {
+      return;
+    }
+
+    const stat = await fs.stat(this.targetPath);
+    if (!stat.isDirectory()) {
+      throw new Error(`Target exists and is not a directory: ${this.targetPath}`);
+    }
+
+    const entries = await fs.readdir(this.targetPath);
+    if (entries.length > 0 && this.mode === 'create') {
+      throw new Error(`Target directory is not empty: ${this.targetPath} (use --force to replace it or --merge to add missing files)`);
+    }
+  }
+
+  async commit() {
+    try {
+      // mkdtemp creates 0700; the project root gets the usual umask-based mode before it is moved into place
+      await fs.chmod(this.stagingPath, 0o777 & ~process.umask());
+
+      const targetExists = await fs.pathExists(this.targetPath);
+      const targetEmpty = targetExists && (await fs.readdir(this.targetPath)).length === 0;
+
+      if (!targetExists || targetEmpty) {
+        if (targetEmpty) {
+          await fs.rmdir(this.targetPath);
+        }
+        await fs.rename(this.stagingPath, this.targetPath);
+        this.stagingPath = null;
+        return { mode: 'create' };
+      }
+
+      if (this.mode === 'force') {
+        return await this.replaceTarget();
+      }
+
+      return await this.mergeIntoTarget();
+    } finally {
+      this.finish();
+    }
+  }
+
+  async rollback() {
+    this.finish();
+    await this.cleanup();
+  }
+
+  // Old tree is parked as a backup until the new one is in place, then dropped
+  async replaceTarget() {
+    this.backupPath = `${this.stagingPath.replace('.mak3r-staging-', '.mak3r-backup-')}`;
+    await fs.rename(this.targetPath, this.backupPath);
+
+    try {
+      await fs.rename(this.stagingPath, this.targetPath);
+      this.stagingPath = null;
+    } catch (error) {
+      await fs.rename(this.backupPath, this.targetPath);
+      this.backupPath = null;
+      throw error;
+    }
+
+    await fs.remove(this.backupPath);
+    this.backupPath = null;
+    return { mode: 'force' };
+  }
+
+  // Existing files always win; differing ones are reported instead of overwritten
+  async mergeIntoTarget() {
+    const report = { mode: 'merge', added: [], unchanged: [], conflicts: [] };
+
+    const walk = async (relativeDir) => {
+      for (const entry of (await fs.readdir(path.join(this.stagingPath, relativeDir))).sort()) {
+        const relativePath = path.join(relativeDir, entry);
+        const stagedPath = path.join(this.stagingPath, relativePath);
+        const targetPath = path.join(this.targetPath, relativePath);
+        const reportPath = relativePath.split(path.sep).join('/');
+        const stagedStat = await fs.stat(stagedPath);
+
+        if (!await fs.pathExists(targetPath)) {
+          await fs.move(stagedPath, targetPath);
+          report.added.push(stagedStat.isDirectory() ? `${reportPath}/` : reportPath);
+          continue;
+        }
+
+        const targetStat = await fs.stat(targetPath);
+        if (stagedStat.isDirectory() && targetStat.isDirectory()) {
+          await walk(relativePath);
+        } else if (stagedStat.isDirectory() || targetStat.isDirectory()) {
+          report.conflicts.push({ path: reportPath, reason: 'type' });
+        } else if (await this.sameContent(stagedPath, targetPath)) {
+          report.unchanged.push(reportPath);
+        } else {
+          report.conflicts.push({ path: reportPath, reason: 'modified' });
+        }
+      }
+    };
+
+    await walk('');
+    await fs.remove(this.stagingPath);
+    this.stagingPath = null;
+
+    if (report.conflicts.length > 0) {
+      const logDir = path.join(this.targetPath, '.mak3r', 'logs');
+      report.report_path = path.join(logDir, `merge-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+      await fs.ensureDir(logDir);
+      await fs.writeJson(report.report_path, { ...report, created_at: new Date().toISOString() }, { spaces: 2 });
+    }
+
+    return report;
+  }
+
+  async sameContent(a, b) {
+    const [statA, statB] = await Promise.all([fs.stat(a), fs.stat(b)]);
+    if (statA.size !== statB.size) {
+      return false;
+    }
+
+    const hash = async file => crypto.createHash('sha256').update(await fs.readFile(file)).digest('hex');
+    return await hash(a) === await hash(b);
+  }
+
+  async cleanup() {
+    if (this.stagingPath) {
+      await fs.remove(this.stagingPath);
+      this.stagingPath = null;
+    }
+  }
+
+  // Signal handlers cannot await; also puts a parked backup back if the swap was interrupted
+  cleanupSync() {
+    if (this.stagingPath) {
+      fs.removeSync(this.stagingPath);
+      this.stagingPath = null;
+    }
+    if (this.backupPath && fs.existsSync(this.backupPath)) {
+      if (!fs.existsSync(this.targetPath)) {
+        fs.renameSync(this.backupPath, this.targetPath);
+      } else {
+        fs.removeSync(this.backupPath);
+      }
+      this.backupPath = null;
+    }
+  }
+
+  finish() {
+    if (this.onSignal) {
+      SIGNALS.forEach(signal => process.removeListener(signal, this.onSignal));
+      this.onSignal = null;
+    }
+  }
+}
+
+module.exports = ProjectTransaction;
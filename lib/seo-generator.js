@@ -0,0 +1,319 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const ConfigManager = require('./config-manager');
+const SiteAuditor = require('./site-auditor');
+
+// sitemaps.org limit; above it sitemap.xml becomes an index of sitemap-N.xml files
+const MAX_URLS_PER_SITEMAP = 50000;
+const MARKER = 'Generated by MAK3R-HUB';
+const INJECTED_SCRIPT = /[ \t]*<script type="application\/ld\+json" data-mak3r>[\s\S]*?<\/script>\n?/g;
+
+// Prerendered HTML that the framework serves itself; files next to it are never published,
+// so sitemaps and robots.txt go to the app's static directory instead
+const SERVER_HTML_ROOTS = {
+  '.next/server/app': 'public',
+  '.next/server/pages': 'public',
+  '.svelte-kit/output/prerendered/pages': 'static'
+};
+
+// Routes that describe a single product or article, by project.type
+const DETAIL_ROUTES = {
+  ecommerce: { type: 'Product', pattern: /^\/(products?|shop|store)\/[^/]+$/ },
+  blog: { type: 'BlogPosting', pattern: /^\/(blog|posts?|articles?)\/[^/]+$/ }
+};
+
+class SeoGenerator {
+  constructor(projectPath = process.cwd()) {
+    this.projectPath = projectPath;
+    this.auditor = new SiteAuditor(projectPath);
+  }
+
+  async generate(options = {}) {
+    const configManager = new ConfigManager(this.projectPath);
+    if (!await configManager.initialize()) {
+      throw new Error('Unable to load .mak3r/config.json');
+    }
+
+    const config = configManager.getConfiguration();
+    const seo = config.seo || {};
+    const siteUrl = (seo.site_url || '').replace(/\/+$/, '');
+    if (!/^https?:\/\/[^/]+/.test(siteUrl)) {
+      throw new Error('Set seo.site_url in .mak3r/config.json (e.g. "https://example.com") to generate sitemap.xml and robots.txt');
+    }
+
+    const appPath = path.join(this.projectPath, config.structure?.active_dir || '.');
+    const root = options.dir ?
+      path.resolve(this.projectPath, options.dir) :
+      await this.auditor.resolveHtmlRoot(appPath, config);
+    if (!root || !await fs.pathExists(root)) {
+      throw new Error('No built HTML found - run MAK3R-HUB build first (static export or prerendering required)');
+    }
+
+    const staticDir = options.dir ? null : SERVER_HTML_ROOTS[path.relative(appPath, root).split(path.sep).join('/')];
+    const filesRoot = staticDir ? path.join(appPath, config.build?.public_dir || staticDir) : root;
+    await fs.ensureDir(filesRoot);
+
+    const pages = await this.collectPages(root, siteUrl, seo.sitemap?.exclude || []);
+    const context = { config, seo, siteUrl, type: config.project?.type || 'landing-page' };
+
+    const files = [];
+    const write = async (name, content) => {
+      const target = path.join(filesRoot, name);
+      if (!options.force && await fs.pathExists(target) && !(await fs.readFile(target, 'utf8')).includes(MARKER)) {
+        files.push({ path: name, status: 'kept' });
+        return;
+      }
+      await fs.writeFile(target, content);
+      files.push({ path: name, status: 'written' });
+    };
+
+    const sitemaps = this.buildSitemaps(pages.filter(page => page.indexable), siteUrl, options.maxUrlsPerSitemap || MAX_URLS_PER_SITEMAP);
+    for (const sitemap of sitemaps) {
+      await write(sitemap.name, sitemap.content);
+    }
+    await write('robots.txt', this.buildRobots(seo.robots || {}, siteUrl));
+
+    const structuredData = [];
+    for (const page of pages) {
+      const types = await this.injectStructuredData(root, page, context);
+      if (types.length > 0) {
+        structuredData.push({ page: page.file, types });
+      }
+    }
+
+    return {
+      output_dir: path.relative(this.projectPath, root).split(path.sep).join('/'),
+      files_dir: path.relative(this.projectPath, filesRoot).split(path.sep).join('/'),
+      site_url: siteUrl,
+      urls: pages.filter(page => page.indexable).length,
+      excluded: pages.filter(page => !page.indexable).map(page => ({ page: page.file, reason: page.reason })),
+      sitemap_index: sitemaps.length > 1,
+      files,
+      structured_data: structuredData
+    };
+  }
+
+  async collectPages(root, siteUrl, exclude) {
+    const files = (await this.auditor.findHtmlFiles(root)).filter(file => !SiteAuditor.SKIPPED_PAGES.test(file)).sort();
+    const excludePatterns = exclude.map(pattern => new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`));
+    const pages = [];
+
+    for (const file of files) {
+      const fullPath = path.join(root, file);
+      const html = await fs.readFile(fullPath, 'utf8');
+      const doc = this.auditor.parseHtml(html);
+      const route = this.auditor.toUrl(file);
+      const robots = doc.find('meta', element => (element.attrs.name || '').toLowerCase() === 'robots')[0]?.attrs.content || '';
+      const canonical = doc.find('link', element => (element.attrs.rel || '').toLowerCase() === 'canonical')[0]?.attrs.href;
+
+      let reason = null;
+      if (/noindex/i.test(robots)) {
+        reason = 'noindex';
+      } else if (canonical && /^https?:\/\//.test(canonical) && canonical.replace(/\/$/, '') !== `${siteUrl}${route}`.replace(/\/$/, '')) {
+        reason = `canonical points to ${canonical}`;
+      } else if (excludePatterns.some(pattern => pattern.test(route))) {
+        reason = 'seo.sitemap.exclude';
+      }
+
+      pages.push({
+        file,
+        route,
+        doc,
+        indexable: !reason,
+        reason,
+        lastmod: (await fs.stat(fullPath)).mtime.toISOString().slice(0, 10)
+      });
+    }
+
+    return pages;
+  }
+
+  buildSitemaps(pages, siteUrl, maxUrls) {
+    const urlset = (entries) => [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<!-- ${MARKER} -->`,
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      ...entries.map(page => `  <url><loc>${this.escapeXml(siteUrl + page.route)}</loc><lastmod>${page.lastmod}</lastmod></url>`),
+      '</urlset>',
+      ''
+    ].join('\n');
+
+    if (pages.length <= maxUrls) {
+      return [{ name: 'sitemap.xml', content: urlset(pages) }];
+    }
+
+    const chunks = [];
+    for (let i = 0; i < pages.length; i += maxUrls) {
+      chunks.push(pages.slice(i, i + maxUrls));
+    }
+    const today = new Date().toISOString().slice(0, 10);
+    const index = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<!-- ${MARKER} -->`,
+      '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      ...chunks.map((chunk, i) => `  <sitemap><loc>${this.escapeXml(`${siteUrl}/sitemap-${i + 1}.xml`)}</loc><lastmod>${today}</lastmod></sitemap>`),
+      '</sitemapindex>',
+      ''
+    ].join('\n');
+
+    return [
+      { name: 'sitemap.xml', content: index },
+      ...chunks.map((chunk, i) => ({ name: `sitemap-${i + 1}.xml`, content: urlset(chunk) }))
+    ];
+  }
+
+  // seo.robots: { index, allow, disallow, crawl_delay }; index: false blocks everything (staging sites)
+  buildRobots(robots, siteUrl) {
+    const lines = [`# ${MARKER} from .mak3r/config.json`, 'User-agent: *'];
+
+    if (robots.index === false) {
+      lines.push('Disallow: /');
+    } else {
+      (robots.allow || []).forEach(rule => lines.push(`Allow: ${rule}`));
+      (robots.disallow || []).forEach(rule => lines.push(`Disallow: ${rule}`));
+      if (!robots.allow?.length && !robots.disallow?.length) {
+        lines.push('Allow: /');
+      }
+    }
+    if (robots.crawl_delay) {
+      lines.push(`Crawl-delay: ${robots.crawl_delay}`);
+    }
+
+    lines.push('', `Sitemap: ${siteUrl}/sitemap.xml`, '');
+    return lines.join('\n');
+  }
+
+  // Replaces blocks from earlier runs; skips types the page already declares itself
+  async injectStructuredData(root, page, context) {
+    const fullPath = path.join(root, page.file);
+    const original = await fs.readFile(fullPath, 'utf8');
+    const html = original.replace(INJECTED_SCRIPT, '');
+    const existing = this.declaredTypes(this.auditor.parseHtml(html));
+
+    const items = this.structuredDataFor(page, context).filter(item => !existing.has(item['@type']));
+    if (items.length === 0 || !/<\/head>/i.test(html)) {
+      if (html !== original) {
+        await fs.writeFile(fullPath, html);
+      }
+      return [];
+    }
+
+    const scripts = items.map(item => {
+      // "<" is escaped so "</script>" inside a value cannot end the block
+      const json = JSON.stringify({ '@context': 'https://schema.org', ...item }).replace(/</g, '\\u003c');
+      return `<script type="application/ld+json" data-mak3r>${json}</script>\n`;
+    }).join('');
+
+    await fs.writeFile(fullPath, html.replace(/<\/head>/i, `${scripts}</head>`));
+    return items.map(item => item['@type']);
+  }
+
+  declaredTypes(doc) {
+    const types = new Set();
+    for (const script of doc.find('script', element => (element.attrs.type || '').toLowerCase() === 'application/ld+json')) {
+      try {
+        const data = JSON.parse(script.content);
+        for (const item of Array.isArray(data) ? data : [data]) {
+          for (const node of Array.isArray(item['@graph']) ? item['@graph'] : [item]) {
+            [].concat(node['@type'] || []).forEach(type => types.add(type));
+          }
+        }
+      } catch (error) {
+        // the auditor reports invalid JSON-LD; nothing to learn from it here
+      }
+    }
+    return types;
+  }
+
+  structuredDataFor(page, { config, seo, siteUrl, type }) {
+    const { doc, route } = page;
+    const meta = (key, value) => doc.find('meta', element => (element.attrs[key] || '').toLowerCase() === value)[0]?.attrs.content;
+    const title = meta('property', 'og:title') || this.auditor.textOf(doc.find('h1')[0]?.content) || this.auditor.textOf(doc.find('title')[0]?.content);
+    const description = meta('name', 'description') || meta('property', 'og:description');
+    const image = this.absolute(meta('property', 'og:image'), siteUrl);
+    const url = siteUrl + route;
+    const organization = seo.organization || {};
+    const items = [];
+
+    if (route === '/') {
+      items.push(this.compact({
+        '@type': 'Organization',
+        name: organization.name || config.project?.name,
+        url: siteUrl,
+        logo: this.absolute(organization.logo, siteUrl),
+        sameAs: organization.same_as?.length ? organization.same_as : undefined
+      }));
+      items.push(this.compact({
+        '@type': 'WebSite',
+        name: organization.name || config.project?.name,
+        url: siteUrl,
+        description
+      }));
+    }
+
+    const detail = DETAIL_ROUTES[type];
+    if (!detail || !title || !(detail.pattern.test(route) || meta('property', 'og:type') === (detail.type === 'Product' ? 'product' : 'article'))) {
+      return items;
+    }
+
+    if (detail.type === 'Product') {
+      const price = meta('property', 'product:price:amount') || meta('property', 'og:price:amount');
+      const currency = meta('property', 'product:price:currency') || meta('property', 'og:price:currency');
+      items.push(this.compact({
+        '@type': 'Product',
+        name: title,
+        description,
+        image,
+        url,
+        offers: price && currency ? { '@type': 'Offer', price, priceCurrency: currency, url, availability: 'https://schema.org/InStock' } : undefined
+      }));
+    } else {
+      const published = meta('property', 'article:published_time') || doc.find('time', element => element.attrs.datetime)[0]?.attrs.datetime;
+      const author = meta('name', 'author') || meta('property', 'article:author');
+      items.push(this.compact({
+        '@type': 'BlogPosting',
+        headline: title.slice(0, 110),
+        description,
+        image,
+        url,
+        mainEntityOfPage: url,
+        datePublished: published,
+        dateModified: meta('property', 'article:modified_time') || published,
+        author: author ? { '@type': 'Person', name: author } : undefined,
+        publisher: { '@type': 'Organization', name: organization.name || config.project?.name }
+      }));
+    }
+
+    return items;
+  }
+
+  compact(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+  }
+
+  absolute(url, siteUrl) {
+    if (!url) {
+      return undefined;
+    }
+    return /^https?:\/\//.test(url) ? url : `${siteUrl}/${url.replace(/^\/+/, '')}`;
+  }
+
+  escapeXml(text) {
+    return text.replace(/[<>&'"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[char]);
+  }
+
+  printResult(result) {
+    console.log(chalk.green(`✅ SEO files for ${result.site_url} in ${result.files_dir}/`));
+    result.files.forEach(file => {
+      console.log(file.status === 'kept' ?
+        chalk.yellow(`   • ${file.path} (kept: not generated by MAK3R-HUB, use --force to replace)`) :
+        chalk.gray(`   ✓ ${file.path}`));
+    });
+    console.log(chalk.gray(`   ${result.urls} URLs in the sitemap${result.sitemap_index ? ' (split with a sitemap index)' : ''}`));
+    result.excluded.forEach(page => console.log(chalk.gray(`   – ${page.page}: ${page.reason}`)));
+    result.structured_data.forEach(entry => console.log(chalk.gray(`   🧩 ${entry.page}: ${entry.types.join(', ')}`)));
+  }
+}
+
+module.exports = SeoGenerator;
@@ -0,0 +1,523 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const ConfigManager = require('./config-manager');
+const ProjectBuilder = require('./project-builder');
+
+// Where prerendered HTML lives when the build output also holds server code
+const HTML_ROOTS = {
+  '.next': ['.next/server/app', '.next/server/pages'],
+  '.output': ['.output/public'],
+  '.svelte-kit/output': ['.svelte-kit/output/prerendered/pages']
+};
+
+// Error pages and SPA fallbacks are link targets, not pages worth scoring
+const SKIPPED_PAGES = /(^|\/)(404|500|200|_not-found|_error)(\/index)?\.html$/;
+
+const RULES = {
+  title: 'seo',
+  'meta-description': 'seo',
+  canonical: 'seo',
+  hreflang: 'seo',
+  'open-graph': 'seo',
+  'twitter-card': 'seo',
+  'broken-link': 'seo',
+  'json-ld': 'seo',
+  'html-lang': 'accessibility',
+  'heading-order': 'accessibility',
+  'img-alt': 'accessibility',
+  'form-label': 'accessibility'
+};
+
+const LIMITS = {
+  title: [10, 60],
+  description: [50, 160]
+};
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const UNLABELLED_INPUTS = new Set(['hidden', 'submit', 'button', 'reset', 'image']);
+const TWITTER_CARDS = ['summary', 'summary_large_image', 'app', 'player'];
+const OPEN_GRAPH_TAGS = ['og:title', 'og:description', 'og:image', 'og:url', 'og:type'];
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Like browsers, numeric references to NUL, surrogates or beyond U+10FFFF become U+FFFD
+function fromCodePoint(code) {
+  return code > 0 && code <= 0x10FFFF && !(code >= 0xD800 && code <= 0xDFFF) ? String.fromCodePoint(code) : '\uFFFD';
+}
+
+class SiteAuditor {
+  constructor(projectPath = process.cwd()) {
+    this.projectPath = projectPath;
+  }
+
+  async audit(options = {}) {
+    const configManager = new ConfigManager(this.projectPath);
+    if (!await configManager.initialize()) {
+      throw new Error('Unable to load .mak3r/config.json');
+    }
+
+    const config = configManager.getConfiguration();
+    const activeDir = config.structure?.active_dir || '.';
+    const appPath = path.join(this.projectPath, activeDir);
+
+    const root = options.dir ?
+      path.resolve(this.projectPath, options.dir) :
+      await this.resolveHtmlRoot(appPath, config);
+    if (!root || !await fs.pathExists(root)) {
+      throw new Error(`No built HTML found in ${activeDir}/ - run MAK3R-HUB build first (static export or prerendering required)`);
+    }
+
+    const files = (await this.findHtmlFiles(root)).sort();
+    if (files.length === 0) {
+      throw new Error(`No HTML files in ${path.relative(this.projectPath, root)}/`);
+    }
+
+    const site = {
+      root,
+      publicDir: path.join(appPath, config.build?.public_dir || 'public'),
+      files: new Set(files),
+      documents: new Map()
+    };
+    for (const file of files) {
+      site.documents.set(file, this.parseHtml(await fs.readFile(path.join(root, file), 'utf8')));
+    }
+
+    const pages = [];
+    for (const file of files.filter(file => !SKIPPED_PAGES.test(file))) {
+      const checks = this.auditPage(file, site.documents.get(file), site);
+      const issues = checks.flatMap(check => check.issues);
+      pages.push({ page: file, url: this.toUrl(file), score: this.score(checks), checks, issues });
+    }
+
+    const allChecks = pages.flatMap(page => page.checks);
+    const issues = pages.flatMap(page => page.issues.map(issue => ({ page: page.page, ...issue })));
+
+    return {
+      output_dir: path.relative(this.projectPath, root).split(path.sep).join('/'),
+      score: this.score(allChecks),
+      scores: {
+        seo: this.score(allChecks.filter(check => RULES[check.rule] === 'seo')),
+        accessibility: this.score(allChecks.filter(check => RULES[check.rule] === 'accessibility'))
+      },
+      summary: {
+        pages: pages.length,
+        errors: issues.filter(issue => issue.severity === 'error').length,
+        warnings: issues.filter(issue => issue.severity === 'warning').length
+      },
+      pages: pages.map(({ checks, ...page }) => page),
+      issues
+    };
+  }
+
+  async resolveHtmlRoot(appPath, config) {
+    const output = await new ProjectBuilder(this.projectPath)
+      .resolveOutputDir(appPath, config.build?.output_dir || config.deployment?.output_directory);
+    if (!output) {
+      return null;
+    }
+
+    for (const dir of HTML_ROOTS[output.dir] || [output.dir]) {
+      if (await fs.pathExists(path.join(appPath, dir))) {
+        return path.join(appPath, dir);
+      }
+    }
+    return null;
+  }
+
+  async findHtmlFiles(root) {
+    const files = [];
+    const walk = async (dir) => {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.name.endsWith('.html')) {
+          files.push(path.relative(root, fullPath).split(path.sep).join('/'));
+        }
+      }
+    };
+    await walk(root);
+    return files;
+  }
+
+  // Just enough of an HTML parser for auditing: elements with attributes, ancestors and raw script content
+  parseHtml(html) {
+    const source = html.replace(/<!--[\s\S]*?-->/g, '');
+    const elements = [];
+    const stack = [];
+    const tagPattern = /<(\/?)([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+    let match;
+
+    while ((match = tagPattern.exec(source))) {
+      const [, closing, rawName, rawAttrs, selfClosing] = match;
+      const name = rawName.toLowerCase();
+
+      if (closing) {
+        const index = stack.lastIndexOf(name);
+        if (index !== -1) {
+          stack.length = index;
+        }
+        continue;
+      }
+
+      const element = {
+        name,
+        attrs: this.parseAttributes(rawAttrs),
+        ancestors: [...stack]
+      };
+      elements.push(element);
+
+      if (name === 'script' || name === 'style' || name === 'title') {
+        const end = source.toLowerCase().indexOf(`</${name}`, tagPattern.lastIndex);
+        element.content = source.slice(tagPattern.lastIndex, end === -1 ? source.length : end);
+        tagPattern.lastIndex = end === -1 ? source.length : end;
+      } else if (/^h[1-6]$/.test(name)) {
+        const end = source.toLowerCase().indexOf(`</${name}`, tagPattern.lastIndex);
+        element.content = source.slice(tagPattern.lastIndex, end === -1 ? source.length : end);
+      }
+
+      if (!selfClosing && !VOID_ELEMENTS.has(name) && !['script', 'style', 'title'].includes(name)) {
+        stack.push(name);
+      }
+    }
+
+    const find = (name, predicate = () => true) => elements.filter(element => element.name === name && predicate(element));
+    return { elements, find };
+  }
+
+  parseAttributes(raw) {
+    const attrs = {};
+    const pattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    let match;
+    while ((match = pattern.exec(raw))) {
+      attrs[match[1].toLowerCase()] = this.decode(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+    return attrs;
+  }
+
+  decode(text) {
+    return text
+      .replace(/&#(\d+);/g, (match, code) => fromCodePoint(parseInt(code, 10)))
+      .replace(/&#x([0-9a-f]+);/gi, (match, code) => fromCodePoint(parseInt(code, 16)))
+      .replace(/&(\w+);/g, (match, name) => ENTITIES[name] ?? match);
+  }
+
+  textOf(html) {
+    return this.decode((html || '').replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+  }
+
+  auditPage(file, doc, site) {
+    const meta = (key, value) => doc.find('meta', element => (element.attrs[key] || '').toLowerCase() === value)[0]?.attrs.content;
+    const links = (rel) => doc.find('link', element => (element.attrs.rel || '').toLowerCase().split(/\s+/).includes(rel));
+
+    return [
+      this.checkTitle(doc),
+      this.checkDescription(meta('name', 'description')),
+      this.checkCanonical(links('canonical')),
+      this.checkHreflang(links('alternate').filter(link => link.attrs.hreflang !== undefined)),
+      this.checkOpenGraph(meta),
+      this.checkTwitter(meta),
+      this.checkLinks(file, doc, site),
+      this.checkJsonLd(doc.find('script', element => (element.attrs.type || '').toLowerCase() === 'application/ld+json')),
+      this.checkLang(doc.find('html')[0]),
+      this.checkHeadings(doc),
+      this.checkImages(doc),
+      this.checkForms(doc)
+    ].filter(check => check.applicable !== false);
+  }
+
+  check(rule, issues, applicable = true) {
+    return { rule, applicable, issues: issues.map(([severity, message]) => ({ rule, category: RULES[rule], severity, message })) };
+  }
+
+  checkTitle(doc) {
+    const title = this.textOf(doc.find('title')[0]?.content);
+    const [min, max] = LIMITS.title;
+    if (!title) {
+      return this.check('title', [['error', 'Missing <title>']]);
+    }
+    if (title.length < min || title.length > max) {
+      return this.check('title', [['warning', `Title is ${title.length} characters (keep it between ${min} and ${max}): "${title}"`]]);
+    }
+    return this.check('title', []);
+  }
+
+  checkDescription(description) {
+    const text = (description || '').trim();
+    const [min, max] = LIMITS.description;
+    if (!text) {
+      return this.check('meta-description', [['error', 'Missing <meta name="description">']]);
+    }
+    if (text.length < min || text.length > max) {
+      return this.check('meta-description', [['warning', `Meta description is ${text.length} characters (keep it between ${min} and ${max})`]]);
+    }
+    return this.check('meta-description', []);
+  }
+
+  checkCanonical(canonicals) {
+    if (canonicals.length === 0) {
+      return this.check('canonical', [['warning', 'Missing <link rel="canonical">']]);
+    }
+    const issues = [];
+    if (canonicals.length > 1) {
+      issues.push(['error', `${canonicals.length} canonical links; keep exactly one`]);
+    }
+    canonicals.filter(link => !this.isAbsolute(link.attrs.href)).forEach(link => {
+      issues.push(['error', `Canonical URL must be absolute: "${link.attrs.href || ''}"`]);
+    });
+    return this.check('canonical', issues);
+  }
+
+  checkHreflang(alternates) {
+    const issues = [];
+    const seen = new Set();
+
+    for (const link of alternates) {
+      const code = link.attrs.hreflang;
+      if (!/^(x-default|[a-z]{2,3}(-[A-Za-z]{4})?(-([A-Za-z]{2}|\d{3}))?)$/i.test(code)) {
+        issues.push(['error', `Invalid hreflang "${code}"`]);
+      }
+      if (!this.isAbsolute(link.attrs.href)) {
+        issues.push(['error', `hreflang "${code}" URL must be absolute: "${link.attrs.href || ''}"`]);
+      }
+      if (seen.has(code.toLowerCase())) {
+        issues.push(['error', `Duplicate hreflang "${code}"`]);
+      }
+      seen.add(code.toLowerCase());
+    }
+    if (alternates.length > 1 && !seen.has('x-default')) {
+      issues.push(['warning', 'Add an hreflang="x-default" alternate']);
+    }
+
+    return this.check('hreflang', issues, alternates.length > 0);
+  }
+
+  checkOpenGraph(meta) {
+    const issues = [];
+    const missing = OPEN_GRAPH_TAGS.filter(tag => !meta('property', tag));
+    if (missing.length > 0) {
+      issues.push(['warning', `Missing Open Graph tags: ${missing.join(', ')}`]);
+    }
+    const image = meta('property', 'og:image');
+    if (image && !this.isAbsolute(image)) {
+      issues.push(['error', `og:image must be an absolute URL: "${image}"`]);
+    }
+    return this.check('open-graph', issues);
+  }
+
+  checkTwitter(meta) {
+    const card = meta('name', 'twitter:card');
+    if (!card) {
+      return this.check('twitter-card', [['warning', 'Missing <meta name="twitter:card">']]);
+    }
+    if (!TWITTER_CARDS.includes(card)) {
+      return this.check('twitter-card', [['error', `Unknown twitter:card "${card}" (use ${TWITTER_CARDS.join(', ')})`]]);
+    }
+    // Twitter falls back to og:title/og:description, so only flag when neither exists
+    const issues = [];
+    if (!meta('name', 'twitter:title') && !meta('property', 'og:title')) {
+      issues.push(['warning', 'Missing twitter:title (or og:title)']);
+    }
+    return this.check('twitter-card', issues);
+  }
+
+  checkLinks(file, doc, site) {
+    const issues = [];
+    const anchors = doc.find('a', element => element.attrs.href !== undefined);
+
+    for (const anchor of anchors) {
+      const href = anchor.attrs.href.trim();
+      if (!href || this.isAbsolute(href) || /^(mailto|tel|javascript|data|sms):/i.test(href) || href.startsWith('//')) {
+        continue;
+      }
+
+      const [target, fragment] = href.split('#');
+      const resolved = target ? this.resolveLink(file, target.split('?')[0], site) : file;
+      if (resolved === null) {
+        issues.push(['error', `Broken internal link: ${href}`]);
+      } else if (fragment && resolved.endsWith('.html')) {
+        const targetDoc = site.documents.get(resolved);
+        const ids = targetDoc.elements.filter(element => element.attrs.id === fragment || (element.name === 'a' && element.attrs.name === fragment));
+        if (ids.length === 0) {
+          issues.push(['warning', `Link target #${fragment} not found${resolved === file ? '' : ` in ${resolved}`}: ${href}`]);
+        }
+      }
+    }
+
+    return this.check('broken-link', issues, anchors.length > 0);
+  }
+
+  // "/about", "about/", "../pricing.html" -> the built file it serves, or null
+  resolveLink(file, target, site) {
+    let decoded = target;
+    try {
+      decoded = decodeURIComponent(target);
+    } catch (error) {
+      // keep the raw path
+    }
+    const base = decoded.startsWith('/') ? decoded.slice(1) : path.posix.join(path.posix.dirname(file), decoded);
+    const normalized = path.posix.normalize(base).replace(/^\.\/?/, '').replace(/\/$/, '');
+
+    const candidates = normalized ?
+      [normalized, `${normalized}.html`, `${normalized}/index.html`] :
+      ['index.html'];
+    const page = candidates.find(candidate => site.files.has(candidate));
+    if (page) {
+      return page;
+    }
+
+    // Non-page files (PDFs, images) may live in the output or in the public dir
+    if (path.posix.extname(normalized) && normalized !== '..' && !normalized.startsWith('../')) {
+      if (fs.existsSync(path.join(site.root, normalized)) || fs.existsSync(path.join(site.publicDir, normalized))) {
+        return normalized;
+      }
+    }
+    return null;
+  }
+
+  checkJsonLd(scripts) {
+    const issues = [];
+
+    scripts.forEach((script, index) => {
+      const label = scripts.length > 1 ? `JSON-LD block ${index + 1}` : 'JSON-LD';
+      let data;
+      try {
+        data = JSON.parse(script.content);
+      } catch (error) {
+        issues.push(['error', `${label} is not valid JSON: ${error.message}`]);
+        return;
+      }
+
+      for (const item of Array.isArray(data) ? data : [data]) {
+        const context = item['@context'];
+        if (!context) {
+          issues.push(['error', `${label} has no @context`]);
+        } else if (typeof context === 'string' && !/^https?:\/\/schema\.org\/?$/.test(context)) {
+          issues.push(['warning', `${label} @context is "${context}", expected https://schema.org`]);
+        }
+
+        const nodes = Array.isArray(item['@graph']) ? item['@graph'] : [item];
+        if (nodes.some(node => !node || !node['@type'])) {
+          issues.push(['error', `${label} has an entry without @type`]);
+        }
+      }
+    });
+
+    return this.check('json-ld', issues, scripts.length > 0);
+  }
+
+  checkLang(html) {
+    const lang = html?.attrs.lang;
+    if (!lang) {
+      return this.check('html-lang', [['error', 'Missing lang attribute on <html>']]);
+    }
+    if (!/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/i.test(lang)) {
+      return this.check('html-lang', [['error', `Invalid lang "${lang}" on <html>`]]);
+    }
+    return this.check('html-lang', []);
+  }
+
+  checkHeadings(doc) {
+    const headings = doc.elements.filter(element => /^h[1-6]$/.test(element.name));
+    const issues = [];
+    const h1s = headings.filter(heading => heading.name === 'h1').length;
+
+    if (h1s === 0) {
+      issues.push(['error', 'No <h1> on the page']);
+    } else if (h1s > 1) {
+      issues.push(['warning', `${h1s} <h1> elements; use one per page`]);
+    }
+
+    let previous = 0;
+    for (const heading of headings) {
+      const level = parseInt(heading.name[1], 10);
+      const text = this.textOf(heading.content) || heading.attrs['aria-label'];
+      if (previous && level > previous + 1) {
+        issues.push(['warning', `Heading level skipped: <h${previous}> to <h${level}>${text ? ` "${text}"` : ''}`]);
+      }
+      if (!text) {
+        issues.push(['error', `Empty <h${level}>`]);
+      }
+      previous = level;
+    }
+
+    return this.check('heading-order', issues);
+  }
+
+  checkImages(doc) {
+    const images = doc.elements.filter(element => element.name === 'img' ||
+      (element.name === 'input' && (element.attrs.type || '').toLowerCase() === 'image'));
+    const issues = images
+      .filter(image => image.attrs.alt === undefined && image.attrs['aria-label'] === undefined && image.attrs['aria-hidden'] !== 'true')
+      .map(image => ['error', `<${image.name} src="${image.attrs.src || ''}"> has no alt text`]);
+
+    return this.check('img-alt', issues, images.length > 0);
+  }
+
+  checkForms(doc) {
+    const labelled = new Set(doc.find('label', label => label.attrs.for).map(label => label.attrs.for));
+    const controls = doc.elements.filter(element =>
+      ['select', 'textarea'].includes(element.name) ||
+      (element.name === 'input' && !UNLABELLED_INPUTS.has((element.attrs.type || 'text').toLowerCase())));
+
+    const issues = controls
+      .filter(control => !(control.attrs.id && labelled.has(control.attrs.id)) &&
+        !control.ancestors.includes('label') &&
+        !control.attrs['aria-label'] && !control.attrs['aria-labelledby'] && !control.attrs.title)
+      .map(control => {
+        const name = control.attrs.name || control.attrs.id;
+        return ['error', `<${control.name}${control.name === 'input' ? ` type="${control.attrs.type || 'text'}"` : ''}${name ? ` name="${name}"` : ''}> has no label`];
+      });
+
+    return this.check('form-label', issues, controls.length > 0);
+  }
+
+  isAbsolute(url) {
+    return /^https?:\/\//i.test(url || '');
+  }
+
+  toUrl(file) {
+    return `/${file.replace(/(^|\/)index\.html$/, '').replace(/\.html$/, '')}`.replace(/(.)\/$/, '$1');
+  }
+
+  // Passing checks earn full credit, warnings half, errors none
+  score(checks) {
+    if (checks.length === 0) {
+      return 100;
+    }
+    const credit = checks.reduce((sum, check) => {
+      if (check.issues.some(issue => issue.severity === 'error')) return sum;
+      if (check.issues.length > 0) return sum + 0.5;
+      return sum + 1;
+    }, 0);
+    return Math.round((credit / checks.length) * 100);
+  }
+
+  printResult(result, options = {}) {
+    const colour = result.score >= 90 ? chalk.green : result.score >= 70 ? chalk.yellow : chalk.red;
+
+    console.log(chalk.blue(`🔎 Audited ${result.summary.pages} page${result.summary.pages === 1 ? '' : 's'} in ${result.output_dir}/`));
+    console.log(colour(`   Score: ${result.score}/100`) + chalk.gray(` (SEO ${result.scores.seo}, accessibility ${result.scores.accessibility})`));
+    console.log(chalk.gray(`   ${result.summary.errors} errors, ${result.summary.warnings} warnings`));
+
+    const limit = options.limit || 10;
+    for (const page of result.pages.filter(entry => entry.issues.length > 0)) {
+      console.log(chalk.cyan(`\n📄 ${page.url} (${page.page}) - ${page.score}`));
+      page.issues.slice(0, limit).forEach(issue => {
+        const line = `${issue.rule}: ${issue.message}`;
+        console.log(issue.severity === 'error' ? chalk.red(`   ✗ ${line}`) : chalk.yellow(`   ⚠ ${line}`));
+      });
+      if (page.issues.length > limit) {
+        console.log(chalk.gray(`   ... ${page.issues.length - limit} more (use --json for all)`));
+      }
+    }
+
+    if (result.summary.errors === 0 && result.summary.warnings === 0) {
+      console.log(chalk.green('\n✅ No issues found'));
+    }
+  }
+}
+
+SiteAuditor.SKIPPED_PAGES = SKIPPED_PAGES;
+
+module.exports = SiteAuditor;
@@ -0,0 +1,269 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// {{VAR}}, {{{VAR}}} (never escaped), {{#if x}}, {{#unless x}}, {{#each list}}, {{else}},
+// {{> partial}} and \{{ for a literal brace pair
+const TAG_PATTERN = /\\\{\{|\{\{\{\s*([^{}]+?)\s*\}\}\}|\{\{\s*([^{}]*?)\s*\}\}/g;
+const NAME_PATTERN = /^(?:[A-Za-z_][\w-]*|@index|@key|@first|@last|this)(?:\.[A-Za-z_][\w-]*)*$/;
+const MAX_PARTIAL_DEPTH = 10;
+
+class TemplateEngine {
+  constructor(options = {}) {
+    this.partialsDir = options.partialsDir || null;
+    this.partials = { ...options.partials };
+    this.strict = Boolean(options.strict);
+  }
+
+  registerPartial(name, content) {
+    this.partials[name] = content;
+  }
+
+  // format 'json' escapes values so they are safe inside JSON strings; inferred from filename
+  render(template, context, options = {}) {
+    const state = {
+      strict: options.strict !== undefined ? options.strict : this.strict,
+      format: options.format || (options.filename && path.extname(options.filename) === '.json' ? 'json' : 'text'),
+      filename: options.filename || 'template',
+      depth: options.depth || 0
+    };
+
+    const nodes = this.parse(template, state);
+    return this.renderNodes(nodes, [context], state);
+  }
+
+  parse(template, state) {
+    const root = { target: [] };
+    const stack = [root];
+    let cursor = 0;
+    let match;
+
+    // New nodes go to the innermost open block: its body, or its inverse after {{else}}
+    const current = () => stack[stack.length - 1];
+    const push = node => current().target.push(node);
+    const text = (value) => {
+      if (value) push({ type: 'text', value });
+    };
+    const open = (node) => {
+      node.children = [];
+      node.inverse = [];
+      node.target = node.children;
+      push(node);
+      stack.push(node);
+    };
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(template)) !== null) {
+      let before = template.slice(cursor, match.index);
+      cursor = TAG_PATTERN.lastIndex;
+
+      // A block tag alone on its line takes the whole line with it, as in Handlebars
+      if (/^\{\{\s*[#/]|^\{\{\s*else\s*\}\}$/.test(match[0])) {
+        const lineStart = template.lastIndexOf('\n', match.index - 1) + 1;
+        const after = template.slice(cursor).match(/^[ \t]*(\r?\n|$)/);
+        if (after && /^[ \t]*$/.test(template.slice(lineStart, match.index)) && lineStart >= match.index - before.length) {
+          before = before.slice(0, before.length - (match.index - lineStart));
+          cursor += after[0].length;
+          TAG_PATTERN.lastIndex = cursor;
+        }
+      }
+      text(before);
+
+      const source = match[0];
+      const location = { source, line: template.slice(0, match.index).split('\n').length };
+
+      if (source === '\\{{') {
+        text('{{');
+        continue;
+      }
+
+      if (match[1] !== undefined) {
+        push({ type: 'variable', name: match[1], raw: true, ...location });
+        continue;
+      }
+
+      const tag = match[2];
+      let block;
+
+      if ((block = tag.match(/^#(if|unless|each)\s+(\S+)$/))) {
+        open({ type: block[1], name: block[2], close: block[1], ...location });
+      } else if ((block = tag.match(/^#if_(\w+)$/))) {
+        // Legacy {{#if_windows}}...{{/if_windows}} blocks read the IS_* flags
+        open({ type: 'if', name: `IS_${block[1].toUpperCase()}`, close: `if_${block[1]}`, ...location });
+      } else if (tag === 'else' && stack.length > 1) {
+        current().target = current().inverse;
+      } else if ((block = tag.match(/^\/(\w+)$/))) {
+        if (stack.length === 1 || current().close !== block[1]) {
+          throw this.error(state, location, stack.length === 1 ?
+            `Unexpected {{/${block[1]}}}` :
+            `Expected {{/${current().close}}} but found {{/${block[1]}}}`);
+        }
+        stack.pop();
+      } else if ((block = tag.match(/^>\s*([\w./-]+)$/))) {
+        push({ type: 'partial', name: block[1], ...location });
+      } else if (NAME_PATTERN.test(tag)) {
+        push({ type: 'variable', name: tag, raw: false, ...location });
+      } else {
+        // Not ours (e.g. a Vue/Svelte expression) - keep it verbatim
+        text(source);
+      }
+    }
+
+    text(template.slice(cursor));
+
+    if (stack.length > 1) {
+      throw this.error(state, current(), `Unclosed ${current().source}`);
+    }
+
+    return root.target;
+  }
+
+  renderNodes(nodes, scopes, state) {
+    let output = '';
+
+    for (const node of nodes) {
+      switch (node.type) {
+        case 'text':
+          output += node.value;
+          break;
+
+        case 'variable': {
+          const value = this.lookup(node.name, scopes);
+          if (value === undefined) {
+            if (state.strict) {
+              throw this.error(state, node, `Unknown template variable "${node.name}"`);
+            }
+            // Leave unknown tags alone so framework syntax inside templates survives
+            output += node.source;
+            break;
+          }
+          output += this.formatValue(value, node.raw ? 'text' : state.format);
+          break;
+        }
+
+        case 'if':
+        case 'unless': {
+          const value = this.lookup(node.name, scopes);
+          if (value === undefined && state.strict) {
+            throw this.error(state, node, `Unknown template variable "${node.name}"`);
+          }
+          const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+          const branch = (node.type === 'if') === truthy ? node.children : node.inverse;
+          output += this.renderNodes(branch, scopes, state);
+          break;
+        }
+
+        case 'each': {
+          const value = this.lookup(node.name, scopes);
+          if (value === undefined && state.strict) {
+            throw this.error(state, node, `Unknown template variable "${node.name}"`);
+          }
+
+          const entries = Array.isArray(value) ?
+            value.map((item, index) => [index, item]) :
+            (value && typeof value === 'object' ? Object.entries(value) : []);
+
+          if (entries.length === 0) {
+            output += this.renderNodes(node.inverse, scopes, state);
+            break;
+          }
+
+          entries.forEach(([key, item], index) => {
+            const frame = {
+              this: item,
+              '@index': index,
+              '@key': key,
+              '@first': index === 0,
+              '@last': index === entries.length - 1
+            };
+            output += this.renderNodes(node.children, [frame, ...scopes], state);
+          });
+          break;
+        }
+
+        case 'partial':
+          output += this.renderPartial(node, scopes, state);
+          break;
+      }
+    }
+
+    return output;
+  }
+
+  renderPartial(node, scopes, state) {
+    if (state.depth >= MAX_PARTIAL_DEPTH) {
+      throw this.error(state, node, `Partials nested deeper than ${MAX_PARTIAL_DEPTH} levels (recursive {{> ${node.name}}}?)`);
+    }
+
+    const partial = this.loadPartial(node.name);
+    if (partial === null) {
+      throw this.error(state, node, `Partial not found: ${node.name}`);
+    }
+
+    const partialState = { ...state, filename: `partial ${node.name}`, depth: state.depth + 1 };
+    return this.renderNodes(this.parse(partial, partialState), scopes, partialState);
+  }
+
+  loadPartial(name) {
+    if (this.partials[name] !== undefined) {
+      return this.partials[name];
+    }
+    if (!this.partialsDir) {
+      return null;
+    }
+
+    // "os-notes" matches partials/os-notes.md; an explicit extension matches exactly
+    const root = path.resolve(this.partialsDir);
+    const exact = path.resolve(root, name);
+    const dir = path.dirname(exact);
+    const base = path.basename(exact);
+    if (!exact.startsWith(root + path.sep) || !fs.existsSync(dir)) {
+      return null;
+    }
+
+    const file = fs.readdirSync(dir).find(entry => entry === base || path.parse(entry).name === base);
+    if (!file) {
+      return null;
+    }
+
+    this.partials[name] = fs.readFileSync(path.join(dir, file), 'utf8');
+    return this.partials[name];
+  }
+
+  lookup(name, scopes) {
+    const [head, ...rest] = name.split('.');
+
+    for (const scope of scopes) {
+      if (scope && typeof scope === 'object' && head in scope) {
+        let value = scope[head];
+        for (const key of rest) {
+          value = value === null || value === undefined ? undefined : value[key];
+        }
+        return value;
+      }
+    }
+
+    return undefined;
+  }
+
+  formatValue(value, format) {
+    let text;
+    if (value === null) {
+      text = '';
+    } else if (Array.isArray(value)) {
+      text = value.join(', ');
+    } else if (typeof value === 'object') {
+      text = JSON.stringify(value);
+    } else {
+      text = String(value);
+    }
+
+    // Inside a JSON string literal: escape quotes, backslashes and control characters
+    return format === 'json' ? JSON.stringify(text).slice(1, -1) : text;
+  }
+
+  error(state, location, message) {
+    return new Error(`${message} (${state.filename}:${location.line})`);
+  }
+}
+
+module.exports = TemplateEngine;
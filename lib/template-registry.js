@@ -0,0 +1,118 @@
+const fs = require('fs-extra');
+const path = require('path');
+const TemplateEngine = require('./template-engine');
+
+class TemplateRegistry {
+  constructor(templateDir = path.join(__dirname, '..', 'templates')) {
+    this.templateDir = templateDir;
+    this.manifestPath = path.join(templateDir, 'registry.json');
+    this.manifest = null;
+  }
+
+  async load() {
+    if (this.manifest) {
+      return this.manifest;
+    }
+
+    if (!await fs.pathExists(this.manifestPath)) {
+      throw new Error(`Template registry not found: ${this.manifestPath}`);
+    }
+
+    try {
+      const manifest = await fs.readJson(this.manifestPath);
+      this.manifest = {
+        version: manifest.version || 1,
+        files: manifest.files || {},
+        frameworks: manifest.frameworks || {},
+        types: manifest.types || {}
+      };
+    } catch (error) {
+      throw new Error(`Template registry is invalid (${this.manifestPath}): ${error.message}`);
+    }
+
+    return this.manifest;
+  }
+
+  async listFrameworks() {
+    const manifest = await this.load();
+    return Object.entries(manifest.frameworks).map(([id, framework]) => ({ id, ...framework }));
+  }
+
+  async listTypes() {
+    const manifest = await this.load();
+    return Object.entries(manifest.types).map(([id, type]) => ({ id, ...type }));
+  }
+
+  async getDefaultFramework(type) {
+    const manifest = await this.load();
+    const entry = manifest.types[type];
+    return entry && entry.default_framework ? entry.default_framework : 'vue-nuxt';
+  }
+
+  // Template files for a framework/type pair, framework files first, without duplicates
+  async resolve(framework, type) {
+    const manifest = await this.load();
+    const frameworkEntry = manifest.frameworks[framework] || {};
+    const typeEntry = manifest.types[type] || {};
+    const ids = [...new Set([...(frameworkEntry.files || []), ...(typeEntry.files || [])])];
+
+    return ids
+      .filter(id => manifest.files[id])
+      .map(id => ({
+        id,
+        kind: 'config',
+        ...manifest.files[id],
+        path: path.join(this.templateDir, manifest.files[id].template)
+      }));
+  }
+
+  // Collects every problem at once so a broken install is reported in one go
+  async validate(framework, type) {
+    const manifest = await this.load();
+    const errors = [];
+
+    if (!manifest.frameworks[framework]) {
+      errors.push(`Unknown framework "${framework}" (available: ${Object.keys(manifest.frameworks).join(', ')})`);
+    }
+    if (!manifest.types[type]) {
+      errors.push(`Unknown website type "${type}" (available: ${Object.keys(manifest.types).join(', ')})`);
+    } else if (manifest.types[type].frameworks && manifest.frameworks[framework] &&
+      !manifest.types[type].frameworks.includes(framework)) {
+      errors.push(`Website type "${type}" does not support framework "${framework}"`);
+    }
+
+    const referenced = [
+      ...((manifest.frameworks[framework] || {}).files || []),
+      ...((manifest.types[type] || {}).files || [])
+    ];
+    for (const id of new Set(referenced)) {
+      if (!manifest.files[id]) {
+        errors.push(`Template "${id}" is referenced but not defined in registry.json`);
+      }
+    }
+
+    const engine = new TemplateEngine({ partialsDir: path.join(this.templateDir, 'partials') });
+    const files = await this.resolve(framework, type);
+    for (const file of files) {
+      if (!await fs.pathExists(file.path)) {
+        errors.push(`Template file missing: templates/${file.template}`);
+        continue;
+      }
+
+      const content = await fs.readFile(file.path, 'utf8');
+      for (const [, partial] of content.matchAll(/\{\{>\s*([\w./-]+)\s*\}\}/g)) {
+        if (engine.loadPartial(partial) === null) {
+          errors.push(`Partial missing: templates/partials/${partial} (used by ${file.template})`);
+        }
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      files
+    };
+  }
+}
+
+module.exports = TemplateRegistry;
@@ -0,0 +1,354 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const semver = require('semver');
+
+const MANIFEST_FILE = 'mak3r-template.json';
+const SOURCE_FILE = '.mak3r-source.json';
+const FRAMEWORKS = ['vue-nuxt', 'react-next', 'svelte-kit'];
+
+// Never copied into a snapshot: dependencies, VCS data, build output, secrets and generated docs
+const SNAPSHOT_IGNORE = [
+  'node_modules', '.git', '.next', '.nuxt', '.output', '.svelte-kit', '.vercel', '.netlify',
+  'out', 'dist', 'build', '.DS_Store', 'CLAUDE.md'
+];
+
+class TemplateStore {
+  constructor(options = {}) {
+    this.templatesDir = options.templatesDir || path.join(os.homedir(), '.mak3r-hub', 'templates');
+  }
+
+  async list() {
+    if (!await fs.pathExists(this.templatesDir)) {
+      return [];
+    }
+
+    const templates = [];
+    for (const entry of await fs.readdir(this.templatesDir)) {
+      const manifestPath = path.join(this.templatesDir, entry, MANIFEST_FILE);
+      if (await fs.pathExists(manifestPath)) {
+        templates.push(await this.get(entry));
+      }
+    }
+
+    return templates.sort((a, b) => a.manifest.name.localeCompare(b.manifest.name));
+  }
+
+  async get(name) {
+    const templatePath = path.join(this.templatesDir, name);
+    const manifestPath = path.join(templatePath, MANIFEST_FILE);
+
+    if (!/^[a-z0-9][a-z0-9._-]*$/.test(name) || !await fs.pathExists(manifestPath)) {
+      throw new Error(`Template not installed: ${name}. Run: MAK3R-HUB templates --install <source>`);
+    }
+
+    const sourcePath = path.join(templatePath, SOURCE_FILE);
+    return {
+      manifest: this.validateManifest(await fs.readJson(manifestPath)),
+      path: templatePath,
+      filesDir: path.join(templatePath, 'files'),
+      source: await fs.pathExists(sourcePath) ? await fs.readJson(sourcePath) : null
+    };
+  }
+
+  async remove(name) {
+    const template = await this.get(name);
+    await fs.remove(template.path);
+    return template.manifest;
+  }
+
+  async install(source, options = {}) {
+    const type = this.detectSourceType(source);
+    const staging = await fs.mkdtemp(path.join(os.tmpdir(), 'mak3r-template-'));
+
+    try {
+      const fetched = path.join(staging, 'source');
+
+      if (type === 'git') {
+        this.cloneRepository(source, fetched);
+      } else if (type === 'tarball') {
+        await this.extractTarball(source, fetched, staging);
+      } else {
+        await fs.copy(path.resolve(source), fetched, {
+          filter: file => path.basename(file) !== '.git' && path.basename(file) !== 'node_modules'
+        });
+      }
+
+      const root = await this.findTemplateRoot(fetched);
+      const manifest = this.validateManifest(await fs.readJson(path.join(root, MANIFEST_FILE)));
+      const target = path.join(this.templatesDir, manifest.name);
+
+      if (await fs.pathExists(target)) {
+        if (!options.force) {
+          const installed = await this.get(manifest.name);
+          throw new Error(`Template ${manifest.name}@${installed.manifest.version} is already installed (use --force to replace it)`);
+        }
+        await fs.remove(target);
+      }
+
+      await fs.ensureDir(this.templatesDir);
+      await fs.copy(root, target, { filter: file => path.basename(file) !== '.git' });
+      await fs.writeJson(path.join(target, SOURCE_FILE), {
+        source,
+        type,
+        installed_at: new Date().toISOString()
+      }, { spaces: 2 });
+
+      return this.get(manifest.name);
+    } finally {
+      await fs.remove(staging);
+    }
+  }
+
+  // Turns an existing MAK3R-HUB project's framework directory into a reusable template
+  async snapshot(projectPath, name, options = {}) {
+    const configPath = path.join(projectPath, '.mak3r', 'config.json');
+    if (!await fs.pathExists(configPath)) {
+      throw new Error(`Not a MAK3R-HUB project (missing .mak3r/config.json): ${projectPath}`);
+    }
+
+    const config = await fs.readJson(configPath);
+    const activeDir = config.structure && config.structure.active_dir;
+    const sourceDir = path.join(projectPath, activeDir || '');
+    if (!activeDir || !await fs.pathExists(sourceDir)) {
+      throw new Error(`Project framework directory not found: ${sourceDir}`);
+    }
+
+    const manifest = this.validateManifest({
+      name,
+      version: options.version || '1.0.0',
+      description: options.description || `Snapshot of ${config.project.name}`,
+      frameworks: [config.framework.primary],
+      types: config.project.type ? [config.project.type] : [],
+      variables: {},
+      hooks: { post_create: [] }
+    });
+
+    const target = path.join(this.templatesDir, manifest.name);
+    if (await fs.pathExists(target)) {
+      if (!options.force) {
+        throw new Error(`Template ${manifest.name} is already installed (use --force to replace it)`);
+      }
+      await fs.remove(target);
+    }
+
+    const replacements = [
+      [config.project.name, '{{PROJECT_NAME}}'],
+      [config.project.safe_name, '{{SAFE_PROJECT_NAME}}']
+    ].filter(([value]) => value);
+
+    const filesDir = path.join(target, 'files');
+    const files = await this.copySnapshotFiles(sourceDir, filesDir, replacements, config.build && config.build.output_dir);
+
+    await fs.writeJson(path.join(target, MANIFEST_FILE), manifest, { spaces: 2 });
+    await fs.writeJson(path.join(target, SOURCE_FILE), {
+      source: path.resolve(projectPath),
+      type: 'snapshot',
+      installed_at: new Date().toISOString()
+    }, { spaces: 2 });
+
+    return { ...await this.get(manifest.name), files };
+  }
+
+  async copySnapshotFiles(sourceDir, targetDir, replacements, buildOutput) {
+    const ignored = new Set([...SNAPSHOT_IGNORE, ...(buildOutput ? [buildOutput] : [])]);
+    const copied = [];
+
+    // Longest first so "My Site" is not half-replaced by its safe name
+    const ordered = [...replacements].sort((a, b) => b[0].length - a[0].length);
+    const templatize = text => ordered.reduce((result, [value, placeholder]) => result.split(value).join(placeholder), text);
+
+    const walk = async (relativeDir) => {
+      for (const entry of await fs.readdir(path.join(sourceDir, relativeDir))) {
+        if (ignored.has(entry) || (/^\.env(\..*)?$/.test(entry) && entry !== '.env.example') || entry.endsWith('.log')) {
+          continue;
+        }
+
+        const relativePath = path.join(relativeDir, entry);
+        const sourcePath = path.join(sourceDir, relativePath);
+        const stat = await fs.stat(sourcePath);
+
+        if (stat.isDirectory()) {
+          await walk(relativePath);
+          continue;
+        }
+
+        const templatePath = templatize(relativePath.split(path.sep).join('/'));
+        const targetPath = path.join(targetDir, templatePath);
+        const content = await fs.readFile(sourcePath);
+        await fs.ensureDir(path.dirname(targetPath));
+
+        await fs.writeFile(targetPath, this.isBinary(content) ? content : templatize(content.toString('utf8')));
+        copied.push(templatePath);
+      }
+    };
+
+    await walk('');
+    return copied;
+  }
+
+  detectSourceType(source) {
+    if (/^(git@|git:\/\/|ssh:\/\/|git\+)/.test(source) || /\.git(#.*)?$/.test(source) ||
+      /^https?:\/\/(github\.com|gitlab\.com|bitbucket\.org)\/[^/]+\/[^/]+\/?(#.*)?$/.test(source)) {
+      return 'git';
+    }
+    if (/\.(tgz|tar\.gz|tar)(\?.*)?$/.test(source)) {
+      return 'tarball';
+    }
+    if (fs.existsSync(source) && fs.statSync(source).isDirectory()) {
+      return 'path';
+    }
+
+    throw new Error(`Unsupported template source: ${source} (expected a git URL, a directory or a .tgz tarball)`);
+  }
+
+  cloneRepository(source, target) {
+    // "url#ref" checks out a branch or tag
+    const [url, ref] = source.replace(/^git\+/, '').split('#');
+    const args = ['clone', '--depth', '1', ...(ref ? ['--branch', ref] : []), url, target];
+    const result = spawnSync('git', args, { encoding: 'utf8', timeout: 120000 });
+
+    if (result.error || result.status !== 0) {
+      const reason = result.error ? result.error.message : (result.stderr || '').trim();
+      throw new Error(`git clone failed for ${url}: ${reason}`);
+    }
+  }
+
+  async extractTarball(source, target, staging) {
+    let archive = path.resolve(source);
+
+    if (/^https?:\/\//.test(source)) {
+      archive = path.join(staging, 'template.tgz');
+      await this.download(source, archive);
+    } else if (!await fs.pathExists(archive)) {
+      throw new Error(`Tarball not found: ${source}`);
+    }
+
+    await fs.ensureDir(target);
+    const flags = /\.tar(\?.*)?$/.test(source) ? '-xf' : '-xzf';
+    const result = spawnSync('tar', [flags, archive, '-C', target], { encoding: 'utf8', timeout: 120000 });
+
+    if (result.error || result.status !== 0) {
+      const reason = result.error ? result.error.message : (result.stderr || '').trim();
+      throw new Error(`Failed to extract ${source}: ${reason}`);
+    }
+  }
+
+  download(url, destination, redirects = 5) {
+    return new Promise((resolve, reject) => {
+      const client = url.startsWith('https:') ? require('https') : require('http');
+
+      client.get(url, (res) => {
+        if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+          res.resume();
+          if (redirects === 0) {
+            reject(new Error(`Too many redirects downloading ${url}`));
+            return;
+          }
+          resolve(this.download(new URL(res.headers.location, url).toString(), destination, redirects - 1));
+          return;
+        }
+
+        if (res.statusCode !== 200) {
+          res.resume();
+          reject(new Error(`Download failed (${res.statusCode}): ${url}`));
+          return;
+        }
+
+        const file = fs.createWriteStream(destination);
+        res.pipe(file);
+        file.on('finish', () => file.close(resolve));
+        file.on('error', reject);
+      }).on('error', reject);
+    });
+  }
+
+  // npm tarballs wrap everything in package/, GitHub archives in <repo>-<ref>/
+  async findTemplateRoot(dir) {
+    if (await fs.pathExists(path.join(dir, MANIFEST_FILE))) {
+      return dir;
+    }
+
+    const entries = (await fs.readdir(dir)).filter(entry => !entry.startsWith('.'));
+    if (entries.length === 1 && await fs.pathExists(path.join(dir, entries[0], MANIFEST_FILE))) {
+      return path.join(dir, entries[0]);
+    }
+
+    throw new Error(`Template is missing ${MANIFEST_FILE}`);
+  }
+
+  validateManifest(manifest) {
+    const errors = [];
+
+    if (!manifest || typeof manifest !== 'object') {
+      throw new Error(`Invalid ${MANIFEST_FILE}: expected an object`);
+    }
+    if (!manifest.name || !/^[a-z0-9][a-z0-9._-]*$/.test(manifest.name)) {
+      errors.push('name must be lowercase letters, digits, ".", "_" or "-"');
+    }
+    if (!manifest.version || !semver.valid(manifest.version)) {
+      errors.push('version must be a semver version');
+    }
+    if (!Array.isArray(manifest.frameworks) || manifest.frameworks.length === 0) {
+      errors.push(`frameworks must list at least one of ${FRAMEWORKS.join(', ')}`);
+    } else {
+      const unknown = manifest.frameworks.filter(framework => !FRAMEWORKS.includes(framework));
+      if (unknown.length > 0) {
+        errors.push(`unsupported frameworks: ${unknown.join(', ')}`);
+      }
+    }
+
+    const variables = manifest.variables || {};
+    for (const key of Object.keys(variables)) {
+      if (!/^[A-Z][A-Z0-9_]*$/.test(key)) {
+        errors.push(`variable ${key} must be UPPER_SNAKE_CASE`);
+      }
+    }
+
+    const hooks = (manifest.hooks && manifest.hooks.post_create) || [];
+    if (!Array.isArray(hooks) || hooks.some(hook => typeof hook !== 'string')) {
+      errors.push('hooks.post_create must be a list of shell commands');
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid ${MANIFEST_FILE}${manifest.name ? ` (${manifest.name})` : ''}: ${errors.join('; ')}`);
+    }
+
+    return {
+      description: '',
+      types: [],
+      ...manifest,
+      variables,
+      hooks: { ...manifest.hooks, post_create: hooks }
+    };
+  }
+
+  // Declared defaults overridden by --var values; required variables must end up set
+  resolveVariables(manifest, provided = {}) {
+    const values = { ...provided };
+    const missing = [];
+
+    for (const [key, definition] of Object.entries(manifest.variables)) {
+      const spec = definition && typeof definition === 'object' ? definition : { default: definition };
+      if (values[key] === undefined && spec.default !== undefined) {
+        values[key] = String(spec.default);
+      }
+      if (values[key] === undefined && spec.required) {
+        missing.push(spec.description ? `${key} (${spec.description})` : key);
+      }
+    }
+
+    if (missing.length > 0) {
+      throw new Error(`Template ${manifest.name} requires variables: ${missing.join(', ')}. Pass them with --var KEY=value`);
+    }
+
+    return values;
+  }
+
+  isBinary(buffer) {
+    return buffer.subarray(0, 8000).includes(0);
+  }
+}
+
+module.exports = TemplateStore;
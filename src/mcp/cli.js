@@ -13,31 +13,67 @@ const CredentialManager = require('./credentials/manager');
 
 class MCPClient {
   constructor() {
-    this.credentialManager = new CredentialManager();
+    this.credentialManager = new CredentialManager({
+      passphrase: process.stdin.isTTY ? (options) => this.promptPassphrase(options) : undefined
+    });
     this.server = null;
   }
 
-  async initialize() {
+  async promptPassphrase(options = {}) {
+    const { passphrase } = await inquirer.prompt([{
+      type: 'password',
+      name: 'passphrase',
+      mask: '*',
+      message: options.message || (options.confirm ? 'New passphrase for the credential store' : 'Credential store passphrase')
+    }]);
+
+    if (options.confirm) {
+      const { repeated } = await inquirer.prompt([{ type: 'password', name: 'repeated', mask: '*', message: 'Repeat passphrase' }]);
+      if (repeated !== passphrase) {
+        throw new Error('Passphrases do not match');
+      }
+    }
+    return passphrase;
+  }
+
+  async initialize(options = {}) {
+    // Commands with --json keep stdout parseable: status messages are dropped, warnings still go to stderr
+    if (options.json) {
+      this.credentialManager.logger = { log: () => {}, warn: console.warn, error: console.error };
+    }
     await this.credentialManager.initialize();
   }
 
+  // --profile, then MAK3R_PROFILE, then the profile bound to the project in the current directory
+  async resolveProfile(options = {}) {
+    return this.credentialManager.resolveProfile({ profile: options.profile, projectPath: process.cwd() });
+  }
+
+  // "90d" or a date such as 2026-12-31
+  parseExpiry(value) {
+    const days = /^(\d+)d$/.exec(value);
+    const expiresAt = days ? new Date(Date.now() + parseInt(days[1], 10) * 24 * 60 * 60 * 1000) : new Date(value);
+    if (isNaN(expiresAt.getTime())) {
+      throw new Error(`Invalid expiry: ${value} (use e.g. 90d or 2026-12-31)`);
+    }
+    return expiresAt.toISOString();
+  }
+
   async startServer(options) {
     try {
       console.log(chalk.blue('🚀 Starting MAK3R-HUB MCP Server...'));
       
+      if (options.profile) {
+        this.credentialManager.profile = options.profile;
+      }
       this.server = new MAK3RMCPServer({
         port: options.port || 3001,
-        host: options.host || 'localhost'
+        host: options.host || 'localhost',
+        credentialManager: this.credentialManager
       });
 
-      // Load credentials into server
-      const services = await this.credentialManager.listServices();
-      for (const service of services) {
-        const credentials = await this.credentialManager.getCredentials(service);
-        await this.server.setCredentials(service, credentials);
-      }
-
       await this.server.start();
+      const services = Object.keys(await this.server.getServiceStatus());
       
       console.log(chalk.green('✅ MCP Server started successfully'));
       console.log(chalk.cyan(`📡 Listening on ${options.host || 'localhost'}:${options.port || 3001}`));
@@ -61,7 +97,9 @@ class MCPClient {
 
   async configureCredentials(service, options) {
     try {
-      console.log(chalk.blue(`🔧 Configuring credentials for ${service}`));
+      const profile = await this.resolveProfile(options);
+      const expiresAt = options.expires ? this.parseExpiry(options.expires) : null;
+      console.log(chalk.blue(`🔧 Configuring credentials for ${service} (profile ${profile})`));
       
       const serviceConfigs = {
         stripe: [
@@ -82,7 +120,10 @@ class MCPClient {
           { name: 'access_key_id', message: 'AWS Access Key ID', type: 'input' },
           { name: 'secret_access_key', message: 'AWS Secret Access Key', type: 'password' },
           { name: 'region', message: 'AWS Region', type: 'input', default: 'us-east-1' },
-          { name: 'role_arn', message: 'IAM Role ARN (optional)', type: 'input', optional: true }
+          { name: 'role_arn', message: 'IAM Role ARN (optional)', type: 'input', optional: true },
+          { name: 'session_token', message: 'Session Token (optional, for temporary credentials)', type: 'password', optional: true },
+          { name: 'bucket', message: 'Default S3 Bucket (optional)', type: 'input', optional: true },
+          { name: 'cloudfront_distribution_id', message: 'CloudFront Distribution ID (optional)', type: 'input', optional: true }
         ],
         vercel: [
           { name: 'token', message: 'Vercel Token', type: 'password' },
@@ -138,15 +179,18 @@ class MCPClient {
         Object.entries(credentials).filter(([key, value]) => value !== undefined && value !== '')
       );
 
-      await this.credentialManager.setCredentials(service, credentials);
+      await this.credentialManager.setCredentials(service, credentials, profile, { expiresAt });
       
-      console.log(chalk.green(`✅ Credentials configured for ${service}`));
+      console.log(chalk.green(`✅ Credentials configured for ${service} (profile ${profile})`));
+      if (expiresAt) {
+        console.log(chalk.gray(`Expires: ${expiresAt.slice(0, 10)}`));
+      }
       
       // Test connection
       if (options.test !== false) {
         console.log(chalk.blue('🔍 Testing connection...'));
         try {
-          const isValid = await this.credentialManager.testConnection(service);
+          const isValid = await this.credentialManager.testConnection(service, profile);
           if (isValid) {
             console.log(chalk.green('✅ Connection test successful'));
           } else {
@@ -163,21 +207,22 @@ class MCPClient {
     }
   }
 
-  async listCredentials() {
+  async listCredentials(options = {}) {
     try {
-      const services = await this.credentialManager.listServices();
+      const profile = await this.resolveProfile(options);
+      const services = await this.credentialManager.listServices(profile);
       
       if (services.length === 0) {
-        console.log(chalk.gray('No credentials configured'));
+        console.log(chalk.gray(`No credentials configured in profile ${profile}`));
         return;
       }
 
-      console.log(chalk.blue('📋 Configured Services:'));
+      console.log(chalk.blue(`📋 Configured Services (profile ${profile}):`));
       console.log();
       
       for (const service of services) {
         try {
-          const isValid = await this.credentialManager.testConnection(service);
+          const isValid = await this.credentialManager.testConnection(service, profile);
           const status = isValid ? chalk.green('✅') : chalk.red('❌');
           console.log(`${status} ${service}`);
         } catch (error) {
@@ -190,15 +235,16 @@ class MCPClient {
     }
   }
 
-  async removeCredentials(service) {
+  async removeCredentials(service, options = {}) {
     try {
+      const profile = await this.resolveProfile(options);
       const confirm = await inquirer.confirm({
-        message: `Are you sure you want to remove credentials for ${service}?`,
+        message: `Are you sure you want to remove credentials for ${service} (profile ${profile})?`,
         default: false
       });
 
       if (confirm) {
-        await this.credentialManager.removeCredentials(service);
+        await this.credentialManager.removeCredentials(service, profile);
         console.log(chalk.green(`✅ Credentials removed for ${service}`));
       } else {
         console.log(chalk.gray('Operation cancelled'));
@@ -211,24 +257,27 @@ class MCPClient {
 
   async testService(service, options) {
     try {
-      console.log(chalk.blue(`🧪 Testing ${service} integration...`));
+      const profile = await this.resolveProfile(options);
+      console.log(chalk.blue(`🧪 Testing ${service} integration (profile ${profile})...`));
       
-      const credentials = await this.credentialManager.getCredentials(service);
+      const credentials = await this.credentialManager.getCredentials(service, profile);
       
       // Perform service-specific tests
       switch (service) {
         case 'stripe':
           await this.testStripeService(credentials, options);
+          await this.reportScopes(service, profile);
           break;
         case 'openai':
           await this.testOpenAIService(credentials, options);
           break;
         case 'github':
           await this.testGitHubService(credentials, options);
+          await this.reportScopes(service, profile);
           break;
         default:
           console.log(chalk.yellow(`⚠️  No specific test available for ${service}`));
-          const isConnected = await this.credentialManager.testConnection(service);
+          const isConnected = await this.credentialManager.testConnection(service, profile);
           console.log(isConnected ? 
             chalk.green('✅ Basic connection successful') : 
             chalk.red('❌ Connection failed')
@@ -277,6 +326,52 @@ class MCPClient {
     console.log(chalk.gray(`Public repos: ${user.public_repos}, Followers: ${user.followers}`));
   }
 
+  // Records the scopes the key actually has, for `mak3r-mcp audit`
+  async reportScopes(service, profile) {
+    if (!await this.credentialManager.testConnection(service, profile)) {
+      console.log(chalk.yellow('⚠️  Could not discover key scopes'));
+      return;
+    }
+    
+    const metadata = this.credentialManager.getMetadata(service, profile);
+    const scopes = metadata.scopes ? (metadata.scopes.join(', ') || 'none') : 'not reported (fine-grained token)';
+    console.log(chalk.gray(`Scopes: ${scopes}`));
+    if (metadata.expires_at) {
+      console.log(chalk.gray(`Expires: ${metadata.expires_at.slice(0, 10)}`));
+    }
+  }
+
+  async auditCredentials(options) {
+    try {
+      const report = this.credentialManager.audit({ maxAgeDays: parseInt(options.maxAge, 10) || undefined });
+      
+      if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        console.log(chalk.blue(`🔎 Credential audit: ${report.records.length} records`));
+        console.log();
+        
+        const icons = { error: chalk.red('❌'), warning: chalk.yellow('⚠️ '), info: chalk.gray('ℹ️ ') };
+        for (const finding of report.findings) {
+          console.log(`${icons[finding.severity]} ${finding.profile}/${finding.service} ${chalk.gray(`[${finding.rule}]`)} ${finding.message}`);
+        }
+        
+        const { errors, warnings, info } = report.summary;
+        console.log();
+        console.log(report.findings.length === 0 ?
+          chalk.green('✅ No stale or over-privileged keys found') :
+          chalk.gray(`${errors} errors, ${warnings} warnings, ${info} info`));
+      }
+      
+      if (report.summary.errors > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ Audit failed: ${error.message}`));
+      process.exit(1);
+    }
+  }
+
   async showLogs(options) {
     const fs = require('fs-extra');
     const path = require('path');
@@ -337,18 +432,83 @@ class MCPClient {
     }
   }
 
+  // Export files have their own passphrase so they can be imported into another store
+  exportPassphrase() {
+    if (process.env.MAK3R_EXPORT_PASSPHRASE || !process.stdin.isTTY) {
+      return process.env.MAK3R_EXPORT_PASSPHRASE;
+    }
+    return (options) => this.promptPassphrase({
+      ...options,
+      message: options.confirm ? 'Passphrase for the export file' : 'Export file passphrase'
+    });
+  }
+
   async exportConfig(outputPath) {
     try {
-      await this.credentialManager.exportCredentials(outputPath);
+      await this.credentialManager.exportCredentials(outputPath, null, { passphrase: this.exportPassphrase() });
       console.log(chalk.green(`✅ Credentials exported to ${outputPath}`));
     } catch (error) {
       console.error(chalk.red(`❌ Export failed: ${error.message}`));
     }
   }
 
+  async listProfiles() {
+    const active = await this.resolveProfile();
+    console.log(chalk.blue('📋 Credential Profiles:'));
+    console.log();
+    
+    for (const profile of await this.credentialManager.listProfiles()) {
+      const marker = profile.name === active ? chalk.green('●') : ' ';
+      const production = profile.production ? chalk.red(' [production]') : '';
+      const services = profile.services.length > 0 ? profile.services.join(', ') : chalk.gray('no services');
+      console.log(`${marker} ${profile.name}${production}  ${services}`);
+    }
+  }
+
+  async setProfile(name, options) {
+    try {
+      const settings = {};
+      if (options.production !== undefined) {
+        settings.production = options.production;
+      }
+      
+      const profile = await this.credentialManager.setProfile(name, settings);
+      console.log(chalk.green(`✅ Profile ${name} saved${profile.production ? ' (production: live keys allowed)' : ''}`));
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to save profile: ${error.message}`));
+      process.exit(1);
+    }
+  }
+
+  async rotateKeys(options) {
+    try {
+      console.log(chalk.blue('🔑 Rotating credential master key...'));
+      
+      const provider = options.provider || this.credentialManager.keyProvider;
+      const result = await this.credentialManager.rotateMasterKey({
+        provider,
+        // A new passphrase is always asked for, even when staying on the passphrase provider
+        passphrase: provider === 'passphrase' ?
+          process.env.MAK3R_NEW_PASSPHRASE || (process.stdin.isTTY ? () => this.promptPassphrase({ confirm: true }) : undefined) :
+          undefined,
+        kdfCost: options.kdfCost
+      });
+
+      console.log(chalk.green(`✅ Re-encrypted ${result.records} records with a new master key`));
+      console.log(chalk.gray(`Key protection: ${result.previous_provider} → ${result.provider}`));
+      if (result.key) {
+        console.log(chalk.yellow('\nThe key is not stored anywhere - set it where the store is used (e.g. a CI secret):'));
+        console.log(`MAK3R_MASTER_KEY=${result.key}`);
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ Key rotation failed: ${error.message}`));
+      process.exit(1);
+    }
+  }
+
   async importConfig(inputPath, options) {
     try {
-      await this.credentialManager.importCredentials(inputPath, options.overwrite);
+      await this.credentialManager.importCredentials(inputPath, options.overwrite, { passphrase: this.exportPassphrase() });
       console.log(chalk.green('✅ Credentials imported successfully'));
     } catch (error) {
       console.error(chalk.red(`❌ Import failed: ${error.message}`));
@@ -360,7 +520,10 @@ async function main() {
   const program = new Command();
   const client = new MCPClient();
 
-  await client.initialize();
+  // The store is unlocked once the command and its options are known
+  program.hook('preAction', async (thisCommand, actionCommand) => {
+    await client.initialize(actionCommand.opts());
+  });
 
   program
     .name('MAK3R-HUB MCP')
@@ -373,6 +536,7 @@ async function main() {
     .description('Start MCP server')
     .option('-p, --port <port>', 'Server port', '3001')
     .option('-h, --host <host>', 'Server host', 'localhost')
+    .option('--profile <name>', 'Credential profile for requests that do not name one')
     .action(async (options) => {
       await client.startServer(options);
     });
@@ -392,6 +556,8 @@ async function main() {
     .option('--token <token>', 'Access token')
     .option('--no-interactive', 'Non-interactive mode')
     .option('--no-test', 'Skip connection test')
+    .option('--expires <when>', 'Expiry date or lifetime, e.g. 2026-12-31 or 90d')
+    .option('--profile <name>', 'Credential profile (default: MAK3R_PROFILE, the project binding or "default")')
     .action(async (service, options) => {
       await client.configureCredentials(service, options);
     });
@@ -400,16 +566,18 @@ async function main() {
     .command('list')
     .alias('ls')
     .description('List configured services')
-    .action(async () => {
-      await client.listCredentials();
+    .option('--profile <name>', 'Credential profile')
+    .action(async (options) => {
+      await client.listCredentials(options);
     });
 
   program
     .command('remove <service>')
     .alias('rm')
     .description('Remove credentials for a service')
-    .action(async (service) => {
-      await client.removeCredentials(service);
+    .option('--profile <name>', 'Credential profile')
+    .action(async (service, options) => {
+      await client.removeCredentials(service, options);
     });
 
   // Testing
@@ -418,10 +586,20 @@ async function main() {
     .description('Test service integration')
     .option('--method <method>', 'Test method to call')
     .option('--prompt <prompt>', 'Test prompt for AI services')
+    .option('--profile <name>', 'Credential profile')
     .action(async (service, options) => {
       await client.testService(service, options);
     });
 
+  program
+    .command('audit')
+    .description('Flag expired, stale and over-privileged credentials')
+    .option('--max-age <days>', 'Days after which an unrotated key is stale', '90')
+    .option('--json', 'Output the report as JSON')
+    .action(async (options) => {
+      await client.auditCredentials(options);
+    });
+
   // Logs
   program
     .command('logs')
@@ -448,6 +626,41 @@ async function main() {
       await client.importConfig(inputPath, options);
     });
 
+  // Profiles
+  const profiles = program
+    .command('profiles')
+    .description('Manage credential profiles (e.g. default, clientA, live)');
+
+  profiles
+    .command('list')
+    .description('List profiles and their services')
+    .action(async () => {
+      await client.listProfiles();
+    });
+
+  profiles
+    .command('set <name>')
+    .description('Create or update a profile')
+    .option('--production', 'Mark as production: allows live Stripe keys')
+    .option('--no-production', 'Remove the production mark')
+    .action(async (name, options) => {
+      await client.setProfile(name, options);
+    });
+
+  // Master key
+  const keys = program
+    .command('keys')
+    .description('Manage the credential master key');
+
+  keys
+    .command('rotate')
+    .description('Re-encrypt every record with a new master key')
+    .option('--provider <provider>', 'Key protection: passphrase, keyring, env or machine')
+    .option('--kdf-cost <cost>', 'scrypt cost for the passphrase provider (N = 2^cost)')
+    .action(async (options) => {
+      await client.rotateKeys(options);
+    });
+
   // Status
   program
     .command('status')
@@ -459,7 +672,7 @@ async function main() {
     });
 
   // Parse command line
-  program.parse();
+  await program.parseAsync();
 
   // Show help if no command provided
   if (!process.argv.slice(2).length) {
@@ -0,0 +1,165 @@
+/**
+ * Master Key Providers for MAK3R-HUB MCP
+ * Protect the CredentialManager master key with a passphrase, the OS keyring or an environment variable
+ */
+
+const crypto = require('crypto');
+const util = require('util');
+const { spawnSync } = require('child_process');
+
+const scrypt = util.promisify(crypto.scrypt);
+
+const KEY_LENGTH = 32;
+const ENV_KEY = 'MAK3R_MASTER_KEY';
+// scrypt N = 2^cost; 15 takes roughly 100ms and 32 MB
+const DEFAULT_KDF_COST = 15;
+const MIN_KDF_COST = 10;
+const KEYRING_LABEL = 'MAK3R-HUB credential master key';
+
+function seal(key, data, label) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(label, 'utf8'));
+  const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+}
+
+function unseal(key, sealed, label) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.subarray(0, 12));
+  decipher.setAuthTag(sealed.subarray(12, 28));
+  decipher.setAAD(Buffer.from(label, 'utf8'));
+  return Buffer.concat([decipher.update(sealed.subarray(28)), decipher.final()]);
+}
+
+// Accepts 32 random bytes as base64 or hex, e.g. the output of `openssl rand -base64 32`
+function parseKey(value) {
+  const text = (value || '').trim();
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(`${ENV_KEY} must be ${KEY_LENGTH} bytes, base64 or hex encoded (openssl rand -base64 32)`);
+  }
+  return key;
+}
+
+class PassphraseKeyProvider {
+  constructor(options = {}) {
+    this.name = 'passphrase';
+    this.passphrase = options.passphrase;
+    this.cost = parseInt(options.cost || DEFAULT_KDF_COST, 10);
+    if (!(this.cost >= MIN_KDF_COST && this.cost <= 20)) {
+      throw new Error(`KDF cost must be between ${MIN_KDF_COST} and 20 (scrypt N = 2^cost)`);
+    }
+  }
+
+  async getPassphrase(options = {}) {
+    const passphrase = typeof this.passphrase === 'function' ? await this.passphrase(options) : this.passphrase;
+    if (!passphrase) {
+      throw new Error('A passphrase is required - set MAK3R_PASSPHRASE or run interactively');
+    }
+    return passphrase;
+  }
+
+  async deriveKey(passphrase, kdf) {
+    const N = 2 ** kdf.cost;
+    return scrypt(passphrase, Buffer.from(kdf.salt, 'base64'), KEY_LENGTH, { N, r: kdf.r, p: kdf.p, maxmem: 256 * N * kdf.r });
+  }
+
+  async protect(masterKey) {
+    const kdf = { name: 'scrypt', cost: this.cost, r: 8, p: 1, salt: crypto.randomBytes(16).toString('base64') };
+    const wrappingKey = await this.deriveKey(await this.getPassphrase({ confirm: true }), kdf);
+    return { provider: this.name, kdf, key: seal(wrappingKey, masterKey, this.name).toString('base64') };
+  }
+
+  async unprotect(record) {
+    const wrappingKey = await this.deriveKey(await this.getPassphrase(), record.kdf);
+    try {
+      return unseal(wrappingKey, Buffer.from(record.key, 'base64'), this.name);
+    } catch (error) {
+      throw new Error('Wrong passphrase for the credential store');
+    }
+  }
+
+  async remove() {}
+}
+
+// libsecret through its secret-tool CLI, so no native module is needed
+class KeyringKeyProvider {
+  constructor(options = {}) {
+    this.name = 'keyring';
+    this.command = options.command || process.env.MAK3R_KEYRING_COMMAND || 'secret-tool';
+    this.account = options.account;
+  }
+
+  run(args, input) {
+    const result = spawnSync(this.command, [...args, 'service', 'mak3r-hub', 'account', this.account], {
+      input,
+      encoding: 'utf8'
+    });
+    if (result.error) {
+      throw new Error(result.error.code === 'ENOENT' ?
+        `OS keyring not available: ${this.command} not found (install libsecret-tools)` :
+        `OS keyring failed: ${result.error.message}`);
+    }
+    return result;
+  }
+
+  async protect(masterKey) {
+    const result = this.run(['store', `--label=${KEYRING_LABEL}`], masterKey.toString('base64'));
+    if (result.status !== 0) {
+      throw new Error(`OS keyring refused to store the master key: ${(result.stderr || '').trim()}`);
+    }
+    return { provider: this.name, backend: 'libsecret', account: this.account };
+  }
+
+  async unprotect(record) {
+    this.account = record.account || this.account;
+    const result = this.run(['lookup']);
+    if (result.status !== 0 || !result.stdout.trim()) {
+      throw new Error('Master key not found in the OS keyring');
+    }
+    return parseKey(result.stdout);
+  }
+
+  async remove() {
+    this.run(['clear']);
+  }
+}
+
+// For CI: the key itself comes from MAK3R_MASTER_KEY and nothing is written to disk
+class EnvKeyProvider {
+  constructor() {
+    this.name = 'env';
+  }
+
+  async protect() {
+    return null;
+  }
+
+  async unprotect() {
+    return parseKey(process.env[ENV_KEY]);
+  }
+
+  async remove() {}
+}
+
+function createKeyProvider(name, options = {}) {
+  switch (name) {
+    case 'passphrase':
+      return new PassphraseKeyProvider(options);
+    case 'keyring':
+      return new KeyringKeyProvider(options);
+    case 'env':
+      return new EnvKeyProvider(options);
+    default:
+      throw new Error(`Unknown key provider: ${name} (use passphrase, keyring, env or machine)`);
+  }
+}
+
+module.exports = {
+  createKeyProvider,
+  PassphraseKeyProvider,
+  KeyringKeyProvider,
+  EnvKeyProvider,
+  ENV_KEY,
+  DEFAULT_KDF_COST
+};
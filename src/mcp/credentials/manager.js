@@ -7,21 +7,58 @@ const fs = require('fs-extra');
 const path = require('path');
 const crypto = require('crypto');
 const os = require('os');
+const { createKeyProvider, PassphraseKeyProvider, ENV_KEY } = require('./key-providers');
+
+const STORE_VERSION = 2;
+const EXPORT_TYPE = 'mak3r-credentials-export';
+const DEFAULT_PROFILE = 'default';
+const PROFILE_NAME = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+const DAY = 24 * 60 * 60 * 1000;
+// GitHub scopes beyond what repository, PR and deploy automation needs
+const OVERPRIVILEGED_GITHUB_SCOPES = [
+  'admin:org', 'admin:enterprise', 'admin:org_hook', 'admin:repo_hook', 'admin:public_key',
+  'admin:gpg_key', 'admin:ssh_signing_key', 'delete_repo', 'delete:packages', 'site_admin'
+];
+// Key the MCP server used for credentials.json when MAK3R_HUB_ENCRYPTION_KEY was unset
+const LEGACY_SERVER_KEY = 'default-key-change-in-production';
 
 class CredentialManager {
   constructor(options = {}) {
     this.credentialsDir = options.credentialsDir || path.join(os.homedir(), '.mak3r-hub');
     this.credentialsFile = path.join(this.credentialsDir, 'credentials.enc');
     this.keyFile = path.join(this.credentialsDir, 'keyring.enc');
-    this.algorithm = 'aes-256-cbc';
+    this.algorithm = 'aes-256-gcm';
     this.keyLength = 32;
-    this.ivLength = 16;
+    this.ivLength = 12;
     this.tagLength = 16;
     this.saltLength = 32;
     
-    // In-memory credential cache
+    // How the master key is protected: passphrase, keyring, env or machine (legacy default)
+    this.keyOptions = {
+      provider: options.keyProvider || process.env.MAK3R_KEY_PROVIDER,
+      passphrase: process.env.MAK3R_PASSPHRASE || options.passphrase,
+      cost: options.kdfCost || process.env.MAK3R_KDF_COST,
+      command: options.keyringCommand,
+      account: crypto.createHash('sha256').update(path.resolve(this.credentialsDir)).digest('hex').slice(0, 16)
+    };
+    this.keyProvider = null;
+    
+    // Explicit profile for this process; otherwise resolved per project (see resolveProfile)
+    this.profile = options.profile || process.env.MAK3R_PROFILE || null;
+    // Profile settings such as { live: { production: true } }, stored encrypted with the records
+    this.profiles = {};
+    // Per record: created_at, rotated_at, expires_at, scopes and when they were last checked
+    this.metadata = {};
+    // Backups kept per record by rotateCredentials
+    this.maxBackups = options.maxBackups ?? (parseInt(process.env.MAK3R_MAX_BACKUPS, 10) || 3);
+    
+    // In-memory credential cache, keyed by service (default profile) or profile/service
     this.cache = new Map();
     this.masterKey = null;
+    // Set when the store on disk could not be decrypted; saves are refused so it is not overwritten
+    this.loadError = null;
+    // Status messages; callers producing machine-readable output pass one that drops log()
+    this.logger = options.logger || console;
   }
 
   async initialize() {
@@ -30,7 +67,7 @@ class CredentialManager {
       await this.loadOrCreateMasterKey();
       await this.loadCredentials();
       
-      console.log('Credential manager initialized successfully');
+      this.logger.log('Credential manager initialized successfully');
     } catch (error) {
       throw new Error(`Failed to initialize credential manager: ${error.message}`);
     }
@@ -38,26 +75,138 @@ class CredentialManager {
 
   async loadOrCreateMasterKey() {
     try {
-      if (await fs.pathExists(this.keyFile)) {
+      if (process.env[ENV_KEY]) {
+        this.masterKey = await createKeyProvider('env').unprotect();
+        this.keyProvider = 'env';
+      } else if (await fs.pathExists(this.keyFile)) {
         // Load existing master key
         const keyData = await fs.readFile(this.keyFile);
-        this.masterKey = this.decryptMasterKey(keyData);
+        const record = this.parseKeyRecord(keyData);
+        if (record) {
+          this.masterKey = await createKeyProvider(record.provider, this.keyOptions).unprotect(record);
+          this.keyProvider = record.provider;
+        } else {
+          this.masterKey = this.decryptMasterKey(keyData);
+          this.keyProvider = 'machine';
+        }
       } else {
         // Generate new master key
-        this.masterKey = crypto.randomBytes(this.keyLength);
-        const encryptedKey = this.encryptMasterKey(this.masterKey);
-        await fs.writeFile(this.keyFile, encryptedKey);
-        
-        // Set restrictive permissions on key file
-        if (process.platform !== 'win32') {
-          await fs.chmod(this.keyFile, 0o600);
+        const provider = this.keyOptions.provider || (this.keyOptions.passphrase ? 'passphrase' : 'machine');
+        if (provider === 'env') {
+          throw new Error(`The env key provider needs ${ENV_KEY} (generate one with: openssl rand -base64 32)`);
+        }
+        if (await fs.pathExists(this.credentialsFile)) {
+          // A store written with an env key: a new key would never decrypt it
+          throw new Error(`${this.credentialsFile} exists but its master key was not found - set ${ENV_KEY}`);
         }
+        this.masterKey = crypto.randomBytes(this.keyLength);
+        await this.protectMasterKey(this.masterKey, provider, this.keyOptions);
       }
     } catch (error) {
       throw new Error(`Failed to handle master key: ${error.message}`);
     }
   }
 
+  parseKeyRecord(data) {
+    try {
+      const record = JSON.parse(data.toString('utf8'));
+      return record && record.version === STORE_VERSION && record.provider ? record : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async protectMasterKey(key, provider, options) {
+    if (provider === 'machine') {
+      this.logger.warn('Master key is only bound to this machine - protect it with: mak3r-mcp keys rotate --provider passphrase');
+      await fs.writeFile(this.keyFile, this.encryptMasterKey(key));
+    } else {
+      const record = await createKeyProvider(provider, options).protect(key);
+      if (record) {
+        await fs.writeFile(this.keyFile, JSON.stringify({ version: STORE_VERSION, ...record, created_at: new Date().toISOString() }, null, 2));
+      } else {
+        await fs.remove(this.keyFile);
+      }
+    }
+    
+    // Set restrictive permissions on key file
+    if (process.platform !== 'win32' && await fs.pathExists(this.keyFile)) {
+      await fs.chmod(this.keyFile, 0o600);
+    }
+    this.keyProvider = provider;
+  }
+
+  /**
+   * Re-encrypts every record under a new master key, optionally moving it to another provider.
+   * The previous files are kept as .bak until both the key and the records are written.
+   */
+  async rotateMasterKey(options = {}) {
+    if (!this.masterKey) {
+      throw new Error('Master key not initialized');
+    }
+
+    const previousProvider = this.keyProvider;
+    const provider = options.provider || previousProvider;
+    const keyOptions = {
+      ...this.keyOptions,
+      passphrase: options.passphrase || this.keyOptions.passphrase,
+      cost: options.kdfCost || this.keyOptions.cost
+    };
+
+    // Decrypt everything up front so a record that no longer decrypts stops the rotation
+    const plain = new Map();
+    for (const [service, creds] of this.cache.entries()) {
+      plain.set(service, this.decryptSensitiveFields(service, creds, { strict: true }));
+    }
+
+    const files = [this.keyFile, this.credentialsFile];
+    for (const file of files) {
+      if (await fs.pathExists(file)) {
+        await fs.copy(file, `${file}.bak`);
+      }
+    }
+
+    const previousKey = this.masterKey;
+    const previousCache = new Map(this.cache);
+    try {
+      this.masterKey = crypto.randomBytes(this.keyLength);
+      for (const [service, creds] of plain.entries()) {
+        this.cache.set(service, this.encryptSensitiveFields(this.serviceOf(service), creds));
+      }
+      await this.protectMasterKey(this.masterKey, provider, keyOptions);
+      await this.saveCredentials();
+    } catch (error) {
+      this.masterKey = previousKey;
+      this.cache = previousCache;
+      this.keyProvider = previousProvider;
+      for (const file of files) {
+        if (await fs.pathExists(`${file}.bak`)) {
+          await fs.move(`${file}.bak`, file, { overwrite: true });
+        }
+      }
+      if (previousProvider === 'keyring') {
+        await createKeyProvider('keyring', this.keyOptions).protect(previousKey);
+      }
+      throw new Error(`Failed to rotate master key: ${error.message}`);
+    }
+
+    for (const file of files) {
+      await fs.remove(`${file}.bak`);
+    }
+    if (previousProvider === 'keyring' && provider !== 'keyring') {
+      await createKeyProvider('keyring', this.keyOptions).remove();
+    }
+    this.keyOptions = keyOptions;
+
+    return {
+      provider,
+      previous_provider: previousProvider,
+      records: plain.size,
+      // Only an env key has to leave the process: it is not stored anywhere else
+      key: provider === 'env' ? this.masterKey.toString('base64') : undefined
+    };
+  }
+
   encryptMasterKey(key) {
     // Simplified encryption for compatibility
     const machineId = this.getMachineId();
@@ -105,107 +254,309 @@ class CredentialManager {
   async loadCredentials() {
     try {
       if (await fs.pathExists(this.credentialsFile)) {
-        const encryptedData = await fs.readFile(this.credentialsFile);
-        const decryptedData = this.decrypt(encryptedData);
-        const credentials = JSON.parse(decryptedData);
-        
-        // Load into cache
-        for (const [service, creds] of Object.entries(credentials)) {
-          this.cache.set(service, creds);
+        const data = await fs.readFile(this.credentialsFile);
+        const store = this.parseStore(data);
+
+        if (store) {
+          // Each service is its own record, bound to its name so records cannot be swapped
+          for (const [service, record] of Object.entries(store.services)) {
+            this.cache.set(service, JSON.parse(this.decrypt(Buffer.from(record, 'base64'), service)));
+          }
+          if (store.profiles) {
+            this.profiles = JSON.parse(this.decrypt(Buffer.from(store.profiles, 'base64'), 'profiles'));
+          }
+          if (store.metadata) {
+            this.metadata = JSON.parse(this.decrypt(Buffer.from(store.metadata, 'base64'), 'metadata'));
+          }
+        } else {
+          await this.migrateXorStore(data);
         }
         
-        console.log(`Loaded credentials for ${this.cache.size} services`);
+        this.logger.log(`Loaded credentials for ${this.cache.size} services`);
       }
     } catch (error) {
-      console.warn(`Failed to load credentials: ${error.message}`);
+      // A wrong master key or a tampered file: keep what is on disk rather than overwriting it with a partial cache
+      this.cache.clear();
+      this.loadError = error;
+      throw new Error(`Failed to load credentials: ${error.message}`);
+    }
+  }
+
+  parseStore(data) {
+    try {
+      const store = JSON.parse(data.toString('utf8'));
+      return store && store.version === STORE_VERSION && store.services ? store : null;
+    } catch (error) {
+      return null;
     }
   }
 
   async saveCredentials() {
+    if (this.loadError) {
+      throw new Error(`Failed to save credentials: ${this.credentialsFile} could not be loaded (${this.loadError.message}) - refusing to overwrite it`);
+    }
+    
     try {
-      const credentials = {};
+      const store = {
+        version: STORE_VERSION,
+        algorithm: this.algorithm,
+        services: {}
+      };
       for (const [service, creds] of this.cache.entries()) {
-        credentials[service] = creds;
+        store.services[service] = this.encrypt(JSON.stringify(creds), service).toString('base64');
+      }
+      if (Object.keys(this.profiles).length > 0) {
+        store.profiles = this.encrypt(JSON.stringify(this.profiles), 'profiles').toString('base64');
+      }
+      if (Object.keys(this.metadata).length > 0) {
+        store.metadata = this.encrypt(JSON.stringify(this.metadata), 'metadata').toString('base64');
       }
       
-      const jsonData = JSON.stringify(credentials, null, 2);
-      const encryptedData = this.encrypt(jsonData);
-      await fs.writeFile(this.credentialsFile, encryptedData);
+      await fs.writeFile(this.credentialsFile, JSON.stringify(store, null, 2), { mode: 0o600 });
       
       // Set restrictive permissions
       if (process.platform !== 'win32') {
         await fs.chmod(this.credentialsFile, 0o600);
       }
       
-      console.log('Credentials saved securely');
+      this.logger.log('Credentials saved securely');
     } catch (error) {
       throw new Error(`Failed to save credentials: ${error.message}`);
     }
   }
 
-  encrypt(data) {
-    if (!this.masterKey) {
+  // Layout: IV (12 bytes) | auth tag (16 bytes) | ciphertext, with a fresh IV for every call
+  encrypt(data, associatedData = null, key = this.masterKey) {
+    if (!key) {
       throw new Error('Master key not initialized');
     }
     
-    // Simple XOR encryption for compatibility
-    const dataBuffer = Buffer.from(data, 'utf8');
-    const result = Buffer.alloc(dataBuffer.length);
-    
-    for (let i = 0; i < dataBuffer.length; i++) {
-      result[i] = dataBuffer[i] ^ this.masterKey[i % this.masterKey.length];
+    const iv = crypto.randomBytes(this.ivLength);
+    const cipher = crypto.createCipheriv(this.algorithm, key, iv, { authTagLength: this.tagLength });
+    if (associatedData) {
+      cipher.setAAD(Buffer.from(associatedData, 'utf8'));
     }
     
-    return result;
+    const encrypted = Buffer.concat([cipher.update(data, 'utf8'), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
   }
 
-  decrypt(encryptedData) {
-    if (!this.masterKey) {
+  decrypt(encryptedData, associatedData = null, key = this.masterKey) {
+    if (!key) {
       throw new Error('Master key not initialized');
     }
+    if (encryptedData.length < this.ivLength + this.tagLength) {
+      throw new Error('Encrypted data is truncated');
+    }
     
-    // Simple XOR decryption (same as encryption)
-    const result = Buffer.alloc(encryptedData.length);
-    
-    for (let i = 0; i < encryptedData.length; i++) {
-      result[i] = encryptedData[i] ^ this.masterKey[i % this.masterKey.length];
+    const iv = encryptedData.subarray(0, this.ivLength);
+    const tag = encryptedData.subarray(this.ivLength, this.ivLength + this.tagLength);
+    const decipher = crypto.createDecipheriv(this.algorithm, key, iv, { authTagLength: this.tagLength });
+    decipher.setAuthTag(tag);
+    if (associatedData) {
+      decipher.setAAD(Buffer.from(associatedData, 'utf8'));
     }
     
-    return result.toString('utf8');
+    try {
+      return Buffer.concat([
+        decipher.update(encryptedData.subarray(this.ivLength + this.tagLength)),
+        decipher.final()
+      ]).toString('utf8');
+    } catch (error) {
+      throw new Error('Decryption failed: data was modified or encrypted with a different key');
+    }
+  }
+
+  // Stores written before AES-256-GCM XORed the whole file and each sensitive field with the master key
+  async migrateXorStore(data) {
+    const xor = (buffer) => Buffer.from(buffer.map((byte, i) => byte ^ this.masterKey[i % this.masterKey.length]));
+    const credentials = JSON.parse(xor(data).toString('utf8'));
+
+    for (const [service, creds] of Object.entries(credentials)) {
+      const plain = { ...creds };
+      for (const [field, value] of Object.entries(creds)) {
+        if (field.endsWith('_encrypted') && value === true) {
+          const actualField = field.replace('_encrypted', '');
+          plain[actualField] = xor(Buffer.from(plain[actualField], 'base64')).toString('utf8');
+          delete plain[field];
+        }
+      }
+      this.cache.set(service, this.encryptSensitiveFields(this.serviceOf(service), plain));
+    }
+
+    await this.saveCredentials();
+    this.logger.log(`Migrated credentials for ${this.cache.size} services to ${this.algorithm}`);
   }
 
-  async setCredentials(service, credentials) {
+  /**
+   * One-time import of a credentials.json written by MCP servers that kept their own store
+   * (crypto.createCipher with a passphrase). Services already stored here take precedence;
+   * the old file is removed once its contents are saved.
+   */
+  async migrateLegacyFile(legacyPath, passphrase = LEGACY_SERVER_KEY) {
+    if (!await fs.pathExists(legacyPath)) {
+      return 0;
+    }
+
+    let credentials;
+    try {
+      credentials = JSON.parse(this.decryptLegacyCipher(await fs.readFile(legacyPath, 'utf8'), passphrase));
+    } catch (error) {
+      throw new Error(`Unable to read ${legacyPath} - set MAK3R_HUB_ENCRYPTION_KEY to the key it was written with`);
+    }
+
+    let migrated = 0;
+    for (const [service, creds] of Object.entries(credentials)) {
+      if (!this.cache.has(service)) {
+        this.cache.set(service, this.encryptSensitiveFields(service, creds));
+        migrated++;
+      }
+    }
+
+    await this.saveCredentials();
+    await fs.remove(legacyPath);
+    this.logger.log(`Migrated ${migrated} services from ${legacyPath}`);
+    return migrated;
+  }
+
+  // createDecipher derived key and IV with OpenSSL's EVP_BytesToKey (MD5, one round, no salt);
+  // the IV stored in front of the ciphertext was never used
+  decryptLegacyCipher(text, passphrase) {
+    const material = [];
+    let block = Buffer.alloc(0);
+    while (Buffer.concat(material).length < this.keyLength + 16) {
+      block = crypto.createHash('md5').update(Buffer.concat([block, Buffer.from(passphrase, 'utf8')])).digest();
+      material.push(block);
+    }
+    const derived = Buffer.concat(material);
+
+    const ciphertext = text.trim().split(':').slice(1).join(':');
+    const decipher = crypto.createDecipheriv('aes-256-cbc', derived.subarray(0, this.keyLength), derived.subarray(this.keyLength, this.keyLength + 16));
+    return decipher.update(ciphertext, 'hex', 'utf8') + decipher.final('utf8');
+  }
+
+  // Cache key for a service in a profile; the default profile keeps bare service names
+  keyFor(service, profile = DEFAULT_PROFILE) {
+    if (!PROFILE_NAME.test(profile)) {
+      throw new Error(`Invalid profile name: ${profile} (letters, digits, - and _)`);
+    }
+    return profile === DEFAULT_PROFILE ? service : `${profile}/${service}`;
+  }
+
+  // Service name behind a cache key such as live/stripe or stripe_backup_1700000000000
+  serviceOf(key) {
+    return key.split('/').pop().split('_backup_')[0];
+  }
+
+  // Profile behind a cache key; bare keys belong to the default profile
+  profileOf(key) {
+    return key.includes('/') ? key.split('/')[0] : DEFAULT_PROFILE;
+  }
+
+  defaultProfile() {
+    return this.profile || DEFAULT_PROFILE;
+  }
+
+  /**
+   * Profile to use: an explicit name, then MAK3R_PROFILE, then the credentials.profile
+   * binding in the project's .mak3r/config.json, then "default".
+   */
+  async resolveProfile(options = {}) {
+    let profile = options.profile || this.profile;
+
+    if (!profile && options.projectPath) {
+      const config = await fs.readJson(path.join(options.projectPath, '.mak3r', 'config.json')).catch(() => null);
+      profile = config?.credentials?.profile;
+    }
+
+    profile = profile || DEFAULT_PROFILE;
+    if (!PROFILE_NAME.test(profile)) {
+      throw new Error(`Invalid profile name: ${profile} (letters, digits, - and _)`);
+    }
+    return profile;
+  }
+
+  async setProfile(name, settings = {}) {
+    if (!PROFILE_NAME.test(name)) {
+      throw new Error(`Invalid profile name: ${name} (letters, digits, - and _)`);
+    }
+    this.profiles[name] = { ...this.profiles[name], ...settings };
+    await this.saveCredentials();
+    return this.profiles[name];
+  }
+
+  isProduction(profile) {
+    return this.profiles[profile]?.production === true;
+  }
+
+  async listProfiles() {
+    const names = new Set([DEFAULT_PROFILE, ...Object.keys(this.profiles)]);
+    for (const key of this.cache.keys()) {
+      names.add(this.profileOf(key));
+    }
+
+    const profiles = [];
+    for (const name of [...names].sort()) {
+      profiles.push({
+        name,
+        production: this.isProduction(name),
+        services: (await this.listServices(name)).filter(service => !service.includes('_backup_'))
+      });
+    }
+    return profiles;
+  }
+
+  // Live Stripe keys can move real money, so only profiles marked production may hold or use them
+  checkProfilePolicy(service, credentials, profile) {
+    if (service === 'stripe' && /^(sk|rk)_live_/.test(credentials.api_key || '') && !this.isProduction(profile)) {
+      throw new Error(`Live Stripe keys need a production profile - "${profile}" is not one (mak3r-mcp profiles set ${profile} --production)`);
+    }
+  }
+
+  // options.expiresAt: ISO date after which the credential should no longer be used
+  async setCredentials(service, credentials, profile = this.defaultProfile(), options = {}) {
     try {
       // Validate service name
-      if (!service || typeof service !== 'string') {
-        throw new Error('Service name must be a non-empty string');
+      if (!service || typeof service !== 'string' || service.includes('/')) {
+        throw new Error('Service name must be a non-empty string without "/"');
       }
       
       // Validate credentials structure
       this.validateCredentials(service, credentials);
+      this.checkProfilePolicy(service, credentials, profile);
       
       // Encrypt sensitive fields
       const encryptedCredentials = this.encryptSensitiveFields(service, credentials);
       
       // Store in cache
-      this.cache.set(service, encryptedCredentials);
+      const key = this.keyFor(service, profile);
+      const now = new Date().toISOString();
+      const replacing = this.cache.has(key);
+      this.cache.set(key, encryptedCredentials);
+      // A new secret starts without scopes; they are discovered again by testConnection
+      this.metadata[key] = {
+        created_at: this.metadata[key]?.created_at || now,
+        ...(replacing ? { rotated_at: now } : {}),
+        ...(options.expiresAt ? { expires_at: new Date(options.expiresAt).toISOString() } : {})
+      };
       
       // Save to disk
       await this.saveCredentials();
       
-      console.log(`Credentials configured for service: ${service}`);
+      this.logger.log(`Credentials configured for service: ${service}${profile === DEFAULT_PROFILE ? '' : ` (profile ${profile})`}`);
     } catch (error) {
       throw new Error(`Failed to set credentials for ${service}: ${error.message}`);
     }
   }
 
-  async getCredentials(service) {
+  async getCredentials(service, profile = this.defaultProfile()) {
     try {
-      if (!this.cache.has(service)) {
-        throw new Error(`No credentials found for service: ${service}`);
+      const key = this.keyFor(service, profile);
+      if (!this.cache.has(key)) {
+        throw new Error(`No credentials found for service: ${service}${profile === DEFAULT_PROFILE ? '' : ` in profile ${profile}`}`);
       }
       
-      const encryptedCredentials = this.cache.get(service);
+      const encryptedCredentials = this.cache.get(key);
       return this.decryptSensitiveFields(service, encryptedCredentials);
     } catch (error) {
       throw new Error(`Failed to get credentials for ${service}: ${error.message}`);
@@ -228,7 +579,7 @@ class CredentialManager {
       },
       aws: {
         required: ['access_key_id', 'secret_access_key'],
-        optional: ['region', 'role_arn', 'session_token']
+        optional: ['region', 'role_arn', 'session_token', 'bucket', 'cloudfront_distribution_id', 'endpoint']
       },
       vercel: {
         required: ['token'],
@@ -246,7 +597,7 @@ class CredentialManager {
 
     const rules = validationRules[service];
     if (!rules) {
-      console.warn(`No validation rules defined for service: ${service}`);
+      this.logger.warn(`No validation rules defined for service: ${service}`);
       return;
     }
 
@@ -261,7 +612,7 @@ class CredentialManager {
     const allAllowedFields = [...rules.required, ...rules.optional];
     for (const field of Object.keys(credentials)) {
       if (!allAllowedFields.includes(field)) {
-        console.warn(`Unknown field '${field}' for service ${service}`);
+        this.logger.warn(`Unknown field '${field}' for service ${service}`);
       }
     }
   }
@@ -290,7 +641,7 @@ class CredentialManager {
     return result;
   }
 
-  decryptSensitiveFields(service, credentials) {
+  decryptSensitiveFields(service, credentials, options = {}) {
     const result = { ...credentials };
 
     for (const [field, value] of Object.entries(result)) {
@@ -301,7 +652,10 @@ class CredentialManager {
             const encryptedData = Buffer.from(result[actualField], 'base64');
             result[actualField] = this.decrypt(encryptedData);
           } catch (error) {
-            console.warn(`Failed to decrypt field ${actualField} for ${service}`);
+            if (options.strict) {
+              throw new Error(`Failed to decrypt field ${actualField} for ${service}`);
+            }
+            this.logger.warn(`Failed to decrypt field ${actualField} for ${service}`);
           }
         }
         delete result[field];
@@ -311,83 +665,122 @@ class CredentialManager {
     return result;
   }
 
-  async removeCredentials(service) {
+  async removeCredentials(service, profile = this.defaultProfile()) {
     try {
-      if (this.cache.has(service)) {
-        this.cache.delete(service);
+      const key = this.keyFor(service, profile);
+      if (this.cache.has(key)) {
+        this.cache.delete(key);
+        delete this.metadata[key];
         await this.saveCredentials();
-        console.log(`Credentials removed for service: ${service}`);
+        this.logger.log(`Credentials removed for service: ${service}`);
       } else {
-        console.warn(`No credentials found for service: ${service}`);
+        this.logger.warn(`No credentials found for service: ${service}`);
       }
     } catch (error) {
       throw new Error(`Failed to remove credentials for ${service}: ${error.message}`);
     }
   }
 
-  async listServices() {
-    return Array.from(this.cache.keys()).sort();
+  async listServices(profile = this.defaultProfile()) {
+    const prefix = profile === DEFAULT_PROFILE ? '' : `${profile}/`;
+    return Array.from(this.cache.keys())
+      .filter(key => prefix ? key.startsWith(prefix) : !key.includes('/'))
+      .map(key => key.slice(prefix.length))
+      .sort();
   }
 
-  async rotateCredentials(service, newCredentials) {
+  async rotateCredentials(service, newCredentials, profile = this.defaultProfile()) {
+    let backupKey = null;
     try {
-      // Backup existing credentials
-      const oldCredentials = this.cache.get(service);
-      const backupKey = `${service}_backup_${Date.now()}`;
-      this.cache.set(backupKey, oldCredentials);
+      const key = this.keyFor(service, profile);
+      
+      // Backup existing credentials, if there are any
+      const oldCredentials = this.cache.get(key);
+      if (oldCredentials) {
+        backupKey = `${key}_backup_${Date.now()}`;
+        this.cache.set(backupKey, oldCredentials);
+      }
       
       // Set new credentials
-      await this.setCredentials(service, newCredentials);
+      await this.setCredentials(service, newCredentials, profile);
+      const pruned = this.pruneBackups(key);
+      if (pruned.length > 0) {
+        await this.saveCredentials();
+      }
       
-      console.log(`Credentials rotated for service: ${service}`);
-      console.log(`Backup stored as: ${backupKey}`);
+      this.logger.log(`Credentials rotated for service: ${service}`);
+      if (backupKey) {
+        this.logger.log(`Backup stored as: ${backupKey}`);
+      }
     } catch (error) {
+      // e.g. a live Stripe key rejected by the profile policy: the old record stays current
+      if (backupKey) {
+        this.cache.delete(backupKey);
+      }
       throw new Error(`Failed to rotate credentials for ${service}: ${error.message}`);
     }
   }
 
-  async testConnection(service) {
+  // Keeps the newest `keep` backups of a record (and none older than maxAgeDays, if given)
+  pruneBackups(key, keep = this.maxBackups, maxAgeDays = null) {
+    const backups = Array.from(this.cache.keys())
+      .filter(candidate => candidate.startsWith(`${key}_backup_`))
+      .map(candidate => ({ key: candidate, timestamp: parseInt(candidate.split('_backup_')[1], 10) }))
+      .sort((a, b) => b.timestamp - a.timestamp);
+
+    const cutoff = maxAgeDays ? Date.now() - maxAgeDays * DAY : -Infinity;
+    const removed = backups.filter((backup, i) => i >= keep || backup.timestamp < cutoff).map(backup => backup.key);
+    removed.forEach(backupKey => this.cache.delete(backupKey));
+    return removed;
+  }
+
+  getMetadata(service, profile = this.defaultProfile()) {
+    return this.metadata[this.keyFor(service, profile)] || null;
+  }
+
+  async testConnection(service, profile = this.defaultProfile()) {
     try {
-      const credentials = await this.getCredentials(service);
+      const credentials = await this.getCredentials(service, profile);
       
-      // Basic connectivity tests for each service
+      // Basic connectivity tests for each service; GitHub and Stripe also report their scopes
+      let check;
       switch (service) {
         case 'stripe':
-          return this.testStripeConnection(credentials);
+          check = await this.testStripeConnection(credentials);
+          break;
         case 'openai':
           return this.testOpenAIConnection(credentials);
         case 'github':
-          return this.testGitHubConnection(credentials);
+          check = await this.testGitHubConnection(credentials);
+          break;
         default:
           throw new Error(`Connection test not implemented for service: ${service}`);
       }
+
+      if (!check) {
+        return false;
+      }
+      const key = this.keyFor(service, profile);
+      this.metadata[key] = {
+        ...this.metadata[key],
+        ...check,
+        scopes_checked_at: new Date().toISOString()
+      };
+      await this.saveCredentials();
+      return true;
     } catch (error) {
       throw new Error(`Connection test failed for ${service}: ${error.message}`);
     }
   }
 
   async testStripeConnection(credentials) {
-    const https = require('https');
-    
-    return new Promise((resolve, reject) => {
-      const options = {
-        hostname: 'api.stripe.com',
-        port: 443,
-        path: '/v1/account',
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${credentials.api_key}`
-        }
-      };
-
-      const req = https.request(options, (res) => {
-        resolve(res.statusCode === 200);
-      });
-
-      req.on('error', () => reject(false));
-      req.setTimeout(5000, () => reject(false));
-      req.end();
-    });
+    const stripeHandler = require('../handlers/stripe');
+    try {
+      const permissions = await stripeHandler.getKeyPermissions(credentials);
+      return { scopes: permissions.scopes, key_type: permissions.type };
+    } catch (error) {
+      return null;
+    }
   }
 
   async testOpenAIConnection(credentials) {
@@ -415,105 +808,204 @@ class CredentialManager {
   }
 
   async testGitHubConnection(credentials) {
-    const https = require('https');
-    
-    return new Promise((resolve, reject) => {
-      const options = {
-        hostname: 'api.github.com',
-        port: 443,
-        path: '/user',
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${credentials.token}`,
-          'User-Agent': 'MAK3R-HUB/1.0.0'
-        }
+    const githubHandler = require('../handlers/github');
+    try {
+      const info = await githubHandler.getTokenInfo(credentials);
+      return {
+        // null for fine-grained tokens, whose permissions GitHub does not report
+        scopes: info.scopes,
+        ...(info.expires_at ? { expires_at: info.expires_at } : {})
       };
+    } catch (error) {
+      return null;
+    }
+  }
 
-      const req = https.request(options, (res) => {
-        resolve(res.statusCode === 200);
-      });
+  /**
+   * Flags expired, expiring, stale and over-privileged credentials across all profiles.
+   * Severity: error (expired), warning (should be acted on), info (missing data).
+   */
+  audit(options = {}) {
+    const maxAgeDays = options.maxAgeDays || 90;
+    const expiringDays = options.expiringDays || 14;
+    const now = options.now || Date.now();
+    const records = [];
+    const findings = [];
+
+    for (const key of Array.from(this.cache.keys()).sort()) {
+      if (key.includes('_backup_')) {
+        continue;
+      }
 
-      req.on('error', () => reject(false));
-      req.setTimeout(5000, () => reject(false));
-      req.end();
-    });
+      const [profile, service] = key.includes('/') ? key.split('/') : [DEFAULT_PROFILE, key];
+      const meta = this.metadata[key] || {};
+      const changedAt = meta.rotated_at || meta.created_at;
+      const ageDays = changedAt ? Math.floor((now - Date.parse(changedAt)) / DAY) : null;
+      const backups = Array.from(this.cache.keys()).filter(candidate => candidate.startsWith(`${key}_backup_`)).length;
+      const flag = (severity, rule, message) => findings.push({ profile, service, severity, rule, message });
+
+      records.push({ profile, service, ...meta, age_days: ageDays, backups });
+
+      if (!changedAt) {
+        flag('info', 'no-timestamps', 'Stored before timestamps were tracked - its age is unknown');
+      } else if (ageDays > maxAgeDays) {
+        flag('warning', 'stale', `Not rotated for ${ageDays} days (limit ${maxAgeDays})`);
+      }
+
+      if (meta.expires_at) {
+        const daysLeft = Math.floor((Date.parse(meta.expires_at) - now) / DAY);
+        if (daysLeft < 0) {
+          flag('error', 'expired', `Expired on ${meta.expires_at.slice(0, 10)}`);
+        } else if (daysLeft <= expiringDays) {
+          flag('warning', 'expiring', `Expires in ${daysLeft} days (${meta.expires_at.slice(0, 10)})`);
+        }
+      }
+
+      if (!meta.scopes_checked_at && ['github', 'stripe'].includes(service)) {
+        flag('info', 'scopes-unknown', `Scopes never checked - run: mak3r-mcp test ${service}${profile === DEFAULT_PROFILE ? '' : ` --profile ${profile}`}`);
+      }
+      if (service === 'github' && Array.isArray(meta.scopes)) {
+        const excessive = meta.scopes.filter(scope => OVERPRIVILEGED_GITHUB_SCOPES.includes(scope));
+        if (excessive.length > 0) {
+          flag('warning', 'over-privileged', `Token has ${excessive.join(', ')} - repo is enough for MAK3R-HUB`);
+        }
+      }
+      if (service === 'stripe' && meta.key_type === 'secret') {
+        flag('warning', 'over-privileged', 'Unrestricted secret key - a restricted key (rk_) limited to the resources you use is safer');
+      }
+    }
+
+    return {
+      records,
+      findings,
+      summary: {
+        errors: findings.filter(finding => finding.severity === 'error').length,
+        warnings: findings.filter(finding => finding.severity === 'warning').length,
+        info: findings.filter(finding => finding.severity === 'info').length
+      }
+    };
   }
 
-  async exportCredentials(outputPath, services = null) {
+  /**
+   * Writes decrypted records to a file sealed with a key derived from options.passphrase
+   * (or MAK3R_EXPORT_PASSPHRASE), so it can be imported into a store with a different master key.
+   */
+  async exportCredentials(outputPath, services = null, options = {}) {
     try {
+      const passphrase = options.passphrase || process.env.MAK3R_EXPORT_PASSPHRASE;
+      if (!passphrase) {
+        throw new Error('An export passphrase is required - set MAK3R_EXPORT_PASSPHRASE or run interactively');
+      }
+      
       const servicesToExport = services || Array.from(this.cache.keys());
       const exportData = {
         exported_at: new Date().toISOString(),
-        services: {}
+        services: {},
+        metadata: {}
       };
 
       for (const service of servicesToExport) {
         if (this.cache.has(service)) {
-          const credentials = this.cache.get(service);
-          // Remove encrypted flags and keep encrypted data for export
-          exportData.services[service] = credentials;
+          // Fields are exported in the clear inside the sealed file and re-encrypted on import
+          exportData.services[service] = this.decryptSensitiveFields(service, this.cache.get(service), { strict: true });
+          if (this.metadata[service]) {
+            exportData.metadata[service] = this.metadata[service];
+          }
         }
       }
 
-      const encryptedExport = this.encrypt(JSON.stringify(exportData, null, 2));
-      await fs.writeFile(outputPath, encryptedExport);
+      const exportKey = crypto.randomBytes(this.keyLength);
+      const keyRecord = await new PassphraseKeyProvider({ passphrase, cost: options.kdfCost }).protect(exportKey);
+      const sealed = this.encrypt(JSON.stringify(exportData), EXPORT_TYPE, exportKey);
+      await fs.writeFile(outputPath, JSON.stringify({
+        version: STORE_VERSION,
+        type: EXPORT_TYPE,
+        exported_at: exportData.exported_at,
+        kdf: keyRecord.kdf,
+        key: keyRecord.key,
+        data: sealed.toString('base64')
+      }, null, 2), { mode: 0o600 });
       
-      console.log(`Credentials exported to: ${outputPath}`);
+      this.logger.log(`Credentials exported to: ${outputPath}`);
     } catch (error) {
       throw new Error(`Failed to export credentials: ${error.message}`);
     }
   }
 
-  async importCredentials(importPath, overwrite = false) {
+  async importCredentials(importPath, overwrite = false, options = {}) {
     try {
-      const encryptedData = await fs.readFile(importPath);
-      const decryptedData = this.decrypt(encryptedData);
-      const importData = JSON.parse(decryptedData);
+      const file = await fs.readFile(importPath);
+      const exported = this.parseExport(file);
+      if (!exported) {
+        throw new Error('Not a MAK3R-HUB export file');
+      }
+
+      const passphrase = options.passphrase || process.env.MAK3R_EXPORT_PASSPHRASE;
+      if (!passphrase) {
+        throw new Error('The export passphrase is required - set MAK3R_EXPORT_PASSPHRASE or run interactively');
+      }
+      let exportKey;
+      try {
+        exportKey = await new PassphraseKeyProvider({ passphrase }).unprotect({ kdf: exported.kdf, key: exported.key });
+      } catch (error) {
+        throw new Error('Wrong passphrase for this export file');
+      }
+      const importData = JSON.parse(this.decrypt(Buffer.from(exported.data, 'base64'), EXPORT_TYPE, exportKey));
+
+      // Checked before anything is stored so a rejected record does not leave a partial import
+      for (const [key, credentials] of Object.entries(importData.services)) {
+        this.checkProfilePolicy(this.serviceOf(key), credentials, this.profileOf(key));
+      }
 
       let importedCount = 0;
       for (const [service, credentials] of Object.entries(importData.services)) {
         if (!overwrite && this.cache.has(service)) {
-          console.warn(`Skipping ${service} - already exists (use --overwrite to replace)`);
+          this.logger.warn(`Skipping ${service} - already exists (use --overwrite to replace)`);
           continue;
         }
 
-        this.cache.set(service, credentials);
+        this.cache.set(service, this.encryptSensitiveFields(this.serviceOf(service), credentials));
+        if (importData.metadata && importData.metadata[service]) {
+          this.metadata[service] = importData.metadata[service];
+        }
         importedCount++;
       }
 
       if (importedCount > 0) {
         await this.saveCredentials();
-        console.log(`Imported credentials for ${importedCount} services`);
+        this.logger.log(`Imported credentials for ${importedCount} services`);
       }
     } catch (error) {
       throw new Error(`Failed to import credentials: ${error.message}`);
     }
   }
 
+  parseExport(data) {
+    try {
+      const exported = JSON.parse(data.toString('utf8'));
+      return exported && exported.type === EXPORT_TYPE ? exported : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   async cleanup() {
     try {
+      // Remove backup credentials older than 30 days and beyond the per-record limit
+      for (const key of Array.from(this.cache.keys())) {
+        if (!key.includes('_backup_')) {
+          this.pruneBackups(key, this.maxBackups, 30);
+        }
+      }
+      await this.saveCredentials();
+      
       // Clear memory cache
       this.cache.clear();
       this.masterKey = null;
       
-      // Remove backup credentials older than 30 days
-      const cutoffTime = Date.now() - (30 * 24 * 60 * 60 * 1000);
-      
-      for (const [key] of this.cache.entries()) {
-        if (key.includes('_backup_')) {
-          const timestampStr = key.split('_backup_')[1];
-          const timestamp = parseInt(timestampStr, 10);
-          
-          if (timestamp < cutoffTime) {
-            this.cache.delete(key);
-          }
-        }
-      }
-      
-      await this.saveCredentials();
-      console.log('Credential manager cleanup completed');
+      this.logger.log('Credential manager cleanup completed');
     } catch (error) {
-      console.error(`Cleanup failed: ${error.message}`);
+      this.logger.error(`Cleanup failed: ${error.message}`);
     }
   }
 }
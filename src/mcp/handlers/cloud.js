@@ -4,14 +4,49 @@
  */
 
 const https = require('https');
+const http = require('http');
+const crypto = require('crypto');
+const os = require('os');
 const fs = require('fs-extra');
 const path = require('path');
+const { listFiles, zipDirectory } = require('../utils/zip-writer');
+const { signRequest, canonicalQueryString, uriEncode } = require('../utils/aws-signer');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.mjs': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.pdf': 'application/pdf',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.wasm': 'application/wasm'
+};
 
 class CloudHandler {
   constructor() {
     this.vercelBaseUrl = 'https://api.vercel.com';
     this.netlifyBaseUrl = 'https://api.netlify.com/api/v1';
     this.awsRegion = 'us-east-1';
+    this.awsEndpoints = {};
   }
 
   // Vercel Integration
@@ -27,13 +62,16 @@ class CloudHandler {
         files: await this.prepareVercelFiles(projectPath, outputDirectory),
         buildCommand: buildCommand,
         framework: args.framework || null,
-        env: args.env || {}
+        env: args.env || {},
+        // Omitting the target creates a preview deployment
+        ...(args.target && { target: args.target })
       };
 
       const result = await this.makeVercelRequest('POST', '/v13/deployments', deploymentData, credentials);
       
       return {
         id: result.id,
+        project_id: result.projectId,
         url: result.url,
         name: result.name,
         state: result.readyState,
@@ -46,6 +84,67 @@ class CloudHandler {
     }
   }
 
+  async aliasVercelDeployment(deploymentId, alias, credentials) {
+    try {
+      const result = await this.makeVercelRequest('POST', `/v2/deployments/${deploymentId}/aliases`, {
+        alias: alias
+      }, credentials);
+
+      return {
+        uid: result.uid,
+        alias: result.alias,
+        created: result.created
+      };
+    } catch (error) {
+      throw new Error(`Failed to alias Vercel deployment: ${error.message}`);
+    }
+  }
+
+  async getVercelDeployment(deploymentId, credentials) {
+    const result = await this.makeVercelRequest('GET', `/v13/deployments/${deploymentId}`, null, credentials);
+
+    return {
+      id: result.id,
+      project_id: result.projectId,
+      url: result.url,
+      state: result.readyState,
+      error_message: result.errorMessage || null
+    };
+  }
+
+  async waitForVercelDeployment(deploymentId, credentials, options = {}) {
+    const interval = options.poll_interval || 2000;
+    const deadline = Date.now() + (options.timeout || 5 * 60 * 1000);
+
+    while (true) {
+      const deployment = await this.getVercelDeployment(deploymentId, credentials);
+
+      if (deployment.state === 'READY') {
+        return deployment;
+      }
+
+      if (deployment.state === 'ERROR' || deployment.state === 'CANCELED') {
+        throw new Error(`Deployment ${deploymentId} ${deployment.state.toLowerCase()}: ${deployment.error_message || 'unknown error'}`);
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for deployment ${deploymentId} (last state: ${deployment.state})`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+  }
+
+  // Points every production domain of the project back at an earlier deployment
+  async promoteVercelDeployment(projectId, deploymentId, credentials) {
+    try {
+      await this.makeVercelRequest('POST', `/v10/projects/${projectId}/promote/${deploymentId}`, {}, credentials);
+      return { id: deploymentId, project_id: projectId };
+    } catch (error) {
+      throw new Error(`Failed to promote Vercel deployment: ${error.message}`);
+    }
+  }
+
   async prepareVercelFiles(projectPath, outputDirectory) {
     const files = {};
     const outputPath = path.join(projectPath, outputDirectory);
@@ -140,22 +239,30 @@ class CloudHandler {
     const publishDirectory = args.publish_directory || 'dist';
 
     try {
-      // Create a zip file of the build output
-      const zipBuffer = await this.createNetlifyZip(projectPath, publishDirectory);
-      
-      // Create deployment
-      const result = await this.makeNetlifyRequest('POST', '/sites', {
-        files: {
-          '/': zipBuffer.toString('base64')
-        }
-      }, credentials);
+      const publishPath = path.join(projectPath, publishDirectory);
+      if (!await fs.pathExists(publishPath)) {
+        throw new Error(`Publish directory not found: ${publishPath}`);
+      }
+
+      const siteId = args.site_id || credentials.site_id ||
+        (await this.createNetlifySite(args.site_name || path.basename(projectPath), credentials)).id;
+
+      const deploy = args.deploy_method === 'zip' ?
+        await this.uploadNetlifyZip(siteId, projectPath, publishDirectory, args, credentials) :
+        await this.uploadNetlifyDigest(siteId, publishPath, args, credentials);
+
+      const result = await this.waitForNetlifyDeploy(deploy.id, credentials, args);
 
       return {
         id: result.id,
-        url: result.url,
+        site_id: result.site_id || siteId,
+        url: result.ssl_url || result.url,
+        deploy_url: result.deploy_ssl_url || result.deploy_url,
         name: result.name,
         state: result.state,
         created_at: result.created_at,
+        total_files: deploy.total_files,
+        uploaded_files: deploy.uploaded_files,
         build_command: buildCommand,
         publish_directory: publishDirectory
       };
@@ -164,25 +271,129 @@ class CloudHandler {
     }
   }
 
+  async createNetlifySite(name, credentials) {
+    return this.makeNetlifyRequest('POST', '/sites', { name }, credentials);
+  }
+
+  async uploadNetlifyDigest(siteId, publishPath, args, credentials) {
+    const files = await listFiles(publishPath);
+    const digests = {};
+    const filesBySha = new Map();
+
+    for (const file of files) {
+      const sha = await this.hashFile(file.path, 'sha1');
+      digests[`/${file.relative}`] = sha;
+      if (!filesBySha.has(sha)) {
+        filesBySha.set(sha, file);
+      }
+    }
+
+    const deploy = await this.makeNetlifyRequest('POST', `/sites/${siteId}/deploys`, {
+      files: digests,
+      draft: args.draft === true,
+      ...(args.title && { title: args.title }),
+      ...(args.branch && { branch: args.branch })
+    }, credentials);
+
+    // Netlify already has every file whose digest is not listed as required
+    const required = (deploy.required || []).filter(sha => filesBySha.has(sha));
+
+    await this.runWithConcurrency(required, args.upload_concurrency || 4, async (sha) => {
+      const file = filesBySha.get(sha);
+      const filePath = file.relative.split('/').map(encodeURIComponent).join('/');
+
+      await this.makeNetlifyRequest('PUT', `/deploys/${deploy.id}/files/${filePath}`,
+        fs.createReadStream(file.path), credentials, { contentLength: file.size });
+    });
+
+    return {
+      id: deploy.id,
+      total_files: files.length,
+      uploaded_files: required.length
+    };
+  }
+
+  async uploadNetlifyZip(siteId, projectPath, publishDirectory, args, credentials) {
+    const zip = await this.createNetlifyZip(projectPath, publishDirectory);
+
+    try {
+      const params = new URLSearchParams();
+      if (args.draft === true) params.append('draft', 'true');
+      if (args.branch) params.append('branch', args.branch);
+      const query = params.toString() ? `?${params.toString()}` : '';
+      const deploy = await this.makeNetlifyRequest('POST', `/sites/${siteId}/deploys${query}`,
+        fs.createReadStream(zip.path), credentials, {
+          contentType: 'application/zip',
+          contentLength: zip.size
+        });
+
+      return {
+        id: deploy.id,
+        total_files: zip.files,
+        uploaded_files: zip.files
+      };
+    } finally {
+      await fs.remove(zip.path);
+    }
+  }
+
   async createNetlifyZip(projectPath, publishDirectory) {
-    // This is a simplified implementation
-    // In production, you'd use a proper zip library
     const publishPath = path.join(projectPath, publishDirectory);
     
     if (!await fs.pathExists(publishPath)) {
       throw new Error(`Publish directory not found: ${publishPath}`);
     }
     
-    // For now, return empty buffer - implement proper zip creation
-    return Buffer.from('');
+    const zipPath = path.join(os.tmpdir(), `mak3r-netlify-${process.pid}-${Date.now()}.zip`);
+    return zipDirectory(publishPath, zipPath);
   }
 
-  async makeNetlifyRequest(method, endpoint, data, credentials) {
+  async waitForNetlifyDeploy(deployId, credentials, options = {}) {
+    const interval = options.poll_interval || 2000;
+    const deadline = Date.now() + (options.timeout || 5 * 60 * 1000);
+
+    while (true) {
+      const deploy = await this.makeNetlifyRequest('GET', `/deploys/${deployId}`, null, credentials);
+
+      if (deploy.state === 'ready') {
+        return deploy;
+      }
+
+      if (deploy.state === 'error') {
+        throw new Error(`Deploy ${deployId} failed: ${deploy.error_message || 'unknown error'}`);
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for deploy ${deployId} (last state: ${deploy.state})`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+  }
+
+  async restoreNetlifyDeploy(siteId, deployId, credentials) {
+    try {
+      const result = await this.makeNetlifyRequest('POST', `/sites/${siteId}/deploys/${deployId}/restore`, null, credentials);
+      return {
+        id: result.id,
+        site_id: result.site_id || siteId,
+        url: result.ssl_url || result.url,
+        state: result.state
+      };
+    } catch (error) {
+      throw new Error(`Failed to restore Netlify deploy: ${error.message}`);
+    }
+  }
+
+  async makeNetlifyRequest(method, endpoint, data, credentials, options = {}) {
+    const url = new URL(`${this.netlifyBaseUrl}${endpoint}`);
+    const transport = url.protocol === 'http:' ? http : https;
+
     return new Promise((resolve, reject) => {
-      const options = {
-        hostname: 'api.netlify.com',
-        port: 443,
-        path: `/api/v1${endpoint}`,
+      const requestOptions = {
+        hostname: url.hostname,
+        port: url.port || (url.protocol === 'http:' ? 80 : 443),
+        path: `${url.pathname}${url.search}`,
         method: method.toUpperCase(),
         headers: {
           'Authorization': `Bearer ${credentials.token}`,
@@ -191,13 +402,18 @@ class CloudHandler {
         }
       };
 
+      // File uploads stream straight from disk; everything else is JSON
+      const isStream = data && typeof data.pipe === 'function';
       let postData = '';
-      if (data && (method === 'POST' || method === 'PUT' || method === 'PATCH')) {
+      if (isStream) {
+        requestOptions.headers['Content-Type'] = options.contentType || 'application/octet-stream';
+        requestOptions.headers['Content-Length'] = options.contentLength;
+      } else if (data && (method === 'POST' || method === 'PUT' || method === 'PATCH')) {
         postData = JSON.stringify(data);
-        options.headers['Content-Length'] = Buffer.byteLength(postData);
+        requestOptions.headers['Content-Length'] = Buffer.byteLength(postData);
       }
 
-      const req = https.request(options, (res) => {
+      const req = transport.request(requestOptions, (res) => {
         let responseData = '';
         
         res.on('data', (chunk) => {
@@ -223,6 +439,12 @@ class CloudHandler {
         reject(new Error(`Netlify request failed: ${error.message}`));
       });
 
+      if (isStream) {
+        data.on('error', (error) => req.destroy(error));
+        data.pipe(req);
+        return;
+      }
+
       if (postData) {
         req.write(postData);
       }
@@ -231,30 +453,48 @@ class CloudHandler {
     });
   }
 
+  async hashFile(filePath, algorithm = 'sha1') {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash(algorithm);
+      fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+    });
+  }
+
+  async runWithConcurrency(items, limit, worker) {
+    const queue = [...items];
+    const runners = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+      while (queue.length > 0) {
+        await worker(queue.shift());
+      }
+    });
+    await Promise.all(runners);
+  }
+
   // AWS Lambda Integration
   async deployLambda(args, credentials) {
     const functionName = args.function_name;
-    const zipFile = Buffer.from(args.zip_file, 'base64');
     const runtime = args.runtime || 'nodejs18.x';
     const handler = args.handler || 'index.handler';
 
-    // AWS API requires signing - this is a simplified implementation
-    // In production, use AWS SDK or proper request signing
     try {
       const result = await this.makeAWSRequest('POST', '/2015-03-31/functions', {
         FunctionName: functionName,
         Runtime: runtime,
-        Role: credentials.role_arn,
+        Role: args.role_arn || credentials.role_arn,
         Handler: handler,
         Code: {
-          ZipFile: zipFile
+          // The JSON API takes the archive base64-encoded, which is how it arrives
+          ZipFile: args.zip_file
         },
         Environment: {
           Variables: args.environment_variables || {}
         },
         Timeout: args.timeout || 30,
         MemorySize: args.memory_size || 128
-      }, credentials);
+      }, credentials, { service: 'lambda' });
 
       return {
         FunctionName: result.FunctionName,
@@ -270,44 +510,94 @@ class CloudHandler {
     }
   }
 
-  async makeAWSRequest(method, endpoint, data, credentials) {
-    // This is a simplified AWS request implementation
-    // In production, use proper AWS Signature Version 4 signing
+  getAWSEndpoint(service, region) {
+    if (this.awsEndpoints[service]) {
+      return this.awsEndpoints[service];
+    }
+
+    // CloudFront is a global service signed against us-east-1
+    if (service === 'cloudfront') {
+      return 'https://cloudfront.amazonaws.com';
+    }
+
+    return `https://${service}.${region}.amazonaws.com`;
+  }
+
+  async makeAWSRequest(method, endpoint, data, credentials, options = {}) {
+    const service = options.service || 'lambda';
+    const region = service === 'cloudfront' ? 'us-east-1' : (options.region || credentials.region || this.awsRegion);
+    const url = new URL(`${options.baseUrl || this.getAWSEndpoint(service, region)}${endpoint}`);
+    const transport = url.protocol === 'http:' ? http : https;
+    const query = canonicalQueryString(options.query || url.search);
+
+    // Raw bodies (XML, file contents, streams) pass through; objects are sent as JSON
+    const isStream = data && typeof data.pipe === 'function';
+    let body = '';
+    if (isStream || Buffer.isBuffer(data) || typeof data === 'string') {
+      body = data;
+    } else if (data && (method === 'POST' || method === 'PUT' || method === 'PATCH')) {
+      body = JSON.stringify(data);
+    }
+
+    const headers = {
+      'Content-Type': options.contentType || 'application/json',
+      ...options.headers
+    };
+
+    const signed = signRequest({
+      method,
+      host: url.host,
+      path: url.pathname,
+      query,
+      headers,
+      body: isStream ? '' : body,
+      service,
+      region
+    }, credentials, {
+      payloadHash: options.payloadHash || (isStream ? 'UNSIGNED-PAYLOAD' : undefined)
+    });
+
     return new Promise((resolve, reject) => {
-      const options = {
-        hostname: `lambda.${this.awsRegion}.amazonaws.com`,
-        port: 443,
-        path: endpoint,
+      const requestOptions = {
+        hostname: url.hostname,
+        port: url.port || (url.protocol === 'http:' ? 80 : 443),
+        path: `${url.pathname}${query ? `?${query}` : ''}`,
         method: method.toUpperCase(),
         headers: {
-          'Authorization': `AWS4-HMAC-SHA256 Credential=${credentials.access_key_id}/${this.getAWSDate()}/${this.awsRegion}/lambda/aws4_request`,
-          'Content-Type': 'application/x-amz-json-1.1',
+          ...signed.headers,
           'User-Agent': 'MAK3R-HUB/1.0.0'
         }
       };
 
-      let postData = '';
-      if (data && (method === 'POST' || method === 'PUT')) {
-        postData = JSON.stringify(data);
-        options.headers['Content-Length'] = Buffer.byteLength(postData);
+      if (isStream) {
+        requestOptions.headers['Content-Length'] = options.contentLength;
+      } else {
+        requestOptions.headers['Content-Length'] = Buffer.byteLength(body);
       }
 
-      const req = https.request(options, (res) => {
-        let responseData = '';
-        
+      const req = transport.request(requestOptions, (res) => {
+        const chunks = [];
+
         res.on('data', (chunk) => {
-          responseData += chunk;
+          chunks.push(chunk);
         });
-        
+
         res.on('end', () => {
+          const responseData = Buffer.concat(chunks).toString('utf8');
+          const isJson = /json/.test(res.headers['content-type'] || '');
+
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            reject(new Error(`AWS API error: ${this.parseAWSError(responseData, isJson) || `HTTP ${res.statusCode}`}`));
+            return;
+          }
+
+          if (options.raw) {
+            resolve({ statusCode: res.statusCode, headers: res.headers, body: responseData });
+            return;
+          }
+
           try {
-            const parsed = responseData ? JSON.parse(responseData) : {};
-            
-            if (res.statusCode >= 200 && res.statusCode < 300) {
-              resolve(parsed);
-            } else {
-              reject(new Error(`AWS API error: ${parsed.message || 'Unknown error'}`));
-            }
+            resolve(isJson && responseData ? JSON.parse(responseData) : (responseData || {}));
           } catch (error) {
             reject(new Error(`Failed to parse AWS response: ${error.message}`));
           }
@@ -318,16 +608,277 @@ class CloudHandler {
         reject(new Error(`AWS request failed: ${error.message}`));
       });
 
-      if (postData) {
-        req.write(postData);
+      if (isStream) {
+        data.on('error', (error) => req.destroy(error));
+        data.pipe(req);
+        return;
       }
-      
+
+      if (body) {
+        req.write(body);
+      }
+
       req.end();
     });
   }
 
-  getAWSDate() {
-    return new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  parseAWSError(responseData, isJson) {
+    if (!responseData) {
+      return null;
+    }
+
+    if (isJson) {
+      try {
+        const parsed = JSON.parse(responseData);
+        return parsed.message || parsed.Message || parsed.__type || null;
+      } catch (error) {
+        return responseData;
+      }
+    }
+
+    // S3 and CloudFront answer with XML error documents
+    const code = responseData.match(/<Code>([^<]*)<\/Code>/);
+    const message = responseData.match(/<Message>([^<]*)<\/Message>/);
+    return [code && code[1], message && message[1]].filter(Boolean).join(': ') || null;
+  }
+
+  // AWS S3 + CloudFront static sites
+  async deployS3StaticSite(args, credentials) {
+    const bucket = args.bucket || credentials.bucket;
+    const prefix = (args.prefix || '').replace(/^\/+|\/+$/g, '');
+    const distributionId = args.distribution_id || credentials.cloudfront_distribution_id;
+
+    try {
+      if (!bucket) {
+        throw new Error('No bucket specified (pass bucket or store it with the AWS credentials)');
+      }
+
+      const outputDir = await this.resolveStaticOutput(args.project_path, args.output_directory || args.build_output);
+      const files = await listFiles(outputDir);
+      const remote = await this.listS3Objects(bucket, prefix, credentials);
+
+      const uploaded = [];
+      let unchanged = 0;
+      await this.runWithConcurrency(files, args.upload_concurrency || 4, async (file) => {
+        const key = prefix ? `${prefix}/${file.relative}` : file.relative;
+        const md5 = await this.hashFile(file.path, 'md5');
+        const existing = remote.get(key);
+
+        // Single-part uploads use the MD5 as ETag; multipart ETags never match and re-upload
+        if (existing && existing.etag === md5) {
+          unchanged++;
+          return;
+        }
+
+        await this.putS3Object(bucket, key, file, md5, credentials);
+        uploaded.push(key);
+      });
+
+      const localKeys = new Set(files.map(file => (prefix ? `${prefix}/${file.relative}` : file.relative)));
+      const stale = [...remote.keys()].filter(key => !localKeys.has(key));
+      if (stale.length > 0 && args.delete_stale !== false) {
+        await this.deleteS3Objects(bucket, stale, credentials);
+      }
+      const deleted = args.delete_stale !== false ? stale : [];
+
+      let invalidation = null;
+      const changed = [...uploaded, ...deleted].sort();
+      if (distributionId && args.invalidate !== false && changed.length > 0) {
+        invalidation = await this.createCloudFrontInvalidation(distributionId, this.getInvalidationPaths(changed, prefix), credentials);
+      }
+
+      return {
+        bucket,
+        prefix,
+        output_directory: outputDir,
+        total_files: files.length,
+        uploaded: uploaded.sort(),
+        unchanged,
+        deleted,
+        invalidation
+      };
+    } catch (error) {
+      throw new Error(`Failed to deploy static site to S3: ${error.message}`);
+    }
+  }
+
+  async resolveStaticOutput(projectPath, outputDirectory) {
+    const candidates = outputDirectory ? [outputDirectory] : ['out', 'dist', 'build'];
+
+    for (const candidate of candidates) {
+      const candidatePath = path.resolve(projectPath, candidate);
+      if (await fs.pathExists(candidatePath)) {
+        return candidatePath;
+      }
+    }
+
+    throw new Error(`Build output not found in ${projectPath} (looked for ${candidates.join(', ')})`);
+  }
+
+  getS3Location(bucket, key, credentials) {
+    const encodedKey = key ? uriEncode(key, false) : '';
+    const region = credentials.region || this.awsRegion;
+    const customEndpoint = this.awsEndpoints.s3 || credentials.endpoint;
+
+    // S3-compatible endpoints (MinIO, R2, local stand-ins) need path-style addressing
+    if (customEndpoint) {
+      return { baseUrl: customEndpoint.replace(/\/+$/, ''), path: `/${bucket}/${encodedKey}` };
+    }
+
+    return { baseUrl: `https://${bucket}.s3.${region}.amazonaws.com`, path: `/${encodedKey}` };
+  }
+
+  async listS3Objects(bucket, prefix, credentials) {
+    const objects = new Map();
+    let continuationToken = null;
+
+    do {
+      const location = this.getS3Location(bucket, '', credentials);
+      const query = { 'list-type': '2' };
+      if (prefix) query.prefix = `${prefix}/`;
+      if (continuationToken) query['continuation-token'] = continuationToken;
+
+      const xml = await this.makeAWSRequest('GET', location.path, null, credentials, {
+        service: 's3',
+        baseUrl: location.baseUrl,
+        query
+      });
+
+      for (const [, contents] of String(xml).matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        const key = this.decodeXml(this.xmlValue(contents, 'Key'));
+        objects.set(key, {
+          etag: this.decodeXml(this.xmlValue(contents, 'ETag')).replace(/"/g, '').toLowerCase(),
+          size: parseInt(this.xmlValue(contents, 'Size'), 10)
+        });
+      }
+
+      continuationToken = this.xmlValue(xml, 'IsTruncated') === 'true'
+        ? this.decodeXml(this.xmlValue(xml, 'NextContinuationToken'))
+        : null;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  async putS3Object(bucket, key, file, md5, credentials) {
+    const location = this.getS3Location(bucket, key, credentials);
+    const sha256 = await this.hashFile(file.path, 'sha256');
+
+    return this.makeAWSRequest('PUT', location.path, fs.createReadStream(file.path), credentials, {
+      service: 's3',
+      baseUrl: location.baseUrl,
+      contentType: this.getContentType(file.relative),
+      contentLength: file.size,
+      payloadHash: sha256,
+      headers: {
+        'Cache-Control': this.getCacheControl(file.relative),
+        'Content-MD5': Buffer.from(md5, 'hex').toString('base64')
+      },
+      raw: true
+    });
+  }
+
+  async deleteS3Objects(bucket, keys, credentials) {
+    const location = this.getS3Location(bucket, '', credentials);
+
+    // DeleteObjects accepts at most 1000 keys per request
+    for (let i = 0; i < keys.length; i += 1000) {
+      const body = '<?xml version="1.0" encoding="UTF-8"?><Delete><Quiet>true</Quiet>' +
+        keys.slice(i, i + 1000).map(key => `<Object><Key>${this.escapeXml(key)}</Key></Object>`).join('') +
+        '</Delete>';
+
+      const result = await this.makeAWSRequest('POST', location.path, body, credentials, {
+        service: 's3',
+        baseUrl: location.baseUrl,
+        query: { delete: '' },
+        contentType: 'application/xml',
+        headers: {
+          'Content-MD5': crypto.createHash('md5').update(body).digest('base64')
+        }
+      });
+
+      // Quiet mode only reports failures
+      const failure = String(result).match(/<Error>([\s\S]*?)<\/Error>/);
+      if (failure) {
+        throw new Error(`Could not delete ${this.decodeXml(this.xmlValue(failure[1], 'Key'))}: ${this.xmlValue(failure[1], 'Message')}`);
+      }
+    }
+  }
+
+  getInvalidationPaths(keys, prefix) {
+    const paths = new Set();
+
+    for (const key of keys) {
+      const sitePath = `/${prefix ? key.slice(prefix.length + 1) : key}`;
+      paths.add(sitePath);
+
+      // Directory-style URLs are served from index.html
+      if (sitePath.endsWith('/index.html')) {
+        paths.add(sitePath.slice(0, -'index.html'.length));
+      }
+    }
+
+    // Past a handful of paths a wildcard is cheaper and just as effective
+    return paths.size > 15 ? ['/*'] : [...paths].sort();
+  }
+
+  async createCloudFrontInvalidation(distributionId, paths, credentials) {
+    const body = '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<InvalidationBatch xmlns="http://cloudfront.amazonaws.com/doc/2020-05-31/">' +
+      `<Paths><Quantity>${paths.length}</Quantity><Items>` +
+      paths.map(p => `<Path>${this.escapeXml(encodeURI(p))}</Path>`).join('') +
+      `</Items></Paths><CallerReference>mak3r-${Date.now()}-${crypto.randomBytes(4).toString('hex')}</CallerReference>` +
+      '</InvalidationBatch>';
+
+    const xml = await this.makeAWSRequest('POST', `/2020-05-31/distribution/${encodeURIComponent(distributionId)}/invalidation`,
+      body, credentials, { service: 'cloudfront', contentType: 'text/xml' });
+
+    return {
+      id: this.xmlValue(xml, 'Id'),
+      status: this.xmlValue(xml, 'Status'),
+      paths
+    };
+  }
+
+  getContentType(filePath) {
+    return CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+  }
+
+  getCacheControl(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+
+    // Documents must revalidate so new deploys show up; fingerprinted assets never change
+    if (['.html', '.htm', '.json', '.xml', '.txt', '.webmanifest'].includes(extension)) {
+      return 'public, max-age=0, must-revalidate';
+    }
+    if (/(^|\/)(_next\/static|_app\/immutable|assets)\//.test(filePath) || /[.-][0-9a-f]{8,}\.[a-z0-9]+$/i.test(filePath)) {
+      return 'public, max-age=31536000, immutable';
+    }
+    return 'public, max-age=3600';
+  }
+
+  xmlValue(xml, tag) {
+    const match = String(xml).match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+    return match ? match[1] : '';
+  }
+
+  decodeXml(value) {
+    return value
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+      .replace(/&amp;/g, '&');
+  }
+
+  escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
   }
 
   // Digital Ocean Integration
@@ -367,6 +918,31 @@ class CloudHandler {
     }
   }
 
+  async waitForDigitalOceanApp(appId, credentials, options = {}) {
+    const interval = options.poll_interval || 5000;
+    const deadline = Date.now() + (options.timeout || 10 * 60 * 1000);
+
+    while (true) {
+      const { app } = await this.makeDigitalOceanRequest('GET', `/v2/apps/${appId}`, null, credentials);
+      const deployment = app.in_progress_deployment || app.active_deployment || {};
+      const phase = deployment.phase || 'UNKNOWN';
+
+      if (phase === 'ACTIVE') {
+        return { id: app.id, default_ingress: app.live_url || app.default_ingress, state: phase, deployment_id: deployment.id };
+      }
+
+      if (phase === 'ERROR' || phase === 'CANCELED') {
+        throw new Error(`App ${appId} deployment ${phase.toLowerCase()}`);
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for app ${appId} (last phase: ${phase})`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+  }
+
   async makeDigitalOceanRequest(method, endpoint, data, credentials) {
     return new Promise((resolve, reject) => {
       const options = {
@@ -434,6 +1010,9 @@ class CloudHandler {
         
       case endpoint === '/aws/lambda/deploy' && method === 'POST':
         return this.deployLambda(body, credentials);
+
+      case endpoint === '/aws/s3/deploy' && method === 'POST':
+        return this.deployS3StaticSite(body, credentials);
         
       case endpoint === '/digitalocean/deploy' && method === 'POST':
         return this.deployDigitalOcean(body, credentials);
@@ -4,18 +4,23 @@
  */
 
 const https = require('https');
+const http = require('http');
 
 class GitHubHandler {
   constructor() {
     this.baseUrl = 'https://api.github.com';
   }
 
-  async makeRequest(method, endpoint, data, credentials) {
+  // includeHeaders resolves { data, headers } instead of just the body
+  async makeRequest(method, endpoint, data, credentials, { includeHeaders = false } = {}) {
+    const url = new URL(`${this.baseUrl}${endpoint}`);
+    const transport = url.protocol === 'http:' ? http : https;
+
     return new Promise((resolve, reject) => {
       const options = {
-        hostname: 'api.github.com',
-        port: 443,
-        path: endpoint,
+        hostname: url.hostname,
+        port: url.port || (url.protocol === 'http:' ? 80 : 443),
+        path: `${url.pathname}${url.search}`,
         method: method.toUpperCase(),
         headers: {
           'Authorization': `Bearer ${credentials.token}`,
@@ -32,7 +37,7 @@ class GitHubHandler {
         options.headers['Content-Length'] = Buffer.byteLength(postData);
       }
 
-      const req = https.request(options, (res) => {
+      const req = transport.request(options, (res) => {
         let responseData = '';
         
         res.on('data', (chunk) => {
@@ -44,7 +49,7 @@ class GitHubHandler {
             const parsed = responseData ? JSON.parse(responseData) : {};
             
             if (res.statusCode >= 200 && res.statusCode < 300) {
-              resolve(parsed);
+              resolve(includeHeaders ? { data: parsed, headers: res.headers } : parsed);
             } else {
               reject(new Error(`GitHub API error: ${parsed.message || 'Unknown error'}`));
             }
@@ -156,6 +161,89 @@ class GitHubHandler {
     }
   }
 
+  async listIssueComments(args, credentials) {
+    const comments = [];
+    let page = 1;
+
+    try {
+      // PRs share the issue comment API; walk every page so older comments are found too
+      while (true) {
+        const endpoint = `/repos/${args.owner}/${args.repo}/issues/${args.issue_number}/comments?per_page=100&page=${page}`;
+        const result = await this.makeRequest('GET', endpoint, null, credentials);
+
+        comments.push(...result.map(comment => ({
+          id: comment.id,
+          body: comment.body,
+          html_url: comment.html_url,
+          user: comment.user.login,
+          created_at: comment.created_at,
+          updated_at: comment.updated_at
+        })));
+
+        if (result.length < 100) {
+          break;
+        }
+        page++;
+      }
+
+      return {
+        comments,
+        total_count: comments.length
+      };
+    } catch (error) {
+      throw new Error(`Failed to list issue comments: ${error.message}`);
+    }
+  }
+
+  async createIssueComment(args, credentials) {
+    const endpoint = `/repos/${args.owner}/${args.repo}/issues/${args.issue_number}/comments`;
+
+    try {
+      const result = await this.makeRequest('POST', endpoint, { body: args.body }, credentials);
+
+      return {
+        id: result.id,
+        html_url: result.html_url,
+        created_at: result.created_at,
+        updated_at: result.updated_at
+      };
+    } catch (error) {
+      throw new Error(`Failed to create issue comment: ${error.message}`);
+    }
+  }
+
+  async updateIssueComment(args, credentials) {
+    const endpoint = `/repos/${args.owner}/${args.repo}/issues/comments/${args.comment_id}`;
+
+    try {
+      const result = await this.makeRequest('PATCH', endpoint, { body: args.body }, credentials);
+
+      return {
+        id: result.id,
+        html_url: result.html_url,
+        created_at: result.created_at,
+        updated_at: result.updated_at
+      };
+    } catch (error) {
+      throw new Error(`Failed to update issue comment: ${error.message}`);
+    }
+  }
+
+  // Keeps a single comment per marker up to date instead of adding one per call
+  async upsertIssueComment(args, credentials) {
+    const body = `${args.marker}\n${args.body}`;
+    const { comments } = await this.listIssueComments(args, credentials);
+    const existing = comments.find(comment => comment.body && comment.body.includes(args.marker));
+
+    if (existing) {
+      const result = await this.updateIssueComment({ ...args, comment_id: existing.id, body }, credentials);
+      return { ...result, updated: true };
+    }
+
+    const result = await this.createIssueComment({ ...args, body }, credentials);
+    return { ...result, updated: false };
+  }
+
   async createRelease(args, credentials) {
     const data = {
       tag_name: args.tag_name,
@@ -322,6 +410,20 @@ class GitHubHandler {
     }
   }
 
+  // Classic tokens report their scopes in X-OAuth-Scopes; fine-grained tokens omit the header
+  async getTokenInfo(credentials) {
+    const { data, headers } = await this.makeRequest('GET', '/user', null, credentials, { includeHeaders: true });
+    const expiration = headers['github-authentication-token-expiration'];
+
+    return {
+      login: data.login,
+      scopes: headers['x-oauth-scopes'] !== undefined ?
+        headers['x-oauth-scopes'].split(',').map(scope => scope.trim()).filter(Boolean) :
+        null,
+      expires_at: expiration && !isNaN(Date.parse(expiration)) ? new Date(expiration).toISOString() : null
+    };
+  }
+
   async getUser(credentials) {
     try {
       const result = await this.makeRequest('GET', '/user', null, credentials);
@@ -362,6 +464,15 @@ class GitHubHandler {
       case endpoint.includes('/pulls') && method === 'GET':
         return this.listPRs(body || {}, credentials);
         
+      case /\/issues\/\d+\/comments$/.test(endpoint) && method === 'GET':
+        return this.listIssueComments(body || {}, credentials);
+
+      case /\/issues\/\d+\/comments$/.test(endpoint) && method === 'POST':
+        return this.createIssueComment(body, credentials);
+
+      case /\/issues\/comments\/\d+$/.test(endpoint) && method === 'PATCH':
+        return this.updateIssueComment(body, credentials);
+
       case endpoint.includes('/issues') && method === 'POST':
         return this.createIssue(body, credentials);
         
@@ -244,6 +244,17 @@ Format the response with clear sections and actionable insights.`;
 
     const prompt = optimizationPrompts[optimizationType] || optimizationPrompts.seo;
 
+    // With a local build we can ground the advice in real findings instead of general best practices
+    let findings = null;
+    if (args.project_path && ['seo', 'accessibility'].includes(optimizationType)) {
+      const SiteAuditor = require('../../../lib/site-auditor');
+      const audit = await new SiteAuditor(args.project_path).audit();
+      findings = audit.issues
+        .filter(issue => issue.category === optimizationType)
+        .slice(0, 50)
+        .map(issue => `- [${issue.severity}] ${issue.page}: ${issue.message}`);
+    }
+
     const messages = [
       {
         role: 'system',
@@ -251,7 +262,9 @@ Format the response with clear sections and actionable insights.`;
       },
       {
         role: 'user',
-        content: `${prompt}\\n\\nWebsite: ${websiteUrl}\\n\\nNote: If you cannot directly access the website, provide general best practices and recommendations for ${optimizationType} optimization that would apply to most websites.`
+        content: findings ?
+          `${prompt}\n\nWebsite: ${websiteUrl || args.project_path}\n\nA static audit of the built pages found:\n${findings.join('\n') || '- no issues'}\n\nPrioritise fixes for these findings, then suggest anything the audit cannot detect.` :
+          `${prompt}\\n\\nWebsite: ${websiteUrl}\\n\\nNote: If you cannot directly access the website, provide general best practices and recommendations for ${optimizationType} optimization that would apply to most websites.`
       }
     ];
 
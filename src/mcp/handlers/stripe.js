@@ -4,6 +4,19 @@
  */
 
 const https = require('https');
+const http = require('http');
+
+// Read-only calls used to map what a restricted key (rk_) may access; write access is not probed
+const PERMISSION_PROBES = {
+  balance: '/balance',
+  charges: '/charges?limit=1',
+  customers: '/customers?limit=1',
+  payment_intents: '/payment_intents?limit=1',
+  subscriptions: '/subscriptions?limit=1',
+  invoices: '/invoices?limit=1',
+  products: '/products?limit=1',
+  webhook_endpoints: '/webhook_endpoints?limit=1'
+};
 
 class StripeHandler {
   constructor() {
@@ -11,11 +24,14 @@ class StripeHandler {
   }
 
   async makeRequest(method, endpoint, data, credentials) {
+    const url = new URL(`${this.baseUrl}${endpoint}`);
+    const transport = url.protocol === 'http:' ? http : https;
+
     return new Promise((resolve, reject) => {
       const options = {
-        hostname: 'api.stripe.com',
-        port: 443,
-        path: `/v1${endpoint}`,
+        hostname: url.hostname,
+        port: url.port || (url.protocol === 'http:' ? 80 : 443),
+        path: `${url.pathname}${url.search}`,
         method: method.toUpperCase(),
         headers: {
           'Authorization': `Bearer ${credentials.api_key}`,
@@ -29,7 +45,7 @@ class StripeHandler {
         options.headers['Content-Length'] = Buffer.byteLength(postData);
       }
 
-      const req = https.request(options, (res) => {
+      const req = transport.request(options, (res) => {
         let responseData = '';
         
         res.on('data', (chunk) => {
@@ -43,7 +59,9 @@ class StripeHandler {
             if (res.statusCode >= 200 && res.statusCode < 300) {
               resolve(parsed);
             } else {
-              reject(new Error(`Stripe API error: ${parsed.error?.message || 'Unknown error'}`));
+              const error = new Error(`Stripe API error: ${parsed.error?.message || 'Unknown error'}`);
+              error.statusCode = res.statusCode;
+              reject(error);
             }
           } catch (error) {
             reject(new Error(`Failed to parse Stripe response: ${error.message}`));
@@ -63,6 +81,31 @@ class StripeHandler {
     });
   }
 
+  // Secret keys (sk_) can do everything; restricted keys (rk_) are probed endpoint by endpoint
+  async getKeyPermissions(credentials) {
+    const key = credentials.api_key || '';
+    const type = key.startsWith('rk_') ? 'restricted' : key.startsWith('sk_') ? 'secret' : 'unknown';
+    const live = /^(sk|rk)_live_/.test(key);
+
+    if (type !== 'restricted') {
+      await this.makeRequest('GET', PERMISSION_PROBES.balance, null, credentials);
+      return { type, live, scopes: ['*'] };
+    }
+
+    const scopes = [];
+    for (const [resource, endpoint] of Object.entries(PERMISSION_PROBES)) {
+      try {
+        await this.makeRequest('GET', endpoint, null, credentials);
+        scopes.push(`${resource}:read`);
+      } catch (error) {
+        if (error.statusCode !== 403) {
+          throw error;
+        }
+      }
+    }
+    return { type, live, scopes };
+  }
+
   formatFormData(data) {
     const params = new URLSearchParams();
     
@@ -9,7 +9,6 @@ const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
 const fs = require('fs-extra');
 const path = require('path');
-const crypto = require('crypto');
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
@@ -19,13 +18,20 @@ const stripeHandler = require('./handlers/stripe');
 const openaiHandler = require('./handlers/openai');
 const cloudHandler = require('./handlers/cloud');
 const githubHandler = require('./handlers/github');
+const CredentialManager = require('./credentials/manager');
+const { Redactor } = require('./utils/redactor');
 
 class MAK3RMCPServer {
   constructor(options = {}) {
     this.port = options.port || 3001;
     this.host = options.host || 'localhost';
-    this.credentialsPath = path.join(process.env.HOME || process.env.USERPROFILE, '.mak3r-hub', 'credentials.json');
-    this.logPath = path.join(process.env.HOME || process.env.USERPROFILE, '.mak3r-hub', 'mcp.log');
+    const dataDir = options.credentialsDir || path.join(process.env.HOME || process.env.USERPROFILE, '.mak3r-hub');
+    // Store written by earlier versions of this server, migrated on first start
+    this.legacyCredentialsPath = path.join(dataDir, 'credentials.json');
+    this.logPath = path.join(dataDir, 'mcp.log');
+    this.credentialManager = options.credentialManager || new CredentialManager({ credentialsDir: dataDir });
+    // Applied to everything written to mcp.log and returned from tools
+    this.redactor = new Redactor({ fields: options.redactFields });
     
     this.server = new Server(
       {
@@ -42,10 +48,9 @@ class MAK3RMCPServer {
     );
 
     this.expressApp = express();
-    this.credentials = new Map();
     this.setupExpress();
     this.setupHandlers();
-    this.loadCredentials();
+    this.credentialsReady = this.loadCredentials();
   }
 
   setupExpress() {
@@ -64,12 +69,12 @@ class MAK3RMCPServer {
     this.expressApp.use(express.json({ limit: '10mb' }));
 
     // Health check endpoint
-    this.expressApp.get('/health', (req, res) => {
+    this.expressApp.get('/health', async (req, res) => {
       res.json({
         status: 'healthy',
         version: '1.0.0',
         timestamp: new Date().toISOString(),
-        services: this.getServiceStatus()
+        services: await this.getServiceStatus()
       });
     });
 
@@ -84,8 +89,16 @@ class MAK3RMCPServer {
     const router = express.Router();
     
     // Middleware to validate credentials
-    router.use((req, res, next) => {
-      const credentials = this.credentials.get(serviceName);
+    router.use(async (req, res, next) => {
+      let credentials;
+      try {
+        credentials = await this.getCredentials(serviceName, {
+          profile: req.get('x-mak3r-profile'),
+          project_path: req.get('x-mak3r-project')
+        });
+      } catch (error) {
+        return res.status(403).json({ error: this.redactor.redactText(error.message) });
+      }
       if (!credentials) {
         return res.status(401).json({ 
           error: `No credentials configured for ${serviceName}` 
@@ -99,11 +112,11 @@ class MAK3RMCPServer {
     router.all('/*', async (req, res) => {
       try {
         const result = await handler.handle(req.method, req.path, req.body, req.credentials);
-        res.json(result);
+        res.json(this.redactor.redact(result));
       } catch (error) {
         this.logError(serviceName, error);
         res.status(500).json({ 
-          error: error.message,
+          error: this.redactor.redactText(error.message),
           service: serviceName
         });
       }
@@ -114,7 +127,7 @@ class MAK3RMCPServer {
 
   setupHandlers() {
     // Stripe tools
-    this.server.setRequestHandler('tools/call', async (request) => {
+    this.server.setRequestHandler('tools/call', this.withRedaction(async (request) => {
       const { name, arguments: args } = request.params;
       
       try {
@@ -138,8 +151,13 @@ class MAK3RMCPServer {
             
           case 'mcp__aws__deploy_lambda':
             return await this.handleAWSDeployLambda(args);
+          case 'mcp__aws__deploy_static_site':
+            return await this.handleAWSDeployStaticSite(args);
           case 'mcp__vercel__deploy_site':
             return await this.handleVercelDeploy(args);
+
+          case 'mcp__mak3r__audit_site':
+            return await this.handleSiteAudit(args);
             
           default:
             throw new Error(`Unknown tool: ${name}`);
@@ -155,7 +173,7 @@ class MAK3RMCPServer {
           ]
         };
       }
-    });
+    }));
 
     // List available tools
     this.server.setRequestHandler('tools/list', async () => {
@@ -284,6 +302,23 @@ class MAK3RMCPServer {
               required: ['function_name', 'zip_file']
             }
           },
+          {
+            name: 'mcp__aws__deploy_static_site',
+            description: 'Sync a static build to S3 and invalidate CloudFront',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project_path: { type: 'string' },
+                output_directory: { type: 'string', description: 'Defaults to the first of out, dist, build' },
+                bucket: { type: 'string' },
+                prefix: { type: 'string' },
+                distribution_id: { type: 'string', description: 'CloudFront distribution to invalidate' },
+                invalidate: { type: 'boolean', default: true },
+                delete_stale: { type: 'boolean', default: true }
+              },
+              required: ['project_path']
+            }
+          },
           {
             name: 'mcp__vercel__deploy_site',
             description: 'Deploy site to Vercel',
@@ -296,15 +331,46 @@ class MAK3RMCPServer {
               },
               required: ['project_path']
             }
+          },
+
+          // Local tools (no credentials needed)
+          {
+            name: 'mcp__mak3r__audit_site',
+            description: 'Audit the built HTML of a MAK3R-HUB project for SEO and accessibility issues, offline',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project_path: { type: 'string' },
+                dir: { type: 'string', description: 'HTML directory relative to project_path; defaults to the build output' },
+                max_issues: { type: 'number', default: 25 }
+              },
+              required: ['project_path']
+            }
           }
-        ]
+        ].map(tool => this.withProfileOption(tool))
       };
     });
   }
 
+  // Tools that call an external API pick their credentials per request
+  withProfileOption(tool) {
+    if (tool.name.startsWith('mcp__mak3r__')) {
+      return tool;
+    }
+
+    const properties = {
+      ...tool.inputSchema.properties,
+      profile: { type: 'string', description: 'Credential profile; defaults to the project binding or "default"' }
+    };
+    if (!properties.project_path) {
+      properties.project_path = { type: 'string', description: 'Project whose .mak3r/config.json selects the credential profile' };
+    }
+    return { ...tool, inputSchema: { ...tool.inputSchema, properties } };
+  }
+
   // Handler implementations
   async handleStripePaymentIntent(args) {
-    const credentials = this.credentials.get('stripe');
+    const credentials = await this.getCredentials('stripe', args);
     if (!credentials) throw new Error('Stripe credentials not configured');
     
     const result = await stripeHandler.createPaymentIntent(args, credentials);
@@ -321,7 +387,7 @@ class MAK3RMCPServer {
   }
 
   async handleStripeListCustomers(args) {
-    const credentials = this.credentials.get('stripe');
+    const credentials = await this.getCredentials('stripe', args);
     const result = await stripeHandler.listCustomers(args, credentials);
     this.logActivity('stripe', 'list_customers', args);
     
@@ -336,7 +402,7 @@ class MAK3RMCPServer {
   }
 
   async handleStripeSubscription(args) {
-    const credentials = this.credentials.get('stripe');
+    const credentials = await this.getCredentials('stripe', args);
     const result = await stripeHandler.createSubscription(args, credentials);
     this.logActivity('stripe', 'create_subscription', args);
     
@@ -351,7 +417,7 @@ class MAK3RMCPServer {
   }
 
   async handleOpenAIChat(args) {
-    const credentials = this.credentials.get('openai');
+    const credentials = await this.getCredentials('openai', args);
     const result = await openaiHandler.chatCompletion(args, credentials);
     this.logActivity('openai', 'chat_completion', { message_count: args.messages.length });
     
@@ -366,7 +432,7 @@ class MAK3RMCPServer {
   }
 
   async handleOpenAICodeAnalysis(args) {
-    const credentials = this.credentials.get('openai');
+    const credentials = await this.getCredentials('openai', args);
     const result = await openaiHandler.analyzeCode(args, credentials);
     this.logActivity('openai', 'analyze_code', { language: args.language });
     
@@ -381,7 +447,7 @@ class MAK3RMCPServer {
   }
 
   async handleGitHubCreateRepo(args) {
-    const credentials = this.credentials.get('github');
+    const credentials = await this.getCredentials('github', args);
     const result = await githubHandler.createRepo(args, credentials);
     this.logActivity('github', 'create_repo', { name: args.name });
     
@@ -396,7 +462,7 @@ class MAK3RMCPServer {
   }
 
   async handleGitHubCreatePR(args) {
-    const credentials = this.credentials.get('github');
+    const credentials = await this.getCredentials('github', args);
     const result = await githubHandler.createPR(args, credentials);
     this.logActivity('github', 'create_pr', { repo: `${args.owner}/${args.repo}` });
     
@@ -411,7 +477,7 @@ class MAK3RMCPServer {
   }
 
   async handleAWSDeployLambda(args) {
-    const credentials = this.credentials.get('aws');
+    const credentials = await this.getCredentials('aws', args);
     const result = await cloudHandler.deployLambda(args, credentials);
     this.logActivity('aws', 'deploy_lambda', { function_name: args.function_name });
     
@@ -425,8 +491,33 @@ class MAK3RMCPServer {
     };
   }
 
+  async handleAWSDeployStaticSite(args) {
+    const credentials = await this.getCredentials('aws', args);
+    if (!credentials) throw new Error('AWS credentials not configured');
+
+    const result = await cloudHandler.deployS3StaticSite(args, credentials);
+    this.logActivity('aws', 'deploy_static_site', { bucket: result.bucket, uploaded: result.uploaded.length });
+
+    const lines = [
+      `Static site synced to s3://${result.bucket}${result.prefix ? `/${result.prefix}` : ''}`,
+      `Uploaded: ${result.uploaded.length}, unchanged: ${result.unchanged}, deleted: ${result.deleted.length}`
+    ];
+    if (result.invalidation) {
+      lines.push(`CloudFront invalidation ${result.invalidation.id}: ${result.invalidation.paths.join(', ')}`);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: lines.join('\n')
+        }
+      ]
+    };
+  }
+
   async handleVercelDeploy(args) {
-    const credentials = this.credentials.get('vercel');
+    const credentials = await this.getCredentials('vercel', args);
     const result = await cloudHandler.deployVercel(args, credentials);
     this.logActivity('vercel', 'deploy_site', { project_path: args.project_path });
     
@@ -440,83 +531,81 @@ class MAK3RMCPServer {
     };
   }
 
-  async loadCredentials() {
-    try {
-      if (await fs.pathExists(this.credentialsPath)) {
-        const encryptedData = await fs.readFile(this.credentialsPath, 'utf8');
-        const decryptedData = this.decrypt(encryptedData);
-        const credentials = JSON.parse(decryptedData);
-        
-        for (const [service, creds] of Object.entries(credentials)) {
-          this.credentials.set(service, creds);
-        }
-        
-        console.log(`Loaded credentials for ${this.credentials.size} services`);
-      }
-    } catch (error) {
-      console.warn('Failed to load credentials:', error.message);
+  async handleSiteAudit(args) {
+    const SiteAuditor = require('../../lib/site-auditor');
+    const result = await new SiteAuditor(args.project_path).audit({ dir: args.dir });
+    this.logActivity('mak3r', 'audit_site', { project_path: args.project_path, score: result.score });
+
+    const maxIssues = args.max_issues || 25;
+    const lines = [
+      `Score ${result.score}/100 (SEO ${result.scores.seo}, accessibility ${result.scores.accessibility}) across ${result.summary.pages} pages in ${result.output_dir}`,
+      `${result.summary.errors} errors, ${result.summary.warnings} warnings`,
+      ...result.issues.slice(0, maxIssues).map(issue => `${issue.severity === 'error' ? 'ERROR' : 'WARN'} ${issue.page} ${issue.rule}: ${issue.message}`)
+    ];
+    if (result.issues.length > maxIssues) {
+      lines.push(`... ${result.issues.length - maxIssues} more (MAK3R-HUB audit --json for the full report)`);
     }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: lines.join('\n')
+        }
+      ]
+    };
   }
 
-  async saveCredentials() {
+  async loadCredentials() {
     try {
-      await fs.ensureDir(path.dirname(this.credentialsPath));
-      
-      const credentials = {};
-      for (const [service, creds] of this.credentials.entries()) {
-        credentials[service] = creds;
+      if (!this.credentialManager.masterKey) {
+        await this.credentialManager.initialize();
       }
-      
-      const encryptedData = this.encrypt(JSON.stringify(credentials));
-      await fs.writeFile(this.credentialsPath, encryptedData, 'utf8');
-      
-      console.log('Credentials saved securely');
+      await this.credentialManager.migrateLegacyFile(this.legacyCredentialsPath, process.env.MAK3R_HUB_ENCRYPTION_KEY);
     } catch (error) {
-      console.error('Failed to save credentials:', error.message);
+      console.warn('Failed to load credentials:', error.message);
     }
   }
 
-  encrypt(text) {
-    const key = this.getEncryptionKey();
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipher('aes-256-cbc', key);
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    return iv.toString('hex') + ':' + encrypted;
-  }
-
-  decrypt(text) {
-    const key = this.getEncryptionKey();
-    const parts = text.split(':');
-    const iv = Buffer.from(parts.shift(), 'hex');
-    const encryptedText = parts.join(':');
-    const decipher = crypto.createDecipher('aes-256-cbc', key);
-    let decrypted = decipher.update(encryptedText, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    return decrypted;
-  }
+  // Resolved per request from args.profile / args.project_path, falling back to MAK3R_PROFILE and "default"
+  async getCredentials(service, context = {}) {
+    await this.credentialsReady;
+    const manager = this.credentialManager;
+    const profile = await manager.resolveProfile({ profile: context.profile, projectPath: context.project_path });
+    if (!manager.cache.has(manager.keyFor(service, profile))) {
+      return null;
+    }
 
-  getEncryptionKey() {
-    return process.env.MAK3R_HUB_ENCRYPTION_KEY || 'default-key-change-in-production';
+    const credentials = await manager.getCredentials(service, profile);
+    manager.checkProfilePolicy(service, credentials, profile);
+    return credentials;
   }
 
-  getServiceStatus() {
+  async getServiceStatus() {
+    await this.credentialsReady;
     const status = {};
-    for (const service of this.credentials.keys()) {
-      status[service] = 'configured';
+    for (const service of await this.credentialManager.listServices()) {
+      if (!service.includes('_backup_')) {
+        status[service] = 'configured';
+      }
     }
     return status;
   }
 
+  // Tool results (e.g. a payment intent's client_secret) and error text are masked before they leave the server
+  withRedaction(handler) {
+    return async (...args) => this.redactor.redact(await handler(...args));
+  }
+
   logActivity(service, action, metadata = {}) {
     const logEntry = {
       timestamp: new Date().toISOString(),
       service,
       action,
-      metadata: { ...metadata, ip: 'localhost' }
+      metadata: this.redactor.redact({ ...metadata, ip: 'localhost' })
     };
     
-    fs.appendFile(this.logPath, JSON.stringify(logEntry) + '\\n')
+    return fs.appendFile(this.logPath, JSON.stringify(logEntry) + '\\n')
       .catch(console.error);
   }
 
@@ -525,18 +614,17 @@ class MAK3RMCPServer {
       timestamp: new Date().toISOString(),
       level: 'error',
       context,
-      error: error.message,
-      stack: error.stack
+      error: this.redactor.redactText(error.message),
+      stack: this.redactor.redactText(error.stack)
     };
     
-    fs.appendFile(this.logPath, JSON.stringify(logEntry) + '\\n')
+    return fs.appendFile(this.logPath, JSON.stringify(logEntry) + '\\n')
       .catch(console.error);
   }
 
-  async setCredentials(service, credentials) {
-    this.credentials.set(service, credentials);
-    await this.saveCredentials();
-    console.log(`Credentials configured for ${service}`);
+  async setCredentials(service, credentials, profile) {
+    await this.credentialsReady;
+    await this.credentialManager.setCredentials(service, credentials, profile);
   }
 
   async start() {
@@ -545,9 +633,10 @@ class MAK3RMCPServer {
     await this.server.connect(transport);
     
     // Start HTTP API server
+    const status = await this.getServiceStatus();
     this.expressApp.listen(this.port, this.host, () => {
       console.log(`MAK3R-HUB MCP Server running on ${this.host}:${this.port}`);
-      console.log(`Configured services: ${Array.from(this.credentials.keys()).join(', ')}`);
+      console.log(`Configured services: ${Object.keys(status).join(', ')}`);
     });
   }
 }
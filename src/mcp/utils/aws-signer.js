@@ -0,0 +1,185 @@
+/**
+ * AWS Signature Version 4 Signer for MAK3R-HUB MCP
+ * Signs requests for Lambda, S3, CloudFront and any other SigV4 service
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const UNSIGNED_HEADERS = ['authorization', 'user-agent', 'content-length', 'connection', 'expect', 'transfer-encoding'];
+
+function hash(data) {
+  return crypto.createHash('sha256').update(data || '').digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding as required by SigV4 (encodeURIComponent leaves !'()* alone)
+function uriEncode(value, encodeSlash = true) {
+  const encoded = encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return encodeSlash ? encoded : encoded.replace(/%2F/g, '/');
+}
+
+function toAmzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+function normalizePath(requestPath) {
+  const segments = [];
+  for (const segment of requestPath.split('/')) {
+    if (segment === '' || segment === '.') continue;
+    if (segment === '..') {
+      segments.pop();
+    } else {
+      segments.push(segment);
+    }
+  }
+
+  const trailingSlash = requestPath.endsWith('/') && segments.length > 0;
+  return `/${segments.join('/')}${trailingSlash ? '/' : ''}`;
+}
+
+function canonicalUri(requestPath, service) {
+  const pathOnly = requestPath || '/';
+
+  // S3 keys are signed exactly as sent; every other service normalises and re-encodes
+  if (service === 's3') {
+    return pathOnly;
+  }
+
+  return normalizePath(pathOnly).split('/').map(segment => uriEncode(segment)).join('/');
+}
+
+function canonicalQueryString(query) {
+  const pairs = [];
+
+  if (typeof query === 'string') {
+    for (const part of query.replace(/^\?/, '').split('&')) {
+      if (!part) continue;
+      const [key, ...rest] = part.split('=');
+      pairs.push([decodeURIComponent(key), decodeURIComponent(rest.join('='))]);
+    }
+  } else if (query) {
+    for (const [key, value] of Object.entries(query)) {
+      const values = Array.isArray(value) ? value : [value];
+      values.forEach(v => pairs.push([key, v === undefined || v === null ? '' : String(v)]));
+    }
+  }
+
+  return pairs
+    .map(([key, value]) => [uriEncode(key), uriEncode(value)])
+    .sort((a, b) => (a[0] === b[0] ? (a[1] < b[1] ? -1 : 1) : (a[0] < b[0] ? -1 : 1)))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+}
+
+function canonicalHeaders(headers) {
+  const grouped = {};
+
+  for (const [name, value] of Object.entries(headers)) {
+    const key = name.toLowerCase().trim();
+    if (UNSIGNED_HEADERS.includes(key) || value === undefined) continue;
+
+    const values = Array.isArray(value) ? value : [value];
+    const cleaned = values.map(v => String(v).trim().replace(/\s+/g, ' '));
+    grouped[key] = grouped[key] ? grouped[key].concat(cleaned) : cleaned;
+  }
+
+  const names = Object.keys(grouped).sort();
+  return {
+    canonical: names.map(name => `${name}:${grouped[name].join(',')}\n`).join(''),
+    signed: names.join(';')
+  };
+}
+
+function createCanonicalRequest(request, payloadHash) {
+  const { canonical, signed } = canonicalHeaders(request.headers);
+
+  return {
+    canonicalRequest: [
+      request.method.toUpperCase(),
+      canonicalUri(request.path, request.service),
+      canonicalQueryString(request.query),
+      canonical,
+      signed,
+      payloadHash
+    ].join('\n'),
+    signedHeaders: signed
+  };
+}
+
+function createStringToSign(amzDate, scope, canonicalRequest) {
+  return [ALGORITHM, amzDate, scope, hash(canonicalRequest)].join('\n');
+}
+
+function deriveSigningKey(secretAccessKey, dateStamp, region, service) {
+  const kDate = hmac(`AWS4${secretAccessKey}`, dateStamp);
+  const kRegion = hmac(kDate, region);
+  const kService = hmac(kRegion, service);
+  return hmac(kService, 'aws4_request');
+}
+
+/**
+ * Sign a request and return the headers to send along with the signing artefacts.
+ * `request.path` is the path exactly as it goes on the wire; `request.query`
+ * may be a query string or an object. Region defaults to credentials.region.
+ * Streamed bodies pass `options.payloadHash` (or 'UNSIGNED-PAYLOAD') instead of a body.
+ */
+function signRequest(request, credentials, options = {}) {
+  if (!credentials || !credentials.access_key_id || !credentials.secret_access_key) {
+    throw new Error('AWS credentials require access_key_id and secret_access_key');
+  }
+
+  const service = request.service || options.service;
+  const region = request.region || options.region || credentials.region || 'us-east-1';
+  const date = options.date || new Date();
+  const amzDate = toAmzDate(date);
+  const dateStamp = amzDate.slice(0, 8);
+
+  const payloadHash = options.payloadHash || hash(request.body);
+  const headers = { ...request.headers };
+
+  if (!Object.keys(headers).some(name => name.toLowerCase() === 'host')) {
+    headers.host = request.host;
+  }
+  headers['x-amz-date'] = amzDate;
+  if (credentials.session_token) {
+    headers['x-amz-security-token'] = credentials.session_token;
+  }
+  if (service === 's3') {
+    headers['x-amz-content-sha256'] = payloadHash;
+  }
+
+  const { canonicalRequest, signedHeaders } = createCanonicalRequest({
+    ...request,
+    service,
+    headers
+  }, payloadHash);
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = createStringToSign(amzDate, scope, canonicalRequest);
+  const signingKey = deriveSigningKey(credentials.secret_access_key, dateStamp, region, service);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  headers.authorization = `${ALGORITHM} Credential=${credentials.access_key_id}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+
+  return {
+    headers,
+    signature,
+    canonicalRequest,
+    stringToSign,
+    scope
+  };
+}
+
+module.exports = {
+  signRequest,
+  createCanonicalRequest,
+  createStringToSign,
+  deriveSigningKey,
+  canonicalQueryString,
+  uriEncode,
+  hash
+};
@@ -0,0 +1,104 @@
+/**
+ * Secret Redactor for MAK3R-HUB MCP
+ * Masks API keys, tokens and sensitive fields before they reach logs, errors or tool output
+ */
+
+const MASK = '[REDACTED]';
+
+// Known key formats; the prefix is kept so a masked value still shows what kind of secret it was
+const SECRET_PATTERNS = [
+  { name: 'stripe_client_secret', pattern: /\b((?:pi|seti|src)_[A-Za-z0-9]+_secret_)[A-Za-z0-9]+/g },
+  { name: 'stripe_key', pattern: /\b((?:sk|rk)_(?:live|test)_)[A-Za-z0-9]{8,}/g },
+  { name: 'stripe_webhook_secret', pattern: /\b(whsec_)[A-Za-z0-9]{8,}/g },
+  { name: 'github_token', pattern: /\b((?:ghp|gho|ghu|ghs|ghr)_)[A-Za-z0-9]{20,}/g },
+  { name: 'github_fine_grained_token', pattern: /\b(github_pat_)[A-Za-z0-9_]{20,}/g },
+  { name: 'aws_access_key_id', pattern: /\b((?:AKIA|ASIA))[A-Z0-9]{16}\b/g },
+  { name: 'openai_key', pattern: /\b(sk-)[A-Za-z0-9_-]{20,}/g },
+  { name: 'jwt', pattern: /\b()eyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g },
+  { name: 'bearer', pattern: /\b(Bearer\s+)[A-Za-z0-9._~+/-]{8,}=*/g }
+];
+
+// Matched after lower-casing and turning "-" into "_"; names ending in secret, token, password, passphrase or email always match
+const DEFAULT_SENSITIVE_FIELDS = [
+  'api_key', 'apikey', 'authorization', 'cookie', 'set_cookie', 'client_secret', 'private_key',
+  'secret_access_key', 'access_key_id'
+];
+const SENSITIVE_SUFFIX = /(secret|token|password|passphrase|email)$/;
+
+class Redactor {
+  constructor(options = {}) {
+    // Extra field names from options.fields and MAK3R_REDACT_FIELDS (comma-separated)
+    const configured = (process.env.MAK3R_REDACT_FIELDS || '').split(',');
+    this.fields = new Set([...DEFAULT_SENSITIVE_FIELDS, ...(options.fields || []), ...configured]
+      .map(field => this.normalize(field))
+      .filter(Boolean));
+  }
+
+  normalize(name) {
+    return String(name).trim().toLowerCase().replace(/-/g, '_');
+  }
+
+  isSensitiveField(name) {
+    const normalized = this.normalize(name);
+    return this.fields.has(normalized) || SENSITIVE_SUFFIX.test(normalized);
+  }
+
+  redactText(text) {
+    if (typeof text !== 'string' || text.length === 0) {
+      return text;
+    }
+
+    // "field": "value" pairs inside serialized JSON, then field=value in query strings and form bodies
+    let result = text.replace(/"([^"\\]+)"(\s*:\s*)"(?:[^"\\]|\\.)*"/g, (match, field, separator) =>
+      this.isSensitiveField(field) ? `"${field}"${separator}"${MASK}"` : match);
+    result = result.replace(/\b([A-Za-z][\w-]*)=([^&\s"']+)/g, (match, field) =>
+      this.isSensitiveField(field) ? `${field}=${MASK}` : match);
+
+    for (const { pattern } of SECRET_PATTERNS) {
+      result = result.replace(pattern, (match, prefix) => `${prefix}${MASK}`);
+    }
+    return result;
+  }
+
+  // Deep copy of value with sensitive fields and recognised secrets masked
+  redact(value, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+      return this.redactText(value);
+    }
+    if (!value || typeof value !== 'object' || Buffer.isBuffer(value)) {
+      return value;
+    }
+    if (value instanceof Error) {
+      return this.redactError(value);
+    }
+    if (seen.has(value)) {
+      return '[Circular]';
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item, seen));
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      const empty = item === undefined || item === null || item === '';
+      result[key] = this.isSensitiveField(key) && !empty ? MASK : this.redact(item, seen);
+    }
+    return result;
+  }
+
+  redactError(error) {
+    return {
+      message: this.redactText(error.message),
+      stack: this.redactText(error.stack)
+    };
+  }
+}
+
+module.exports = {
+  Redactor,
+  SECRET_PATTERNS,
+  DEFAULT_SENSITIVE_FIELDS,
+  MASK
+};
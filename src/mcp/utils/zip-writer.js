@@ -0,0 +1,298 @@
+/**
+ * Streaming ZIP Writer for MAK3R-HUB MCP
+ * Writes deflated ZIP archives without buffering whole files in memory
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+
+const ZIP32_LIMIT = 0xFFFFFFFF;
+const ZIP64_ENTRY_THRESHOLD = 0xFFFF0000; // leave headroom for deflate overhead
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer, previous = 0) {
+  if (zlib.crc32) {
+    return zlib.crc32(buffer, previous);
+  }
+
+  let crc = (previous ^ 0xFFFFFFFF) >>> 0;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+class ZipWriter {
+  constructor(output) {
+    this.output = output;
+    this.offset = 0;
+    this.entries = [];
+    this.finalized = false;
+  }
+
+  async write(buffer) {
+    this.offset += buffer.length;
+    if (!this.output.write(buffer)) {
+      await new Promise((resolve, reject) => {
+        const onError = (error) => {
+          this.output.removeListener('drain', onDrain);
+          reject(error);
+        };
+        const onDrain = () => {
+          this.output.removeListener('error', onError);
+          resolve();
+        };
+        this.output.once('drain', onDrain);
+        this.output.once('error', onError);
+      });
+    }
+  }
+
+  async addFile(name, filePath) {
+    const stat = await fs.stat(filePath);
+    return this.addStream(name, fs.createReadStream(filePath), {
+      size: stat.size,
+      mtime: stat.mtime,
+      mode: stat.mode
+    });
+  }
+
+  async addStream(name, input, options = {}) {
+    if (this.finalized) {
+      throw new Error('Cannot add entries to a finalized archive');
+    }
+
+    const entryName = name.split(path.sep).join('/').replace(/^\/+/, '');
+    const nameBuffer = Buffer.from(entryName, 'utf8');
+    const zip64 = (options.size || 0) >= ZIP64_ENTRY_THRESHOLD;
+    const { time, date } = toDosDateTime(options.mtime || new Date());
+
+    const entry = {
+      name: nameBuffer,
+      offset: this.offset,
+      time,
+      date,
+      crc: 0,
+      compressedSize: 0,
+      size: 0,
+      mode: options.mode || 0o100644,
+      zip64
+    };
+
+    // Local file header; sizes follow in the data descriptor
+    const extra = zip64 ? this.zip64Extra([0, 0]) : Buffer.alloc(0);
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(zip64 ? 45 : 20, 4);
+    header.writeUInt16LE(FLAG_DATA_DESCRIPTOR | FLAG_UTF8, 6);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(0, 14);
+    header.writeUInt32LE(zip64 ? ZIP32_LIMIT : 0, 18);
+    header.writeUInt32LE(zip64 ? ZIP32_LIMIT : 0, 22);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    header.writeUInt16LE(extra.length, 28);
+    await this.write(Buffer.concat([header, nameBuffer, extra]));
+
+    const deflate = zlib.createDeflateRaw();
+    const compressed = new Promise((resolve, reject) => {
+      deflate.on('data', (chunk) => {
+        entry.compressedSize += chunk.length;
+        this.offset += chunk.length;
+        if (!this.output.write(chunk)) {
+          deflate.pause();
+          this.output.once('drain', () => deflate.resume());
+        }
+      });
+      deflate.on('end', resolve);
+      deflate.on('error', reject);
+      input.on('error', reject);
+    });
+
+    input.on('data', (chunk) => {
+      entry.crc = crc32(chunk, entry.crc);
+      entry.size += chunk.length;
+    });
+    input.pipe(deflate);
+    await compressed;
+
+    if (!zip64 && (entry.size > ZIP32_LIMIT || entry.compressedSize > ZIP32_LIMIT)) {
+      throw new Error(`Entry ${entryName} grew past the size it was declared with`);
+    }
+
+    const descriptor = Buffer.alloc(zip64 ? 24 : 16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    if (zip64) {
+      descriptor.writeBigUInt64LE(BigInt(entry.compressedSize), 8);
+      descriptor.writeBigUInt64LE(BigInt(entry.size), 16);
+    } else {
+      descriptor.writeUInt32LE(entry.compressedSize, 8);
+      descriptor.writeUInt32LE(entry.size, 12);
+    }
+    await this.write(descriptor);
+
+    this.entries.push(entry);
+    return { name: entryName, size: entry.size, compressed_size: entry.compressedSize, crc32: entry.crc };
+  }
+
+  zip64Extra(values) {
+    const extra = Buffer.alloc(4 + values.length * 8);
+    extra.writeUInt16LE(0x0001, 0);
+    extra.writeUInt16LE(values.length * 8, 2);
+    values.forEach((value, index) => extra.writeBigUInt64LE(BigInt(value), 4 + index * 8));
+    return extra;
+  }
+
+  async finalize() {
+    if (this.finalized) {
+      return;
+    }
+    this.finalized = true;
+
+    const centralStart = this.offset;
+
+    for (const entry of this.entries) {
+      // Only the fields that overflow move into the ZIP64 extra block, in spec order
+      const zip64Values = [];
+      const needsSize = entry.zip64 || entry.size >= ZIP32_LIMIT || entry.compressedSize >= ZIP32_LIMIT;
+      if (needsSize) {
+        zip64Values.push(entry.size, entry.compressedSize);
+      }
+      const needsOffset = entry.offset >= ZIP32_LIMIT;
+      if (needsOffset) {
+        zip64Values.push(entry.offset);
+      }
+      const extra = zip64Values.length ? this.zip64Extra(zip64Values) : Buffer.alloc(0);
+      const version = zip64Values.length || entry.zip64 ? 45 : 20;
+
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE((3 << 8) | version, 4); // made by Unix
+      header.writeUInt16LE(version, 6);
+      header.writeUInt16LE(FLAG_DATA_DESCRIPTOR | FLAG_UTF8, 8);
+      header.writeUInt16LE(8, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(needsSize ? ZIP32_LIMIT : entry.compressedSize, 20);
+      header.writeUInt32LE(needsSize ? ZIP32_LIMIT : entry.size, 24);
+      header.writeUInt16LE(entry.name.length, 28);
+      header.writeUInt16LE(extra.length, 30);
+      header.writeUInt16LE(0, 32);
+      header.writeUInt16LE(0, 34);
+      header.writeUInt16LE(0, 36);
+      header.writeUInt32LE(((entry.mode & 0xFFFF) << 16) >>> 0, 38);
+      header.writeUInt32LE(needsOffset ? ZIP32_LIMIT : entry.offset, 42);
+      await this.write(Buffer.concat([header, entry.name, extra]));
+    }
+
+    const centralSize = this.offset - centralStart;
+    const count = this.entries.length;
+    const needsZip64 = count >= 0xFFFF || centralStart >= ZIP32_LIMIT || centralSize >= ZIP32_LIMIT;
+
+    if (needsZip64) {
+      const zip64EndOffset = this.offset;
+      const record = Buffer.alloc(56);
+      record.writeUInt32LE(0x06064b50, 0);
+      record.writeBigUInt64LE(44n, 4);
+      record.writeUInt16LE((3 << 8) | 45, 12);
+      record.writeUInt16LE(45, 14);
+      record.writeUInt32LE(0, 16);
+      record.writeUInt32LE(0, 20);
+      record.writeBigUInt64LE(BigInt(count), 24);
+      record.writeBigUInt64LE(BigInt(count), 32);
+      record.writeBigUInt64LE(BigInt(centralSize), 40);
+      record.writeBigUInt64LE(BigInt(centralStart), 48);
+
+      const locator = Buffer.alloc(20);
+      locator.writeUInt32LE(0x07064b50, 0);
+      locator.writeUInt32LE(0, 4);
+      locator.writeBigUInt64LE(BigInt(zip64EndOffset), 8);
+      locator.writeUInt32LE(1, 16);
+      await this.write(Buffer.concat([record, locator]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(0, 4);
+    end.writeUInt16LE(0, 6);
+    end.writeUInt16LE(Math.min(count, 0xFFFF), 8);
+    end.writeUInt16LE(Math.min(count, 0xFFFF), 10);
+    end.writeUInt32LE(Math.min(centralSize, ZIP32_LIMIT), 12);
+    end.writeUInt32LE(Math.min(centralStart, ZIP32_LIMIT), 16);
+    end.writeUInt16LE(0, 20);
+    await this.write(end);
+
+    await new Promise((resolve, reject) => {
+      this.output.once('error', reject);
+      this.output.end(resolve);
+    });
+  }
+}
+
+async function listFiles(rootDir) {
+  const files = [];
+
+  const walk = async (dir) => {
+    const items = (await fs.readdir(dir)).sort();
+    for (const item of items) {
+      const itemPath = path.join(dir, item);
+      const stat = await fs.stat(itemPath);
+      if (stat.isDirectory()) {
+        await walk(itemPath);
+      } else if (stat.isFile()) {
+        files.push({
+          path: itemPath,
+          relative: path.relative(rootDir, itemPath).split(path.sep).join('/'),
+          size: stat.size
+        });
+      }
+    }
+  };
+
+  await walk(rootDir);
+  return files;
+}
+
+async function zipDirectory(sourceDir, outputPath) {
+  const writer = new ZipWriter(fs.createWriteStream(outputPath));
+  const files = await listFiles(sourceDir);
+
+  for (const file of files) {
+    await writer.addFile(file.relative, file.path);
+  }
+  await writer.finalize();
+
+  return { path: outputPath, files: files.length, size: writer.offset };
+}
+
+module.exports = {
+  ZipWriter,
+  crc32,
+  listFiles,
+  zipDirectory
+};
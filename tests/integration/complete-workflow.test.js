@@ -32,7 +32,7 @@ describe('MAK3R-HUB Complete Workflow Integration Tests', () => {
       try {
         // Execute MAK3R-HUB create command
         const result = execSync(
-          `node ../../bin/mak3r-hub.js create ${projectName} --type landing-page --framework vue-nuxt`,
+          `node ../../bin/mak3r-hub.js create ${projectName} --type landing-page --framework vue-nuxt --skip-install`,
           { 
             cwd: testProjectsDir,
             encoding: 'utf8',
@@ -70,7 +70,7 @@ describe('MAK3R-HUB Complete Workflow Integration Tests', () => {
 
       try {
         execSync(
-          `node ../../bin/mak3r-hub.js create ${projectName} --type ecommerce --framework react-next`,
+          `node ../../bin/mak3r-hub.js create ${projectName} --type ecommerce --framework react-next --skip-install`,
           { cwd: testProjectsDir, encoding: 'utf8' }
         );
 
@@ -97,7 +97,7 @@ describe('MAK3R-HUB Complete Workflow Integration Tests', () => {
 
       try {
         execSync(
-          `node ../../bin/mak3r-hub.js create ${projectName} --type portfolio --framework svelte-kit`,
+          `node ../../bin/mak3r-hub.js create ${projectName} --type portfolio --framework svelte-kit --skip-install`,
           { cwd: testProjectsDir, encoding: 'utf8' }
         );
 
@@ -125,7 +125,7 @@ describe('MAK3R-HUB Complete Workflow Integration Tests', () => {
       try {
         // Create project first
         execSync(
-          `node ../../bin/mak3r-hub.js create ${projectName} --type landing-page`,
+          `node ../../bin/mak3r-hub.js create ${projectName} --type landing-page --skip-install`,
           { cwd: testProjectsDir, encoding: 'utf8' }
         );
 
@@ -194,7 +194,7 @@ describe('MAK3R-HUB Complete Workflow Integration Tests', () => {
       try {
         // Create Nuxt project
         execSync(
-          `node ../../bin/mak3r-hub.js create ${projectName} --framework vue-nuxt`,
+          `node ../../bin/mak3r-hub.js create ${projectName} --framework vue-nuxt --skip-install`,
           { cwd: testProjectsDir, encoding: 'utf8' }
         );
 
@@ -220,7 +220,7 @@ describe('MAK3R-HUB Complete Workflow Integration Tests', () => {
 
       try {
         execSync(
-          `node ../../bin/mak3r-hub.js create ${projectName} --type saas`,
+          `node ../../bin/mak3r-hub.js create ${projectName} --type saas --skip-install`,
           { cwd: testProjectsDir, encoding: 'utf8' }
         );
 
@@ -259,7 +259,7 @@ describe('MAK3R-HUB Complete Workflow Integration Tests', () => {
 
       try {
         execSync(
-          `node ../../bin/mak3r-hub.js create ${projectName} --type blog`,
+          `node ../../bin/mak3r-hub.js create ${projectName} --type blog --skip-install`,
           { cwd: testProjectsDir, encoding: 'utf8' }
         );
 
@@ -299,7 +299,7 @@ describe('MAK3R-HUB Complete Workflow Integration Tests', () => {
         
         // Create project and measure time
         execSync(
-          `node ../../bin/mak3r-hub.js create ${projectName} --type landing-page`,
+          `node ../../bin/mak3r-hub.js create ${projectName} --type landing-page --skip-install`,
           { cwd: testProjectsDir, encoding: 'utf8' }
         );
 
@@ -5,6 +5,7 @@
 
 const { execSync, spawn } = require('child_process');
 const path = require('path');
+const os = require('os');
 const fs = require('fs-extra');
 const chalk = require('chalk');
 
@@ -26,6 +27,21 @@ class MAK3RTestRunner {
     await this.testCliBasicFunctionality();
     await this.testCSharpEngineIntegration();
     await this.testWebsiteCreation();
+    await this.testFrameworkScaffolds();
+    await this.testTemplateRegistry();
+    await this.testTemplateEngine();
+    await this.testCommunityTemplates();
+    await this.testTransactionalCreate();
+    await this.testDryRun();
+    await this.testDependencyInstall();
+    await this.testProjectAdoption();
+    await this.testCodeGenerators();
+    await this.testDevServer();
+    await this.testProjectBuilder();
+    await this.testBundleAnalyzer();
+    await this.testSiteAuditor();
+    await this.testSeoGenerator();
+    await this.testDeployer();
     await this.testSystemHealthCheck();
     await this.testErrorHandling();
 
@@ -153,7 +169,7 @@ class MAK3RTestRunner {
       try {
         // Test website creation
         const result = execSync(
-          `node "${cliPath}" create test-landing-page --type landing-page --framework vue-nuxt`,
+          `node "${cliPath}" create test-landing-page --type landing-page --framework vue-nuxt --skip-install`,
           { encoding: 'utf8', cwd: this.tempDir }
         );
 
@@ -211,6 +227,2008 @@ class MAK3RTestRunner {
     });
   }
 
+  async testFrameworkScaffolds() {
+    console.log(chalk.blue('\n🧱 Testing Framework Scaffolds'));
+
+    const ProjectCreator = require('../lib/project-creator');
+    const creator = new ProjectCreator();
+    const expectedRoutes = {
+      'landing-page': ['', 'pricing', 'contact'],
+      'ecommerce': ['', 'products', 'cart', 'checkout'],
+      'portfolio': ['', 'projects', 'about', 'contact'],
+      'blog': ['', 'posts', 'posts/hello-world', 'about'],
+      'saas': ['', 'pricing', 'login', 'signup', 'dashboard']
+    };
+
+    const scaffold = async (framework, type) => {
+      const projectPath = path.join(this.tempDir, 'scaffolds', `${framework}-${type}`);
+      const config = await creator.generateProjectConfig(`Scaffold ${type}`, { framework, type });
+      await creator.initializeFramework(projectPath, config);
+      return path.join(projectPath, config.active_dir);
+    };
+
+    const assertFiles = (root, files) => {
+      const missing = files.filter(file => !fs.existsSync(path.join(root, file)));
+      if (missing.length > 0) {
+        throw new Error(`Missing scaffold files: ${missing.join(', ')}`);
+      }
+    };
+
+    const assertTooling = (root, scripts, devDependencies) => {
+      const pkg = fs.readJsonSync(path.join(root, 'package.json'));
+      const missingScripts = scripts.filter(script => !pkg.scripts[script]);
+      const missingDeps = devDependencies.filter(dep => !pkg.devDependencies[dep]);
+      if (missingScripts.length > 0 || missingDeps.length > 0) {
+        throw new Error(`package.json lacks ${[...missingScripts, ...missingDeps].join(', ')}`);
+      }
+    };
+
+    await this.test('Next.js scaffold has Tailwind, lint config and typed layout', async () => {
+      const root = await scaffold('react-next', 'landing-page');
+
+      assertFiles(root, [
+        'package.json', 'next.config.js', 'tsconfig.json', 'next-env.d.ts', 'tailwind.config.ts',
+        'postcss.config.js', '.eslintrc.json', 'app/globals.css', 'app/layout.tsx', 'app/page.tsx',
+        'components/PageSections.tsx', 'lib/site.ts'
+      ]);
+      assertTooling(root, ['dev', 'build', 'lint', 'typecheck'], ['tailwindcss', 'eslint-config-next', 'typescript']);
+
+      const nextConfig = fs.readFileSync(path.join(root, 'next.config.js'), 'utf8');
+      if (!nextConfig.includes("output: 'export'")) {
+        throw new Error('Next.js config does not export to the static build output');
+      }
+
+      const layout = fs.readFileSync(path.join(root, 'app/layout.tsx'), 'utf8');
+      if (!layout.includes('Metadata') || !layout.includes('React.ReactNode')) {
+        throw new Error('Layout is not typed');
+      }
+    });
+
+    await this.test('SvelteKit scaffold has static adapter, Tailwind and lint config', async () => {
+      const root = await scaffold('svelte-kit', 'landing-page');
+
+      assertFiles(root, [
+        'package.json', 'vite.config.js', 'svelte.config.js', 'tsconfig.json', 'tailwind.config.js',
+        'postcss.config.js', '.eslintrc.cjs', 'src/app.html', 'src/app.d.ts', 'src/app.css',
+        'src/lib/site.ts', 'src/lib/components/PageSections.svelte', 'src/routes/+layout.ts',
+        'src/routes/+layout.svelte', 'src/routes/+page.svelte'
+      ]);
+      assertTooling(root, ['dev', 'build', 'check', 'lint'], ['@sveltejs/adapter-static', 'tailwindcss', 'eslint-plugin-svelte']);
+
+      const svelteConfig = fs.readFileSync(path.join(root, 'svelte.config.js'), 'utf8');
+      if (!svelteConfig.includes("pages: 'build'")) {
+        throw new Error('Static adapter does not write to the advertised build output');
+      }
+
+      const page = fs.readFileSync(path.join(root, 'src/routes/+page.svelte'), 'utf8');
+      if (!page.includes('<script lang="ts">') || !page.includes('PageContent')) {
+        throw new Error('Page is not typed');
+      }
+    });
+
+    await this.test('Each website type gets its own starter pages', async () => {
+      for (const [type, routes] of Object.entries(expectedRoutes)) {
+        const nextRoot = await scaffold('react-next', type);
+        const svelteRoot = await scaffold('svelte-kit', type);
+
+        assertFiles(nextRoot, routes.map(route => (route ? `app/${route}/page.tsx` : 'app/page.tsx')));
+        assertFiles(svelteRoot, routes.map(route => (route ? `src/routes/${route}/+page.svelte` : 'src/routes/+page.svelte')));
+      }
+
+      const quoted = await creator.generateProjectConfig("Jo's Shop", { framework: 'react-next', type: 'ecommerce' });
+      const site = creator.generateSiteModule(quoted, creator.getWebsiteTypePages(quoted));
+      if (!site.includes("name: 'Jo\\'s Shop'")) {
+        throw new Error('Project name is not escaped in generated TypeScript');
+      }
+    });
+  }
+
+  async testTemplateRegistry() {
+    console.log(chalk.blue('\n🗂️ Testing Template Registry'));
+
+    const TemplateRegistry = require('../lib/template-registry');
+
+    await this.test('Every framework and website type resolves to existing templates', async () => {
+      const registry = new TemplateRegistry();
+      const frameworks = await registry.listFrameworks();
+      const types = await registry.listTypes();
+
+      for (const type of types) {
+        for (const framework of frameworks) {
+          const validation = await registry.validate(framework.id, type.id);
+          if (!validation.valid) {
+            throw new Error(validation.errors.join('; '));
+          }
+          if (!validation.files.some(file => file.template === 'project-docs/CLAUDE.md')) {
+            throw new Error(`${framework.id}/${type.id} does not include CLAUDE.md`);
+          }
+        }
+      }
+    });
+
+    await this.test('Registry reports missing template files and unknown types', async () => {
+      const templateDir = path.join(this.tempDir, 'broken-templates');
+      fs.ensureDirSync(path.join(templateDir, 'config'));
+      fs.writeFileSync(path.join(templateDir, 'config', 'config.json'), '{}');
+      fs.writeJsonSync(path.join(templateDir, 'registry.json'), {
+        version: 1,
+        files: {
+          config: { template: 'config/config.json', output: '.mak3r/config.json', kind: 'config' },
+          docs: { template: 'project-docs/CLAUDE.md', output: 'CLAUDE.md', kind: 'docs' }
+        },
+        frameworks: { 'vue-nuxt': { files: ['config', 'docs', 'extra'] } },
+        types: { blog: { default_framework: 'vue-nuxt', frameworks: ['vue-nuxt'], files: [] } }
+      });
+
+      const registry = new TemplateRegistry(templateDir);
+      const broken = await registry.validate('vue-nuxt', 'blog');
+      const unknown = await registry.validate('vue-nuxt', 'wiki');
+
+      if (broken.valid || !broken.errors.some(e => e.includes('project-docs/CLAUDE.md')) ||
+        !broken.errors.some(e => e.includes('"extra"'))) {
+        throw new Error(`Unexpected errors: ${JSON.stringify(broken.errors)}`);
+      }
+      if (unknown.valid || !unknown.errors.some(e => e.includes('wiki'))) {
+        throw new Error('Unknown website type accepted');
+      }
+    });
+
+    await this.test('Create refuses to start when a template is missing', async () => {
+      const ProjectCreator = require('../lib/project-creator');
+      const creator = new ProjectCreator();
+      creator.registry = new TemplateRegistry(path.join(this.tempDir, 'broken-templates'));
+
+      const result = await creator.createProject('never-created', { type: 'blog', framework: 'vue-nuxt', path: this.tempDir, skipInstall: true });
+
+      if (result.success || !result.error.includes('CLAUDE.md')) {
+        throw new Error(`Unexpected result: ${JSON.stringify(result)}`);
+      }
+      if (fs.existsSync(path.join(this.tempDir, 'never-created'))) {
+        throw new Error('Project directory was created despite failed validation');
+      }
+    });
+
+    await this.test('Templates list is answered from the registry', async () => {
+      const output = execSync('node bin/mak3r-hub.js templates --list', {
+        encoding: 'utf8',
+        cwd: path.join(__dirname, '..')
+      });
+
+      for (const id of ['landing-page', 'ecommerce', 'portfolio', 'blog', 'saas', 'react-next', 'svelte-kit']) {
+        if (!output.includes(id)) {
+          throw new Error(`templates --list is missing ${id}`);
+        }
+      }
+    });
+  }
+
+  async testTemplateEngine() {
+    console.log(chalk.blue('\n🧮 Testing Template Engine'));
+
+    const TemplateEngine = require('../lib/template-engine');
+    const ProjectCreator = require('../lib/project-creator');
+
+    await this.test('Engine renders if/unless/each blocks and partials', async () => {
+      const engine = new TemplateEngine({ partials: { item: '<{{this.name}}{{#if this.tag}}:{{this.tag}}{{/if}}>' } });
+      const output = engine.render(
+        '{{#if SHOW}}shown{{else}}hidden{{/if}} {{#unless SHOW}}nope{{/unless}}' +
+        '{{#each ITEMS}}{{> item}}{{#unless @last}},{{/unless}}{{/each}} {{#each NONE}}x{{else}}empty{{/each}}' +
+        ' {{#each MAP}}{{@key}}={{this}};{{/each}} {{#if_windows}}win{{else}}unix{{/if_windows}}',
+        {
+          SHOW: true,
+          ITEMS: [{ name: 'a', tag: 't' }, { name: 'b' }],
+          NONE: [],
+          MAP: { x: 1, y: 2 },
+          IS_WINDOWS: false
+        }
+      );
+
+      const expected = 'shown <a:t>,<b> empty x=1;y=2; unix';
+      if (output !== expected) {
+        throw new Error(`Expected "${expected}", got "${output}"`);
+      }
+    });
+
+    await this.test('Engine escapes values for JSON and strips standalone block lines', async () => {
+      const engine = new TemplateEngine();
+      const json = engine.render('{"name": "{{NAME}}", "port": {{PORT}}}', { NAME: 'Jo\'s "Shop"\\\n', PORT: 3000 }, { filename: 'config.json' });
+      const parsed = JSON.parse(json);
+      if (parsed.name !== 'Jo\'s "Shop"\\\n' || parsed.port !== 3000) {
+        throw new Error(`JSON escaping broken: ${json}`);
+      }
+
+      const text = engine.render('a\n  {{#if X}}\n  b\n  {{/if}}\nc', { X: true });
+      if (text !== 'a\n  b\nc') {
+        throw new Error(`Standalone lines not stripped: ${JSON.stringify(text)}`);
+      }
+    });
+
+    await this.test('Strict mode rejects unknown variables; lenient mode keeps framework syntax', async () => {
+      const engine = new TemplateEngine();
+      const lenient = engine.render('<p>{{ message }}</p> {{ a + b }} \\{{RAW}}', {});
+      if (lenient !== '<p>{{ message }}</p> {{ a + b }} {{RAW}}') {
+        throw new Error(`Lenient render changed foreign syntax: ${lenient}`);
+      }
+
+      const failures = [
+        ['line1\n{{MISSING}}', 'Unknown template variable "MISSING" (doc.md:2)'],
+        ['{{#if X}}open', 'Unclosed {{#if X}}'],
+        ['{{#each X}}{{/if}}', 'Expected {{/each}}'],
+        ['{{> nowhere}}', 'Partial not found: nowhere']
+      ];
+      for (const [template, message] of failures) {
+        try {
+          engine.render(template, { X: [] }, { strict: true, filename: 'doc.md' });
+        } catch (error) {
+          if (!error.message.includes(message)) {
+            throw new Error(`Expected "${message}", got "${error.message}"`);
+          }
+          continue;
+        }
+        throw new Error(`Template rendered without error: ${template}`);
+      }
+    });
+
+    await this.test('Built-in templates render strictly with every placeholder filled', async () => {
+      const creator = new ProjectCreator();
+      const config = await creator.generateProjectConfig('Engine "Test"', { framework: 'react-next', type: 'saas' });
+
+      for (const file of await creator.registry.resolve(config.framework, config.project_type)) {
+        const content = fs.readFileSync(file.path, 'utf8');
+        const rendered = creator.processTemplate(content, config, { filename: file.template, strict: true });
+
+        if (rendered.includes('{{')) {
+          throw new Error(`${file.template} still contains template tags`);
+        }
+        if (file.template.endsWith('.json')) {
+          JSON.parse(rendered);
+        }
+        if (file.template === 'config/config.json') {
+          const parsed = JSON.parse(rendered);
+          if (!parsed.environment.node_version || parsed.framework.features.length !== 3 ||
+            parsed.deployment.output_directory !== 'out' || parsed.project.name !== 'Engine "Test"') {
+            throw new Error(`Config values missing: ${rendered}`);
+          }
+        }
+      }
+    });
+  }
+
+  async testCommunityTemplates() {
+    console.log(chalk.blue('\n🧩 Testing Community Templates'));
+
+    const TemplateStore = require('../lib/template-store');
+    const ProjectCreator = require('../lib/project-creator');
+    const workDir = path.join(this.tempDir, 'community');
+    const store = new TemplateStore({ templatesDir: path.join(workDir, 'store') });
+    const sourceDir = path.join(workDir, 'hero-template');
+
+    fs.ensureDirSync(path.join(sourceDir, 'files', 'app'));
+    fs.writeJsonSync(path.join(sourceDir, 'mak3r-template.json'), {
+      name: 'hero',
+      version: '1.0.0',
+      description: 'Hero section starter',
+      frameworks: ['react-next'],
+      variables: {
+        BRAND_COLOR: { default: '#ff6600' },
+        TAGLINE: { required: true, description: 'Hero tagline' }
+      },
+      hooks: { post_create: [`node -e "require('fs').writeFileSync('hook.txt', 'ran')"`] }
+    });
+    fs.writeFileSync(path.join(sourceDir, 'files', 'app', '{{SAFE_PROJECT_NAME}}.ts'),
+      'export const hero = { name: "{{PROJECT_NAME}}", color: "{{BRAND_COLOR}}", tagline: "{{TAGLINE}}" };\n');
+
+    await this.test('Templates install from a directory, a tarball and a git repository', async () => {
+      const fromPath = await store.install(sourceDir);
+      if (fromPath.manifest.name !== 'hero' || fromPath.source.type !== 'path') {
+        throw new Error(`Unexpected install: ${JSON.stringify(fromPath.source)}`);
+      }
+
+      let duplicate = null;
+      try {
+        await store.install(sourceDir);
+      } catch (error) {
+        duplicate = error;
+      }
+      if (!duplicate || !duplicate.message.includes('already installed')) {
+        throw new Error('Reinstall without --force was not refused');
+      }
+
+      // npm pack layout: everything under package/
+      const packRoot = path.join(workDir, 'pack');
+      fs.copySync(sourceDir, path.join(packRoot, 'package'));
+      const tarball = path.join(workDir, 'hero-1.0.0.tgz');
+      execSync(`tar -czf "${tarball}" -C "${packRoot}" package`);
+      const fromTarball = await store.install(tarball, { force: true });
+      if (fromTarball.source.type !== 'tarball' || !fs.existsSync(path.join(fromTarball.filesDir, 'app'))) {
+        throw new Error('Tarball install did not unwrap package/');
+      }
+
+      const repoDir = path.join(workDir, 'hero-repo');
+      fs.copySync(sourceDir, repoDir);
+      execSync('git init -q && git add -A && git -c user.name=test -c user.email=test@example.com commit -qm template', { cwd: repoDir });
+      execSync(`git clone -q --bare "${repoDir}" "${repoDir}.git"`);
+      const fromGit = await store.install(`${repoDir}.git`, { force: true });
+      if (fromGit.source.type !== 'git' || fs.existsSync(path.join(fromGit.path, '.git'))) {
+        throw new Error('Git install failed or kept .git');
+      }
+
+      const templates = await store.list();
+      if (templates.length !== 1 || templates[0].manifest.version !== '1.0.0') {
+        throw new Error(`Unexpected store contents: ${templates.map(t => t.manifest.name).join(', ')}`);
+      }
+    });
+
+    await this.test('Invalid manifests are rejected', async () => {
+      const badDir = path.join(workDir, 'bad-template');
+      fs.ensureDirSync(badDir);
+      fs.writeJsonSync(path.join(badDir, 'mak3r-template.json'), {
+        name: 'Bad Name', version: 'one', frameworks: ['angular'], variables: { lower: {} }
+      });
+
+      try {
+        await store.install(badDir);
+      } catch (error) {
+        for (const part of ['name', 'version', 'angular', 'lower']) {
+          if (!error.message.includes(part)) {
+            throw new Error(`Error does not mention ${part}: ${error.message}`);
+          }
+        }
+        return;
+      }
+      throw new Error('Invalid manifest accepted');
+    });
+
+    await this.test('create --template renders variables and runs post-create hooks', async () => {
+      const creator = new ProjectCreator({ templateStore: store });
+      const options = { type: 'landing-page', framework: 'react-next', path: workDir, template: 'hero', skipInstall: true };
+
+      const missing = await creator.createProject('Hero Site', options);
+      if (missing.success || !missing.error.includes('TAGLINE')) {
+        throw new Error('Missing required variable not reported');
+      }
+
+      const wrongFramework = await creator.createProject('Hero Site', { ...options, framework: 'vue-nuxt', variables: { TAGLINE: 'x' } });
+      if (wrongFramework.success || !wrongFramework.error.includes('supports react-next')) {
+        throw new Error('Unsupported framework not reported');
+      }
+
+      const result = await creator.createProject('Hero Site', { ...options, variables: { TAGLINE: 'Ship it' } });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const rendered = fs.readFileSync(path.join(result.path, 'react-next', 'app', 'hero-site.ts'), 'utf8');
+      if (!rendered.includes('name: "Hero Site"') || !rendered.includes('#ff6600') || !rendered.includes('Ship it')) {
+        throw new Error(`Template not rendered: ${rendered}`);
+      }
+      if (!result.hooks[0].success || !fs.existsSync(path.join(result.path, 'react-next', 'hook.txt'))) {
+        throw new Error('Post-create hook did not run in the framework directory');
+      }
+    });
+
+    await this.test('Template file names cannot render outside the project', async () => {
+      const escapeDir = path.join(workDir, 'escape-template');
+      fs.ensureDirSync(path.join(escapeDir, 'files'));
+      fs.writeJsonSync(path.join(escapeDir, 'mak3r-template.json'), {
+        name: 'escape',
+        version: '1.0.0',
+        frameworks: ['react-next'],
+        variables: { OUT: { required: true } }
+      });
+      fs.writeFileSync(path.join(escapeDir, 'files', '{{OUT}}.txt'), 'escaped\n');
+      await store.install(escapeDir);
+
+      const creator = new ProjectCreator({ templateStore: store });
+      const result = await creator.createProject('Escape Site', {
+        type: 'landing-page', framework: 'react-next', path: workDir, template: 'escape', skipInstall: true,
+        variables: { OUT: '../../escaped' }
+      });
+      if (result.success || !result.error.includes('outside the project')) {
+        throw new Error(`Traversing file name was not rejected: ${result.error}`);
+      }
+      if (fs.existsSync(path.join(workDir, 'escaped.txt')) || fs.existsSync(path.join(workDir, 'Escape Site'))) {
+        throw new Error('A file was written outside the project or the project was left behind');
+      }
+    });
+
+    await this.test('templates --create snapshots a project into a reusable template', async () => {
+      const projectPath = path.join(workDir, 'Hero Site');
+      fs.ensureDirSync(path.join(projectPath, 'react-next', 'node_modules', 'dep'));
+      fs.writeFileSync(path.join(projectPath, 'react-next', '.env'), 'SECRET=1');
+
+      const snapshot = await store.snapshot(projectPath, 'hero-snapshot');
+      if (snapshot.files.some(file => file.startsWith('node_modules') || file === '.env' || file === 'CLAUDE.md')) {
+        throw new Error(`Snapshot copied ignored files: ${snapshot.files.join(', ')}`);
+      }
+      if (!snapshot.files.includes('app/{{SAFE_PROJECT_NAME}}.ts')) {
+        throw new Error(`Project name not templated in paths: ${snapshot.files.join(', ')}`);
+      }
+
+      const creator = new ProjectCreator({ templateStore: store });
+      const result = await creator.createProject('Second Site', {
+        type: 'landing-page', framework: 'react-next', path: workDir, template: 'hero-snapshot', skipInstall: true
+      });
+      const rendered = fs.readFileSync(path.join(result.path, 'react-next', 'app', 'second-site.ts'), 'utf8');
+      if (!rendered.includes('name: "Second Site"') || !rendered.includes('Ship it')) {
+        throw new Error(`Snapshot not rendered for the new project: ${rendered}`);
+      }
+    });
+  }
+
+  async testTransactionalCreate() {
+    console.log(chalk.blue('\n🧾 Testing Transactional Project Creation'));
+
+    const ProjectCreator = require('../lib/project-creator');
+    const workDir = path.join(this.tempDir, 'transactions');
+    fs.ensureDirSync(workDir);
+
+    const leftovers = () => fs.readdirSync(workDir).filter(entry => entry.includes('.mak3r-staging-') || entry.includes('.mak3r-backup-'));
+    const create = (name, options = {}) => new ProjectCreator().createProject(name, {
+      type: 'landing-page', framework: 'react-next', path: workDir, skipInstall: true, ...options
+    });
+
+    await this.test('A failing step leaves nothing on disk', async () => {
+      const creator = new ProjectCreator();
+      creator.generatePackageJson = async () => {
+        throw new Error('disk full');
+      };
+
+      const result = await creator.createProject('broken-site', { type: 'blog', framework: 'svelte-kit', path: workDir, skipInstall: true });
+
+      if (result.success || !result.error.includes('disk full')) {
+        throw new Error(`Unexpected result: ${JSON.stringify(result)}`);
+      }
+      if (fs.existsSync(path.join(workDir, 'broken-site')) || leftovers().length > 0) {
+        throw new Error('Half-built project or staging directory left behind');
+      }
+    });
+
+    await this.test('Created and replaced project roots get the umask mode, not the staging 0700', async () => {
+      const result = await create('mode-site');
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const expected = 0o777 & ~process.umask();
+      const projectPath = path.join(workDir, 'mode-site');
+      const mode = () => fs.statSync(projectPath).mode & 0o777;
+      if (mode() !== expected) {
+        throw new Error(`Project root mode is ${mode().toString(8)}, expected ${expected.toString(8)}`);
+      }
+
+      const replaced = await create('mode-site', { force: true });
+      if (!replaced.success || mode() !== expected) {
+        throw new Error(`Replaced project root mode is ${mode().toString(8)}, expected ${expected.toString(8)}`);
+      }
+    });
+
+    await this.test('Existing directories are refused unless --force or --merge is given', async () => {
+      const first = await create('existing-site');
+      if (!first.success) {
+        throw new Error(first.error);
+      }
+
+      const projectPath = path.join(workDir, 'existing-site');
+      fs.writeFileSync(path.join(projectPath, 'notes.txt'), 'keep me');
+
+      const refused = await create('existing-site');
+      if (refused.success || !refused.error.includes('--force') ||
+        fs.readFileSync(path.join(projectPath, 'notes.txt'), 'utf8') !== 'keep me') {
+        throw new Error('Existing project was not protected');
+      }
+
+      const both = await create('existing-site', { force: true, merge: true });
+      if (both.success) {
+        throw new Error('--force and --merge together were accepted');
+      }
+    });
+
+    await this.test('--merge adds missing files and reports conflicts without overwriting', async () => {
+      const projectPath = path.join(workDir, 'existing-site');
+      const pagePath = path.join(projectPath, 'react-next', 'app', 'page.tsx');
+      fs.appendFileSync(pagePath, '\n// local change\n');
+      fs.removeSync(path.join(projectPath, 'react-next', 'app', 'contact'));
+
+      const result = await create('existing-site', { merge: true });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const { merge } = result;
+      if (!merge.added.includes('react-next/app/contact/') || merge.conflicts.length !== 1 ||
+        merge.conflicts[0].path !== 'react-next/app/page.tsx') {
+        throw new Error(`Unexpected merge report: ${JSON.stringify({ added: merge.added, conflicts: merge.conflicts })}`);
+      }
+      if (!fs.readFileSync(pagePath, 'utf8').includes('// local change') || !fs.existsSync(path.join(projectPath, 'notes.txt'))) {
+        throw new Error('Merge overwrote existing files');
+      }
+      if (!fs.readJsonSync(merge.report_path).conflicts.length || leftovers().length > 0) {
+        throw new Error('Conflict report missing or staging left behind');
+      }
+    });
+
+    await this.test('--force replaces the existing directory', async () => {
+      const result = await create('existing-site', { force: true, type: 'saas' });
+      const projectPath = path.join(workDir, 'existing-site');
+
+      if (!result.success || fs.existsSync(path.join(projectPath, 'notes.txt')) ||
+        !fs.existsSync(path.join(projectPath, 'react-next', 'app', 'dashboard', 'page.tsx')) || leftovers().length > 0) {
+        throw new Error('Existing directory was not replaced cleanly');
+      }
+    });
+
+    await this.test('SIGINT during creation removes the staging directory', async () => {
+      const script = path.join(workDir, 'interrupt.js');
+      fs.writeFileSync(script, `
+const ProjectCreator = require(${JSON.stringify(path.join(__dirname, '..', 'lib', 'project-creator'))});
+const creator = new ProjectCreator();
+creator.initializeFramework = () => {
+  process.stdout.write('STAGED\\n');
+  return new Promise(resolve => setTimeout(resolve, 30000));
+};
+console.log = () => {};
+creator.createProject('interrupted-site', { type: 'blog', framework: 'react-next', path: ${JSON.stringify(workDir)}, skipInstall: true });
+`);
+
+      const child = spawn(process.execPath, [script], { stdio: ['ignore', 'pipe', 'ignore'] });
+      const exitCode = await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          child.kill('SIGKILL');
+          reject(new Error('Child never reached the framework step'));
+        }, 20000);
+
+        child.stdout.on('data', (data) => {
+          if (data.toString().includes('STAGED')) {
+            child.kill('SIGINT');
+          }
+        });
+        child.on('exit', (code) => {
+          clearTimeout(timer);
+          resolve(code);
+        });
+      });
+
+      if (exitCode !== 130) {
+        throw new Error(`Expected exit code 130, got ${exitCode}`);
+      }
+      if (fs.existsSync(path.join(workDir, 'interrupted-site')) || leftovers().length > 0) {
+        throw new Error('Interrupted run left files behind');
+      }
+    });
+  }
+
+  async testDryRun() {
+    console.log(chalk.blue('\n📋 Testing Create Dry Run'));
+
+    const ProjectCreator = require('../lib/project-creator');
+    const workDir = path.join(this.tempDir, 'dry-run');
+    fs.ensureDirSync(workDir);
+
+    await this.test('Dry run plans every file without touching disk', async () => {
+      const creator = new ProjectCreator();
+      const plan = await creator.planProject('planned-site', { type: 'ecommerce', framework: 'svelte-kit', path: workDir });
+
+      if (fs.readdirSync(workDir).length !== 0) {
+        throw new Error(`Dry run wrote to disk: ${fs.readdirSync(workDir).join(', ')}`);
+      }
+
+      const paths = plan.files.map(file => file.path);
+      for (const expected of ['.mak3r/config.json', 'CLAUDE.md', 'package.json', 'svelte-kit/src/routes/checkout/+page.svelte']) {
+        if (!paths.includes(expected)) {
+          throw new Error(`Plan is missing ${expected}`);
+        }
+      }
+      if (!plan.directories.includes('.mak3r/logs') || plan.total_size !== plan.files.reduce((sum, f) => sum + f.size, 0)) {
+        throw new Error('Plan directories or sizes are wrong');
+      }
+      if (plan.variables.PROJECT_NAME !== 'planned-site' || plan.variables.ACTIVE_DIR !== 'svelte-kit' || !plan.variables.NODE_VERSION) {
+        throw new Error('Resolved variables missing from plan');
+      }
+      if (creator.fs !== fs || creator.quiet) {
+        throw new Error('Creator left the in-memory filesystem installed');
+      }
+    });
+
+    await this.test('Dry run marks files that differ from an existing project', async () => {
+      const creator = new ProjectCreator();
+      const result = await creator.createProject('existing-plan', { type: 'blog', framework: 'react-next', path: workDir, skipInstall: true });
+      fs.appendFileSync(path.join(result.path, 'README.md'), '\nlocal notes\n');
+
+      const plan = await creator.planProject('existing-plan', { type: 'blog', framework: 'react-next', path: workDir });
+      const status = Object.fromEntries(plan.files.map(file => [file.path, file.status]));
+
+      if (!plan.target_exists || status['README.md'] !== 'differs' || status['react-next/app/page.tsx'] !== 'unchanged') {
+        throw new Error(`Unexpected statuses: README.md=${status['README.md']}, page.tsx=${status['react-next/app/page.tsx']}`);
+      }
+    });
+
+    await this.test('create --dry-run --json prints a machine-readable plan', async () => {
+      const output = execSync(`node "${path.join(__dirname, '..', 'bin', 'mak3r-hub.js')}" create json-plan --type portfolio --dry-run --json`, {
+        encoding: 'utf8',
+        cwd: workDir
+      });
+      const plan = JSON.parse(output);
+
+      if (plan.framework !== 'svelte-kit' || plan.total_files !== plan.files.length || !plan.variables.FRAMEWORK) {
+        throw new Error('JSON plan is incomplete');
+      }
+      if (fs.existsSync(path.join(workDir, 'json-plan'))) {
+        throw new Error('--dry-run created the project');
+      }
+    });
+  }
+
+  async testDependencyInstall() {
+    console.log(chalk.blue('\n📦 Testing Dependency Installation'));
+
+    const ProjectCreator = require('../lib/project-creator');
+    const DependencyInstaller = require('../lib/dependency-installer');
+    const workDir = path.join(this.tempDir, 'installs');
+    const fakeBin = path.join(workDir, 'bin');
+    const monorepo = path.join(workDir, 'monorepo');
+    fs.ensureDirSync(fakeBin);
+    fs.ensureDirSync(path.join(monorepo, 'apps'));
+    fs.writeFileSync(path.join(monorepo, 'pnpm-lock.yaml'), 'lockfileVersion: 9.0\n');
+
+    // Stand-in package managers: record where and how they ran, fail on demand
+    for (const name of ['npm', 'pnpm']) {
+      const script = path.join(fakeBin, name);
+      fs.writeFileSync(script, [
+        '#!/bin/sh',
+        `echo "$PWD $*" > "${path.join(workDir, `${name}-args.txt`)}"`,
+        'if [ -n "$FAKE_INSTALL_FAIL" ]; then echo "npm ERR! code ENOTCACHED" >&2; exit 1; fi',
+        'echo "added 42 packages"',
+        ''
+      ].join('\n'));
+      fs.chmodSync(script, 0o755);
+    }
+
+    const installer = (env = {}) => new DependencyInstaller({
+      env: { PATH: `${fakeBin}${path.delimiter}${process.env.PATH}`, ...env }
+    });
+
+    await this.test('Package manager is detected from a parent lock file or the user agent', async () => {
+      const fromLock = await installer().detect(path.join(monorepo, 'apps', 'new-site'));
+      if (fromLock !== 'pnpm') {
+        throw new Error(`Expected pnpm from the monorepo lock file, got ${fromLock}`);
+      }
+
+      const isolated = fs.mkdtempSync(path.join(os.tmpdir(), 'mak3r-pm-'));
+      try {
+        const fromAgent = await installer({ npm_config_user_agent: 'yarn/1.22.19 npm/? node/v20.11.0 linux x64' }).detect(isolated);
+        if (fromAgent !== 'yarn') {
+          throw new Error(`Expected yarn from npm_config_user_agent, got ${fromAgent}`);
+        }
+      } finally {
+        fs.removeSync(isolated);
+      }
+    });
+
+    await this.test('create installs in active_dir with the detected manager and offline flags', async () => {
+      const creator = new ProjectCreator({ dependencyInstaller: installer() });
+      creator.quiet = true;
+      const result = await creator.createProject('mono-site', {
+        type: 'landing-page', framework: 'react-next', path: path.join(monorepo, 'apps'), installMode: 'offline'
+      });
+
+      if (!result.success || !result.install || !result.install.success) {
+        throw new Error(`Install did not succeed: ${JSON.stringify(result.install || result.error)}`);
+      }
+      const [cwd, ...args] = fs.readFileSync(path.join(workDir, 'pnpm-args.txt'), 'utf8').trim().split(' ');
+      if (cwd !== path.join(result.path, 'react-next') || args.join(' ') !== 'install --offline') {
+        throw new Error(`pnpm ran as "${args.join(' ')}" in ${cwd}`);
+      }
+
+      const config = fs.readJsonSync(path.join(result.path, '.mak3r', 'config.json'));
+      if (config.environment.package_manager !== 'pnpm') {
+        throw new Error(`config.json records ${config.environment.package_manager}`);
+      }
+      if (config.deployment.build_command !== 'pnpm run build') {
+        throw new Error(`config.json builds with ${config.deployment.build_command}`);
+      }
+      if (!fs.readFileSync(result.install.log_path, 'utf8').includes('added 42 packages')) {
+        throw new Error('Install output not logged');
+      }
+    });
+
+    await this.test('Install failures are reported without removing the project', async () => {
+      const creator = new ProjectCreator({ dependencyInstaller: installer({ FAKE_INSTALL_FAIL: '1' }) });
+      creator.quiet = true;
+      const result = await creator.createProject('offline-site', {
+        type: 'blog', framework: 'svelte-kit', path: workDir, packageManager: 'npm', installMode: 'offline'
+      });
+
+      if (!result.success || !fs.existsSync(path.join(result.path, 'svelte-kit', 'package.json'))) {
+        throw new Error('Project should be kept when the install fails');
+      }
+      const { install } = result;
+      if (install.success || install.exit_code !== 1 || !install.error.includes('npm install --offline exited with code 1')) {
+        throw new Error(`Failure not reported: ${JSON.stringify(install)}`);
+      }
+      if (!install.output_tail.some(line => line.includes('ENOTCACHED')) || !install.hint) {
+        throw new Error(`Failure output or hint missing: ${JSON.stringify(install)}`);
+      }
+    });
+
+    await this.test('Unsupported offline installs are refused before anything is written', async () => {
+      const creator = new ProjectCreator({ dependencyInstaller: installer() });
+      creator.quiet = true;
+      const result = await creator.createProject('bun-site', {
+        type: 'blog', framework: 'react-next', path: workDir, packageManager: 'bun', installMode: 'offline'
+      });
+
+      if (result.success || !result.error.includes('bun does not support offline installs')) {
+        throw new Error(`Unexpected result: ${JSON.stringify(result)}`);
+      }
+      if (fs.existsSync(path.join(workDir, 'bun-site'))) {
+        throw new Error('Project written despite the unsupported install mode');
+      }
+    });
+  }
+
+  async testProjectAdoption() {
+    console.log(chalk.blue('\n🧲 Testing Project Adoption'));
+
+    const ProjectAdopter = require('../lib/project-adopter');
+    const ProjectCreator = require('../lib/project-creator');
+    const OSValidator = require('../lib/os-validator');
+    const workDir = path.join(this.tempDir, 'adopt');
+
+    const writeFiles = (root, files) => {
+      for (const [file, content] of Object.entries(files)) {
+        fs.outputFileSync(path.join(root, file), typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+      }
+    };
+    const snapshot = (root, dir) => Object.fromEntries(
+      fs.readdirSync(path.join(root, dir)).map(entry => [entry, fs.statSync(path.join(root, dir, entry)).isFile() ?
+        fs.readFileSync(path.join(root, dir, entry), 'utf8') : 'dir'])
+    );
+
+    await this.test('Adopts a Next.js repo in place and reports what it inferred', async () => {
+      const root = path.join(workDir, 'next-shop');
+      writeFiles(root, {
+        'package.json': {
+          name: '@acme/shop',
+          scripts: { dev: 'next dev -p 4100', build: 'next build' },
+          dependencies: { next: '^14.2.3', react: '^18.2.0', zustand: '^4.5.0' },
+          devDependencies: { tailwindcss: '^3.4.0', eslint: '^8.57.0' }
+        },
+        'pnpm-lock.yaml': 'lockfileVersion: 9.0\n',
+        'next.config.js': "module.exports = { output: 'export', distDir: 'static-build' };\n",
+        'app/page.tsx': 'export default function Home() { return null; }\n',
+        'app/cart/page.tsx': 'export default function Cart() { return null; }\n',
+        'README.md': '# Acme shop\n'
+      });
+      const before = { root: snapshot(root, '.'), app: snapshot(root, 'app') };
+
+      const report = await new ProjectAdopter().adopt(root);
+      const inferred = Object.fromEntries(report.inferred.map(entry => [entry.setting, entry.value]));
+
+      if (report.framework !== 'react-next' || report.type !== 'ecommerce' || report.active_dir !== '.' || report.package_manager !== 'pnpm') {
+        throw new Error(`Unexpected inference: ${JSON.stringify(report)}`);
+      }
+      if (inferred.build_output !== 'static-build' || inferred.port !== 4100 || inferred.config_file !== 'next.config.js') {
+        throw new Error(`Unexpected inferred settings: ${JSON.stringify(inferred)}`);
+      }
+
+      const config = fs.readJsonSync(path.join(root, '.mak3r', 'config.json'));
+      if (config.project.name !== 'shop' || config.structure.active_dir !== '.' || config.ports.dev_server !== 4100 ||
+        config.build.output_dir !== 'static-build' || config.framework.meta_framework !== 'Next.js 14') {
+        throw new Error(`config.json does not reflect the repo: ${JSON.stringify(config)}`);
+      }
+
+      for (const file of ['.mak3r/claude-rules.json', '.mak3r/mcp-settings.json', 'CLAUDE.md', `${config.structure.scripts_dir}/launch.${process.platform === 'win32' ? 'bat' : 'sh'}`]) {
+        if (!fs.existsSync(path.join(root, file))) {
+          throw new Error(`${file} not generated`);
+        }
+      }
+
+      // Existing files are untouched and nothing new appears among the sources
+      const after = { root: snapshot(root, '.'), app: snapshot(root, 'app') };
+      for (const [file, content] of Object.entries(before.root)) {
+        if (after.root[file] !== content) {
+          throw new Error(`${file} was modified`);
+        }
+      }
+      if (JSON.stringify(after.app) !== JSON.stringify(before.app)) {
+        throw new Error('app/ was modified');
+      }
+
+      const validation = await new OSValidator().validateProjectStructure(root);
+      if (!validation.mak3r_managed || !fs.existsSync(report.report_path)) {
+        throw new Error('Adopted project not recognised as MAK3R-managed or report missing');
+      }
+    });
+
+    await this.test('Finds a Vite app in a subfolder and keeps an existing CLAUDE.md', async () => {
+      const root = path.join(workDir, 'vite-monorepo');
+      writeFiles(root, {
+        'package.json': { name: 'vite-monorepo', private: true, workspaces: ['frontend'] },
+        'CLAUDE.md': '# Our own notes\n',
+        'frontend/package.json': { name: 'frontend', scripts: { dev: 'vite', build: 'vite build' }, devDependencies: { vite: '^5.2.0' } },
+        'frontend/vite.config.ts': "export default { server: { port: 5200 }, build: { outDir: 'www' } };\n",
+        'frontend/index.html': '<div id="app"></div>\n'
+      });
+
+      const plan = await new ProjectAdopter().adopt(root, { dryRun: true });
+      if (fs.existsSync(path.join(root, '.mak3r'))) {
+        throw new Error('Dry run wrote files');
+      }
+      if (plan.active_dir !== 'frontend' || plan.framework !== 'vite') {
+        throw new Error(`Unexpected plan: ${JSON.stringify(plan)}`);
+      }
+      if (plan.files.find(file => file.path === 'CLAUDE.md').status !== 'kept') {
+        throw new Error('Existing CLAUDE.md would be overwritten');
+      }
+
+      await new ProjectAdopter().adopt(root);
+      const config = fs.readJsonSync(path.join(root, '.mak3r', 'config.json'));
+      if (config.ports.dev_server !== 5200 || config.build.output_dir !== 'www' || config.files.main !== 'index.html') {
+        throw new Error(`config.json does not reflect vite.config.ts: ${JSON.stringify(config)}`);
+      }
+      if (fs.readFileSync(path.join(root, 'CLAUDE.md'), 'utf8') !== '# Our own notes\n') {
+        throw new Error('Existing CLAUDE.md was overwritten');
+      }
+
+      try {
+        await new ProjectAdopter().adopt(root);
+        throw new Error('Second adoption was not refused');
+      } catch (error) {
+        if (!error.message.includes('already managed')) {
+          throw error;
+        }
+      }
+
+      const forced = await new ProjectAdopter().adopt(root, { force: true, type: 'portfolio' });
+      const statuses = Object.fromEntries(forced.files.map(file => [file.path, file.status]));
+      if (statuses['.mak3r/config.json'] !== 'replaced' || statuses['CLAUDE.md'] !== 'kept' ||
+        fs.readJsonSync(path.join(root, '.mak3r', 'config.json')).project.type !== 'portfolio') {
+        throw new Error(`--force did not regenerate .mak3r/ only: ${JSON.stringify(statuses)}`);
+      }
+    });
+
+    await this.test('Vite is adopt-only and cannot be scaffolded', async () => {
+      const creator = new ProjectCreator();
+      creator.quiet = true;
+      const result = await creator.createProject('vite-site', { type: 'blog', framework: 'vite', path: workDir, skipInstall: true });
+      if (result.success || !result.error.includes('adopt')) {
+        throw new Error(`Unexpected result: ${JSON.stringify(result)}`);
+      }
+    });
+  }
+
+  async testCodeGenerators() {
+    console.log(chalk.blue('\n🧱 Testing Code Generators'));
+
+    const ProjectCreator = require('../lib/project-creator');
+    const CodeGenerator = require('../lib/code-generator');
+    const workDir = path.join(this.tempDir, 'generators');
+
+    const projects = {};
+    for (const framework of ['react-next', 'vue-nuxt', 'svelte-kit']) {
+      const creator = new ProjectCreator();
+      creator.quiet = true;
+      const result = await creator.createProject(`${framework}-gen`, { type: 'blog', framework, path: workDir, skipInstall: true });
+      projects[framework] = result.path;
+    }
+
+    await this.test('Each framework gets files in its own conventions', async () => {
+      const expected = {
+        'react-next': {
+          component: 'react-next/components/PriceTable.tsx',
+          page: 'react-next/app/blog/[slug]/page.tsx',
+          layout: 'react-next/app/(marketing)/layout.tsx',
+          'api-route': 'react-next/app/api/orders/route.ts',
+          store: 'react-next/stores/cart.ts'
+        },
+        'vue-nuxt': {
+          component: 'vue-nuxt/components/PriceTable.vue',
+          page: 'vue-nuxt/pages/blog/[slug].vue',
+          layout: 'vue-nuxt/layouts/marketing.vue',
+          'api-route': 'vue-nuxt/server/api/orders.ts',
+          store: 'vue-nuxt/stores/cart.ts'
+        },
+        'svelte-kit': {
+          component: 'svelte-kit/src/lib/components/PriceTable.svelte',
+          page: 'svelte-kit/src/routes/blog/[slug]/+page.svelte',
+          layout: 'svelte-kit/src/routes/(marketing)/+layout.svelte',
+          'api-route': 'svelte-kit/src/routes/api/orders/+server.ts',
+          store: 'svelte-kit/src/lib/stores/cart.ts'
+        }
+      };
+      const names = { component: 'price-table', page: 'blog/[slug]', 'api-route': 'orders', store: 'cart' };
+
+      for (const [framework, files] of Object.entries(expected)) {
+        const generator = new CodeGenerator(path.join(projects[framework], framework));
+        for (const [kind, file] of Object.entries(files)) {
+          const name = kind === 'layout' ? (framework === 'vue-nuxt' ? 'marketing' : '(marketing)') : names[kind];
+          const result = await generator.generate(kind, name);
+          if (result.files[0].path !== file || !fs.existsSync(path.join(projects[framework], file))) {
+            throw new Error(`${framework} ${kind}: expected ${file}, got ${result.files[0].path}`);
+          }
+        }
+      }
+
+      const page = fs.readFileSync(path.join(projects['react-next'], expected['react-next'].page), 'utf8');
+      if (!page.includes('generateStaticParams') || !page.includes('params: { slug: string }')) {
+        throw new Error('Dynamic Next page is missing static params for output: export');
+      }
+      if (!fs.existsSync(path.join(projects['svelte-kit'], 'svelte-kit/src/routes/blog/[slug]/+page.ts'))) {
+        throw new Error('Dynamic SvelteKit page is missing prerender entries for adapter-static');
+      }
+    });
+
+    await this.test('Test and story stubs are written and recorded in docs/components.md', async () => {
+      const root = projects['svelte-kit'];
+      const generator = new CodeGenerator(root);
+      const result = await generator.generate('component', 'HeroBanner', { test: true, story: true });
+
+      const roles = Object.fromEntries(result.files.map(file => [file.role, file.path]));
+      if (roles.test !== 'svelte-kit/src/lib/components/HeroBanner.test.ts' || roles.story !== 'svelte-kit/src/lib/components/HeroBanner.stories.ts') {
+        throw new Error(`Unexpected stubs: ${JSON.stringify(result.files)}`);
+      }
+      if (!result.missing_dev_dependencies.includes('@testing-library/svelte')) {
+        throw new Error('Missing test dependencies not reported');
+      }
+
+      try {
+        await generator.generate('component', 'HeroBanner');
+        throw new Error('Existing component overwritten without --force');
+      } catch (error) {
+        if (!error.message.includes('--force')) {
+          throw error;
+        }
+      }
+      await generator.generate('component', 'HeroBanner', { force: true, test: true });
+
+      const doc = fs.readFileSync(path.join(root, 'docs', 'components.md'), 'utf8');
+      const rows = doc.split('\n').filter(line => line.startsWith('| HeroBanner | component |'));
+      if (rows.length !== 1 || !rows[0].includes('HeroBanner.test.ts') || !doc.includes('| PriceTable | component |')) {
+        throw new Error(`docs/components.md not updated in place:\n${doc}`);
+      }
+    });
+
+    await this.test('Generators reject unknown kinds, bad names and non-MAK3R folders', async () => {
+      const generator = new CodeGenerator(projects['react-next']);
+      const expectError = async (promise, text) => {
+        try {
+          await promise;
+        } catch (error) {
+          if (!error.message.includes(text)) {
+            throw new Error(`Expected "${text}" in: ${error.message}`);
+          }
+          return;
+        }
+        throw new Error(`Expected an error mentioning "${text}"`);
+      };
+
+      await expectError(generator.generate('widget', 'Thing'), 'Unknown generator');
+      await expectError(generator.generate('component', '../escape'), 'Invalid name');
+      await expectError(generator.generate('page', 'blog/../../etc'), 'Invalid route');
+      await expectError(new CodeGenerator(os.tmpdir()).generate('component', 'Thing'), 'No .mak3r/config.json');
+    });
+  }
+
+  async testDevServer() {
+    console.log(chalk.blue('\n🖥️ Testing Development Server'));
+
+    const DevServer = require('../lib/dev-server');
+    const projectPath = path.join(this.tempDir, 'dev-server-project');
+    const port = 38000 + Math.floor(Math.random() * 1000);
+
+    // Minimal MAK3R project whose dev script spawns a child, like real frameworks do
+    fs.ensureDirSync(path.join(projectPath, '.mak3r'));
+    fs.ensureDirSync(path.join(projectPath, 'app', 'node_modules'));
+    fs.writeJsonSync(path.join(projectPath, '.mak3r', 'config.json'), {
+      project: { name: 'dev-server-project' },
+      framework: { primary: 'vue-nuxt' },
+      environment: { package_manager: 'npm' },
+      structure: { active_dir: 'app' },
+      ports: { dev_server: port }
+    });
+    fs.writeJsonSync(path.join(projectPath, 'app', 'package.json'), {
+      name: 'dev-server-project',
+      scripts: { dev: 'node server.js' }
+    });
+    fs.writeFileSync(path.join(projectPath, 'app', 'server.js'), `
+const { spawn } = require('child_process');
+const fs = require('fs');
+const port = Number(process.argv[process.argv.indexOf('--port') + 1]);
+const helper = spawn(process.execPath, ['-e', 'setInterval(() => {}, 1000)'], { stdio: 'ignore' });
+fs.writeFileSync('pids.json', JSON.stringify({ server: process.pid, helper: helper.pid }));
+require('http').createServer((req, res) => res.end('ok')).listen(port);
+`);
+
+    await this.test('Dev server starts in active_dir and stops the whole process tree', async () => {
+      const server = new DevServer(projectPath);
+      const running = server.start();
+      const pidsFile = path.join(projectPath, 'app', 'pids.json');
+
+      for (let i = 0; i < 100 && !fs.existsSync(pidsFile); i++) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+
+      const ready = await server.waitForPort(port, 'localhost', 20000);
+      if (!ready) {
+        server.stop();
+        await running;
+        throw new Error(`Dev server did not listen on port ${port}`);
+      }
+
+      const pids = fs.readJsonSync(pidsFile);
+      server.stop();
+      const result = await running;
+
+      if (!result.success || result.url !== `http://localhost:${port}`) {
+        throw new Error(`Unexpected result: ${JSON.stringify(result)}`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 500));
+      for (const [name, pid] of Object.entries(pids)) {
+        if (this.isProcessAlive(pid)) {
+          process.kill(pid, 'SIGKILL');
+          throw new Error(`${name} process ${pid} survived shutdown`);
+        }
+      }
+    });
+
+    await this.test('Dev server reports a missing active_dir package.json', async () => {
+      const server = new DevServer(path.join(this.tempDir, 'no-such-project'));
+      const result = await server.start();
+
+      if (result.success || !result.error.includes('package.json')) {
+        throw new Error('Missing package.json not reported');
+      }
+    });
+  }
+
+  async testProjectBuilder() {
+    console.log(chalk.blue('\n🔨 Testing Project Builder'));
+
+    const ProjectBuilder = require('../lib/project-builder');
+    const projectPath = path.join(this.tempDir, 'build-project');
+    const appPath = path.join(projectPath, 'app');
+
+    // Fake bundler: the BUILD_MODE file decides whether it emits assets or fails like tsc/esbuild would
+    fs.ensureDirSync(path.join(projectPath, '.mak3r'));
+    fs.ensureDirSync(path.join(appPath, 'node_modules'));
+    fs.writeJsonSync(path.join(projectPath, '.mak3r', 'config.json'), {
+      project: { name: 'build-project' },
+      framework: { primary: 'react-next' },
+      environment: { package_manager: 'npm' },
+      structure: { active_dir: 'app' },
+      build: { output_dir: 'out' }
+    });
+    fs.writeJsonSync(path.join(appPath, 'package.json'), {
+      name: 'build-project',
+      scripts: { build: 'node build.js' }
+    });
+    fs.writeFileSync(path.join(appPath, 'build.js'), `
+const fs = require('fs');
+const mode = fs.readFileSync('BUILD_MODE', 'utf8').trim();
+if (mode === 'ok') {
+  fs.mkdirSync('out/_next/static', { recursive: true });
+  fs.writeFileSync('out/index.html', '<html></html>');
+  fs.writeFileSync('out/_next/static/main.js', 'x'.repeat(4096));
+  fs.writeFileSync('out/_next/static/main.js.map', '{}');
+} else if (mode === 'ts') {
+  console.log('app/page.tsx(12,5): error TS2322: Type \\'string\\' is not assignable to type \\'number\\'.');
+  process.exit(1);
+} else {
+  console.error('Segmentation fault in worker');
+  process.exit(134);
+}
+`);
+    const setMode = (mode) => fs.writeFileSync(path.join(appPath, 'BUILD_MODE'), mode);
+
+    await this.test('Build parses TypeScript, Next, Vite, SvelteKit and Nuxt errors', async () => {
+      const builder = new ProjectBuilder(projectPath);
+      const log = [
+        'src/lib/api.ts(3,10): error TS2304: Cannot find name \'fetcher\'.',
+        'Failed to compile.',
+        '',
+        './app/page.tsx:12:5',
+        'Type error: Property \'title\' does not exist on type \'Props\'.',
+        './components/Nav.tsx',
+        'Module not found: Can\'t resolve \'./Link\'',
+        'error during build:',
+        '[vite:esbuild] Transform failed with 1 error:',
+        `${appPath}/src/main.ts:3:6: ERROR: Expected ";" but found "x"`,
+        `file: ${appPath}/src/main.ts:3:6`,
+        '[vite-plugin-svelte:compile] [plugin vite-plugin-svelte:compile] src/routes/+page.svelte (3:2): src/routes/+page.svelte:3:2 Unexpected token',
+        `file: ${appPath}/src/routes/+page.svelte:3:2`,
+        ' ERROR  Nuxt Build Error: [vite:vue] Element is missing end tag.',
+        `  file: ${appPath}/pages/index.vue:8:3`,
+        `[vite]: Rollup failed to resolve import "lodash" from "${appPath}/src/util.ts".`
+      ].join('\n');
+
+      const errors = builder.parseErrors(log, appPath);
+      const expected = [
+        { file: 'app/src/lib/api.ts', line: 3, column: 10, source: 'typescript', code: 'TS2304' },
+        { file: 'app/app/page.tsx', line: 12, column: 5, source: 'next', message: 'Property \'title\' does not exist on type \'Props\'.' },
+        { file: 'app/components/Nav.tsx', line: null, source: 'next', message: 'Module not found: Can\'t resolve \'./Link\'' },
+        { file: 'app/src/main.ts', line: 3, column: 6, source: 'vite', message: 'Expected ";" but found "x"' },
+        { file: 'app/src/routes/+page.svelte', line: 3, column: 2, source: 'svelte', message: 'Unexpected token' },
+        { file: 'app/pages/index.vue', line: 8, column: 3, source: 'nuxt', message: 'Element is missing end tag.' },
+        { file: 'app/src/util.ts', line: null, source: 'vite', message: 'Failed to resolve import "lodash"' }
+      ];
+
+      if (errors.length !== expected.length) {
+        throw new Error(`Expected ${expected.length} errors, got ${JSON.stringify(errors, null, 2)}`);
+      }
+      expected.forEach((fields, index) => {
+        for (const [key, value] of Object.entries(fields)) {
+          if (errors[index][key] !== value) {
+            throw new Error(`Error ${index} ${key}: expected ${value}, got ${JSON.stringify(errors[index])}`);
+          }
+        }
+      });
+    });
+
+    await this.test('Successful build reports asset sizes without source maps', async () => {
+      setMode('ok');
+      const result = await new ProjectBuilder(projectPath).build({ quiet: true });
+
+      if (!result.success || result.exit_code !== 0 || result.output_dir !== 'app/out') {
+        throw new Error(`Unexpected result: ${JSON.stringify(result)}`);
+      }
+      const paths = result.assets.map(asset => asset.path);
+      if (paths[0] !== 'app/out/_next/static/main.js' || result.assets[0].size !== 4096 || paths.some(file => file.endsWith('.map'))) {
+        throw new Error(`Unexpected assets: ${JSON.stringify(result.assets)}`);
+      }
+      if (result.total_size !== 4096 + 13 || !fs.existsSync(path.join(projectPath, '.mak3r', 'logs', 'build.log'))) {
+        throw new Error('Total size or build log missing');
+      }
+    });
+
+    await this.test('Failed builds exit with distinct codes', async () => {
+      const { EXIT_CODES } = ProjectBuilder;
+      const builder = new ProjectBuilder(projectPath);
+
+      setMode('ts');
+      const compile = await builder.build({ quiet: true });
+      if (compile.exit_code !== EXIT_CODES.compile_errors || compile.errors[0]?.file !== 'app/app/page.tsx') {
+        throw new Error(`Compile errors not reported: ${JSON.stringify(compile)}`);
+      }
+
+      setMode('crash');
+      const crash = await builder.build({ quiet: true });
+      if (crash.exit_code !== EXIT_CODES.build_failed || !crash.output_tail.includes('Segmentation fault in worker')) {
+        throw new Error(`Crash not reported: ${JSON.stringify(crash)}`);
+      }
+
+      fs.renameSync(path.join(appPath, 'node_modules'), path.join(appPath, 'node_modules.off'));
+      const missing = await builder.build({ quiet: true });
+      fs.renameSync(path.join(appPath, 'node_modules.off'), path.join(appPath, 'node_modules'));
+      if (missing.exit_code !== EXIT_CODES.missing_dependencies || !missing.hint.includes('npm install')) {
+        throw new Error(`Missing dependencies not reported: ${JSON.stringify(missing)}`);
+      }
+
+      const outside = await new ProjectBuilder(this.tempDir).build({ quiet: true });
+      if (outside.exit_code !== EXIT_CODES.not_buildable) {
+        throw new Error(`Missing config not reported: ${JSON.stringify(outside)}`);
+      }
+
+      const codes = Object.values(EXIT_CODES);
+      if (new Set(codes).size !== codes.length) {
+        throw new Error('Exit codes are not distinct');
+      }
+    });
+
+    await this.test('CLI build --json and MCP service return the structured result', async () => {
+      setMode('ts');
+      const cliPath = path.join(__dirname, '..', 'bin', 'mak3r-hub.js');
+      let exitCode = 0;
+      let output;
+      try {
+        output = execSync(`node "${cliPath}" build --json`, { cwd: projectPath, encoding: 'utf8', stdio: 'pipe' });
+      } catch (error) {
+        exitCode = error.status;
+        output = error.stdout;
+      }
+
+      const result = JSON.parse(output);
+      if (exitCode !== ProjectBuilder.EXIT_CODES.compile_errors || result.errors[0].code !== 'TS2322') {
+        throw new Error(`Unexpected CLI result (exit ${exitCode}): ${output}`);
+      }
+
+      setMode('ok');
+      const MCPService = require('../lib/mcp-service');
+      const service = new MCPService();
+      service.projectPath = projectPath;
+      const compact = await service.buildProject({ asset_limit: 1 });
+      if (!compact.success || compact.assets.length !== 1 || compact.asset_count !== 2) {
+        throw new Error(`Unexpected MCP result: ${JSON.stringify(compact)}`);
+      }
+    });
+  }
+
+  async testBundleAnalyzer() {
+    console.log(chalk.blue('\n📊 Testing Bundle Analyzer'));
+
+    const crypto = require('crypto');
+    const BundleAnalyzer = require('../lib/bundle-analyzer');
+    const ProjectBuilder = require('../lib/project-builder');
+    const projectPath = path.join(this.tempDir, 'bundle-project');
+    const distPath = path.join(projectPath, 'app', 'dist');
+    const configPath = path.join(projectPath, '.mak3r', 'config.json');
+
+    const writeBuild = (hash, jsBytes) => {
+      fs.removeSync(distPath);
+      fs.ensureDirSync(path.join(distPath, 'assets'));
+      fs.ensureDirSync(path.join(distPath, 'about'));
+      fs.writeFileSync(path.join(distPath, 'assets', `index-${hash}.js`), crypto.randomBytes(jsBytes / 2).toString('hex'));
+      fs.writeFileSync(path.join(distPath, 'assets', `about-${hash}.js`), crypto.randomBytes(1000).toString('hex'));
+      fs.writeFileSync(path.join(distPath, 'assets', `style-${hash}.css`), 'body { margin: 0; }\n'.repeat(200));
+      fs.writeFileSync(path.join(distPath, 'assets', `index-${hash}.js.map`), '{}');
+      const page = (scripts) => `<html><head><link rel="stylesheet" href="/assets/style-${hash}.css">${scripts.map(name => `<script type="module" src="/assets/${name}-${hash}.js"></script>`).join('')}</head></html>`;
+      fs.writeFileSync(path.join(distPath, 'index.html'), page(['index']));
+      fs.writeFileSync(path.join(distPath, 'about', 'index.html'), page(['index', 'about']));
+    };
+    const writeConfig = (budgets, extra = {}) => fs.writeJsonSync(configPath, {
+      project: { name: 'bundle-project' },
+      framework: { primary: 'vite' },
+      structure: { active_dir: 'app' },
+      build: { output_dir: 'dist' },
+      budgets,
+      ...extra
+    });
+
+    fs.ensureDirSync(path.join(projectPath, '.mak3r'));
+    const budgets = { compression: 'gzip', total: '100 KB', routes: { '*': { js: '40 KB', css: '5 KB' } }, max_growth: '10%' };
+
+    await this.test('Analyze sizes assets per route and records a baseline', async () => {
+      writeConfig(budgets);
+      writeBuild('a1b2c3d4', 20000);
+      const result = await new BundleAnalyzer(projectPath).analyze();
+
+      if (!result.success || !result.baseline_updated || result.baseline !== null) {
+        throw new Error(`Unexpected first run: ${JSON.stringify({ ...result, assets: undefined })}`);
+      }
+      const css = result.assets.find(asset => asset.type === 'css');
+      if (!(css.gzip < css.size && css.brotli < css.size) || result.assets.some(asset => asset.path.endsWith('.map'))) {
+        throw new Error('Compressed sizes missing or source maps measured');
+      }
+      const routes = Object.fromEntries(result.routes.map(route => [route.route, route]));
+      if (!routes['/'] || !routes['/about'] || routes['/about'].files.length !== 3 || routes['/about'].sizes.js <= routes['/'].sizes.js) {
+        throw new Error(`Routes not attributed from HTML: ${JSON.stringify(result.routes)}`);
+      }
+      if (result.budgets.length !== 5 || result.budgets.some(check => check.over)) {
+        throw new Error(`Unexpected budget checks: ${JSON.stringify(result.budgets)}`);
+      }
+      if (!fs.existsSync(path.join(projectPath, '.mak3r', 'cache', 'bundle-baseline.json'))) {
+        throw new Error('Baseline not written to .mak3r/cache');
+      }
+    });
+
+    await this.test('Growth beyond max_growth fails with a diff against renamed hashed assets', async () => {
+      writeBuild('e5f6a7b8', 30000);
+      const analyzer = new BundleAnalyzer(projectPath);
+      const baselineBefore = fs.readFileSync(analyzer.baselinePath, 'utf8');
+      const result = await analyzer.analyze();
+
+      if (result.success || result.baseline_updated || fs.readFileSync(analyzer.baselinePath, 'utf8') !== baselineBefore) {
+        throw new Error('Regression passed or overwrote the baseline');
+      }
+      const grown = result.diff.find(row => row.name === 'assets/index.js');
+      if (!grown || grown.before === null || grown.delta <= 0 || result.diff.some(row => row.name === 'assets/style.css')) {
+        throw new Error(`Diff did not match hashed names: ${JSON.stringify(result.diff)}`);
+      }
+      if (!result.regressions.some(regression => regression.scope === 'total') || !result.regressions.some(regression => regression.scope === '/')) {
+        throw new Error(`Regressions not reported: ${JSON.stringify(result.regressions)}`);
+      }
+
+      const accepted = await analyzer.analyze({ updateBaseline: true });
+      const again = await analyzer.analyze();
+      if (!accepted.baseline_updated || !again.success || again.diff.length !== 0) {
+        throw new Error('--update-baseline did not accept the new sizes');
+      }
+    });
+
+    await this.test('Route and total budgets fail and invalid budgets are rejected', async () => {
+      writeConfig({ ...budgets, total: '10 KB', routes: { '/about': { js: '1 KB' } } });
+      const result = await new BundleAnalyzer(projectPath).analyze();
+      const over = result.budgets.filter(check => check.over).map(check => `${check.scope}:${check.metric}`);
+      if (result.success || over.join(',') !== 'total:all,/about:js') {
+        throw new Error(`Unexpected violations: ${over.join(',')}`);
+      }
+
+      const analyzer = new BundleAnalyzer(projectPath);
+      for (const invalid of [{ total: 'lots' }, { compression: 'zstd' }, { max_growth: '0.1' }]) {
+        try {
+          analyzer.parseBudgets(invalid);
+          throw new Error(`Accepted invalid budgets ${JSON.stringify(invalid)}`);
+        } catch (error) {
+          if (error.message.startsWith('Accepted')) {
+            throw error;
+          }
+        }
+      }
+      if (analyzer.parseSize('1.5 MB') !== 1572864 || analyzer.parseSize('170kb') !== 174080 || analyzer.parseSize(900) !== 900) {
+        throw new Error('Sizes parsed incorrectly');
+      }
+    });
+
+    await this.test('Next.js build manifests map chunks to routes', async () => {
+      const nextPath = path.join(this.tempDir, 'bundle-next', '.next');
+      fs.ensureDirSync(path.join(nextPath, 'static', 'chunks', 'app', 'blog'));
+      fs.writeFileSync(path.join(nextPath, 'static', 'chunks', 'main-app-1a2b3c4d.js'), 'a'.repeat(500));
+      fs.writeFileSync(path.join(nextPath, 'static', 'chunks', 'app', 'page-5e6f7a8b.js'), 'b'.repeat(300));
+      fs.writeFileSync(path.join(nextPath, 'static', 'chunks', 'app', 'blog', 'page-9c0d1e2f.js'), 'c'.repeat(300));
+      fs.writeJsonSync(path.join(nextPath, 'build-manifest.json'), { rootMainFiles: ['static/chunks/main-app-1a2b3c4d.js'], pages: {} });
+      fs.writeJsonSync(path.join(nextPath, 'app-build-manifest.json'), {
+        pages: {
+          '/page': ['static/chunks/app/page-5e6f7a8b.js'],
+          '/(marketing)/blog/page': ['static/chunks/app/blog/page-9c0d1e2f.js'],
+          '/layout': ['static/chunks/main-app-1a2b3c4d.js']
+        }
+      });
+
+      const analyzer = new BundleAnalyzer(path.dirname(nextPath));
+      const assets = await analyzer.measureAssets(path.join(nextPath, 'static'));
+      const routes = await analyzer.attributeRoutes(nextPath, path.join(nextPath, 'static'), assets, 'raw');
+      const summary = routes.map(route => `${route.route}=${route.sizes.js}`).join(',');
+      if (summary !== '/=800,/blog=800') {
+        throw new Error(`Unexpected Next routes: ${summary}`);
+      }
+      if (assets.find(asset => asset.path === 'chunks/app/blog/page-9c0d1e2f.js').name !== 'chunks/app/blog/page.js') {
+        throw new Error('Content hash not stripped from asset name');
+      }
+    });
+
+    await this.test('Builds with bundle_analyzer enabled fail on budgets and the CLI exits distinctly', async () => {
+      writeConfig({ ...budgets, total: '10 KB' }, { features: { bundle_analyzer: true } });
+      fs.ensureDirSync(path.join(projectPath, 'app', 'node_modules'));
+      fs.writeJsonSync(path.join(projectPath, 'app', 'package.json'), { name: 'bundle-project', scripts: { build: 'node -e ""' } });
+
+      const build = await new ProjectBuilder(projectPath).build({ quiet: true });
+      if (build.status !== 'budget_exceeded' || build.exit_code !== ProjectBuilder.EXIT_CODES.budget_exceeded || !build.analysis.budgets.some(check => check.over)) {
+        throw new Error(`Budget not enforced after build: ${JSON.stringify({ ...build, analysis: undefined })}`);
+      }
+
+      const cliPath = path.join(__dirname, '..', 'bin', 'mak3r-hub.js');
+      let exitCode = 0;
+      let output;
+      try {
+        output = execSync(`node "${cliPath}" analyze --json`, { cwd: projectPath, encoding: 'utf8', stdio: 'pipe' });
+      } catch (error) {
+        exitCode = error.status;
+        output = error.stdout;
+      }
+      if (exitCode !== ProjectBuilder.EXIT_CODES.budget_exceeded || JSON.parse(output).success !== false) {
+        throw new Error(`Unexpected CLI result (exit ${exitCode})`);
+      }
+    });
+
+    await this.test('Created projects carry type-specific budgets', async () => {
+      const ProjectCreator = require('../lib/project-creator');
+      const creator = new ProjectCreator();
+      creator.quiet = true;
+      const result = await creator.createProject('budgeted-landing', {
+        type: 'landing-page',
+        framework: 'svelte-kit',
+        path: path.join(this.tempDir, 'budgets'),
+        skipInstall: true
+      });
+
+      const config = fs.readJsonSync(path.join(result.path, '.mak3r', 'config.json'));
+      const parsed = new BundleAnalyzer(result.path).parseBudgets(config.budgets);
+      if (config.budgets.total !== '400 KB' || parsed.routes['*'].js !== 150 * 1024) {
+        throw new Error(`Unexpected budgets: ${JSON.stringify(config.budgets)}`);
+      }
+    });
+  }
+
+  async testSiteAuditor() {
+    console.log(chalk.blue('\n🔎 Testing Site Auditor'));
+
+    const SiteAuditor = require('../lib/site-auditor');
+    const projectPath = path.join(this.tempDir, 'audit-project');
+    const distPath = path.join(projectPath, 'app', 'dist');
+
+    fs.ensureDirSync(path.join(projectPath, '.mak3r'));
+    fs.ensureDirSync(path.join(distPath, 'about'));
+    fs.ensureDirSync(path.join(projectPath, 'app', 'public', 'docs'));
+    fs.writeFileSync(path.join(projectPath, 'app', 'public', 'docs', 'guide.pdf'), '%PDF');
+    fs.writeJsonSync(path.join(projectPath, '.mak3r', 'config.json'), {
+      project: { name: 'audit-project' },
+      structure: { active_dir: 'app' },
+      build: { output_dir: 'dist', public_dir: 'public' }
+    });
+
+    fs.writeFileSync(path.join(distPath, 'index.html'), `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <title>Acme Rockets - Fast delivery</title>
+  <meta name="description" content="Acme builds reusable rockets and ships them anywhere on Earth within a single week.">
+  <link rel="canonical" href="https://acme.example/">
+  <link rel="alternate" hreflang="en" href="https://acme.example/">
+  <link rel="alternate" hreflang="de-DE" href="https://acme.example/de/">
+  <link rel="alternate" hreflang="x-default" href="https://acme.example/">
+  <meta property="og:title" content="Acme Rockets">
+  <meta property="og:description" content="Reusable rockets">
+  <meta property="og:image" content="https://acme.example/og.png">
+  <meta property="og:url" content="https://acme.example/">
+  <meta property="og:type" content="website">
+  <meta name="twitter:card" content="summary_large_image">
+  <script type="application/ld+json">{"@context": "https://schema.org", "@type": "Organization", "name": "Acme"}</script>
+</head>
+<body>
+  <!-- <img src="commented-out.png"> -->
+  <h1>Rockets &amp; more</h1>
+  <h2 id="features">Features</h2>
+  <img src="/hero.png" alt="">
+  <a href="/about">About</a> <a href="/about/#team">Team</a> <a href="#features">Features</a>
+  <a href="/docs/guide.pdf">Guide</a> <a href="https://elsewhere.example/missing">External</a> <a href="mailto:hi@acme.example">Mail</a>
+  <form>
+    <label for="email">Email</label><input id="email" type="email">
+    <label>Name <input name="name"></label>
+    <input type="hidden" name="token"><button type="submit">Send</button>
+  </form>
+</body>
+</html>`);
+
+    fs.writeFileSync(path.join(distPath, 'about', 'index.html'), `<html>
+<head>
+  <title>About Acme Rockets, the company that builds rockets for everyone everywhere</title>
+  <link rel="canonical" href="/about">
+  <meta property="og:image" content="/og.png">
+  <meta name="twitter:card" content="large">
+  <script type="application/ld+json">{"@context": "https://schema.org", "name": "Acme",}</script>
+</head>
+<body>
+  <h2>About</h2>
+  <h4 id="team">Team</h4>
+  <img src="/team.png">
+  <a href="/pricing">Pricing</a> <a href="/#missing">Missing anchor</a>
+  <input name="q">
+  <textarea name="message"></textarea>
+</body>
+</html>`);
+    fs.writeFileSync(path.join(distPath, '404.html'), '<html><body>Not found</body></html>');
+
+    await this.test('Well-formed pages pass every check', async () => {
+      const result = await new SiteAuditor(projectPath).audit();
+      const home = result.pages.find(page => page.page === 'index.html');
+
+      if (result.output_dir !== 'app/dist' || result.summary.pages !== 2 || result.pages.some(page => page.page === '404.html')) {
+        throw new Error(`Unexpected pages: ${JSON.stringify(result.pages.map(page => page.page))}`);
+      }
+      if (home.score !== 100 || home.issues.length !== 0) {
+        throw new Error(`Home page should be clean: ${JSON.stringify(home.issues, null, 2)}`);
+      }
+    });
+
+    await this.test('Audit reports each SEO and accessibility problem', async () => {
+      const result = await new SiteAuditor(projectPath).audit();
+      const about = result.pages.find(page => page.url === '/about');
+      const has = (rule, text) => about.issues.some(issue => issue.rule === rule && issue.message.includes(text));
+
+      const expected = [
+        ['title', 'characters'],
+        ['meta-description', 'Missing'],
+        ['canonical', 'must be absolute'],
+        ['open-graph', 'og:image must be an absolute URL'],
+        ['twitter-card', 'Unknown twitter:card "large"'],
+        ['json-ld', 'not valid JSON'],
+        ['html-lang', 'Missing lang'],
+        ['heading-order', 'No <h1>'],
+        ['heading-order', '<h2> to <h4>'],
+        ['img-alt', '/team.png'],
+        ['broken-link', '/pricing'],
+        ['broken-link', '#missing'],
+        ['form-label', 'name="q"'],
+        ['form-label', '<textarea name="message">']
+      ];
+      const missing = expected.filter(([rule, text]) => !has(rule, text));
+      if (missing.length > 0) {
+        throw new Error(`Not reported: ${JSON.stringify(missing)}\n${JSON.stringify(about.issues, null, 2)}`);
+      }
+      if (has('broken-link', '/about') || has('broken-link', 'guide.pdf')) {
+        throw new Error('Valid internal links reported as broken');
+      }
+      if (!(about.score < 30) || !(result.score > about.score && result.score < 100)) {
+        throw new Error(`Unexpected scores: page ${about.score}, site ${result.score}`);
+      }
+      if (result.summary.errors !== result.issues.filter(issue => issue.severity === 'error').length || result.issues[0].page !== 'about/index.html') {
+        throw new Error('Summary does not match the issue list');
+      }
+    });
+
+    await this.test('Out-of-range character references decode to U+FFFD instead of throwing', async () => {
+      const auditor = new SiteAuditor(projectPath);
+      const decoded = auditor.decode('&#99999999;&#x110000;&#0;&#xD800;&#65;&#x263A;');
+      if (decoded !== '\uFFFD\uFFFD\uFFFD\uFFFDA\u263A') {
+        throw new Error(`Unexpected decoding: ${JSON.stringify(decoded)}`);
+      }
+
+      const doc = auditor.parseHtml('<html lang="en"><head><title>Bad &#99999999; reference</title></head><body><img src="a.png" alt="&#x110000;"></body></html>');
+      if (auditor.textOf(doc.find('title')[0].content) !== 'Bad \uFFFD reference' || doc.find('img')[0].attrs.alt !== '\uFFFD') {
+        throw new Error('Page with invalid references was not decoded');
+      }
+    });
+
+    await this.test('CLI audit --json honours --min-score and MCP tool returns a compact report', async () => {
+      const cliPath = path.join(__dirname, '..', 'bin', 'mak3r-hub.js');
+      const output = execSync(`node "${cliPath}" audit --json`, { cwd: projectPath, encoding: 'utf8' });
+      const report = JSON.parse(output);
+      if (typeof report.score !== 'number' || !report.scores.seo || !Array.isArray(report.issues)) {
+        throw new Error(`Unexpected JSON report: ${output.slice(0, 200)}`);
+      }
+
+      let exitCode = 0;
+      try {
+        execSync(`node "${cliPath}" audit --min-score 99`, { cwd: projectPath, stdio: 'pipe' });
+      } catch (error) {
+        exitCode = error.status;
+      }
+      if (exitCode !== 1) {
+        throw new Error(`Expected exit code 1 below --min-score, got ${exitCode}`);
+      }
+
+      exitCode = 0;
+      let stderr = '';
+      try {
+        execSync(`node "${cliPath}" audit --min-score abc`, { cwd: projectPath, stdio: 'pipe' });
+      } catch (error) {
+        exitCode = error.status;
+        stderr = error.stderr.toString();
+      }
+      if (exitCode !== 1 || !stderr.includes('--min-score must be a number')) {
+        throw new Error(`Expected a non-numeric --min-score to be rejected, got exit code ${exitCode}`);
+      }
+
+      const MAK3RMCPServer = require('../src/mcp/server');
+      const response = await MAK3RMCPServer.prototype.handleSiteAudit.call({ logActivity() {} }, { project_path: projectPath, max_issues: 3 });
+      const text = response.content[0].text;
+      if (!text.startsWith(`Score ${report.score}/100`) || !text.includes('ERROR about/index.html') || !text.includes('more (MAK3R-HUB audit --json')) {
+        throw new Error(`Unexpected MCP output:\n${text}`);
+      }
+    });
+  }
+
+  async testSeoGenerator() {
+    console.log(chalk.blue('\n🗺️  Testing SEO Generator'));
+
+    const SeoGenerator = require('../lib/seo-generator');
+    const projectPath = path.join(this.tempDir, 'seo-project');
+    const distPath = path.join(projectPath, 'app', 'dist');
+    const page = (head, body = '') => `<!DOCTYPE html>\n<html lang="en">\n<head>\n  ${head}\n</head>\n<body>${body}</body>\n</html>`;
+    const writeConfig = (overrides = {}) => fs.writeJsonSync(path.join(projectPath, '.mak3r', 'config.json'), {
+      project: { name: 'Acme Journal', type: 'blog' },
+      structure: { active_dir: 'app' },
+      build: { output_dir: 'dist' },
+      seo: {
+        site_url: 'https://acme.example/',
+        sitemap: { exclude: ['/drafts/*'] },
+        robots: { disallow: ['/admin'], crawl_delay: 5 },
+        organization: { name: 'Acme', logo: '/logo.png', same_as: ['https://social.example/acme'] }
+      },
+      ...overrides
+    });
+
+    fs.ensureDirSync(path.join(projectPath, '.mak3r'));
+    ['blog/hello', 'drafts/next', 'private', 'copy'].forEach(dir => fs.ensureDirSync(path.join(distPath, dir)));
+    writeConfig();
+    fs.writeFileSync(path.join(distPath, 'index.html'), page('<title>Acme Journal</title>\n  <meta name="description" content="Notes from Acme">'));
+    fs.writeFileSync(path.join(distPath, 'blog', 'hello', 'index.html'), page(
+      '<title>Hello | Acme</title>\n  <meta property="og:type" content="article">\n  <meta property="og:image" content="/hello.png">\n  <meta name="author" content="Sam Lee">',
+      '<h1>Hello &amp; welcome</h1><time datetime="2026-01-02">Jan 2</time>'
+    ));
+    fs.writeFileSync(path.join(distPath, 'drafts', 'next', 'index.html'), page('<title>Draft</title>'));
+    fs.writeFileSync(path.join(distPath, 'private', 'index.html'), page('<meta name="robots" content="noindex, nofollow">'));
+    fs.writeFileSync(path.join(distPath, 'copy', 'index.html'), page('<link rel="canonical" href="https://acme.example/blog/hello">'));
+    fs.writeFileSync(path.join(distPath, '404.html'), page('<title>Not found</title>'));
+
+    await this.test('Sitemap, robots.txt and blog JSON-LD are generated from config', async () => {
+      const generator = new SeoGenerator(projectPath);
+      const result = await generator.generate();
+      const sitemap = fs.readFileSync(path.join(distPath, 'sitemap.xml'), 'utf8');
+      const robots = fs.readFileSync(path.join(distPath, 'robots.txt'), 'utf8');
+
+      const locs = [...sitemap.matchAll(/<loc>([^<]+)<\/loc>/g)].map(match => match[1]);
+      if (JSON.stringify(locs) !== JSON.stringify(['https://acme.example/blog/hello', 'https://acme.example/'])) {
+        throw new Error(`Unexpected sitemap URLs: ${JSON.stringify(locs)}`);
+      }
+      const reasons = Object.fromEntries(result.excluded.map(entry => [entry.page, entry.reason]));
+      if (reasons['private/index.html'] !== 'noindex' || reasons['drafts/next/index.html'] !== 'seo.sitemap.exclude' || !/canonical/.test(reasons['copy/index.html'])) {
+        throw new Error(`Unexpected exclusions: ${JSON.stringify(result.excluded)}`);
+      }
+      if (!robots.includes('Disallow: /admin') || !robots.includes('Crawl-delay: 5') || !robots.includes('Sitemap: https://acme.example/sitemap.xml')) {
+        throw new Error(`Unexpected robots.txt:\n${robots}`);
+      }
+
+      const post = fs.readFileSync(path.join(distPath, 'blog', 'hello', 'index.html'), 'utf8');
+      const data = JSON.parse(post.match(/<script type="application\/ld\+json" data-mak3r>(.*?)<\/script>/)[1]);
+      if (data['@type'] !== 'BlogPosting' || data.headline !== 'Hello & welcome' || data.image !== 'https://acme.example/hello.png' ||
+          data.datePublished !== '2026-01-02' || data.author.name !== 'Sam Lee') {
+        throw new Error(`Unexpected BlogPosting: ${JSON.stringify(data)}`);
+      }
+      const home = result.structured_data.find(entry => entry.page === 'index.html');
+      if (!home || home.types.join() !== 'Organization,WebSite') {
+        throw new Error(`Unexpected home page types: ${JSON.stringify(result.structured_data)}`);
+      }
+
+      await generator.generate();
+      const again = fs.readFileSync(path.join(distPath, 'blog', 'hello', 'index.html'), 'utf8');
+      if (again !== post) {
+        throw new Error('Regenerating should replace the injected JSON-LD, not add to it');
+      }
+    });
+
+    await this.test('Large sites get a sitemap index; user files and existing types are kept', async () => {
+      writeConfig({ project: { name: 'Acme Shop', type: 'ecommerce' }, seo: { site_url: 'https://shop.example', robots: { index: false } } });
+      fs.ensureDirSync(path.join(distPath, 'products', 'rocket'));
+      fs.writeFileSync(path.join(distPath, 'products', 'rocket', 'index.html'), page(
+        '<title>Rocket</title>\n  <meta property="product:price:amount" content="99.00">\n  <meta property="product:price:currency" content="EUR">',
+        '<h1>Rocket</h1>'
+      ));
+      fs.writeFileSync(path.join(distPath, 'index.html'), page('<title>Shop</title>\n  <script type="application/ld+json">{"@context": "https://schema.org", "@graph": [{"@type": "Organization", "name": "Shop"}]}</script>'));
+      fs.writeFileSync(path.join(distPath, 'robots.txt'), 'User-agent: *\nAllow: /\n');
+
+      const result = await new SeoGenerator(projectPath).generate({ maxUrlsPerSitemap: 2 });
+      const index = fs.readFileSync(path.join(distPath, 'sitemap.xml'), 'utf8');
+      if (result.urls !== 4 || !result.sitemap_index || !index.includes('<sitemapindex') || !index.includes('https://shop.example/sitemap-2.xml') ||
+          index.includes('sitemap-3.xml') || !fs.readFileSync(path.join(distPath, 'sitemap-1.xml'), 'utf8').includes('<urlset')) {
+        throw new Error(`Expected a sitemap index over 2 files for ${result.urls} URLs:\n${index}`);
+      }
+      if (result.files.find(file => file.path === 'robots.txt').status !== 'kept' || fs.readFileSync(path.join(distPath, 'robots.txt'), 'utf8').includes('Disallow')) {
+        throw new Error('A hand-written robots.txt should be kept without --force');
+      }
+
+      const types = Object.fromEntries(result.structured_data.map(entry => [entry.page, entry.types.join()]));
+      if (types['index.html'] !== 'WebSite' || types['products/rocket/index.html'] !== 'Product' || types['blog/hello/index.html']) {
+        throw new Error(`Unexpected structured data: ${JSON.stringify(types)}`);
+      }
+      const product = fs.readFileSync(path.join(distPath, 'products', 'rocket', 'index.html'), 'utf8');
+      if (!product.includes('"offers":{"@type":"Offer","price":"99.00","priceCurrency":"EUR"')) {
+        throw new Error('Product offer not taken from product:price meta tags');
+      }
+      if (fs.readFileSync(path.join(distPath, 'blog', 'hello', 'index.html'), 'utf8').includes('data-mak3r')) {
+        throw new Error('JSON-LD from a previous project type should be removed');
+      }
+
+      await new SeoGenerator(projectPath).generate({ force: true });
+      if (!fs.readFileSync(path.join(distPath, 'robots.txt'), 'utf8').includes('Disallow: /\n')) {
+        throw new Error('seo.robots.index: false should disallow everything');
+      }
+    });
+
+    await this.test('Next.js server builds get sitemap and robots.txt in public/', async () => {
+      const nextPath = path.join(this.tempDir, 'seo-next-project');
+      const appDir = path.join(nextPath, 'app');
+      fs.ensureDirSync(path.join(nextPath, '.mak3r'));
+      fs.ensureDirSync(path.join(appDir, '.next', 'server', 'app', 'about'));
+      fs.writeJsonSync(path.join(nextPath, '.mak3r', 'config.json'), {
+        project: { name: 'Acme Next', type: 'landing-page' },
+        structure: { active_dir: 'app' },
+        build: { output_dir: '.next' },
+        seo: { site_url: 'https://next.example' }
+      });
+      fs.writeFileSync(path.join(appDir, '.next', 'server', 'app', 'index.html'), page('<title>Next home</title>'));
+      fs.writeFileSync(path.join(appDir, '.next', 'server', 'app', 'about.html'), page('<title>About</title>'));
+
+      const result = await new SeoGenerator(nextPath).generate();
+      const publicDir = path.join(appDir, 'public');
+      if (result.files_dir !== 'app/public' || !fs.existsSync(path.join(publicDir, 'sitemap.xml')) || !fs.existsSync(path.join(publicDir, 'robots.txt'))) {
+        throw new Error(`SEO files not written to public/: ${JSON.stringify(result.files)} in ${result.files_dir}`);
+      }
+      if (fs.existsSync(path.join(appDir, '.next', 'server', 'app', 'sitemap.xml')) || fs.existsSync(path.join(appDir, '.next', 'server', 'app', 'robots.txt'))) {
+        throw new Error('SEO files written to the unserved .next/server/app directory');
+      }
+      if (!fs.readFileSync(path.join(publicDir, 'sitemap.xml'), 'utf8').includes('<loc>https://next.example/about</loc>') ||
+          !fs.readFileSync(path.join(appDir, '.next', 'server', 'app', 'index.html'), 'utf8').includes('data-mak3r')) {
+        throw new Error('Pages from .next/server/app were not used for the sitemap and structured data');
+      }
+    });
+
+    await this.test('Build generates SEO files once seo.site_url is set', async () => {
+      const buildPath = path.join(this.tempDir, 'seo-build-project');
+      const appPath = path.join(buildPath, 'app');
+      fs.ensureDirSync(path.join(buildPath, '.mak3r'));
+      fs.ensureDirSync(path.join(appPath, 'node_modules'));
+      fs.writeJsonSync(path.join(appPath, 'package.json'), { name: 'seo-build-project', scripts: { build: 'node build.js' } });
+      fs.writeFileSync(path.join(appPath, 'build.js'), `
+const fs = require('fs');
+fs.mkdirSync('out', { recursive: true });
+fs.writeFileSync('out/index.html', ${JSON.stringify(page('<title>Built</title>'))});
+`);
+      const config = {
+        project: { name: 'seo-build-project', type: 'landing-page' },
+        structure: { active_dir: 'app' },
+        build: { output_dir: 'out' },
+        seo: { site_url: '' }
+      };
+      fs.writeJsonSync(path.join(buildPath, '.mak3r', 'config.json'), config);
+
+      const ProjectBuilder = require('../lib/project-builder');
+      const fresh = await new ProjectBuilder(buildPath).build({ quiet: true });
+      if (!fresh.success || fresh.seo || (fresh.warnings || []).length !== 0) {
+        throw new Error(`A fresh project without seo.site_url should build without SEO warnings: ${JSON.stringify(fresh.warnings)}`);
+      }
+
+      config.seo.generate = true;
+      fs.writeJsonSync(path.join(buildPath, '.mak3r', 'config.json'), config);
+      const withoutUrl = await new ProjectBuilder(buildPath).build({ quiet: true });
+      if (!withoutUrl.success || withoutUrl.seo || !/seo\.site_url/.test((withoutUrl.warnings || []).join())) {
+        throw new Error(`Expected a site_url warning: ${JSON.stringify(withoutUrl.warnings)}`);
+      }
+
+      config.seo.site_url = 'https://built.example';
+      fs.writeJsonSync(path.join(buildPath, '.mak3r', 'config.json'), config);
+      const result = await new ProjectBuilder(buildPath).build({ quiet: true });
+      if (!result.success || result.seo?.urls !== 1 || !result.assets.some(asset => asset.path.endsWith('sitemap.xml'))) {
+        throw new Error(`Build did not generate SEO files: ${JSON.stringify(result.seo || result.warnings)}`);
+      }
+
+      const cliPath = path.join(__dirname, '..', 'bin', 'mak3r-hub.js');
+      const output = JSON.parse(execSync(`node "${cliPath}" seo --json`, { cwd: buildPath, encoding: 'utf8' }));
+      if (!output.success || output.site_url !== 'https://built.example' || output.files.length !== 2) {
+        throw new Error(`Unexpected CLI output: ${JSON.stringify(output)}`);
+      }
+    });
+  }
+
+  async testDeployer() {
+    console.log(chalk.blue('\n🚢 Testing Deployment Pipeline'));
+
+    const Deployer = require('../lib/deployer');
+    const projectPath = path.join(this.tempDir, 'deploy-project');
+
+    fs.ensureDirSync(path.join(projectPath, '.mak3r'));
+    fs.ensureDirSync(path.join(projectPath, 'site'));
+    fs.writeJsonSync(path.join(projectPath, '.mak3r', 'config.json'), {
+      project: { name: 'deploy-project', safe_name: 'deploy-project' },
+      structure: { active_dir: 'site' },
+      deployment: {
+        build_command: 'node -e "require(\'fs\').mkdirSync(\'out\');require(\'fs\').writeFileSync(\'out/index.html\', \'hi\')"',
+        output_directory: 'out',
+        environment_variables: {}
+      }
+    });
+    fs.writeJsonSync(path.join(projectPath, 'site', 'package.json'), {
+      name: 'deploy-project',
+      dependencies: { next: '14.0.0' }
+    });
+
+    const calls = [];
+    let vercelDeploys = 0;
+    const cloudHandler = {
+      detectFramework: require('../src/mcp/handlers/cloud').detectFramework,
+      deployVercel: async (args, credentials) => {
+        calls.push({ platform: 'vercel', args, credentials });
+        vercelDeploys++;
+        return { id: `dpl_${vercelDeploys}`, project_id: 'prj_1', url: `deploy-project-${vercelDeploys}.vercel.app`, state: 'BUILDING' };
+      },
+      deployNetlify: async (args, credentials) => {
+        calls.push({ platform: 'netlify', args, credentials });
+        return { id: 'nfy_123', site_id: 'site_123', name: 'deploy-project', url: 'https://deploy-project.netlify.app', state: 'ready' };
+      },
+      waitForVercelDeployment: async (id) => {
+        calls.push({ platform: 'vercel', wait: id });
+        return { id, url: `deploy-project-${id.split('_')[1]}.vercel.app`, state: 'READY' };
+      },
+      waitForNetlifyDeploy: async (id) => {
+        throw new Error(`Deploy ${id} failed: build script returned non-zero exit code`);
+      },
+      promoteVercelDeployment: async (projectId, id) => {
+        calls.push({ platform: 'vercel', promote: id, projectId });
+      },
+      aliasVercelDeployment: async (id, alias) => {
+        calls.push({ platform: 'vercel', alias, id });
+      }
+    };
+    const credentialManager = {
+      resolveProfile: async () => 'default',
+      getCredentials: async (service) => ({ token: `${service}-token` })
+    };
+
+    await this.test('Deploy builds, detects the platform and returns the live URL', async () => {
+      const deployer = new Deployer(projectPath, { cloudHandler, credentialManager });
+      const result = await deployer.deploy({ platform: 'auto' });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      if (result.platform !== 'vercel' || result.url !== 'https://deploy-project-1.vercel.app') {
+        throw new Error(`Unexpected deployment: ${result.platform} ${result.url}`);
+      }
+      if (!fs.existsSync(path.join(projectPath, 'site', 'out', 'index.html'))) {
+        throw new Error('Build command was not run in active_dir');
+      }
+
+      const call = calls.pop();
+      if (call.credentials.token !== 'vercel-token' || call.args.output_directory !== 'out' || call.args.framework !== 'nextjs') {
+        throw new Error('Handler called with wrong arguments');
+      }
+    });
+
+    await this.test('Deploy honours an explicit platform and fails on unsupported ones', async () => {
+      const deployer = new Deployer(projectPath, { cloudHandler, credentialManager });
+
+      const netlify = await deployer.deploy({ platform: 'netlify', skipBuild: true });
+      if (!netlify.success || netlify.url !== 'https://deploy-project.netlify.app') {
+        throw new Error('Explicit platform not used');
+      }
+
+      const unsupported = await deployer.deploy({ platform: 'heroku', skipBuild: true });
+      if (unsupported.success || !unsupported.error.includes('Unsupported deployment platform')) {
+        throw new Error('Unsupported platform not rejected');
+      }
+    });
+
+    await this.test('Deployments are recorded in the ledger', async () => {
+      const ledger = fs.readJsonSync(path.join(projectPath, '.mak3r', 'deployments.json'));
+      const [vercel, netlify] = ledger.deployments;
+
+      if (ledger.deployments.length !== 2 || vercel.id !== 'dpl_1' || netlify.id !== 'nfy_123') {
+        throw new Error(`Unexpected ledger: ${JSON.stringify(ledger.deployments.map(d => d.id))}`);
+      }
+      if (vercel.platform !== 'vercel' || vercel.url !== 'https://deploy-project-1.vercel.app' || vercel.state !== 'building') {
+        throw new Error(`Vercel entry incomplete: ${JSON.stringify(vercel)}`);
+      }
+      if (!/^[0-9a-f]{64}$/.test(vercel.build_hash) || vercel.build_hash !== netlify.build_hash || isNaN(Date.parse(vercel.created_at))) {
+        throw new Error('Build hash or timestamp missing');
+      }
+      if (!('git_sha' in vercel) || netlify.site_id !== 'site_123') {
+        throw new Error('Provider fields missing from ledger');
+      }
+    });
+
+    await this.test('Deploy status polls the provider and updates the ledger', async () => {
+      const deployer = new Deployer(projectPath, { cloudHandler, credentialManager });
+
+      const ready = await deployer.status('dpl_1');
+      if (!ready.success || ready.deployment.state !== 'ready' || !ready.deployment.checked_at) {
+        throw new Error(`Status not recorded: ${JSON.stringify(ready)}`);
+      }
+
+      const failed = await deployer.status('nfy');
+      if (failed.success || !failed.error.includes('non-zero exit code')) {
+        throw new Error('Provider failure not reported');
+      }
+      if ((await deployer.ledger.find('nfy_123')).state !== 'error') {
+        throw new Error('Failed state not recorded');
+      }
+
+      const missing = await deployer.status('dpl_999');
+      if (missing.success || !missing.error.includes('not found')) {
+        throw new Error('Unknown deployment not reported');
+      }
+    });
+
+    await this.test('Deploy rollback re-promotes a previous deployment', async () => {
+      const deployer = new Deployer(projectPath, { cloudHandler, credentialManager });
+
+      const second = await deployer.deploy({ platform: 'vercel', skipBuild: true, domain: 'www.example.com' });
+      await deployer.status(second.entry.id);
+
+      let list = await deployer.list();
+      if (list[0].id !== 'dpl_2' || !list[0].current) {
+        throw new Error('Latest ready deployment should be current');
+      }
+
+      const alreadyLive = await deployer.rollback('dpl_2');
+      if (alreadyLive.success || !alreadyLive.error.includes('already live')) {
+        throw new Error('Rolling back to the live deployment should fail');
+      }
+
+      const rollback = await deployer.rollback('dpl_1');
+      if (!rollback.success || rollback.previous !== 'dpl_2') {
+        throw new Error(`Rollback failed: ${JSON.stringify(rollback)}`);
+      }
+      if (!calls.some(call => call.promote === 'dpl_1' && call.projectId === 'prj_1')) {
+        throw new Error('Vercel promote not called');
+      }
+      if (!calls.some(call => call.alias === 'www.example.com' && call.id === 'dpl_1')) {
+        throw new Error('Custom domain was not moved to the rolled back deployment');
+      }
+
+      list = await deployer.list();
+      if (!list.find(d => d.id === 'dpl_1').current || list.find(d => d.id === 'dpl_2').current) {
+        throw new Error('Rolled back deployment is not marked current');
+      }
+
+      const notReady = await deployer.rollback('nfy_123');
+      if (notReady.success || !notReady.error.includes('only ready deployments')) {
+        throw new Error('Failed deployments must not be promoted');
+      }
+    });
+
+    await this.test('Preview deploys alias the branch and keep one PR comment updated', async () => {
+      const git = (args) => execSync(`git -c user.name=mak3r -c user.email=mak3r@example.com ${args}`, { cwd: projectPath, stdio: 'pipe' });
+      git('init -q');
+      git('checkout -q -b feature/Client-Review');
+      git('remote add origin git@github.com:acme/deploy-project.git');
+      git('add -A');
+      git('commit -q -m init');
+
+      const comments = [];
+      const githubHandler = {
+        listPRs: async (args) => {
+          calls.push({ listPRs: args });
+          return { pull_requests: args.head === 'acme:feature/Client-Review' ? [{ number: 7 }] : [] };
+        },
+        upsertIssueComment: async (args) => {
+          const existing = comments.find(c => c.body.includes(args.marker));
+          if (existing) {
+            existing.body = `${args.marker}\n${args.body}`;
+            return { id: existing.id, html_url: 'https://github.com/acme/deploy-project/pull/7#issuecomment-1', updated: true };
+          }
+          comments.push({ id: 1, issue: args.issue_number, body: `${args.marker}\n${args.body}` });
+          return { id: 1, html_url: 'https://github.com/acme/deploy-project/pull/7#issuecomment-1', updated: false };
+        }
+      };
+      const deployer = new Deployer(projectPath, { cloudHandler, credentialManager, githubHandler });
+
+      const first = await deployer.deploy({ platform: 'vercel', skipBuild: true, preview: true });
+      if (!first.success) {
+        throw new Error(first.error);
+      }
+      if (first.url !== 'https://deploy-project-feature-client-review.vercel.app') {
+        throw new Error(`Unexpected preview URL: ${first.url}`);
+      }
+      const deployCall = calls.filter(call => call.args).pop();
+      if (deployCall.args.target !== undefined) {
+        throw new Error('Preview must not target production');
+      }
+      if (!calls.some(call => call.alias === 'deploy-project-feature-client-review.vercel.app' && call.id === first.entry.id)) {
+        throw new Error('Branch alias not assigned');
+      }
+      if (comments.length !== 1 || comments[0].issue !== 7 || !comments[0].body.includes(first.url) || first.preview.comment.updated) {
+        throw new Error(`PR comment not posted: ${JSON.stringify(comments)}`);
+      }
+
+      const second = await deployer.deploy({ platform: 'vercel', skipBuild: true, preview: true });
+      if (second.url !== first.url || comments.length !== 1 || !second.preview.comment.updated) {
+        throw new Error('Second preview should update the existing comment');
+      }
+
+      const netlify = await deployer.deploy({ platform: 'netlify', skipBuild: true, preview: true });
+      const netlifyCall = calls.filter(call => call.platform === 'netlify' && call.args).pop();
+      if (!netlifyCall.args.draft || netlifyCall.args.branch !== 'feature-client-review') {
+        throw new Error('Netlify preview must be a draft deploy on the branch alias');
+      }
+      if (netlify.url !== 'https://feature-client-review--deploy-project.netlify.app') {
+        throw new Error(`Unexpected Netlify preview URL: ${netlify.url}`);
+      }
+
+      const live = (await deployer.list()).find(d => d.current && d.platform === 'vercel');
+      if (!live || live.id !== 'dpl_1') {
+        throw new Error('Previews must not replace the live deployment');
+      }
+
+      const production = await deployer.deploy({ platform: 'vercel', skipBuild: true });
+      if (calls.filter(call => call.args).pop().args.target !== 'production') {
+        throw new Error('Production deploys must target production');
+      }
+      if (production.preview) {
+        throw new Error('Production deploy reported as preview');
+      }
+
+      const unsupported = await deployer.deploy({ platform: 'digitalocean', skipBuild: true, preview: true });
+      if (unsupported.success || !unsupported.error.includes('Preview deployments are supported')) {
+        throw new Error('Preview on an unsupported platform should fail');
+      }
+    });
+  }
+
+  isProcessAlive(pid) {
+    try {
+      process.kill(pid, 0);
+    } catch (error) {
+      return false;
+    }
+
+    // Orphaned children may linger as zombies until reaped; those are dead
+    const statPath = `/proc/${pid}/stat`;
+    if (fs.existsSync(statPath)) {
+      return fs.readFileSync(statPath, 'utf8').split(') ')[1]?.[0] !== 'Z';
+    }
+    return true;
+  }
+
   async testSystemHealthCheck() {
     console.log(chalk.blue('\n🔍 Testing System Health Check'));
 